@@ -1,7 +1,8 @@
 const detect = require('./detect');
 const diskinfo = require('./diskinfo');
 const lxcinfo = require('./lxcinfo');
-const { execSync } = require('child_process');
+const runner = require('./runner');
+const identity = require('./identity');
 const path = require('path');
 const fs = require('fs');
 
@@ -48,7 +49,7 @@ function generateSmartLabel(drive, detailedInfo) {
     if (drive.fstype === 'vfat' || drive.fstype === 'ntfs') {
         // Try to get volume label
         try {
-            const label = execSync(`blkid -s LABEL -o value ${drive.device} 2>/dev/null || true`, { encoding: 'utf8' }).trim();
+            const label = runner.run(`blkid -s LABEL -o value ${drive.device} 2>/dev/null || true`, { encoding: 'utf8' }).trim();
             if (label) {
                 return label.replace(/\s+/g, '-').substring(0, 20);
             }
@@ -115,7 +116,7 @@ function detectPurpose(drive, detailedInfo) {
     // Check common directory names in root
     if (drive.mountpoint && drive.mountpoint !== 'not mounted') {
         try {
-            const dirs = execSync(`ls -1 ${drive.mountpoint} 2>/dev/null | head -10 || true`, { encoding: 'utf8' }).trim();
+            const dirs = runner.run(`ls -1 ${drive.mountpoint} 2>/dev/null | head -10 || true`, { encoding: 'utf8' }).trim();
 
             if (dirs.includes('backup') || dirs.includes('Backup')) {
                 return 'Backup Storage';
@@ -137,32 +138,25 @@ function detectPurpose(drive, detailedInfo) {
 
 // Auto-register a single drive
 function autoRegisterDrive(drive) {
-    // Get detailed info for smart detection
-    const devicePath = drive.device.replace(/p?\d+$/, ''); // Get parent device if partition
+    // Get detailed info for smart detection, from the disk the volume is on
+    const devicePath = drive.root ? `/dev/${drive.root}` : drive.device.replace(/p?\d+$/, '');
     const detailedInfo = diskinfo.getDetailedDiskInfo(devicePath);
 
     const label = generateSmartLabel(drive, detailedInfo);
     const purpose = detectPurpose(drive, detailedInfo);
-    const driveType = detect.getDriveType(drive.name);
-
-    return {
-        uuid: drive.uuid,
-        label: label,
-        size: drive.size,
-        type: driveType,
-        purpose: purpose,
-        device: drive.device
-    };
+    const driveType = detect.getDriveType(drive.root || drive.name);
+
+    return identity.driveRecord(drive, { label, type: driveType, purpose });
 }
 
 // Auto-register all unregistered drives
 function autoRegisterAll(detectedDrives, knownDrives) {
     const knownUUIDs = new Set(knownDrives.map(d => d.uuid));
 
-    // Only register partitions, not whole disks (to avoid duplicates)
-    // Partitions are what you actually use (mount, format, etc.)
-    const partitions = detectedDrives.filter(d => d.type === 'part');
-    const unregistered = partitions.filter(d => !knownUUIDs.has(d.uuid));
+    // Only register filesystems on partitions and stacked volumes, not whole disks (to avoid duplicates)
+    // or the LUKS/LVM/RAID members under them: those are what you actually use (mount, format, etc.)
+    const volumes = detectedDrives.filter(detect.isRegistrable);
+    const unregistered = volumes.filter(d => !knownUUIDs.has(d.uuid));
 
     const registered = [];
 
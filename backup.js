@@ -1,9 +1,13 @@
-const { execSync, spawn } = require('child_process');
+const { spawn } = require('child_process');
 const fs = require('fs');
 const path = require('path');
 const chalk = require('chalk');
 const inquirer = require('inquirer');
 const display = require('./display');
+const dryrun = require('./dryrun');
+const history = require('./history');
+const partitiontools = require('./partitiontools');
+const runner = require('./runner');
 
 /**
  * BACKUP METHODS AND THEIR PROS/CONS:
@@ -29,6 +33,10 @@ const display = require('./display');
  *    USE: Daily backups, large datasets, limited storage
  */
 
+// Backup methods and destinations accepted by backupDrive
+const BACKUP_METHODS = ['dd', 'tar', 'rsync', 'snapshot'];
+const BACKUP_DESTINATIONS = ['local', 's3'];
+
 // Get backup config
 function getBackupConfig() {
     const configPath = path.join(require('os').homedir(), '.config/diskmgt/backup-config.json');
@@ -133,7 +141,8 @@ async function configureCloudBackup() {
 }
 
 // Backup drive with method selection
-async function backupDrive(device, deviceName) {
+// options.method, options.destination and options.path replace the prompts
+async function backupDrive(device, deviceName, options = {}) {
     const boxen = require('boxen');
 
     console.log(boxen(
@@ -141,7 +150,7 @@ async function backupDrive(device, deviceName) {
         { padding: 1, borderColor: 'cyan', margin: 1 }
     ));
 
-    const { method } = await inquirer.prompt([{
+    const { method } = options.method ? { method: options.method } : await inquirer.prompt([{
         type: 'list',
         name: 'method',
         message: 'Select backup method:',
@@ -160,7 +169,12 @@ async function backupDrive(device, deviceName) {
 
     if (!method) return null;
 
-    const { destination } = await inquirer.prompt([{
+    if (!BACKUP_METHODS.includes(method)) {
+        display.displayError(`Unknown backup method "${method}" (use ${BACKUP_METHODS.join(', ')})`);
+        return null;
+    }
+
+    const { destination } = options.destination ? { destination: options.destination } : await inquirer.prompt([{
         type: 'list',
         name: 'destination',
         message: 'Backup destination:',
@@ -173,23 +187,32 @@ async function backupDrive(device, deviceName) {
 
     if (!destination) return null;
 
+    if (!BACKUP_DESTINATIONS.includes(destination)) {
+        display.displayError(`Unknown backup destination "${destination}" (use ${BACKUP_DESTINATIONS.join(', ')})`);
+        return null;
+    }
+
     let backupPath;
 
     if (destination === 'local') {
         const config = getBackupConfig();
         const defaultPath = path.join(config.local.path, `${deviceName}-${Date.now()}.${method === 'dd' ? 'img' : 'tar.gz'}`);
 
-        const answer = await inquirer.prompt([{
-            type: 'input',
-            name: 'path',
-            message: 'Backup file path:',
-            default: defaultPath
-        }]);
-
-        backupPath = answer.path;
+        if (options.destination) {
+            backupPath = options.path || defaultPath;
+        } else {
+            const answer = await inquirer.prompt([{
+                type: 'input',
+                name: 'path',
+                message: 'Backup file path:',
+                default: defaultPath
+            }]);
+
+            backupPath = answer.path;
+        }
 
         // Ensure directory exists
-        execSync(`mkdir -p ${path.dirname(backupPath)}`);
+        dryrun.run(`mkdir -p ${path.dirname(backupPath)}`);
     } else {
         const config = getBackupConfig();
         if (!config.s3?.enabled) {
@@ -201,21 +224,28 @@ async function backupDrive(device, deviceName) {
 
     // Execute backup based on method
     try {
+        let completed;
         switch (method) {
             case 'dd':
-                await backupBlockLevel(device, backupPath, destination);
+                completed = await backupBlockLevel(device, backupPath, destination);
                 break;
             case 'tar':
-                await backupFilesystem(device, backupPath, destination);
+                completed = await backupFilesystem(device, backupPath, destination);
                 break;
             case 'rsync':
-                await backupIncremental(device, backupPath, destination);
+                completed = await backupIncremental(device, backupPath, destination);
                 break;
             case 'snapshot':
-                await backupSnapshot(device, backupPath);
+                completed = await backupSnapshot(device, backupPath);
                 break;
         }
 
+        if (!completed) return null;
+
+        history.recordForDevice(device, 'backup', { method, destination, path: backupPath });
+        if (destination === 'local') {
+            history.recordForPath(backupPath, 'backup-written', { method, source: device, path: backupPath });
+        }
         return backupPath;
     } catch (err) {
         display.displayError(`Backup failed: ${err.message}`);
@@ -235,7 +265,7 @@ async function backupBlockLevel(device, backupPath, destination) {
 
         console.log(chalk.dim(`  Streaming to ${backupPath}...\n`));
 
-        execSync(
+        dryrun.run(
             `dd if=${device} bs=4M status=progress | ` +
             `gzip -c | ` +
             `aws s3 cp - ${backupPath} ${endpoint} ` +
@@ -251,13 +281,14 @@ async function backupBlockLevel(device, backupPath, destination) {
         );
     } else {
         // Local file
-        execSync(
+        dryrun.run(
             `dd if=${device} of=${backupPath} bs=4M status=progress`,
             { stdio: 'inherit' }
         );
     }
 
     display.displaySuccess(`Block-level backup completed: ${backupPath}`);
+    return true;
 }
 
 // Filesystem backup (tar)
@@ -265,7 +296,7 @@ async function backupFilesystem(device, backupPath, destination) {
     console.log(chalk.cyan('\n  Creating filesystem backup with tar...\n'));
 
     // Check if mounted
-    const mountInfo = execSync(`findmnt -n -o TARGET ${device} || echo ""`, { encoding: 'utf8' }).trim();
+    const mountInfo = runner.run(`findmnt -n -o TARGET ${device} || echo ""`, { encoding: 'utf8' }).trim();
 
     let mountpoint;
     let tempMount = false;
@@ -273,8 +304,8 @@ async function backupFilesystem(device, backupPath, destination) {
     if (!mountInfo) {
         // Need to mount temporarily
         mountpoint = `/tmp/backup-mount-${Date.now()}`;
-        execSync(`mkdir -p ${mountpoint}`);
-        execSync(`mount -o ro ${device} ${mountpoint}`);
+        dryrun.run(`mkdir -p ${mountpoint}`);
+        dryrun.run(`mount -o ro ${device} ${mountpoint}`);
         tempMount = true;
         console.log(chalk.dim(`  Temporarily mounted at ${mountpoint}\n`));
     } else {
@@ -286,7 +317,7 @@ async function backupFilesystem(device, backupPath, destination) {
             const config = getBackupConfig();
             const endpoint = config.s3.endpoint ? `--endpoint-url=${config.s3.endpoint}` : '';
 
-            execSync(
+            dryrun.run(
                 `tar czf - -C ${mountpoint} . | ` +
                 `aws s3 cp - ${backupPath} ${endpoint} --region ${config.s3.region}`,
                 {
@@ -299,17 +330,18 @@ async function backupFilesystem(device, backupPath, destination) {
                 }
             );
         } else {
-            execSync(
+            dryrun.run(
                 `tar czf ${backupPath} -C ${mountpoint} .`,
                 { stdio: 'inherit' }
             );
         }
 
         display.displaySuccess(`Filesystem backup completed: ${backupPath}`);
+        return true;
     } finally {
         if (tempMount) {
-            execSync(`umount ${mountpoint}`);
-            execSync(`rm -rf ${mountpoint}`);
+            dryrun.run(`umount ${mountpoint}`);
+            dryrun.run(`rm -rf ${mountpoint}`);
         }
     }
 }
@@ -320,56 +352,64 @@ async function backupIncremental(device, backupPath, destination) {
 
     if (destination === 's3') {
         display.displayError('Incremental rsync to S3 not supported. Use local destination.');
-        return;
+        return false;
     }
 
     // Check if mounted
-    const mountInfo = execSync(`findmnt -n -o TARGET ${device} || echo ""`, { encoding: 'utf8' }).trim();
+    const mountInfo = runner.run(`findmnt -n -o TARGET ${device} || echo ""`, { encoding: 'utf8' }).trim();
 
-    if (!mountInfo) {
+    if (!dryrun.check(`${device} is mounted`, Boolean(mountInfo))) {
         display.displayError('Drive must be mounted for rsync backup');
-        return;
+        return false;
     }
 
     // Create backup directory
     const backupDir = backupPath.replace(/\.(tar\.gz|img)$/, '');
-    execSync(`mkdir -p ${backupDir}`);
+    dryrun.run(`mkdir -p ${backupDir}`);
 
     // Look for previous backup for linking
     const backupParent = path.dirname(backupDir);
-    const previousBackups = execSync(`ls -dt ${backupParent}/*/ 2>/dev/null | head -2 || true`, { encoding: 'utf8' }).trim().split('\n');
+    const previousBackups = runner.run(`ls -dt ${backupParent}/*/ 2>/dev/null | head -2 || true`, { encoding: 'utf8' }).trim().split('\n');
     const linkDest = previousBackups[1] ? `--link-dest=${previousBackups[1]}` : '';
 
-    execSync(
+    dryrun.run(
         `rsync -aHAX --info=progress2 ${linkDest} ${mountInfo}/ ${backupDir}/`,
         { stdio: 'inherit' }
     );
 
     display.displaySuccess(`Incremental backup completed: ${backupDir}`);
+    return true;
 }
 
 // Snapshot backup (btrfs)
 async function backupSnapshot(device, backupPath) {
     console.log(chalk.cyan('\n  Creating btrfs snapshot...\n'));
 
-    const mountInfo = execSync(`findmnt -n -o TARGET,FSTYPE ${device} || echo ""`, { encoding: 'utf8' }).trim();
+    const mountInfo = runner.run(`findmnt -n -o TARGET,FSTYPE ${device} || echo ""`, { encoding: 'utf8' }).trim();
 
-    if (!mountInfo.includes('btrfs')) {
+    if (!dryrun.check(`${device} is a mounted btrfs filesystem`, mountInfo.includes('btrfs'))) {
         display.displayError('Snapshot backup only works with btrfs filesystems');
-        return;
+        return false;
     }
 
     const mountpoint = mountInfo.split(' ')[0];
     const snapshotPath = `${mountpoint}/.snapshots/${Date.now()}`;
 
-    execSync(`mkdir -p ${path.dirname(snapshotPath)}`);
-    execSync(`btrfs subvolume snapshot -r ${mountpoint} ${snapshotPath}`, { stdio: 'inherit' });
+    dryrun.run(`mkdir -p ${path.dirname(snapshotPath)}`);
+    dryrun.run(`btrfs subvolume snapshot -r ${mountpoint} ${snapshotPath}`, { stdio: 'inherit' });
 
     display.displaySuccess(`Snapshot created: ${snapshotPath}`);
+    return true;
+}
+
+// Device path of partition number partNum on disk (/dev/sda + 1 -> /dev/sda1, /dev/mmcblk0 + 1 -> /dev/mmcblk0p1)
+function partitionDevice(disk, partNum) {
+    return /\d$/.test(disk) ? `${disk}p${partNum}` : `${disk}${partNum}`;
 }
 
 // Clone drive with auto-resize
-async function cloneDriveWithResize(sourceDrive, sourceDeviceName, targetDrive, targetDeviceName) {
+// options.yes skips both confirmation prompts
+async function cloneDriveWithResize(sourceDrive, sourceDeviceName, targetDrive, targetDeviceName, options = {}) {
     const boxen = require('boxen');
 
     console.log(boxen(
@@ -384,10 +424,10 @@ async function cloneDriveWithResize(sourceDrive, sourceDeviceName, targetDrive,
     ));
 
     // Check sizes
-    const sourceSize = execSync(`blockdev --getsize64 ${sourceDrive}`, { encoding: 'utf8' }).trim();
-    const targetSize = execSync(`blockdev --getsize64 ${targetDrive}`, { encoding: 'utf8' }).trim();
+    const sourceSize = runner.run(`blockdev --getsize64 ${sourceDrive}`, { encoding: 'utf8' }).trim();
+    const targetSize = runner.run(`blockdev --getsize64 ${targetDrive}`, { encoding: 'utf8' }).trim();
 
-    if (parseInt(targetSize) < parseInt(sourceSize)) {
+    if (!dryrun.check(`Target (${targetSize} bytes) is at least as large as source (${sourceSize} bytes)`, parseInt(targetSize) >= parseInt(sourceSize))) {
         display.displayError('Target drive is smaller than source drive. Cannot clone.');
         return false;
     }
@@ -395,47 +435,51 @@ async function cloneDriveWithResize(sourceDrive, sourceDeviceName, targetDrive,
     console.log(chalk.yellow(`\nSource size: ${(parseInt(sourceSize) / 1024 / 1024 / 1024).toFixed(2)} GB`));
     console.log(chalk.yellow(`Target size: ${(parseInt(targetSize) / 1024 / 1024 / 1024).toFixed(2)} GB\n`));
 
-    const { confirm1 } = await inquirer.prompt([{
-        type: 'confirm',
-        name: 'confirm1',
-        message: 'Proceed with clone operation?',
-        default: false
-    }]);
+    if (!options.yes) {
+        const { confirm1 } = await inquirer.prompt([{
+            type: 'confirm',
+            name: 'confirm1',
+            message: 'Proceed with clone operation?',
+            default: false
+        }]);
 
-    if (!confirm1) {
-        display.displayInfo('Clone cancelled');
-        return false;
-    }
+        if (!confirm1) {
+            display.displayInfo('Clone cancelled');
+            return false;
+        }
 
-    const { confirmText } = await inquirer.prompt([{
-        type: 'input',
-        name: 'confirmText',
-        message: `Type "CLONE TO ${targetDrive}" to confirm:`,
-    }]);
+        const { confirmText } = await inquirer.prompt([{
+            type: 'input',
+            name: 'confirmText',
+            message: `Type "CLONE TO ${targetDrive}" to confirm:`,
+        }]);
 
-    if (confirmText !== `CLONE TO ${targetDrive}`) {
-        display.displayError('Confirmation text did not match. Clone cancelled.');
-        return false;
+        if (confirmText !== `CLONE TO ${targetDrive}`) {
+            display.displayError('Confirmation text did not match. Clone cancelled.');
+            return false;
+        }
     }
 
     try {
         // Step 1: Clone with dd
         console.log(chalk.cyan('\n  Step 1/3: Cloning disk with dd...\n'));
-        execSync(
+        dryrun.run(
             `dd if=${sourceDrive} of=${targetDrive} bs=4M status=progress`,
             { stdio: 'inherit' }
         );
 
         // Step 2: Re-read partition table
         console.log(chalk.cyan('\n  Step 2/3: Re-reading partition table...\n'));
-        execSync(`partprobe ${targetDrive}`, { stdio: 'inherit' });
-        execSync('sleep 2'); // Wait for kernel to update
+        dryrun.run(`partprobe ${targetDrive}`, { stdio: 'inherit' });
+        dryrun.run('sleep 2'); // Wait for kernel to update
 
         // Step 3: Detect and resize partitions
         console.log(chalk.cyan('\n  Step 3/3: Auto-resizing partitions...\n'));
 
-        // Get partition list
-        const partitions = execSync(`lsblk -nro NAME,TYPE ${targetDrive} | grep part | awk '{print $1}'`, { encoding: 'utf8' }).trim().split('\n');
+        // Get partition list (in dry-run mode the target still has its old table,
+        // so read the source's, which is what dd would have copied)
+        const tableDrive = dryrun.isEnabled() ? sourceDrive : targetDrive;
+        const partitions = runner.run(`lsblk -nro NAME,TYPE ${tableDrive} | grep part | awk '{print $1}'`, { encoding: 'utf8' }).trim().split('\n');
 
         if (partitions.length === 0 || partitions[0] === '') {
             display.displayWarning('No partitions found to resize. Clone completed without resize.');
@@ -444,50 +488,51 @@ async function cloneDriveWithResize(sourceDrive, sourceDeviceName, targetDrive,
 
         // Resize last partition (usually the data partition)
         const lastPartition = partitions[partitions.length - 1];
-        const partDevice = `/dev/${lastPartition}`;
-        const partNum = lastPartition.replace(/[^0-9]/g, '');
+        const partNum = (lastPartition.match(/(\d+)$/) || [])[1];
+        const partDevice = partitionDevice(targetDrive, partNum);
 
         console.log(chalk.dim(`  Resizing partition ${partNum} (${partDevice})...\n`));
 
         // Detect filesystem
-        const fstype = execSync(`blkid -s TYPE -o value ${partDevice} || echo unknown`, { encoding: 'utf8' }).trim();
+        const fstype = runner.run(`blkid -s TYPE -o value /dev/${lastPartition} || echo unknown`, { encoding: 'utf8' }).trim();
 
         // Grow partition to max
-        execSync(`parted ${targetDrive} resizepart ${partNum} 100%`, { stdio: 'inherit' });
-        execSync(`partprobe ${targetDrive}`, { stdio: 'inherit' });
-        execSync('sleep 1');
+        dryrun.run(`parted ${targetDrive} resizepart ${partNum} 100%`, { stdio: 'inherit' });
+        dryrun.run(`partprobe ${targetDrive}`, { stdio: 'inherit' });
+        dryrun.run('sleep 1');
 
         // Resize filesystem based on type
         switch (fstype) {
             case 'ext4':
             case 'ext3':
             case 'ext2':
-                execSync(`e2fsck -f -y ${partDevice}`, { stdio: 'inherit' });
-                execSync(`resize2fs ${partDevice}`, { stdio: 'inherit' });
+                dryrun.run(`e2fsck -f -y ${partDevice}`, { stdio: 'inherit' });
+                dryrun.run(`resize2fs ${partDevice}`, { stdio: 'inherit' });
                 break;
             case 'btrfs':
                 // Need to mount for btrfs resize
                 const tempMount = `/tmp/resize-mount-${Date.now()}`;
-                execSync(`mkdir -p ${tempMount}`);
-                execSync(`mount ${partDevice} ${tempMount}`);
-                execSync(`btrfs filesystem resize max ${tempMount}`, { stdio: 'inherit' });
-                execSync(`umount ${tempMount}`);
-                execSync(`rm -rf ${tempMount}`);
+                dryrun.run(`mkdir -p ${tempMount}`);
+                dryrun.run(`mount ${partDevice} ${tempMount}`);
+                dryrun.run(`btrfs filesystem resize max ${tempMount}`, { stdio: 'inherit' });
+                dryrun.run(`umount ${tempMount}`);
+                dryrun.run(`rm -rf ${tempMount}`);
                 break;
             case 'xfs':
                 // XFS requires mounting
                 const xfsMount = `/tmp/resize-mount-${Date.now()}`;
-                execSync(`mkdir -p ${xfsMount}`);
-                execSync(`mount ${partDevice} ${xfsMount}`);
-                execSync(`xfs_growfs ${xfsMount}`, { stdio: 'inherit' });
-                execSync(`umount ${xfsMount}`);
-                execSync(`rm -rf ${xfsMount}`);
+                dryrun.run(`mkdir -p ${xfsMount}`);
+                dryrun.run(`mount ${partDevice} ${xfsMount}`);
+                dryrun.run(`xfs_growfs ${xfsMount}`, { stdio: 'inherit' });
+                dryrun.run(`umount ${xfsMount}`);
+                dryrun.run(`rm -rf ${xfsMount}`);
                 break;
             default:
                 display.displayWarning(`Filesystem ${fstype} resizing not supported. Partition table resized only.`);
         }
 
         display.displaySuccess(`Clone with auto-resize completed: ${targetDrive}`);
+        history.recordForDisk(sourceDrive, 'clone', { target: targetDrive });
         return true;
     } catch (err) {
         display.displayError(`Clone failed: ${err.message}`);
@@ -496,7 +541,8 @@ async function cloneDriveWithResize(sourceDrive, sourceDeviceName, targetDrive,
 }
 
 // Restore drive
-async function restoreDrive(backupPath, targetDevice) {
+// options.yes skips both confirmation prompts
+async function restoreDrive(backupPath, targetDevice, options = {}) {
     const boxen = require('boxen');
 
     console.log(boxen(
@@ -507,26 +553,32 @@ async function restoreDrive(backupPath, targetDevice) {
         { padding: 1, borderColor: 'red', borderStyle: 'double', margin: 1 }
     ));
 
-    const { confirm1 } = await inquirer.prompt([{
-        type: 'confirm',
-        name: 'confirm1',
-        message: 'Are you absolutely sure?',
-        default: false
-    }]);
+    if (!options.yes) {
+        const { confirm1 } = await inquirer.prompt([{
+            type: 'confirm',
+            name: 'confirm1',
+            message: 'Are you absolutely sure?',
+            default: false
+        }]);
 
-    if (!confirm1) {
-        display.displayInfo('Restore cancelled');
-        return false;
-    }
+        if (!confirm1) {
+            display.displayInfo('Restore cancelled');
+            return false;
+        }
 
-    const { confirmText } = await inquirer.prompt([{
-        type: 'input',
-        name: 'confirmText',
-        message: `Type "DESTROY ${targetDevice}" to confirm:`,
-    }]);
+        const { confirmText } = await inquirer.prompt([{
+            type: 'input',
+            name: 'confirmText',
+            message: `Type "DESTROY ${targetDevice}" to confirm:`,
+        }]);
 
-    if (confirmText !== `DESTROY ${targetDevice}`) {
-        display.displayError('Confirmation text did not match. Restore cancelled.');
+        if (confirmText !== `DESTROY ${targetDevice}`) {
+            display.displayError('Confirmation text did not match. Restore cancelled.');
+            return false;
+        }
+    }
+
+    if (!partitiontools.checkNotInUse(targetDevice, `Target ${targetDevice}`)) {
         return false;
     }
 
@@ -535,6 +587,8 @@ async function restoreDrive(backupPath, targetDevice) {
     const isBlockLevel = backupPath.endsWith('.img') || backupPath.endsWith('.img.gz');
 
     try {
+        const previousUUID = history.getDeviceUUID(targetDevice);
+
         if (isBlockLevel) {
             await restoreBlockLevel(backupPath, targetDevice, isS3);
         } else {
@@ -542,6 +596,7 @@ async function restoreDrive(backupPath, targetDevice) {
         }
 
         display.displaySuccess('Restore completed successfully!');
+        history.recordChange(targetDevice, previousUUID, 'restore', { source: backupPath });
         return true;
     } catch (err) {
         display.displayError(`Restore failed: ${err.message}`);
@@ -557,7 +612,7 @@ async function restoreBlockLevel(backupPath, targetDevice, isS3) {
         const config = getBackupConfig();
         const endpoint = config.s3.endpoint ? `--endpoint-url=${config.s3.endpoint}` : '';
 
-        execSync(
+        dryrun.run(
             `aws s3 cp ${backupPath} - ${endpoint} --region ${config.s3.region} | ` +
             (backupPath.endsWith('.gz') ? 'gunzip -c | ' : '') +
             `dd of=${targetDevice} bs=4M status=progress`,
@@ -572,7 +627,7 @@ async function restoreBlockLevel(backupPath, targetDevice, isS3) {
         );
     } else {
         const decompressCmd = backupPath.endsWith('.gz') ? 'gunzip -c ${backupPath} |' : '';
-        execSync(
+        dryrun.run(
             `${decompressCmd} dd if=${backupPath} of=${targetDevice} bs=4M status=progress`,
             { stdio: 'inherit' }
         );
@@ -585,19 +640,19 @@ async function restoreFilesystem(backupPath, targetDevice, isS3) {
 
     // Format target first
     console.log(chalk.yellow('  Formatting target as ext4...\n'));
-    execSync(`mkfs.ext4 -F ${targetDevice}`, { stdio: 'inherit' });
+    dryrun.run(`mkfs.ext4 -F ${targetDevice}`, { stdio: 'inherit' });
 
     // Mount target
     const mountpoint = `/tmp/restore-mount-${Date.now()}`;
-    execSync(`mkdir -p ${mountpoint}`);
-    execSync(`mount ${targetDevice} ${mountpoint}`);
+    dryrun.run(`mkdir -p ${mountpoint}`);
+    dryrun.run(`mount ${targetDevice} ${mountpoint}`);
 
     try {
         if (isS3) {
             const config = getBackupConfig();
             const endpoint = config.s3.endpoint ? `--endpoint-url=${config.s3.endpoint}` : '';
 
-            execSync(
+            dryrun.run(
                 `aws s3 cp ${backupPath} - ${endpoint} --region ${config.s3.region} | ` +
                 `tar xzf - -C ${mountpoint}`,
                 {
@@ -610,11 +665,11 @@ async function restoreFilesystem(backupPath, targetDevice, isS3) {
                 }
             );
         } else {
-            execSync(`tar xzf ${backupPath} -C ${mountpoint}`, { stdio: 'inherit' });
+            dryrun.run(`tar xzf ${backupPath} -C ${mountpoint}`, { stdio: 'inherit' });
         }
     } finally {
-        execSync(`umount ${mountpoint}`);
-        execSync(`rm -rf ${mountpoint}`);
+        dryrun.run(`umount ${mountpoint}`);
+        dryrun.run(`rm -rf ${mountpoint}`);
     }
 }
 
@@ -623,5 +678,8 @@ module.exports = {
     backupDrive,
     restoreDrive,
     cloneDriveWithResize,
-    getBackupConfig
+    getBackupConfig,
+    partitionDevice,
+    BACKUP_METHODS,
+    BACKUP_DESTINATIONS
 };
@@ -1,12 +1,14 @@
-const { execSync } = require('child_process');
 const chalk = require('chalk');
 const inquirer = require('inquirer');
 const display = require('./display');
+const dryrun = require('./dryrun');
+const history = require('./history');
+const runner = require('./runner');
 
 // Check if btrfs-convert is available
 function isAvailable() {
     try {
-        execSync('which btrfs-convert', { stdio: 'ignore' });
+        runner.run('which btrfs-convert', { stdio: 'ignore' });
         return true;
     } catch {
         return false;
@@ -16,7 +18,7 @@ function isAvailable() {
 // Get filesystem info
 function getFilesystemInfo(device) {
     try {
-        const output = execSync(`lsblk -nlo FSTYPE,SIZE,MOUNTPOINT,LABEL ${device}`, { encoding: 'utf-8' });
+        const output = runner.run(`lsblk -nlo FSTYPE,SIZE,MOUNTPOINT,LABEL ${device}`, { encoding: 'utf-8' });
         const [fstype, size, mountpoint, label] = output.trim().split(/\s+/);
         return { fstype, size, mountpoint: mountpoint || 'not mounted', label: label || 'none' };
     } catch (err) {
@@ -27,7 +29,7 @@ function getFilesystemInfo(device) {
 // Check if device is mounted
 function isMounted(device) {
     try {
-        const output = execSync(`mount | grep "^${device} "`, { encoding: 'utf-8' });
+        const output = runner.run(`mount | grep "^${device} "`, { encoding: 'utf-8' });
         return output.trim().length > 0;
     } catch {
         return false;
@@ -37,7 +39,7 @@ function isMounted(device) {
 // Unmount device
 function unmount(device) {
     try {
-        execSync(`umount ${device}`, { stdio: 'inherit' });
+        dryrun.run(`umount ${device}`, { stdio: 'inherit' });
         return true;
     } catch (err) {
         throw new Error(`Failed to unmount ${device}: ${err.message}`);
@@ -49,7 +51,7 @@ function fsck(device, fstype) {
     display.displayInfo(`Running filesystem check on ${device}...`);
     try {
         if (fstype === 'ext4' || fstype === 'ext3' || fstype === 'ext2') {
-            execSync(`e2fsck -fy ${device}`, { stdio: 'inherit' });
+            dryrun.run(`e2fsck -fy ${device}`, { stdio: 'inherit' });
         } else {
             throw new Error(`Unsupported filesystem for check: ${fstype}`);
         }
@@ -60,14 +62,15 @@ function fsck(device, fstype) {
 }
 
 // Convert ext4 to BTRFS
-async function convertToBtrfs(device) {
+// options.yes skips the backup and conversion confirmations
+async function convertToBtrfs(device, options = {}) {
     display.displayHeader('Convert to BTRFS');
 
     // Check if btrfs-convert is available
-    if (!isAvailable()) {
+    if (!dryrun.check('btrfs-convert is installed', isAvailable())) {
         display.displayError('btrfs-convert is not installed!');
         console.log(chalk.yellow('\nInstall it with: sudo apt install btrfs-progs\n'));
-        return;
+        return false;
     }
 
     // Get filesystem info
@@ -81,20 +84,20 @@ async function convertToBtrfs(device) {
     console.log(`  Mount:      ${info.mountpoint}\n`);
 
     // Validate filesystem type
-    if (!['ext2', 'ext3', 'ext4'].includes(info.fstype)) {
+    if (!dryrun.check(`${device} is ext2/ext3/ext4 (current: ${info.fstype})`, ['ext2', 'ext3', 'ext4'].includes(info.fstype))) {
         display.displayError(`Cannot convert ${info.fstype} to BTRFS. Only ext2/ext3/ext4 supported.`);
-        return;
+        return false;
     }
 
     // Check if it's a root filesystem
-    if (info.mountpoint === '/') {
+    if (!dryrun.check(`${device} is not the running root filesystem`, info.mountpoint !== '/')) {
         display.displayError('Cannot convert root filesystem while it\'s running!');
         console.log(chalk.yellow('\nTo convert your root filesystem:'));
         console.log('1. Boot from USB/SD card with DiskMgt');
         console.log('2. Run conversion on unmounted root drive');
         console.log('3. Update /etc/fstab with BTRFS options');
         console.log('4. Reboot to converted system\n');
-        return;
+        return false;
     }
 
     // Show safety warnings
@@ -112,31 +115,35 @@ async function convertToBtrfs(device) {
     console.log(chalk.green('• Filesystem integrity checked before conversion\n'));
 
     // Get confirmation
-    const { confirm1 } = await inquirer.prompt([{
-        type: 'confirm',
-        name: 'confirm1',
-        message: chalk.bold('Do you have a backup of this data?'),
-        default: false
-    }]);
-
-    if (!confirm1) {
-        display.displayInfo('Please create a backup first. Use "Backup & Restore" menu.');
-        return;
-    }
+    if (!options.yes) {
+        const { confirm1 } = await inquirer.prompt([{
+            type: 'confirm',
+            name: 'confirm1',
+            message: chalk.bold('Do you have a backup of this data?'),
+            default: false
+        }]);
+
+        if (!confirm1) {
+            display.displayInfo('Please create a backup first. Use "Backup & Restore" menu.');
+            return false;
+        }
 
-    const { confirm2 } = await inquirer.prompt([{
-        type: 'confirm',
-        name: 'confirm2',
-        message: chalk.bold(`Convert ${device} from ${info.fstype} to BTRFS?`),
-        default: false
-    }]);
+        const { confirm2 } = await inquirer.prompt([{
+            type: 'confirm',
+            name: 'confirm2',
+            message: chalk.bold(`Convert ${device} from ${info.fstype} to BTRFS?`),
+            default: false
+        }]);
 
-    if (!confirm2) {
-        display.displayInfo('Conversion cancelled.');
-        return;
+        if (!confirm2) {
+            display.displayInfo('Conversion cancelled.');
+            return false;
+        }
     }
 
     try {
+        const previousUUID = history.getDeviceUUID(device);
+
         // Unmount if mounted
         if (isMounted(device)) {
             display.displayInfo(`Unmounting ${device}...`);
@@ -150,9 +157,10 @@ async function convertToBtrfs(device) {
         display.displayInfo(`Converting ${device} to BTRFS...`);
         console.log(chalk.dim('This may take several minutes depending on filesystem size.\n'));
 
-        execSync(`btrfs-convert ${device}`, { stdio: 'inherit' });
+        dryrun.run(`btrfs-convert ${device}`, { stdio: 'inherit' });
 
         display.displaySuccess(`✓ Conversion complete!`);
+        history.recordChange(device, previousUUID, 'btrfs-convert', { from: info.fstype });
 
         console.log(chalk.bold.green('\n📋 Next steps:\n'));
         console.log(chalk.green('1. Mount the filesystem: mount -t btrfs'));
@@ -160,27 +168,30 @@ async function convertToBtrfs(device) {
         console.log(chalk.green('3. To make permanent: btrfs subvolume delete /mount/ext2_saved'));
         console.log(chalk.green('4. To rollback: btrfs-convert -r ' + device));
         console.log(chalk.green('\n5. Enable compression: remount with -o compress=zstd\n'));
+        return true;
 
     } catch (err) {
         display.displayError(`Conversion failed: ${err.message}`);
+        return false;
     }
 }
 
 // Rollback from BTRFS to ext4
-async function rollbackToExt4(device) {
+// options.yes skips the confirmation prompt
+async function rollbackToExt4(device, options = {}) {
     display.displayHeader('Rollback to ext4');
 
     const info = getFilesystemInfo(device);
 
-    if (info.fstype !== 'btrfs') {
+    if (!dryrun.check(`${device} is BTRFS (current: ${info.fstype})`, info.fstype === 'btrfs')) {
         display.displayError(`Device ${device} is not BTRFS (current: ${info.fstype})`);
-        return;
+        return false;
     }
 
     console.log(chalk.yellow('⚠️  This will rollback BTRFS → ext4'));
     console.log(chalk.yellow('Only works if ext2_saved subvolume still exists.\n'));
 
-    const { confirm } = await inquirer.prompt([{
+    const { confirm } = options.yes ? { confirm: true } : await inquirer.prompt([{
         type: 'confirm',
         name: 'confirm',
         message: `Rollback ${device} from BTRFS to ext4?`,
@@ -189,41 +200,47 @@ async function rollbackToExt4(device) {
 
     if (!confirm) {
         display.displayInfo('Rollback cancelled.');
-        return;
+        return false;
     }
 
     try {
+        const previousUUID = history.getDeviceUUID(device);
+
         if (isMounted(device)) {
             display.displayInfo(`Unmounting ${device}...`);
             unmount(device);
         }
 
         display.displayInfo(`Rolling back ${device} to ext4...`);
-        execSync(`btrfs-convert -r ${device}`, { stdio: 'inherit' });
+        dryrun.run(`btrfs-convert -r ${device}`, { stdio: 'inherit' });
 
         display.displaySuccess('✓ Rollback complete! Filesystem restored to ext4.');
+        history.recordChange(device, previousUUID, 'btrfs-rollback');
+        return true;
 
     } catch (err) {
         display.displayError(`Rollback failed: ${err.message}`);
+        return false;
     }
 }
 
 // Delete ext2_saved subvolume (make conversion permanent)
-async function deleteSavedImage(device) {
+// options.yes skips the confirmation prompt
+async function deleteSavedImage(device, options = {}) {
     display.displayHeader('Delete Rollback Image');
 
     const info = getFilesystemInfo(device);
 
-    if (info.fstype !== 'btrfs') {
+    if (!dryrun.check(`${device} is BTRFS (current: ${info.fstype})`, info.fstype === 'btrfs')) {
         display.displayError(`Device ${device} is not BTRFS`);
-        return;
+        return false;
     }
 
     console.log(chalk.yellow('⚠️  This will DELETE the ext2_saved rollback image'));
     console.log(chalk.yellow('After this, you CANNOT rollback to ext4!'));
     console.log(chalk.green('✓ Frees space used by original filesystem backup\n'));
 
-    const { confirm } = await inquirer.prompt([{
+    const { confirm } = options.yes ? { confirm: true } : await inquirer.prompt([{
         type: 'confirm',
         name: 'confirm',
         message: 'Make BTRFS conversion permanent? (cannot undo)',
@@ -232,36 +249,39 @@ async function deleteSavedImage(device) {
 
     if (!confirm) {
         display.displayInfo('Operation cancelled.');
-        return;
+        return false;
     }
 
     try {
         // Need to mount first to access subvolume
         const tempMount = '/tmp/btrfs-temp-mount';
-        execSync(`mkdir -p ${tempMount}`, { stdio: 'ignore' });
+        dryrun.run(`mkdir -p ${tempMount}`, { stdio: 'ignore' });
 
         const wasMounted = isMounted(device);
         const originalMount = info.mountpoint;
 
         if (!wasMounted) {
             display.displayInfo(`Mounting ${device} temporarily...`);
-            execSync(`mount ${device} ${tempMount}`, { stdio: 'inherit' });
+            dryrun.run(`mount ${device} ${tempMount}`, { stdio: 'inherit' });
         }
 
         const mountPoint = wasMounted ? originalMount : tempMount;
 
         display.displayInfo('Deleting ext2_saved subvolume...');
-        execSync(`btrfs subvolume delete ${mountPoint}/ext2_saved`, { stdio: 'inherit' });
+        dryrun.run(`btrfs subvolume delete ${mountPoint}/ext2_saved`, { stdio: 'inherit' });
 
         if (!wasMounted) {
-            execSync(`umount ${tempMount}`, { stdio: 'ignore' });
-            execSync(`rmdir ${tempMount}`, { stdio: 'ignore' });
+            dryrun.run(`umount ${tempMount}`, { stdio: 'ignore' });
+            dryrun.run(`rmdir ${tempMount}`, { stdio: 'ignore' });
         }
 
         display.displaySuccess('✓ Rollback image deleted. Conversion is now permanent!');
+        history.recordForDevice(device, 'btrfs-delete-saved');
+        return true;
 
     } catch (err) {
         display.displayError(`Failed: ${err.message}`);
+        return false;
     }
 }
 
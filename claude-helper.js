@@ -69,6 +69,7 @@ Analyze which drives match the search query based on semantic meaning.
 Consider:
 - Synonyms and related terms (lxc=lxd, backup=timeshift, container=lxd, etc.)
 - Purpose and context
+- Tags and custom fields (owner, project, location, purchase or warranty dates, ...)
 - Common terminology variations
 - Technical specifications
 - Natural language understanding
@@ -82,6 +83,7 @@ Examples:
 - "big" matches drives with large capacity
 - "mounted" matches drives that are currently mounted
 - "slow" matches drives with performance issues in purpose
+- "alice's drives" matches drives whose custom owner field is alice
 
 Response format (JSON only, no markdown):
 ["uuid1", "uuid2", "uuid3"]`;
@@ -0,0 +1,1009 @@
+const fs = require('fs');
+const chalk = require('chalk');
+const inquirer = require('inquirer');
+const storage = require('./storage');
+const detect = require('./detect');
+const display = require('./display');
+const diskinfo = require('./diskinfo');
+const autoregister = require('./autoregister');
+const partitiontools = require('./partitiontools');
+const maintenance = require('./maintenance');
+const backup = require('./backup');
+const btrfsConvert = require('./btrfs-convert');
+const claudeHelper = require('./claude-helper');
+const search = require('./search');
+const report = require('./report');
+const dryrun = require('./dryrun');
+const playbook = require('./playbook');
+const history = require('./history');
+const doctor = require('./doctor');
+const registryIO = require('./registry-io');
+const sync = require('./sync');
+const identity = require('./identity');
+const stale = require('./stale');
+const labels = require('./labels');
+const health = require('./health');
+const smartHistory = require('./smarthistory');
+const runner = require('./runner');
+const usbinfo = require('./usbinfo');
+const piboot = require('./piboot');
+
+// Exit codes returned to the shell
+const EXIT_OK = 0;
+const EXIT_FAILURE = 1;
+const EXIT_USAGE = 2;
+
+// Flags that never take a value (all others accept "--flag value" or "--flag=value")
+const BOOLEAN_FLAGS = new Set(['auto', 'readonly', 'repair', 'yes', 'ai', 'help', 'json', 'dry-run', 'poll', 'auto-register', 'systemd', 'notify', 'usb', 'version']);
+
+// Flags that may be given more than once (always parsed into a list)
+const REPEATABLE_FLAGS = new Set(['tag', 'untag', 'set', 'unset', 'ssh']);
+
+// Split command-line arguments into positionals and flags
+function parseArgs(argv) {
+    const positional = [];
+    const flags = {};
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+
+        if (arg === '-y') {
+            flags.yes = true;
+        } else if (arg === '-h') {
+            flags.help = true;
+        } else if (arg === '-v') {
+            flags.version = true;
+        } else if (arg.startsWith('--')) {
+            const eq = arg.indexOf('=');
+            let name = arg.slice(2);
+            let value;
+
+            if (eq !== -1) {
+                name = arg.slice(2, eq);
+                value = arg.slice(eq + 1);
+            } else {
+                const next = argv[i + 1];
+                if (BOOLEAN_FLAGS.has(name) || next === undefined || next.startsWith('-')) {
+                    value = true;
+                } else {
+                    value = next;
+                    i++;
+                }
+            }
+
+            if (REPEATABLE_FLAGS.has(name)) {
+                flags[name] = [...(flags[name] || []), value];
+            } else {
+                flags[name] = value;
+            }
+        } else {
+            positional.push(arg);
+        }
+    }
+
+    return { positional, flags };
+}
+
+// Find a detected device by path or kernel name (/dev/sda1 or sda1)
+function findDetected(device) {
+    const devicePath = device.startsWith('/dev/') ? device : `/dev/${device}`;
+    return detect.detectDrives().find(d => d.device === devicePath) || null;
+}
+
+// Find a registered drive by UUID or (unique) label
+function findRegistered(idOrLabel) {
+    const known = storage.getAllDrives();
+
+    const byUUID = known.find(d => d.uuid === idOrLabel);
+    if (byUUID) return byUUID;
+
+    const byLabel = known.filter(d => (d.label || '').toLowerCase() === idOrLabel.toLowerCase());
+    return byLabel.length === 1 ? byLabel[0] : null;
+}
+
+// Report a usage error for a command
+function usageError(command, message) {
+    display.displayError(message);
+    if (display.isJsonMode()) {
+        console.error(`Usage: dm ${COMMANDS[command].usage}`);
+    } else {
+        console.log(chalk.dim(`  Usage: dm ${COMMANDS[command].usage}\n`));
+    }
+    return EXIT_USAGE;
+}
+
+// Report a device that is not connected
+function deviceNotFound(device) {
+    display.displayError(`Device ${device} not found`);
+    return EXIT_FAILURE;
+}
+
+// Report a registry entry that does not exist
+function driveNotRegistered(idOrLabel) {
+    display.displayError(`No registered drive matches "${idOrLabel}" (use a UUID or unique label)`);
+    return EXIT_FAILURE;
+}
+
+// Destructive commands must be confirmed with --yes when run non-interactively
+function confirmed(command, flags) {
+    if (flags.yes || dryrun.isEnabled()) return true;
+    usageError(command, `"dm ${command}" destroys data. Re-run with --yes to confirm, or --dry-run to preview.`);
+    return false;
+}
+
+// dm list [--json]
+async function cmdList(positional, flags) {
+    const detected = detect.detectDrives();
+    identity.reconcileRegistry(detected);
+
+    detected.forEach(d => {
+        if (storage.getDriveByUUID(d.uuid)) {
+            storage.updateLastSeen(d.uuid);
+        }
+    });
+
+    if (flags.json) {
+        report.printJson(report.buildInventory());
+        return EXIT_OK;
+    }
+
+    display.displayDriveList(detected, storage.getAllDrives());
+    display.displayDiskTree(storage.getAllDisks(), storage.getAllDrives(), detected);
+    console.log('');
+    display.displayDetectedDrives(detected);
+    return EXIT_OK;
+}
+
+// dm info <device> [--usb] [--json]
+async function cmdInfo(positional, flags) {
+    const [device] = positional;
+    if (!device) return usageError('info', 'Missing device');
+
+    const drive = findDetected(device);
+    if (!drive) return deviceNotFound(device);
+
+    if (flags.json) {
+        report.printJson(report.buildDiskInfo(drive.device));
+        return EXIT_OK;
+    }
+
+    const info = diskinfo.getDetailedDiskInfo(drive.device);
+    diskinfo.displayDetailedDiskInfo(info);
+    if (flags.usb) {
+        usbinfo.displayUsbInfo(info.usb, usbinfo.getPowerStatus());
+    }
+    return EXIT_OK;
+}
+
+// dm register --auto | dm register <device> --label <label>
+async function cmdRegister(positional, flags) {
+    if (flags.auto) {
+        const detected = detect.detectDrives();
+        const autoRegistered = autoregister.autoRegisterAll(detected, storage.getAllDrives());
+
+        if (dryrun.isEnabled()) {
+            autoRegistered.forEach(d => {
+                console.log(`  ${chalk.yellow(d.device.padEnd(16))} ${chalk.bold(d.label)} ${chalk.dim(`(${d.purpose})`)}`);
+            });
+            display.displayInfo(`Dry run: would register ${autoRegistered.length} drive(s), nothing was saved`);
+            return EXIT_OK;
+        }
+
+        const registered = autoRegistered.filter(driveData => storage.addDrive(driveData));
+
+        if (registered.length === 0) {
+            display.displayInfo('All detected drives are already registered.');
+            return EXIT_OK;
+        }
+
+        registered.forEach(d => {
+            console.log(`  ${chalk.yellow(d.device.padEnd(16))} ${chalk.bold(d.label)} ${chalk.dim(`(${d.purpose})`)}`);
+        });
+        display.displaySuccess(`Registered ${registered.length} drive(s)`);
+        return registered.length === autoRegistered.length ? EXIT_OK : EXIT_FAILURE;
+    }
+
+    const [device] = positional;
+    if (!device) return usageError('register', 'Missing device (or use --auto)');
+    if (typeof flags.label !== 'string') return usageError('register', 'Missing --label');
+
+    const drive = findDetected(device);
+    if (!drive) return deviceNotFound(device);
+
+    if (!detect.isRegistrable(drive)) {
+        display.displayError('Only filesystems on partitions and LUKS/LVM/RAID volumes can be registered (not whole disks, their members or loop devices).');
+        return EXIT_FAILURE;
+    }
+
+    const driveData = identity.driveRecord(drive, {
+        label: flags.label,
+        type: typeof flags.type === 'string' ? flags.type : detect.getDriveType(drive.name),
+        purpose: typeof flags.purpose === 'string' ? flags.purpose : ''
+    });
+
+    if (dryrun.isEnabled()) {
+        if (storage.getDriveByUUID(driveData.uuid)) {
+            display.displayError(`${drive.device} is already registered.`);
+            return EXIT_FAILURE;
+        }
+        display.displayInfo(`Dry run: would register ${drive.device} as "${flags.label}", nothing was saved`);
+        return EXIT_OK;
+    }
+
+    if (!storage.addDrive(driveData)) {
+        display.displayError(`${drive.device} is already registered.`);
+        return EXIT_FAILURE;
+    }
+
+    display.displaySuccess(`Drive "${flags.label}" registered successfully!`);
+    return EXIT_OK;
+}
+
+// Split --set name=value arguments into [name, value] pairs (null if one is malformed)
+function parseAssignments(assignments) {
+    const pairs = assignments.map(assignment => {
+        const eq = typeof assignment === 'string' ? assignment.indexOf('=') : -1;
+        if (eq < 1) return null;
+        return [assignment.slice(0, eq).trim(), assignment.slice(eq + 1).trim()];
+    });
+    return pairs.every(pair => pair && storage.CUSTOM_FIELD_NAME.test(pair[0])) ? pairs : null;
+}
+
+// dm edit <drive> [--label <label>] [--type <type>] [--purpose <purpose>]
+//                 [--tag <tag>] [--untag <tag>] [--set <field>=<value>] [--unset <field>]
+async function cmdEdit(positional, flags) {
+    const [idOrLabel] = positional;
+    if (!idOrLabel) return usageError('edit', 'Missing drive UUID or label');
+
+    const fields = ['label', 'type', 'purpose'].filter(field => typeof flags[field] === 'string');
+    const addTags = (flags.tag || []).filter(tag => typeof tag === 'string').flatMap(tag => tag.split(','));
+    const removeTags = (flags.untag || []).filter(tag => typeof tag === 'string').flatMap(tag => tag.split(','));
+    const assignments = parseAssignments(flags.set || []);
+    const unset = (flags.unset || []).filter(name => typeof name === 'string');
+
+    if (!assignments) return usageError('edit', 'Use --set <field>=<value> (field names: letters, digits, _ and -)');
+    if (fields.length + addTags.length + removeTags.length + assignments.length + unset.length === 0) {
+        return usageError('edit', 'Nothing to change');
+    }
+
+    const drive = findRegistered(idOrLabel);
+    if (!drive) return driveNotRegistered(idOrLabel);
+
+    const applyEdits = record => {
+        fields.forEach(field => { record[field] = flags[field]; });
+
+        const removed = new Set(removeTags.map(tag => tag.trim().toLowerCase()));
+        record.tags = storage.normalizeTags([...(record.tags || []), ...addTags])
+            .filter(tag => !removed.has(tag.toLowerCase()));
+
+        record.custom = { ...record.custom };
+        assignments.forEach(([name, value]) => { record.custom[name] = value; });
+        unset.forEach(name => { delete record.custom[name]; });
+    };
+
+    // Dry run: validate and show the edited record without saving it
+    if (dryrun.isEnabled()) {
+        const edited = JSON.parse(JSON.stringify(drive));
+        applyEdits(edited);
+
+        const problems = storage.validateDrive(edited);
+        if (problems.length > 0) {
+            throw new Error(`Invalid drive record: ${problems.join(', ')}`);
+        }
+
+        ['label', 'type', 'purpose', 'tags', 'custom']
+            .filter(field => JSON.stringify(drive[field]) !== JSON.stringify(edited[field]))
+            .forEach(field => {
+                console.log(`  ${chalk.bold(field)}: ${JSON.stringify(drive[field])} → ${JSON.stringify(edited[field])}`);
+            });
+        display.displayInfo(`Dry run: "${drive.label}" would be updated, nothing was saved`);
+        return EXIT_OK;
+    }
+
+    storage.updateDrive(drive.uuid, applyEdits);
+
+    const changed = [
+        ...fields,
+        ...(addTags.length + removeTags.length > 0 ? ['tags'] : []),
+        ...(assignments.length + unset.length > 0 ? ['custom fields'] : [])
+    ];
+    display.displaySuccess(`${changed.join(', ')} updated successfully!`);
+    return EXIT_OK;
+}
+
+// dm remove <drive>
+async function cmdRemove(positional) {
+    const [idOrLabel] = positional;
+    if (!idOrLabel) return usageError('remove', 'Missing drive UUID or label');
+
+    const drive = findRegistered(idOrLabel);
+    if (!drive) return driveNotRegistered(idOrLabel);
+
+    if (dryrun.isEnabled()) {
+        display.displayInfo(`Dry run: drive "${drive.label}" would be removed from tracking, nothing was saved`);
+        return EXIT_OK;
+    }
+
+    storage.removeDrive(drive.uuid);
+    display.displaySuccess(`Drive "${drive.label}" removed from tracking.`);
+    return EXIT_OK;
+}
+
+// dm sync [<shared-dir>] [--ssh <user@host>]... [--labels local|imported]
+async function cmdSync(positional, flags) {
+    if (flags.labels !== undefined && !['local', 'imported'].includes(flags.labels)) {
+        return usageError('sync', '--labels must be local or imported');
+    }
+
+    const config = sync.getSyncConfig();
+    const ssh = (flags.ssh || []).filter(target => typeof target === 'string');
+    const options = positional.length > 0 || ssh.length > 0
+        ? { dir: positional[0] || null, ssh }
+        : { dir: config.dir, ssh: config.ssh };
+
+    if (!options.dir && options.ssh.length === 0) {
+        return usageError('sync', `Give a shared directory or --ssh host (or set them in ${sync.SYNC_CONFIG_FILE})`);
+    }
+
+    const result = await sync.syncRegistry({ ...options, labels: flags.labels });
+    sync.displaySyncReport(result);
+    return result.results.some(r => r.error) ? EXIT_FAILURE : EXIT_OK;
+}
+
+// dm registry doctor
+async function cmdRegistry(positional) {
+    const [action] = positional;
+    if (action !== 'doctor') return usageError('registry', 'Action must be doctor');
+
+    const drives = storage.getAllDrives();
+    const disks = storage.getAllDisks();
+    const healthy = doctor.displayDiagnosis(drives, doctor.diagnoseRegistry(drives, disks), disks);
+    return healthy ? EXIT_OK : EXIT_FAILURE;
+}
+
+// dm stale [--days <n>] [--notify] [--json]
+async function cmdStale(positional, flags) {
+    const config = stale.getStaleConfig();
+    if (flags.days !== undefined) {
+        const days = parseInt(flags.days);
+        if (!(days >= 0) || String(days) !== String(flags.days)) return usageError('stale', '--days must be a whole number of days');
+        config.staleDays = days;
+    }
+    if (flags.notify && config.notify.length === 0) {
+        return usageError('stale', `No notify hooks configured in ${stale.STALE_CONFIG_FILE}`);
+    }
+
+    // Connected drives are never stale
+    const detected = detect.detectDrives();
+    identity.reconcileRegistry(detected);
+    detected.forEach(d => {
+        if (storage.getDriveByUUID(d.uuid)) {
+            storage.updateLastSeen(d.uuid);
+        }
+    });
+
+    const entries = stale.findStaleDrives(storage.getAllDrives(), new Set(detected.map(d => d.uuid)), config);
+
+    if (flags.json) {
+        report.printJson(report.envelope('stale', { stale_days: config.staleDays, drives: entries }));
+    } else {
+        stale.displayStaleReport(entries, config);
+    }
+
+    if (flags.notify) {
+        return stale.notifyStale(entries, config) > 0 ? EXIT_FAILURE : EXIT_OK;
+    }
+    return EXIT_OK;
+}
+
+// dm history <drive> [--json]
+async function cmdHistory(positional, flags) {
+    const [idOrLabel] = positional;
+    if (!idOrLabel) return usageError('history', 'Missing drive UUID or label');
+
+    const drive = findRegistered(idOrLabel);
+    if (!drive) return driveNotRegistered(idOrLabel);
+
+    const events = history.getDriveHistory(drive);
+
+    if (flags.json) {
+        report.printJson(report.envelope('history', { drive, events }));
+        return EXIT_OK;
+    }
+
+    history.displayHistory(drive, events);
+    return EXIT_OK;
+}
+
+// dm search <query> [--ai]
+async function cmdSearch(positional, flags) {
+    const query = positional.join(' ');
+    if (!query.trim()) return usageError('search', 'Missing search term');
+
+    const known = storage.getAllDrives();
+    let results;
+
+    if (flags.ai) {
+        if (!claudeHelper.isAIAvailable()) {
+            display.displayError('AI search needs an API key (set ANTHROPIC_API_KEY).');
+            return EXIT_FAILURE;
+        }
+        results = await search.aiSearch(query, known);
+    } else {
+        results = search.basicSearch(query, known);
+    }
+
+    if (results.length === 0) {
+        display.displayInfo('No drives found matching your search.');
+        return EXIT_FAILURE;
+    }
+
+    results.forEach(d => display.displayDriveDetails(d));
+    return EXIT_OK;
+}
+
+// dm export [--format text|json|csv|md|html] [--output <file>]
+async function cmdExport(positional, flags) {
+    const output = typeof flags.output === 'string' ? flags.output : null;
+    const format = typeof flags.format === 'string' ? flags.format : (output ? registryIO.formatFromPath(output) : 'text');
+
+    if (format === 'text' && !output) {
+        display.displayDriveExport(storage.getAllDrives());
+        return EXIT_OK;
+    }
+    if (!registryIO.EXPORT_FORMATS.includes(format)) {
+        return usageError('export', `Format must be one of ${registryIO.EXPORT_FORMATS.join(', ')} (text only prints to the screen)`);
+    }
+
+    const drives = storage.getAllDrives();
+    const text = registryIO.exportDrives(drives, format);
+
+    if (!output) {
+        process.stdout.write(text);
+        return EXIT_OK;
+    }
+
+    fs.writeFileSync(output, text);
+    display.displaySuccess(`Exported ${drives.length} drive(s) to ${output}`);
+    return EXIT_OK;
+}
+
+// dm labels [<uuid|label>...] [--format svg|html] [--output <file>]
+async function cmdLabels(positional, flags) {
+    const output = typeof flags.output === 'string' ? flags.output : null;
+    const format = typeof flags.format === 'string' ? flags.format : (output ? labels.formatFromPath(output) : 'html');
+    if (!labels.LABEL_FORMATS.includes(format)) {
+        return usageError('labels', `Format must be one of ${labels.LABEL_FORMATS.join(', ')}`);
+    }
+
+    const drives = [];
+    for (const idOrLabel of positional) {
+        const drive = findRegistered(idOrLabel);
+        if (!drive) return driveNotRegistered(idOrLabel);
+        drives.push(drive);
+    }
+    if (positional.length === 0) {
+        drives.push(...storage.getAllDrives());
+    }
+    if (drives.length === 0) {
+        display.displayInfo('No drives registered yet.');
+        return EXIT_FAILURE;
+    }
+
+    const text = labels.renderLabels(drives, format);
+
+    if (!output) {
+        process.stdout.write(text);
+        return EXIT_OK;
+    }
+
+    fs.writeFileSync(output, text);
+    display.displaySuccess(`Wrote ${drives.length} label(s) on ${Math.ceil(drives.length / labels.PER_SHEET)} A4 sheet(s) to ${output}`);
+    return EXIT_OK;
+}
+
+// dm fixtures <file> - record what diskmgt reads about this machine's drives, for tests and bug reports
+async function cmdFixtures(positional) {
+    const [file] = positional;
+    if (!file) return usageError('fixtures', 'Missing output file');
+    if (runner.getMode() !== 'live') {
+        return usageError('fixtures', `Already ${runner.getMode() === 'replay' ? 'replaying' : 'recording'} fixtures (unset DISKMGT_REPLAY / DISKMGT_RECORD)`);
+    }
+
+    runner.record(file);
+    try {
+        const disks = detect.detectDrives().filter(d => d.type === 'disk');
+        const smart = health.isSmartctlAvailable();
+        disks.forEach(disk => {
+            diskinfo.getDetailedDiskInfo(disk.device);
+            if (smart) health.collectHealth(disk);
+        });
+
+        const commands = Object.keys(runner.getBundle().commands).length;
+        display.displaySuccess(`Recorded ${commands} command(s) for ${disks.length} disk(s) to ${file}`);
+        console.log(chalk.dim(`Replay with: DISKMGT_REPLAY=${file} dm list`));
+        console.log(chalk.dim('The file holds serial numbers, labels and mount points: check it before sharing.\n'));
+    } finally {
+        runner.live();
+    }
+    return EXIT_OK;
+}
+
+// dm lookup [<uuid>] - with no argument, reads a scanned QR code from the terminal
+async function cmdLookup(positional) {
+    let [code] = positional;
+    if (!code && process.stdin.isTTY) {
+        ({ code } = await inquirer.prompt([{ type: 'input', name: 'code', message: 'Scan the QR code or type a UUID:' }]));
+    }
+    if (!code || !code.trim()) return usageError('lookup', 'Missing UUID');
+
+    const drive = labels.findDriveByCode(storage.getAllDrives(), code);
+    if (!drive) {
+        display.displayError(`No registered drive has UUID "${code.trim()}"`);
+        return EXIT_FAILURE;
+    }
+
+    display.displayDriveDetails(drive);
+
+    const connected = detect.detectDrives().find(d => d.uuid === drive.uuid);
+    console.log(connected
+        ? `  ${chalk.green(`● Connected as ${connected.device}`)}${connected.mountpoint !== 'not mounted' ? chalk.dim(` on ${connected.mountpoint}`) : ''}\n`
+        : `  ${chalk.gray(display.offlineStatus(drive))}\n`);
+    return EXIT_OK;
+}
+
+// dm import <file> [--format json|csv] [--labels local|imported]
+async function cmdImport(positional, flags) {
+    const [file] = positional;
+    if (!file) return usageError('import', 'Missing file');
+    if (flags.labels !== undefined && !['local', 'imported'].includes(flags.labels)) {
+        return usageError('import', '--labels must be local or imported');
+    }
+    if (!fs.existsSync(file)) {
+        display.displayError(`File not found: ${file}`);
+        return EXIT_FAILURE;
+    }
+
+    const records = registryIO.readImportFile(file, typeof flags.format === 'string' ? flags.format : null);
+    const plan = registryIO.planImport(storage.getAllDrives(), records);
+
+    if (plan.clashes.length > 0 && !flags.labels && !process.stdin.isTTY) {
+        return usageError('import', `${plan.clashes.length} drive(s) have a different label in ${file}. Re-run with --labels local or --labels imported.`);
+    }
+    const labels = await registryIO.resolveLabelClashes(plan.clashes, file, flags.labels);
+
+    if (dryrun.isEnabled()) {
+        registryIO.displayImportSummary(plan, true);
+        return EXIT_OK;
+    }
+
+    const applied = registryIO.applyImport(records, labels);
+    registryIO.displayImportSummary(applied, false);
+
+    if (applied.skipped.length > 0) {
+        display.displayError(`${applied.skipped.length} record(s) in ${file} were skipped`);
+        return EXIT_FAILURE;
+    }
+    display.displaySuccess(`Imported ${file}`);
+    return EXIT_OK;
+}
+
+// dm backup <device> --method <method> [--dest local|s3] [--path <file>]
+async function cmdBackup(positional, flags) {
+    const [device] = positional;
+    if (!device) return usageError('backup', 'Missing device');
+    if (!backup.BACKUP_METHODS.includes(flags.method)) {
+        return usageError('backup', `--method must be one of: ${backup.BACKUP_METHODS.join(', ')}`);
+    }
+
+    const destination = flags.dest || 'local';
+    if (!backup.BACKUP_DESTINATIONS.includes(destination)) {
+        return usageError('backup', `--dest must be one of: ${backup.BACKUP_DESTINATIONS.join(', ')}`);
+    }
+
+    const drive = findDetected(device);
+    if (!drive) return deviceNotFound(device);
+
+    const backupPath = await backup.backupDrive(drive.device, drive.name, {
+        method: flags.method,
+        destination,
+        path: typeof flags.path === 'string' ? flags.path : undefined
+    });
+
+    if (!backupPath) return EXIT_FAILURE;
+
+    console.log(chalk.green(`\n  ✓ Backup saved to: ${backupPath}\n`));
+    return EXIT_OK;
+}
+
+// dm restore <backup> <device> --yes
+async function cmdRestore(positional, flags) {
+    const [backupPath, device] = positional;
+    if (!backupPath || !device) return usageError('restore', 'Missing backup path or target device');
+    if (!confirmed('restore', flags)) return EXIT_USAGE;
+
+    const drive = findDetected(device);
+    if (!drive) return deviceNotFound(device);
+
+    const restored = await backup.restoreDrive(backupPath, drive.device, { yes: true });
+    return restored ? EXIT_OK : EXIT_FAILURE;
+}
+
+// dm clone <source-disk> <target-disk> --yes
+async function cmdClone(positional, flags) {
+    const [source, target] = positional;
+    if (!source || !target) return usageError('clone', 'Missing source or target disk');
+    if (!confirmed('clone', flags)) return EXIT_USAGE;
+
+    const sourceDisk = findDetected(source);
+    if (!sourceDisk) return deviceNotFound(source);
+    const targetDisk = findDetected(target);
+    if (!targetDisk) return deviceNotFound(target);
+
+    if (sourceDisk.type !== 'disk' || targetDisk.type !== 'disk') {
+        display.displayError('Clone works on whole disks, not partitions.');
+        return EXIT_FAILURE;
+    }
+
+    const cloned = await backup.cloneDriveWithResize(
+        sourceDisk.device,
+        sourceDisk.name,
+        targetDisk.device,
+        targetDisk.name,
+        { yes: true }
+    );
+    return cloned ? EXIT_OK : EXIT_FAILURE;
+}
+
+// dm fsck <device> [--readonly | --repair]
+async function cmdFsck(positional, flags) {
+    const [device] = positional;
+    if (!device) return usageError('fsck', 'Missing device');
+    if (flags.readonly && flags.repair) return usageError('fsck', 'Use either --readonly or --repair');
+
+    const drive = findDetected(device);
+    if (!drive) return deviceNotFound(device);
+
+    const readOnly = !flags.repair;
+
+    const clean = await partitiontools.checkFilesystem(drive.device, drive.fstype, readOnly);
+    return clean ? EXIT_OK : EXIT_FAILURE;
+}
+
+// dm mount <device>
+async function cmdMount(positional) {
+    const [device] = positional;
+    if (!device) return usageError('mount', 'Missing device');
+
+    const drive = findDetected(device);
+    if (!drive) return deviceNotFound(device);
+
+    const mountpoint = await partitiontools.mountPartition(drive.device);
+    return mountpoint ? EXIT_OK : EXIT_FAILURE;
+}
+
+// dm umount <device>
+async function cmdUnmount(positional) {
+    const [device] = positional;
+    if (!device) return usageError('umount', 'Missing device');
+
+    const drive = findDetected(device);
+    if (!drive) return deviceNotFound(device);
+
+    const unmounted = await partitiontools.unmountPartition(drive.device);
+    return unmounted ? EXIT_OK : EXIT_FAILURE;
+}
+
+// dm format <device> --fs <type> --yes
+async function cmdFormat(positional, flags) {
+    const [device] = positional;
+    if (!device) return usageError('format', 'Missing device');
+    if (!partitiontools.FORMAT_TYPES.includes(flags.fs)) {
+        return usageError('format', `--fs must be one of: ${partitiontools.FORMAT_TYPES.join(', ')}`);
+    }
+    if (!confirmed('format', flags)) return EXIT_USAGE;
+
+    const drive = findDetected(device);
+    if (!drive) return deviceNotFound(device);
+
+    const formatted = await partitiontools.formatPartition(drive.device, { fstype: flags.fs, yes: true });
+    return formatted ? EXIT_OK : EXIT_FAILURE;
+}
+
+// dm label <device> <label>
+async function cmdLabel(positional) {
+    const [device, label] = positional;
+    if (!device || !label) return usageError('label', 'Missing device or label');
+
+    const drive = findDetected(device);
+    if (!drive) return deviceNotFound(device);
+
+    const labelled = await partitiontools.setPartitionLabel(drive.device, drive.fstype, { label });
+    return labelled ? EXIT_OK : EXIT_FAILURE;
+}
+
+// dm resize <device> <size> --yes
+async function cmdResize(positional, flags) {
+    const [device, size] = positional;
+    if (!device || !size) return usageError('resize', 'Missing device or size');
+    if (!confirmed('resize', flags)) return EXIT_USAGE;
+
+    const drive = findDetected(device);
+    if (!drive) return deviceNotFound(device);
+
+    const resized = await partitiontools.resizePartition(drive.device, drive.fstype, { size, yes: true });
+    return resized ? EXIT_OK : EXIT_FAILURE;
+}
+
+// dm btrfs <convert|rollback|delete-saved> <device> --yes
+async function cmdBtrfs(positional, flags) {
+    const [action, device] = positional;
+    const actions = {
+        'convert': btrfsConvert.convertToBtrfs,
+        'rollback': btrfsConvert.rollbackToExt4,
+        'delete-saved': btrfsConvert.deleteSavedImage
+    };
+
+    if (!actions[action]) return usageError('btrfs', 'Action must be convert, rollback or delete-saved');
+    if (!device) return usageError('btrfs', 'Missing device');
+    if (!confirmed('btrfs', flags)) return EXIT_USAGE;
+
+    const drive = findDetected(device);
+    if (!drive) return deviceNotFound(device);
+
+    const done = await actions[action](drive.device, { yes: true });
+    return done ? EXIT_OK : EXIT_FAILURE;
+}
+
+// dm health [--json]
+async function cmdHealth(positional, flags) {
+    if (flags.json) {
+        report.printJson(report.buildHealthReport());
+        return EXIT_OK;
+    }
+
+    health.displayHealthDashboard();
+    return EXIT_OK;
+}
+
+// Serial number of a drive given as a serial or a disk: what smartctl reads from the disk now, else the time series
+function smartSerial(target) {
+    const name = target.replace(/^\/dev\//, '');
+    const disk = detect.detectDrives().find(d => d.type === 'disk' && d.name === name);
+    const reading = disk && health.isSmartctlAvailable() ? health.collectHealth(disk) : null;
+    return (reading && reading.smart && reading.smart.serial) || smartHistory.findSerial(target);
+}
+
+// dm smart-history [<disk|serial>] [--days <n> | --months <n>] [--json]
+async function cmdSmartHistory(positional, flags) {
+    const [target] = positional;
+    if (flags.days !== undefined && flags.months !== undefined) {
+        return usageError('smart-history', 'Use --days or --months, not both');
+    }
+
+    const period = flags.months !== undefined ? 'month' : 'day';
+    const value = period === 'month' ? flags.months : flags.days;
+    let count;
+    if (value !== undefined && value !== true) {
+        count = parseInt(value);
+        if (!(count > 0) || String(count) !== String(value)) {
+            return usageError('smart-history', `--${period}s must be a whole number of ${period}s`);
+        }
+    }
+
+    let serials = smartHistory.knownSerials();
+    if (target) {
+        const serial = smartSerial(target);
+        if (!serial) {
+            display.displayError(`No SMART readings stored for "${target}" (run 'dm health' with the drive connected)`);
+            return EXIT_FAILURE;
+        }
+        serials = [serial];
+    }
+
+    const trends = serials.map(serial => smartHistory.buildTrend(serial, period, count));
+
+    if (flags.json) {
+        report.printJson(report.envelope('smart-history', { period, drives: trends }));
+        return EXIT_OK;
+    }
+
+    if (trends.length === 0) {
+        display.displayInfo('No SMART readings stored yet. Each \'dm health\' run adds one per drive.');
+        return EXIT_OK;
+    }
+    trends.forEach(smartHistory.displayTrend);
+    return EXIT_OK;
+}
+
+// dm du <mountpoint>
+async function cmdDu(positional) {
+    const [mountpoint] = positional;
+    if (!mountpoint) return usageError('du', 'Missing mountpoint');
+
+    await maintenance.findLargestDirectories(mountpoint);
+    return EXIT_OK;
+}
+
+// dm boot-config [<disk>]
+async function cmdBootConfig(positional) {
+    const [device] = positional;
+    if (!device) {
+        await maintenance.checkBootConfig();
+        return EXIT_OK;
+    }
+
+    // A card or disk that is not booted from: check its Pi boot files only
+    const drive = findDetected(device);
+    if (!drive) return deviceNotFound(device);
+
+    const piBoot = diskinfo.getDetailedDiskInfo(`/dev/${drive.root}`).piBoot;
+    if (!piBoot) {
+        display.displayError(`No Raspberry Pi boot partition (config.txt / cmdline.txt) found on /dev/${drive.root}.`);
+        return EXIT_FAILURE;
+    }
+    piboot.displayPiBoot(piBoot);
+    return piBoot.issues.some(issue => issue.severity === 'error') ? EXIT_FAILURE : EXIT_OK;
+}
+
+// dm playbook <file> [--yes] [--report <file>]
+async function cmdPlaybook(positional, flags) {
+    const [file] = positional;
+    if (!file) return usageError('playbook', 'Missing playbook file');
+
+    let book;
+    try {
+        book = playbook.loadPlaybook(file);
+    } catch (err) {
+        return usageError('playbook', err.message);
+    }
+
+    if (playbook.isDestructive(book) && !confirmed('playbook', flags)) return EXIT_USAGE;
+
+    const result = await playbook.runPlaybook(book);
+    playbook.displayReport(result);
+
+    if (typeof flags.report === 'string') {
+        fs.writeFileSync(flags.report, JSON.stringify(report.envelope('playbook', result), null, 2) + '\n');
+        console.log(chalk.dim(`  Report written to ${flags.report}\n`));
+    }
+
+    return result.ok ? EXIT_OK : EXIT_FAILURE;
+}
+
+// dm dashboard [--interval <seconds>]
+async function cmdDashboard(positional, flags) {
+    if (!process.stdout.isTTY) {
+        display.displayError('The dashboard needs an interactive terminal.');
+        return EXIT_FAILURE;
+    }
+
+    await require('./dashboard').openDashboard({ interval: flags.interval });
+    return EXIT_OK;
+}
+
+// dm daemon [--poll] [--interval <seconds>] [--auto-register] | dm daemon --systemd [--user <name>]
+async function cmdDaemon(positional, flags) {
+    const daemon = require('./daemon');
+
+    if (flags.systemd) {
+        process.stdout.write(daemon.generateSystemdUnit({ user: typeof flags.user === 'string' ? flags.user : undefined }));
+        return EXIT_OK;
+    }
+
+    await daemon.runDaemon({ poll: flags.poll, interval: flags.interval, autoRegister: flags['auto-register'] });
+    return EXIT_OK;
+}
+
+// Subcommand table (order is the order shown in --help)
+const COMMANDS = {
+    'list': { usage: 'list [--json]', description: 'Show registered and detected drives', run: cmdList },
+    'info': { usage: 'info <device> [--usb] [--json]', description: 'Detailed disk information', run: cmdInfo },
+    'register': { usage: 'register --auto | register <device> --label <label> [--type <type>] [--purpose <purpose>]', description: 'Register drives', run: cmdRegister },
+    'edit': { usage: 'edit <uuid|label> [--label <label>] [--type <type>] [--purpose <purpose>] [--tag <tag>] [--untag <tag>] [--set <field>=<value>] [--unset <field>]', description: 'Edit a registered drive', run: cmdEdit },
+    'remove': { usage: 'remove <uuid|label>', description: 'Remove a drive from tracking', run: cmdRemove },
+    'registry': { usage: 'registry doctor', description: 'Check the drive registry for problems', run: cmdRegistry },
+    'sync': { usage: 'sync [<shared-dir>] [--ssh <user@host[:path]>]... [--labels local|imported]', description: 'Merge registries with other Pis', run: cmdSync },
+    'history': { usage: 'history <uuid|label> [--json]', description: 'Show the event timeline of a drive', run: cmdHistory },
+    'stale': { usage: 'stale [--days <n>] [--notify] [--json]', description: 'Drives not seen lately and backup drives due for rotation', run: cmdStale },
+    'search': { usage: 'search <query> | search tag:<tag> | search <field>:<text> [--ai]', description: 'Search registered drives', run: cmdSearch },
+    'export': { usage: 'export [--format text|json|csv|md|html] [--output <file>]', description: 'Export the drive list', run: cmdExport },
+    'import': { usage: 'import <file.json|file.csv> [--labels local|imported]', description: 'Merge an exported drive list into the registry', run: cmdImport },
+    'labels': { usage: 'labels [<uuid|label>...] [--format svg|html] [--output <file>]', description: 'Printable QR code stickers for registered drives', run: cmdLabels },
+    'lookup': { usage: 'lookup [<uuid>]', description: 'Show the registry card of a drive from its QR code', run: cmdLookup },
+    'backup': { usage: 'backup <device> --method dd|tar|rsync|snapshot [--dest local|s3] [--path <file>]', description: 'Back up a partition', run: cmdBackup },
+    'restore': { usage: 'restore <backup> <device> --yes', description: 'Restore a backup onto a partition', run: cmdRestore },
+    'clone': { usage: 'clone <source-disk> <target-disk> --yes', description: 'Clone a disk with auto-resize', run: cmdClone },
+    'fsck': { usage: 'fsck <device> [--readonly | --repair]', description: 'Check (or repair) a filesystem', run: cmdFsck },
+    'mount': { usage: 'mount <device>', description: 'Mount a partition under /mnt', run: cmdMount },
+    'umount': { usage: 'umount <device>', description: 'Unmount a partition', run: cmdUnmount },
+    'format': { usage: 'format <device> --fs ext4|ext3|btrfs|xfs|vfat --yes', description: 'Format a partition', run: cmdFormat },
+    'label': { usage: 'label <device> <label>', description: 'Set a partition label', run: cmdLabel },
+    'resize': { usage: 'resize <device> <size> --yes', description: 'Resize a filesystem', run: cmdResize },
+    'btrfs': { usage: 'btrfs convert|rollback|delete-saved <device> --yes', description: 'BTRFS conversion', run: cmdBtrfs },
+    'health': { usage: 'health [--json]', description: 'Drive health dashboard', run: cmdHealth },
+    'smart-history': { usage: 'smart-history [<disk|serial>] [--days <n> | --months <n>] [--json]', description: 'Trends of the SMART readings stored for each drive', run: cmdSmartHistory },
+    'daemon': { usage: 'daemon [--poll] [--interval <seconds>] [--auto-register] | daemon --systemd [--user <name>]', description: 'Track drive attach/detach events', run: cmdDaemon },
+    'dashboard': { usage: 'dashboard [--interval <seconds>]', description: 'Full-screen live dashboard', run: cmdDashboard },
+    'du': { usage: 'du <mountpoint>', description: 'Find largest directories', run: cmdDu },
+    'boot-config': { usage: 'boot-config [<disk>]', description: 'Check boot configuration (or the Pi boot files of a disk)', run: cmdBootConfig },
+    'playbook': { usage: 'playbook <file.yaml|file.json> [--yes] [--report <file>]', description: 'Run a multi-step disk job', run: cmdPlaybook },
+    'fixtures': { usage: 'fixtures <file>', description: 'Record drive probe output for tests and bug reports', run: cmdFixtures }
+};
+
+// Check whether an argument names a subcommand
+function isCommand(name) {
+    return Object.prototype.hasOwnProperty.call(COMMANDS, name);
+}
+
+// Print subcommand usage
+function printUsage() {
+    console.log(chalk.bold('\nDiskMgt - Smart Drive Manager for Raspberry Pi\n'));
+    console.log('Usage: diskmgt [options]');
+    console.log('       diskmgt <command> [arguments] [flags]\n');
+    console.log('Options:');
+    console.log('  --version, -v     Show version number');
+    console.log('  --help, -h        Show this help message');
+    console.log('  --health          Show drive health dashboard');
+    console.log('  --json            Machine-readable output (list, info, health, history; see JSON_OUTPUT.md)');
+    console.log('  --dry-run         Show the commands and checks an operation would run, change nothing');
+    console.log('\nCommands:');
+    Object.keys(COMMANDS).forEach(name => {
+        console.log(`  ${name.padEnd(16)}  ${COMMANDS[name].description}`);
+    });
+    console.log('\nRun "diskmgt <command> --help" for command usage.');
+    console.log('Destructive commands (restore, clone, format, resize, btrfs, playbooks that format) require --yes, or --dry-run to preview.');
+    console.log('Exit codes: 0 success, 1 operation failed, 2 usage error.');
+    console.log('\nWithout arguments, launches interactive menu.\n');
+    console.log('GitHub: https://github.com/nfodor/diskmgt\n');
+}
+
+// Run a subcommand and resolve to its exit code
+async function runCommand(argv) {
+    // Flags may come before the command name (dm --json list)
+    const { positional: [name, ...positional], flags } = parseArgs(argv);
+
+    if (!isCommand(name)) {
+        display.displayError(`Unknown command "${name}"`);
+        printUsage();
+        return EXIT_USAGE;
+    }
+
+    if (flags.json) {
+        display.setJsonMode(true);
+    }
+
+    if (flags.help) {
+        console.log(`\nUsage: dm ${COMMANDS[name].usage}\n`);
+        console.log(`  ${COMMANDS[name].description}\n`);
+        return EXIT_OK;
+    }
+
+    if (flags['dry-run']) {
+        dryrun.setEnabled(true);
+    }
+
+    let code;
+    try {
+        code = await COMMANDS[name].run(positional, flags);
+    } catch (err) {
+        display.displayError(`${name} failed: ${err.message}`);
+        code = EXIT_FAILURE;
+    }
+
+    if (dryrun.isEnabled() && dryrun.getPlan().length > 0) {
+        dryrun.displayPlan();
+    }
+
+    return code;
+}
+
+module.exports = {
+    parseArgs,
+    isCommand,
+    printUsage,
+    runCommand,
+    EXIT_OK,
+    EXIT_FAILURE,
+    EXIT_USAGE
+};
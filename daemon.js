@@ -0,0 +1,245 @@
+const { spawn, exec } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const chalk = require('chalk');
+const storage = require('./storage');
+const detect = require('./detect');
+const autoregister = require('./autoregister');
+const history = require('./history');
+const identity = require('./identity');
+
+const DAEMON_CONFIG_FILE = path.join(storage.CONFIG_DIR, 'daemon-config.json');
+
+// Seconds to wait after a udev event before rescanning (events arrive in bursts)
+const UDEV_SETTLE = 1;
+
+// Get daemon config
+function getDaemonConfig() {
+    const defaults = {
+        autoRegister: false,
+        pollInterval: 5,
+        hookTimeout: 60,
+        hooks: { attach: [], detach: [] }
+    };
+
+    if (!fs.existsSync(DAEMON_CONFIG_FILE)) {
+        return defaults;
+    }
+
+    const config = JSON.parse(fs.readFileSync(DAEMON_CONFIG_FILE, 'utf8'));
+    return {
+        ...defaults,
+        ...config,
+        hooks: { ...defaults.hooks, ...config.hooks }
+    };
+}
+
+// Key identifying a device with a given filesystem (a reformat counts as detach + attach)
+function driveKey(drive) {
+    return `${drive.device}|${drive.uuid}`;
+}
+
+// Compare two detectDrives() snapshots
+function diffDrives(previous, current) {
+    const before = new Set(previous.map(driveKey));
+    const after = new Set(current.map(driveKey));
+
+    return {
+        attached: current.filter(d => !before.has(driveKey(d))),
+        detached: previous.filter(d => !after.has(driveKey(d)))
+    };
+}
+
+// Environment passed to hook scripts
+function hookEnv(event, drive, record) {
+    return {
+        ...process.env,
+        DISKMGT_EVENT: event,
+        DISKMGT_DEVICE: drive.device,
+        DISKMGT_NAME: drive.name,
+        DISKMGT_TYPE: drive.type,
+        DISKMGT_PARENT: drive.parent || '',
+        DISKMGT_SIZE: drive.size,
+        DISKMGT_FSTYPE: drive.fstype === 'unknown' ? '' : drive.fstype,
+        DISKMGT_MODEL: drive.model === 'Unknown Model' ? '' : drive.model,
+        DISKMGT_UUID: drive.uuid.startsWith('NO-UUID-') ? '' : drive.uuid,
+        DISKMGT_REGISTERED: record ? '1' : '0',
+        DISKMGT_LABEL: record ? record.label : '',
+        DISKMGT_PURPOSE: record ? record.purpose || '' : ''
+    };
+}
+
+// Print a timestamped daemon log line
+function log(message) {
+    console.log(`${chalk.dim(new Date().toISOString())} ${message}`);
+}
+
+// Run the configured hook scripts for an event (without waiting for them)
+function runHooks(event, drive, record, config) {
+    (config.hooks[event] || []).forEach(hook => {
+        exec(hook, { env: hookEnv(event, drive, record), timeout: config.hookTimeout * 1000 }, (err, stdout, stderr) => {
+            const output = `${stdout}${stderr}`.trim();
+            if (output) {
+                output.split('\n').forEach(line => log(chalk.dim(`  [${path.basename(hook.split(' ')[0])}] ${line}`)));
+            }
+            if (err) {
+                log(chalk.red(`Hook "${hook}" failed for ${drive.device}: ${err.killed ? 'timed out' : `exit code ${err.code}`}`));
+            }
+        });
+    });
+}
+
+// Re-key reformatted drives and link partitions to their disks
+function reconcile(detected) {
+    identity.reconcileRegistry(detected).reidentified.forEach(change => {
+        log(chalk.cyan(`${change.device} ("${change.label}") was reformatted: UUID ${change.previous_uuid} → ${change.uuid}`));
+    });
+}
+
+// Handle one attach or detach event
+function handleEvent(event, drive, config) {
+    let record = storage.getDriveByUUID(drive.uuid);
+
+    if (record) {
+        storage.updateLastSeen(drive.uuid);
+    } else if (event === 'attach' && config.autoRegister && detect.isRegistrable(drive)) {
+        const driveData = autoregister.autoRegisterDrive(drive);
+        if (storage.addDrive(driveData)) {
+            record = storage.getDriveByUUID(drive.uuid);
+            log(chalk.green(`Auto-registered ${drive.device} as "${driveData.label}" (${driveData.purpose})`));
+        }
+    }
+
+    history.record(drive.uuid, event, { device: drive.device });
+
+    const name = record ? ` (${record.label})` : '';
+    log(`${event === 'attach' ? chalk.green('attach') : chalk.yellow('detach')} ${drive.device}${name}`);
+
+    runHooks(event, drive, record, config);
+}
+
+// Watch udev block events, calling onEvent for each; onExit is called if udevadm stops
+function watchUdev(onEvent, onExit) {
+    const monitor = spawn('udevadm', ['monitor', '--udev', '--subsystem-match=block'], { stdio: ['ignore', 'pipe', 'ignore'] });
+
+    monitor.stdout.on('data', chunk => {
+        if (/\b(add|remove|change)\b/.test(chunk.toString())) {
+            onEvent();
+        }
+    });
+    monitor.on('error', () => onExit());
+    monitor.on('exit', () => onExit());
+
+    return monitor;
+}
+
+// Run the daemon until SIGINT/SIGTERM
+// options.poll forces polling, options.interval and options.autoRegister override the config
+function runDaemon(options = {}) {
+    const config = getDaemonConfig();
+    if (options.autoRegister) config.autoRegister = true;
+    const interval = (parseInt(options.interval) || config.pollInterval) * 1000;
+
+    let drives = detect.detectDrives();
+    reconcile(drives);
+    drives.forEach(d => {
+        if (storage.getDriveByUUID(d.uuid)) storage.updateLastSeen(d.uuid);
+    });
+
+    const rescan = () => {
+        try {
+            const current = detect.detectDrives();
+            const { attached, detached } = diffDrives(drives, current);
+            drives = current;
+
+            if (attached.length > 0 || detached.length > 0) {
+                reconcile(current);
+            }
+
+            detached.forEach(d => handleEvent('detach', d, config));
+            attached.forEach(d => handleEvent('attach', d, config));
+        } catch (err) {
+            // A registry locked by another diskmgt process or a failing lsblk must not stop the daemon
+            log(chalk.red(`Rescan failed: ${err.message}`));
+        }
+    };
+
+    return new Promise(resolve => {
+        let monitor = null;
+        let pollTimer = null;
+        let settleTimer = null;
+        let stopping = false;
+
+        const startPolling = () => {
+            log(`Polling for drive changes every ${interval / 1000}s`);
+            pollTimer = setInterval(rescan, interval);
+        };
+
+        if (options.poll) {
+            startPolling();
+        } else {
+            monitor = watchUdev(
+                () => {
+                    clearTimeout(settleTimer);
+                    settleTimer = setTimeout(rescan, UDEV_SETTLE * 1000);
+                },
+                () => {
+                    if (stopping || pollTimer) return;
+                    log(chalk.yellow('udevadm monitor not available, falling back to polling'));
+                    startPolling();
+                }
+            );
+            log('Watching udev block events');
+        }
+
+        log(`Tracking ${drives.length} device(s), auto-register ${config.autoRegister ? 'on' : 'off'}, ` +
+            `${config.hooks.attach.length} attach / ${config.hooks.detach.length} detach hook(s)`);
+
+        const stop = () => {
+            stopping = true;
+            clearInterval(pollTimer);
+            clearTimeout(settleTimer);
+            if (monitor) monitor.kill();
+            log('Stopped');
+            resolve();
+        };
+
+        process.once('SIGINT', stop);
+        process.once('SIGTERM', stop);
+    });
+}
+
+// Generate a systemd unit that runs the daemon
+function generateSystemdUnit(options = {}) {
+    const user = options.user || os.userInfo().username;
+    const home = options.home || os.homedir();
+    const script = options.script || path.join(__dirname, 'index.js');
+
+    return [
+        '[Unit]',
+        'Description=DiskMgt drive attach/detach daemon',
+        'After=systemd-udevd.service local-fs.target',
+        'Wants=systemd-udevd.service',
+        '',
+        '[Service]',
+        'Type=simple',
+        `ExecStart=${options.node || process.execPath} ${script} daemon`,
+        `User=${user}`,
+        `Environment=HOME=${home}`,
+        'Restart=on-failure',
+        'RestartSec=5',
+        '',
+        '[Install]',
+        'WantedBy=multi-user.target',
+        ''
+    ].join('\n');
+}
+
+module.exports = {
+    getDaemonConfig,
+    diffDrives,
+    hookEnv,
+    runDaemon,
+    generateSystemdUnit
+};
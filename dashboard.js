@@ -0,0 +1,240 @@
+const inquirer = require('inquirer');
+const blessed = require('blessed');
+const contrib = require('blessed-contrib');
+const storage = require('./storage');
+const detect = require('./detect');
+const health = require('./health');
+const partitiontools = require('./partitiontools');
+const backup = require('./backup');
+
+// Seconds between refreshes, and refreshes between (slow) SMART readings
+const DEFAULT_INTERVAL = 5;
+const SMART_EVERY = 12;
+
+// Build blessed-contrib tree data (disks with their partitions and the volumes stacked on them)
+function buildTreeData(detected, known) {
+    const node = device => {
+        const children = {};
+        detected.filter(d => d.parent === device.name).forEach(child => {
+            const mount = child.mountpoint === 'not mounted' ? '' : ` ${child.mountpoint}`;
+            const registered = known.find(k => k.uuid === child.uuid);
+            const label = registered ? ` [${registered.label}]` : '';
+            children[`${child.name} ${child.size} ${child.fstype}${mount}${label}`] = node(child);
+        });
+        return Object.keys(children).length > 0 ? { drive: device, extended: true, children } : { drive: device };
+    };
+
+    const children = {};
+    detected.filter(d => !d.parent).forEach(disk => {
+        children[`${disk.name} ${disk.size} ${disk.model}`] = { drive: disk, extended: true, children: node(disk).children || {} };
+    });
+
+    return { extended: true, children };
+}
+
+// Build registry table rows (connected drives first)
+function buildRegistryRows(detected, known) {
+    const connected = new Set(detected.map(d => d.uuid));
+
+    return known
+        .map(d => [
+            d.label,
+            connected.has(d.uuid) ? 'Connected' : 'Offline',
+            d.device,
+            d.purpose || '',
+            new Date(d.last_seen).toLocaleDateString()
+        ])
+        .sort((a, b) => (a[1] === b[1] ? 0 : a[1] === 'Connected' ? -1 : 1));
+}
+
+// Build the screen once and resolve with the key action that closed it
+function runScreen(state, interval) {
+    return new Promise(resolve => {
+        const screen = blessed.screen({ smartCSR: true, title: 'DiskMgt Dashboard' });
+        const grid = new contrib.grid({ rows: 12, cols: 12, screen });
+
+        const tree = grid.set(0, 0, 6, 5, contrib.tree, {
+            label: ' Drives ',
+            style: { text: 'white' },
+            template: { lines: true }
+        });
+        const registry = grid.set(0, 5, 6, 7, contrib.table, {
+            label: ' Registry ',
+            keys: false,
+            interactive: false,
+            columnSpacing: 2,
+            columnWidth: [14, 10, 12, 18, 11]
+        });
+        const wearGauge = grid.set(6, 0, 3, 3, contrib.gauge, { label: ' Wear ', stroke: 'green', fill: 'white' });
+        const tempGauge = grid.set(6, 3, 3, 2, contrib.gauge, { label: ' Temperature ', stroke: 'yellow', fill: 'white' });
+        const usage = grid.set(6, 5, 3, 7, contrib.bar, {
+            label: ' Disk usage (%) ',
+            barWidth: 6,
+            barSpacing: 10,
+            xOffset: 1,
+            maxHeight: 100
+        });
+        const log = grid.set(9, 0, 3, 12, contrib.log, {
+            label: ' Log  (p: partition tools  b: backup  r: refresh  q: quit) ',
+            fg: 'green'
+        });
+
+        state.log.slice(-50).forEach(line => log.log(line));
+
+        const addLog = message => {
+            const line = `${new Date().toLocaleTimeString()}  ${message}`;
+            state.log.push(line);
+            log.log(line);
+        };
+
+        // Show SMART readings for the disk of the selected node
+        const showHealth = () => {
+            const selected = state.detected.find(d => d.device === state.selected);
+            const diskName = selected ? (selected.parent || selected.name) : null;
+            const reading = Object.values(state.smart).find(r => r.name === diskName);
+
+            if (!state.smartctl) {
+                wearGauge.setLabel(' Wear: smartctl not installed ');
+                wearGauge.setPercent(0);
+                tempGauge.setLabel(' Temperature ');
+                tempGauge.setPercent(0);
+                return;
+            }
+
+            if (!reading) {
+                wearGauge.setLabel(' Wear: no SMART data ');
+                wearGauge.setPercent(0);
+                tempGauge.setLabel(' Temperature ');
+                tempGauge.setPercent(0);
+                return;
+            }
+
+            wearGauge.setLabel(` ${reading.name} SMART ${reading.health.status} - wear `);
+            wearGauge.setPercent(reading.wear !== null ? reading.wear : 0);
+            tempGauge.setLabel(` Temperature: ${reading.temperature !== null ? `${reading.temperature}°C` : 'N/A'} `);
+            tempGauge.setPercent(reading.temperature !== null ? Math.min(reading.temperature, 100) : 0);
+        };
+
+        const refresh = () => {
+            const detected = detect.detectDrives();
+            const known = storage.getAllDrives();
+
+            // Log devices that appeared or disappeared since the last refresh
+            if (state.detected.length > 0) {
+                const before = new Set(state.detected.map(d => d.device));
+                const after = new Set(detected.map(d => d.device));
+                detected.filter(d => !before.has(d.device)).forEach(d => addLog(`${d.device} connected`));
+                state.detected.filter(d => !after.has(d.device)).forEach(d => addLog(`${d.device} disconnected`));
+            }
+            state.detected = detected;
+
+            if (state.ticks % SMART_EVERY === 0 && state.smartctl) {
+                state.smart = {};
+                detected.filter(d => d.type === 'disk').forEach(disk => {
+                    state.smart[disk.device] = health.collectHealth(disk);
+                });
+            }
+            state.ticks++;
+
+            tree.setData(buildTreeData(detected, known));
+            registry.setData({
+                headers: ['Label', 'Status', 'Device', 'Purpose', 'Last seen'],
+                data: buildRegistryRows(detected, known)
+            });
+
+            const mounted = detect.getDiskUsage();
+            usage.setData({
+                titles: mounted.map(m => m.source.replace('/dev/', '')),
+                data: mounted.map(m => m.percent)
+            });
+
+            if (!state.selected && detected.length > 0) {
+                state.selected = detected[0].device;
+            }
+            showHealth();
+            screen.render();
+        };
+
+        tree.rows.on('select item', (item, index) => {
+            const node = tree.nodeLines[index];
+            if (node && node.drive) {
+                state.selected = node.drive.device;
+                showHealth();
+                screen.render();
+            }
+        });
+
+        const timer = setInterval(refresh, interval);
+
+        const close = action => {
+            clearInterval(timer);
+            screen.destroy();
+            resolve(action);
+        };
+
+        // Actions run outside the screen, on the selected partition
+        const selectedPartition = action => {
+            const drive = state.detected.find(d => d.device === state.selected);
+            if (!drive || !detect.isVolume(drive)) {
+                addLog('Select a partition first');
+                screen.render();
+                return;
+            }
+            close({ action, drive });
+        };
+
+        screen.key(['q', 'escape', 'C-c'], () => close({ action: 'quit' }));
+        screen.key(['r'], () => {
+            addLog('Refreshed');
+            refresh();
+        });
+        screen.key(['p'], () => selectedPartition('partition'));
+        screen.key(['b'], () => selectedPartition('backup'));
+
+        tree.focus();
+        refresh();
+    });
+}
+
+// Open the full-screen dashboard until the user quits
+// options.interval is the refresh period in seconds
+async function openDashboard(options = {}) {
+    const interval = (parseInt(options.interval) || DEFAULT_INTERVAL) * 1000;
+    const state = {
+        detected: [],
+        smart: {},
+        smartctl: health.isSmartctlAvailable(),
+        ticks: 0,
+        selected: null,
+        log: []
+    };
+
+    while (true) {
+        const { action, drive } = await runScreen(state, interval);
+        const timestamp = new Date().toLocaleTimeString();
+
+        if (action === 'quit') return;
+
+        if (action === 'partition') {
+            const partitions = detect.detectDrives().filter(detect.isVolume);
+            await partitiontools.partitionToolsMenu(drive, partitions);
+            state.log.push(`${timestamp}  Partition tools on ${drive.device}`);
+        }
+
+        if (action === 'backup') {
+            const backupPath = await backup.backupDrive(drive.device, drive.name);
+            state.log.push(`${timestamp}  ${backupPath ? `Backup of ${drive.device} written to ${backupPath}` : `Backup of ${drive.device} not completed`}`);
+            await inquirer.prompt([{ type: 'input', name: 'continue', message: 'Press Enter to return to the dashboard...' }]);
+        }
+
+        // Force fresh device list and SMART readings after an action
+        state.detected = [];
+        state.ticks = 0;
+    }
+}
+
+module.exports = {
+    buildTreeData,
+    buildRegistryRows,
+    openDashboard
+};
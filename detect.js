@@ -1,51 +1,272 @@
-const { execSync } = require('child_process');
+const runner = require('./runner');
 
-// Parse lsblk output to get drive information
-function detectDrives() {
-    try {
-        // Use JSON output for accurate parsing
-        const output = execSync('lsblk -nbo NAME,SIZE,TYPE,MOUNTPOINT,FSTYPE,MODEL,UUID --json', {
-            encoding: 'utf8'
-        });
-
-        const data = JSON.parse(output);
-        const drives = [];
-
-        function processDrive(device) {
-            const name = device.name;
-            const size = parseInt(device.size);
-            const type = device.type;
-
-            // Only track disk and part types (skip loop devices)
-            if (type !== 'disk' && type !== 'part') return;
-
-            drives.push({
-                name: name,
-                size: formatSize(size),
-                type: type,
-                mountpoint: device.mountpoint || 'not mounted',
-                fstype: device.fstype || 'unknown',
-                model: device.model || 'Unknown Model',
-                uuid: device.uuid || `NO-UUID-${name}`,
-                device: `/dev/${name}`
+// Read a sysfs attribute (null if missing or empty)
+function readSysfs(file) {
+    return (runner.readFile(file) || '').trim() || null;
+}
+
+// Columns read from lsblk; the hardware ones are also read from /sys/block for when lsblk (udev) has none
+const LSBLK_COLUMNS = 'NAME,PATH,SIZE,TYPE,MOUNTPOINT,FSTYPE,MODEL,UUID,SERIAL,WWN,PARTUUID,' +
+    'TRAN,ROTA,RM,VENDOR,REV,PHY-SEC,LOG-SEC,DISC-GRAN,SCHED';
+
+// Column an older lsblk rejected (null if that's not why it failed)
+// Old versions print the rest of the list after the column: "lsblk: unknown column: PATH,SIZE,..."
+function unknownLsblkColumn(err) {
+    const match = String(err.stderr || '').match(/unknown column: ([\w-]+)/i);
+    return match ? match[1].toUpperCase() : null;
+}
+
+// Run lsblk --json with LSBLK_COLUMNS, dropping each column an older util-linux rejects
+// (PATH needs 2.33, some builds lack DISC-GRAN or SCHED); what is missing then comes from sysfs
+// options is e.g. '-nbo'; device limits it to one device
+function runLsblk(options, device = null) {
+    let columns = LSBLK_COLUMNS.split(',');
+
+    for (;;) {
+        try {
+            return runner.run(`lsblk ${options} ${columns.join(',')} --json${device ? ` ${device}` : ''}`, {
+                encoding: 'utf8',
+                stdio: ['ignore', 'pipe', 'pipe']
             });
+        } catch (err) {
+            const column = unknownLsblkColumn(err);
+            if (!column || column === 'NAME' || !columns.includes(column)) throw err;
+            columns = columns.filter(c => c !== column);
+        }
+    }
+}
+
+// Device path of an lsblk device: lsblk before 2.33 has no PATH, and device-mapper devices
+// (LUKS mappings, LVM volumes) are listed by their /dev/mapper name
+function devicePath(device, type) {
+    if (device.path) return device.path;
+    return type === 'crypt' || type === 'lvm' ? `/dev/mapper/${device.name}` : `/dev/${device.name}`;
+}
+
+// lsblk flags are booleans in JSON since util-linux 2.33, "0"/"1" strings before
+function lsblkFlag(value) {
+    if (value === null || value === undefined) return null;
+    return value === true || value === '1' || value === 1;
+}
 
-            // Process children (partitions)
-            if (device.children) {
-                device.children.forEach(child => processDrive(child));
-            }
+// lsblk numbers are numbers or strings depending on the util-linux version
+function lsblkNumber(value) {
+    const number = parseInt(value);
+    return Number.isNaN(number) ? null : number;
+}
+
+// Transport guessed from where a disk sits in the device tree (lsblk has none for virtio and some SD card readers)
+function sysfsTransport(name) {
+    const devicePath = runner.realpath(`/sys/block/${name}`);
+    if (!devicePath) return null;
+    const bus = ['usb', 'nvme', 'mmc', 'virtio', 'ata'].find(b => devicePath.includes(`/${b}`));
+    return bus === 'ata' ? 'sata' : bus || null;
+}
+
+// Hardware attributes of a disk from /sys/block (null where the kernel has nothing)
+function readSysfsHardware(name) {
+    const block = `/sys/block/${name}`;
+    const flag = file => {
+        const value = readSysfs(file);
+        return value === null ? null : value === '1';
+    };
+    const number = file => lsblkNumber(readSysfs(file));
+    // "none [mq-deadline] kyber": the active scheduler is the one in brackets
+    const scheduler = (readSysfs(`${block}/queue/scheduler`) || '').match(/\[(.+?)\]/);
+
+    return {
+        serial: readSysfs(`${block}/device/serial`) || readSysfs(`${block}/serial`),
+        wwn: readSysfs(`${block}/device/wwid`) || readSysfs(`${block}/wwid`),
+        transport: sysfsTransport(name),
+        rotational: flag(`${block}/queue/rotational`),
+        removable: flag(`${block}/removable`),
+        vendor: readSysfs(`${block}/device/vendor`),
+        firmware: readSysfs(`${block}/device/rev`) || readSysfs(`${block}/device/firmware_rev`) || readSysfs(`${block}/device/fwrev`),
+        physicalSectorSize: number(`${block}/queue/physical_block_size`),
+        logicalSectorSize: number(`${block}/queue/logical_block_size`),
+        discardGranularity: number(`${block}/queue/discard_granularity`),
+        scheduler: scheduler ? scheduler[1] : null
+    };
+}
+
+// Hardware attributes of a detected device: lsblk's, with gaps on disks filled in from sysfs
+// Transport, vendor, firmware, serial and WWN belong to disks; partitions and stacked devices have null
+function hardwareAttributes(device, type) {
+    const text = value => (typeof value === 'string' ? value.trim() : '') || null;
+    const hardware = {
+        serial: null,
+        wwn: null,
+        transport: null,
+        rotational: lsblkFlag(device.rota),
+        removable: lsblkFlag(device.rm),
+        vendor: null,
+        firmware: null,
+        physicalSectorSize: lsblkNumber(device['phy-sec']),
+        logicalSectorSize: lsblkNumber(device['log-sec']),
+        discardGranularity: lsblkNumber(device['disc-gran']),
+        scheduler: text(device.sched)
+    };
+
+    if (type !== 'disk') {
+        return hardware;
+    }
+
+    const fromLsblk = {
+        ...hardware,
+        serial: text(device.serial),
+        wwn: text(device.wwn),
+        transport: text(device.tran),
+        vendor: text(device.vendor),
+        firmware: text(device.rev)
+    };
+    const sysfs = readSysfsHardware(device.name);
+    Object.keys(fromLsblk).forEach(key => {
+        if (fromLsblk[key] === null) fromLsblk[key] = sysfs[key];
+    });
+    return fromLsblk;
+}
+
+// Stable ID of a physical disk: its WWN, else its serial number (null if it has neither)
+function diskIdentity(serial, wwn) {
+    if (wwn) return `wwn:${wwn}`;
+    if (serial) return `serial:${serial}`;
+    return null;
+}
+
+// Volume types: devices holding a filesystem that can be mounted, checked or formatted
+// Stacked volumes (crypt, lvm, raid) are listed under the device(s) they are built on
+const VOLUME_TYPES = ['part', 'crypt', 'lvm', 'raid', 'loop'];
+
+// Filesystem types of devices that only hold other devices (their children are what gets used)
+const CONTAINER_FSTYPES = ['crypto_LUKS', 'LVM2_member', 'linux_raid_member'];
+
+// diskmgt's type for an lsblk device: zram is listed as a disk, md arrays by RAID level (raid1, linear, ...)
+function deviceType(device) {
+    if (device.name.startsWith('zram')) return 'zram';
+    if (/^raid\d+$|^linear$/.test(device.type)) return 'raid';
+    return device.type;
+}
+
+// Check if a detected device is a volume (a partition or a stacked device)
+function isVolume(drive) {
+    return VOLUME_TYPES.includes(drive.type);
+}
+
+// Check if a detected device can be registered: a volume with a real filesystem UUID that is not a
+// container (the LUKS, LVM or RAID member itself) or a loop-mounted image
+function isRegistrable(drive) {
+    return isVolume(drive) &&
+        drive.type !== 'loop' &&
+        !drive.uuid.startsWith('NO-UUID-') &&
+        !CONTAINER_FSTYPES.includes(drive.fstype);
+}
+
+// Turn lsblk JSON into detected devices
+// Devices come parents first: disk → part → crypt → lvm, with depth and root (top-level device name)
+function parseLsblk(data) {
+    const drives = [];
+    const byName = new Map();
+
+    function processDrive(device, parent) {
+        const name = device.name;
+        const size = parseInt(device.size);
+        const type = deviceType(device);
+
+        // Skip ROM drives and anything else that holds no data
+        if (type !== 'disk' && type !== 'zram' && !VOLUME_TYPES.includes(type)) return;
+
+        // A RAID array or volume group on several devices is listed under each of them; keep the first
+        const existing = byName.get(name);
+        if (existing) {
+            existing.parents.push(parent.name);
+            return;
         }
 
-        // Process all block devices
-        data.blockdevices.forEach(device => processDrive(device));
+        // Disks are identified by hardware; the devices on them inherit their disk's ID
+        const hardware = hardwareAttributes(device, type);
+
+        const partitionNumber = type === 'part' ? parseInt((name.match(/(\d+)$/) || [])[1]) || null : null;
 
-        return drives;
+        const drive = {
+            name: name,
+            size: formatSize(size),
+            bytes: size,
+            type: type,
+            parent: parent ? parent.name : null,
+            parents: parent ? [parent.name] : [],
+            depth: parent ? parent.depth + 1 : 0,
+            root: parent ? parent.root : name,
+            mountpoint: device.mountpoint || 'not mounted',
+            fstype: device.fstype || 'unknown',
+            model: device.model || 'Unknown Model',
+            uuid: device.uuid || `NO-UUID-${name}`,
+            device: devicePath(device, type),
+            ...hardware,
+            diskId: type === 'disk' ? diskIdentity(hardware.serial, hardware.wwn) : null,
+            partuuid: device.partuuid || null,
+            partition: partitionNumber
+        };
+        drives.push(drive);
+        byName.set(name, drive);
+
+        // Process children (partitions and stacked devices)
+        if (device.children) {
+            device.children.forEach(child => processDrive(child, drive));
+        }
+    }
+
+    // Process all block devices
+    data.blockdevices.forEach(device => processDrive(device, null));
+
+    // Inherit the disk ID down single-parent chains (parents come first); arrays spanning disks have none
+    drives.forEach(drive => {
+        if (drive.type !== 'disk' && drive.parents.length === 1) {
+            drive.diskId = byName.get(drive.parent).diskId;
+        }
+    });
+
+    return drives;
+}
+
+// Parse lsblk output to get drive information
+function detectDrives() {
+    try {
+        // Use JSON output for accurate parsing
+        return parseLsblk(JSON.parse(runLsblk('-nbo')));
     } catch (err) {
         console.error('Error detecting drives:', err.message);
         return [];
     }
 }
 
+// Detect a single device, without the devices on it (null if lsblk does not know it)
+function detectDevice(device) {
+    try {
+        return parseLsblk(JSON.parse(runLsblk('-ndbo', device)))[0] || null;
+    } catch {
+        return null;
+    }
+}
+
+// Parse "df -P" output into usage of mounted block devices
+function parseDfOutput(output) {
+    return output.trim().split('\n').slice(1)
+        .map(line => {
+            const cols = line.trim().split(/\s+/);
+            return { source: cols[0], percent: parseInt(cols[4]), mountpoint: cols.slice(5).join(' ') };
+        })
+        .filter(row => row.source.startsWith('/dev/') && !isNaN(row.percent));
+}
+
+// Get usage of mounted block devices
+function getDiskUsage() {
+    try {
+        return parseDfOutput(runner.run('df -P', { encoding: 'utf8' }));
+    } catch {
+        return [];
+    }
+}
+
 // Format bytes to human-readable size
 function formatSize(bytes) {
     const units = ['B', 'KB', 'MB', 'GB', 'TB'];
@@ -69,7 +290,17 @@ function getDriveType(name) {
 }
 
 module.exports = {
+    LSBLK_COLUMNS,
+    VOLUME_TYPES,
+    CONTAINER_FSTYPES,
+    parseLsblk,
     detectDrives,
+    detectDevice,
+    isVolume,
+    isRegistrable,
+    diskIdentity,
+    getDiskUsage,
+    parseDfOutput,
     getDriveType,
     formatSize
 };
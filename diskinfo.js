@@ -1,61 +1,44 @@
-const { execSync } = require('child_process');
+const path = require('path');
 const chalk = require('chalk');
-const fs = require('fs');
+const detect = require('./detect');
+const fsread = require('./fsread');
+const parttable = require('./parttable');
+const usbinfo = require('./usbinfo');
+const piboot = require('./piboot');
+const runner = require('./runner');
 
 // Get detailed disk information
 function getDetailedDiskInfo(device) {
     const info = {
         device: device,
         partitionTable: null,
+        table: null,
         bootable: false,
         bootPartitions: [],
         osInfo: [],
-        hardware: {},
+        hardware: { size: 'unknown', model: 'unknown', serial: 'unknown', transport: 'unknown' },
+        usb: null,
+        piBoot: null,
         partitions: [],
         lxdInfo: null
     };
 
     try {
-        // Get partition table type
-        const partedOutput = execSync(`parted -s ${device} print 2>/dev/null || true`, { encoding: 'utf8' });
-
-        if (partedOutput.includes('Partition Table:')) {
-            const tableMatch = partedOutput.match(/Partition Table: (\w+)/);
-            if (tableMatch) {
-                info.partitionTable = tableMatch[1];
-            }
+        // Get the partition table (sector layout, types, GPT headers) and boot flags
+        const table = parttable.readPartitionTable(device);
+        if (table) {
+            info.partitionTable = table.label;
+            info.table = table;
+            info.bootPartitions = table.partitions
+                .filter(part => part.flags.length > 0)
+                .map(part => ({ number: String(part.number), flags: part.flags }));
+            info.bootable = info.bootPartitions.length > 0;
         }
 
-        // Get partition details and boot flags
-        const partedLines = partedOutput.split('\n');
-        let inPartitionList = false;
-
-        partedLines.forEach(line => {
-            if (line.match(/^\s*Number\s+Start\s+End/)) {
-                inPartitionList = true;
-                return;
-            }
-
-            if (inPartitionList && line.trim() && !line.startsWith('Partition Table')) {
-                const parts = line.trim().split(/\s+/);
-                if (parts.length >= 5) {
-                    const partNum = parts[0];
-                    const flags = line.includes('boot') || line.includes('esp') || line.includes('bios_grub');
-
-                    if (flags) {
-                        info.bootable = true;
-                        info.bootPartitions.push({
-                            number: partNum,
-                            flags: line.match(/(boot|esp|bios_grub)/g) || []
-                        });
-                    }
-                }
-            }
-        });
-
         // Get detailed partition info with filesystem labels
-        const blkidOutput = execSync(`blkid -o export ${device}* 2>/dev/null || true`, { encoding: 'utf8' });
+        const blkidOutput = runner.run(`blkid -o export ${device}* 2>/dev/null || true`, { encoding: 'utf8' });
         const blocks = blkidOutput.split('\n\n').filter(b => b.trim());
+        const usage = detect.getDiskUsage();
 
         blocks.forEach(block => {
             const lines = block.split('\n');
@@ -74,9 +57,18 @@ function getDetailedDiskInfo(device) {
                     type: partInfo.TYPE || 'unknown',
                     label: partInfo.LABEL || null,
                     uuid: partInfo.UUID || null,
-                    partlabel: partInfo.PARTLABEL || null
+                    partuuid: partInfo.PARTUUID || null,
+                    partlabel: partInfo.PARTLABEL || null,
+                    mountpoint: null,
+                    usedPercent: null
                 };
 
+                const mounted = usage.find(u => u.source === partInfo.DEVNAME);
+                if (mounted) {
+                    partition.mountpoint = mounted.mountpoint;
+                    partition.usedPercent = mounted.percent;
+                }
+
                 // Detect OS from filesystem labels and types
                 const os = detectOS(partition, partInfo.DEVNAME);
                 if (os) {
@@ -87,31 +79,31 @@ function getDetailedDiskInfo(device) {
             }
         });
 
-        // Get hardware info
-        try {
-            const lsblkHardware = execSync(`lsblk -ndo NAME,SIZE,MODEL,SERIAL,TRAN ${device} 2>/dev/null`, { encoding: 'utf8' });
-            const hwParts = lsblkHardware.trim().split(/\s+/);
-
-            info.hardware = {
-                size: hwParts[1] || 'unknown',
-                model: hwParts.slice(2, -2).join(' ') || 'unknown',
-                serial: hwParts[hwParts.length - 2] || 'unknown',
-                transport: hwParts[hwParts.length - 1] || 'unknown'
-            };
-        } catch (err) {
-            // Fallback to basic info
-            const lsblkBasic = execSync(`lsblk -ndo SIZE,MODEL ${device} 2>/dev/null || echo "unknown unknown"`, { encoding: 'utf8' });
-            const [size, ...model] = lsblkBasic.trim().split(/\s+/);
+        // Get hardware info (lsblk JSON and sysfs, so models with spaces in them stay whole)
+        const drive = detect.detectDevice(device);
+        if (drive) {
             info.hardware = {
-                size: size,
-                model: model.join(' ') || 'unknown',
-                serial: 'unknown',
-                transport: 'unknown'
+                size: drive.size,
+                model: drive.model !== 'Unknown Model' ? drive.model.trim() : 'unknown',
+                serial: drive.serial || 'unknown',
+                transport: drive.transport || 'unknown',
+                wwn: drive.wwn,
+                vendor: drive.vendor,
+                firmware: drive.firmware,
+                rotational: drive.rotational,
+                removable: drive.removable,
+                physicalSectorSize: drive.physicalSectorSize,
+                logicalSectorSize: drive.logicalSectorSize,
+                discardGranularity: drive.discardGranularity,
+                scheduler: drive.scheduler
             };
         }
 
+        info.usb = usbinfo.getUsbInfo(device);
+        info.piBoot = piboot.inspectPiBoot(info.partitions);
+
         // Check if device is currently mounted as boot
-        const mountInfo = execSync(`mount | grep ${device} || true`, { encoding: 'utf8' });
+        const mountInfo = runner.run(`mount | grep ${device} || true`, { encoding: 'utf8' });
         if (mountInfo.includes('/boot')) {
             info.bootable = true;
         }
@@ -121,7 +113,7 @@ function getDetailedDiskInfo(device) {
         info.partitions.forEach(part => {
             // Get mount point for this partition
             try {
-                const partMount = execSync(`findmnt -n -o TARGET ${part.device} 2>/dev/null || true`, { encoding: 'utf8' }).trim();
+                const partMount = runner.run(`findmnt -n -o TARGET ${part.device} 2>/dev/null || true`, { encoding: 'utf8' }).trim();
                 if (partMount) {
                     const lxdInfo = lxcinfo.detectLXDStorage(partMount);
                     if (lxdInfo.isLXD) {
@@ -141,7 +133,19 @@ function getDetailedDiskInfo(device) {
     return info;
 }
 
-// Detect OS from partition info
+// Boot files worth listing, relative to the filesystem root
+const BOOT_FILES = [
+    'vmlinuz', 'vmlinux', 'kernel', 'bzImage',  // Linux kernels
+    'EFI/BOOT/BOOTX64.EFI', 'EFI/ubuntu', 'EFI/debian',  // UEFI
+    'grub', 'grub2',  // GRUB
+    'bootmgr', 'BOOTMGR',  // Windows
+    'boot/grub/grub.cfg'
+];
+
+// Kernel images: vmlinuz-* in /boot on most distributions, kernel*.img on a Raspberry Pi boot partition
+const KERNEL_NAME = /^(vmlinuz|vmlinux|bzImage|zImage|Image|kernel\S*\.img)/;
+
+// Detect OS from partition info, reading its files without mounting it (see fsread.js)
 function detectOS(partition, devicePath) {
     const type = partition.type?.toLowerCase();
     const label = (partition.label || partition.partlabel || '').toLowerCase();
@@ -151,72 +155,49 @@ function detectOS(partition, devicePath) {
 
     // Check filesystem content for OS detection
     try {
-        // Try to mount and check for OS files (read-only)
-        const tempMount = `/tmp/diskmgt_mount_${Date.now()}`;
-
-        try {
-            execSync(`mkdir -p ${tempMount}`, { encoding: 'utf8' });
-            execSync(`mount -o ro ${devicePath} ${tempMount} 2>/dev/null`, { encoding: 'utf8' });
-
-            const osDetected = {
+        const osDetected = fsread.withFilesystem(devicePath, type, reader => {
+            const found = {
                 partition: devicePath,
                 osType: 'Unknown',
-                bootFiles: []
+                bootFiles: [],
+                kernels: [],
+                readWith: reader.method
             };
 
-            // Check for Linux
-            if (fs.existsSync(`${tempMount}/etc/os-release`)) {
-                const osRelease = fs.readFileSync(`${tempMount}/etc/os-release`, 'utf8');
+            // Check for Linux (/etc/os-release is usually a link to /usr/lib/os-release)
+            const osRelease = reader.readFile('/etc/os-release') || reader.readFile('/usr/lib/os-release');
+            if (osRelease) {
                 const nameMatch = osRelease.match(/PRETTY_NAME="([^"]+)"/);
                 if (nameMatch) {
-                    osDetected.osType = nameMatch[1];
+                    found.osType = nameMatch[1];
                 } else {
-                    osDetected.osType = 'Linux (Unknown Distribution)';
+                    found.osType = 'Linux (Unknown Distribution)';
                 }
             }
 
             // Check for Windows
-            if (fs.existsSync(`${tempMount}/Windows`) || fs.existsSync(`${tempMount}/windows`)) {
-                osDetected.osType = 'Windows';
+            if (reader.exists('/Windows') || reader.exists('/windows')) {
+                found.osType = 'Windows';
             }
 
             // Check for macOS
-            if (fs.existsSync(`${tempMount}/System/Library/CoreServices`)) {
-                osDetected.osType = 'macOS';
+            if (reader.exists('/System/Library/CoreServices')) {
+                found.osType = 'macOS';
             }
 
             // Check for boot files
-            const bootFiles = [
-                'vmlinuz', 'vmlinux', 'kernel', 'bzImage',  // Linux kernels
-                'EFI/BOOT/BOOTX64.EFI', 'EFI/ubuntu', 'EFI/debian',  // UEFI
-                'grub', 'grub2',  // GRUB
-                'bootmgr', 'BOOTMGR',  // Windows
-                'boot/grub/grub.cfg'
-            ];
+            found.bootFiles = BOOT_FILES.filter(file => reader.exists(`/${file}`));
 
-            bootFiles.forEach(file => {
-                if (fs.existsSync(`${tempMount}/${file}`)) {
-                    osDetected.bootFiles.push(file);
-                }
-            });
+            found.kernels = ['/', '/boot'].flatMap(dir => reader.readDir(dir)
+                .filter(name => KERNEL_NAME.test(name))
+                .map(name => path.join(dir, name)));
 
-            execSync(`umount ${tempMount} 2>/dev/null`, { encoding: 'utf8' });
-            execSync(`rm -rf ${tempMount}`, { encoding: 'utf8' });
-
-            if (osDetected.osType !== 'Unknown' || osDetected.bootFiles.length > 0) {
-                return osDetected;
-            }
+            return found;
+        });
 
-        } catch (mountErr) {
-            // Can't mount, try other detection methods
-            try {
-                execSync(`umount ${tempMount} 2>/dev/null || true`, { encoding: 'utf8' });
-                execSync(`rm -rf ${tempMount} 2>/dev/null || true`, { encoding: 'utf8' });
-            } catch (cleanupErr) {
-                // Ignore cleanup errors
-            }
+        if (osDetected && (osDetected.osType !== 'Unknown' || osDetected.bootFiles.length > 0 || osDetected.kernels.length > 0)) {
+            return osDetected;
         }
-
     } catch (err) {
         // Silent fail for OS detection
     }
@@ -226,7 +207,9 @@ function detectOS(partition, devicePath) {
         return {
             partition: devicePath,
             osType: 'Boot Partition (OS Unknown)',
-            bootFiles: []
+            bootFiles: [],
+            kernels: [],
+            readWith: null
         };
     }
 
@@ -239,12 +222,38 @@ function displayDetailedDiskInfo(info) {
     const Table = require('cli-table3');
 
     // Hardware info box
+    const hw = info.hardware;
+    const known = value => value !== null && value !== undefined && value !== 'unknown';
+    const line = (name, value) => `${chalk.bold(`${name}:`.padEnd(12))}${value}`;
+    let media = null;
+    if (known(hw.rotational)) {
+        media = hw.rotational ? 'Spinning disk' : 'Solid state';
+        if (hw.removable) media += ', removable';
+    }
+    let sectors = null;
+    if (known(hw.logicalSectorSize)) {
+        sectors = hw.physicalSectorSize && hw.physicalSectorSize !== hw.logicalSectorSize
+            ? `${hw.logicalSectorSize} B logical, ${hw.physicalSectorSize} B physical`
+            : `${hw.logicalSectorSize} B`;
+    }
+
     const hwDetails = [
-        `${chalk.bold('Device:')}    ${chalk.yellow(info.device)}`,
-        `${chalk.bold('Size:')}      ${chalk.yellow(info.hardware.size)}`,
-        `${chalk.bold('Model:')}     ${chalk.yellow(info.hardware.model)}`,
-        `${chalk.bold('Transport:')} ${chalk.yellow(info.hardware.transport)}`,
-        info.hardware.serial !== 'unknown' ? `${chalk.bold('Serial:')}    ${chalk.dim(info.hardware.serial)}` : null
+        line('Device', chalk.yellow(info.device)),
+        line('Size', chalk.yellow(hw.size)),
+        line('Model', chalk.yellow(hw.model)),
+        known(hw.vendor) ? line('Vendor', chalk.yellow(hw.vendor)) : null,
+        line('Transport', chalk.yellow(hw.transport)),
+        media ? line('Media', chalk.yellow(media)) : null,
+        known(hw.serial) ? line('Serial', chalk.dim(hw.serial)) : null,
+        known(hw.wwn) ? line('WWN', chalk.dim(hw.wwn)) : null,
+        known(hw.firmware) ? line('Firmware', chalk.dim(hw.firmware)) : null,
+        sectors ? line('Sectors', sectors) : null,
+        known(hw.discardGranularity) ? line('Discard', hw.discardGranularity > 0 ? `${hw.discardGranularity} B granularity` : chalk.dim('not supported')) : null,
+        known(hw.scheduler) ? line('Scheduler', hw.scheduler) : null,
+        info.usb ? line('USB', `${info.usb.speedName}, ${info.usb.driver || 'no driver'}`) : null,
+        info.usb && info.usb.warnings.length > 0
+            ? chalk.red(`⚠ ${info.usb.warnings.length} USB warning(s), open USB topology & power (dm info --usb)`)
+            : null
     ].filter(Boolean).join('\n');
 
     console.log('\n' + boxen(hwDetails, {
@@ -256,12 +265,29 @@ function displayDetailedDiskInfo(info) {
         titleAlignment: 'center'
     }));
 
-    // Partition table info
+    // Partition table info, with the layout in sectors (gaps included)
+    const table = info.table;
+    const layout = table ? parttable.layoutRows(table).map(row => [
+        row.gap ? chalk.dim('free') : String(row.number).padStart(4),
+        String(row.start).padStart(12),
+        String(row.end).padStart(12),
+        parttable.sectorsSize(row.size, table.sectorSize).padStart(9),
+        row.gap ? '' : ` ${row.typeName || row.type}${row.name ? chalk.dim(` "${row.name}"`) : ''}${row.flags.length > 0 ? chalk.green(` [${row.flags.join(', ')}]`) : ''}`
+    ].join(' ')) : [];
+
+    const bar = table ? parttable.renderLayoutBar(table, info.partitions) : [];
+
     const ptDetails = [
         `${chalk.bold('Type:')}      ${chalk.yellow(info.partitionTable || 'Unknown')}`,
+        table && table.id ? `${chalk.bold('Disk ID:')}   ${chalk.dim(table.id)}` : null,
         `${chalk.bold('Bootable:')}  ${info.bootable ? chalk.green('✓ Yes') : chalk.yellow('✗ No')}`,
+        bar.length > 0 ? '' : null,
+        ...bar,
         info.bootPartitions.length > 0 ? chalk.bold('\nBoot Partitions:') : null,
-        ...info.bootPartitions.map(bp => `  Partition ${bp.number}: ${chalk.green(bp.flags.join(', '))}`)
+        ...info.bootPartitions.map(bp => `  Partition ${bp.number}: ${chalk.green(bp.flags.join(', '))}`),
+        layout.length > 0 ? chalk.bold(`\nLayout (${table.sectorSize} B sectors):`) : null,
+        layout.length > 0 ? chalk.dim(`${'#'.padStart(4)} ${'Start'.padStart(12)} ${'End'.padStart(12)} ${'Size'.padStart(9)}`) : null,
+        ...layout
     ].filter(Boolean).join('\n');
 
     console.log(boxen(ptDetails, {
@@ -273,6 +299,8 @@ function displayDetailedDiskInfo(info) {
         titleAlignment: 'center'
     }));
 
+    parttable.displayTableWarnings(table);
+
     // OS Information
     if (info.osInfo.length > 0) {
         const osDetails = info.osInfo.map(os => {
@@ -280,9 +308,15 @@ function displayDetailedDiskInfo(info) {
                 `${chalk.green('●')} ${chalk.bold(os.osType)}`,
                 `  ${chalk.dim('Partition:')} ${os.partition}`
             ];
+            if (os.kernels.length > 0) {
+                lines.push(`  ${chalk.dim('Kernels:')} ${os.kernels.slice(0, 3).join(', ')}`);
+            }
             if (os.bootFiles.length > 0) {
                 lines.push(`  ${chalk.dim('Boot Files:')} ${os.bootFiles.slice(0, 3).join(', ')}`);
             }
+            if (os.readWith) {
+                lines.push(`  ${chalk.dim('Read with:')} ${os.readWith === 'mounted' ? 'existing mount' : os.readWith}`);
+            }
             return lines.join('\n');
         }).join('\n\n');
 
@@ -304,6 +338,10 @@ function displayDetailedDiskInfo(info) {
         }));
     }
 
+    if (info.piBoot) {
+        piboot.displayPiBoot(info.piBoot);
+    }
+
     // Partitions table
     if (info.partitions.length > 0) {
         const partTable = new Table({
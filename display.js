@@ -3,6 +3,8 @@ const figlet = require('figlet');
 const gradient = require('gradient-string');
 const Table = require('cli-table3');
 const boxen = require('boxen');
+const storage = require('./storage');
+const dryrun = require('./dryrun');
 
 // Display cool ASCII header
 function displayHeader(title) {
@@ -27,6 +29,10 @@ function displayHeader(title) {
             width: 60
         }));
     }
+
+    if (dryrun.isEnabled()) {
+        console.log(chalk.magenta.bold('  🧪 DRY-RUN MODE: commands are shown, nothing is changed on disk\n'));
+    }
 }
 
 // Display drive list with status using tables
@@ -51,7 +57,8 @@ function displayDriveList(detectedDrives, knownDrives) {
             chalk.cyan.bold('Type'),
             chalk.cyan.bold('Mount')
         ],
-        colWidths: [5, 20, 18, 12, 15, 25],
+        colWidths: [5, 20, 26, 12, 15, 25],
+        wordWrap: true,
         style: {
             head: [],
             border: ['cyan']
@@ -60,7 +67,7 @@ function displayDriveList(detectedDrives, knownDrives) {
 
     knownDrives.forEach((drive, index) => {
         const isConnected = detectedUUIDs.has(drive.uuid);
-        const status = isConnected ? chalk.green('● CONNECTED') : chalk.gray('○ Offline');
+        const status = isConnected ? chalk.green('● CONNECTED') : chalk.gray(offlineStatus(drive));
 
         let mount = chalk.dim('N/A');
         if (isConnected) {
@@ -83,6 +90,24 @@ function displayDriveList(detectedDrives, knownDrives) {
     console.log(table.toString());
 }
 
+// Rough age of a timestamp ("3 hours ago", "2 days ago")
+function timeAgo(time) {
+    const seconds = Math.max(0, (Date.now() - Date.parse(time)) / 1000);
+    const units = [['year', 31536000], ['month', 2592000], ['day', 86400], ['hour', 3600], ['minute', 60]];
+
+    for (const [unit, size] of units) {
+        const count = Math.floor(seconds / size);
+        if (count >= 1) return `${count} ${unit}${count > 1 ? 's' : ''} ago`;
+    }
+    return 'just now';
+}
+
+// Status of a registered drive that is not connected here
+function offlineStatus(drive) {
+    const seen = storage.lastSeenHost(drive);
+    return seen ? `○ Offline (last seen on ${seen.host} ${timeAgo(seen.time)})` : '○ Offline';
+}
+
 // Display detected drives with tree view
 function displayDetectedDrives(drives) {
     if (drives.length === 0) {
@@ -115,21 +140,55 @@ function displayDetectedDrives(drives) {
     });
 
     drives.forEach(drive => {
-        const isPartition = drive.type === 'part';
-        const deviceName = isPartition ? '  └─ ' + drive.name : drive.name;
+        const isTopLevel = !drive.depth;
+        const deviceName = isTopLevel ? drive.name : '  ' + '   '.repeat(drive.depth - 1) + '└─ ' + drive.name;
+
+        // Stacked devices show their type, and every device an array or volume group spans
+        let kind = '';
+        if (drive.type !== 'disk' && drive.type !== 'part') {
+            kind = drive.parents && drive.parents.length > 1 ? `${drive.type} on ${drive.parents.join(', ')}` : drive.type;
+        }
 
         table.push([
-            chalk.bold(deviceName),
+            chalk.bold(deviceName) + (kind ? chalk.dim(` (${kind})`) : ''),
             drive.size,
             drive.fstype || chalk.dim('unknown'),
             drive.mountpoint !== 'not mounted' ? chalk.green(drive.mountpoint) : chalk.dim('not mounted'),
-            !isPartition ? (drive.model !== 'Unknown Model' ? drive.model : chalk.dim('N/A')) : ''
+            isTopLevel ? (drive.model !== 'Unknown Model' ? drive.model : chalk.dim('N/A')) : ''
         ]);
     });
 
     console.log(table.toString());
 }
 
+// Display registered physical disks with their registered partitions nested under them
+function displayDiskTree(disks, knownDrives, detectedDrives) {
+    if (disks.length === 0) return;
+
+    const detectedDisks = new Set(detectedDrives.map(d => d.diskId).filter(Boolean));
+
+    console.log('\n' + boxen(chalk.bold.cyan('Registered Disks'), {
+        padding: { left: 1, right: 1, top: 0, bottom: 0 },
+        borderColor: 'cyan',
+        borderStyle: 'round'
+    }) + '\n');
+
+    disks.forEach(disk => {
+        const status = detectedDisks.has(disk.id) ? chalk.green('●') : chalk.gray('○');
+        console.log(`${status} ${chalk.bold(disk.label)} ${chalk.dim(`${disk.id}${disk.size ? `, ${disk.size}` : ''}`)}`);
+
+        const partitions = knownDrives
+            .filter(d => d.disk === disk.id)
+            .sort((a, b) => (a.partition || 0) - (b.partition || 0));
+
+        partitions.forEach((drive, index) => {
+            const branch = index === partitions.length - 1 ? '└─' : '├─';
+            const number = drive.partition ? `${drive.partition}`.padEnd(3) : '?  ';
+            console.log(`  ${chalk.dim(branch)} ${number}${chalk.yellow(drive.label)} ${chalk.dim(drive.uuid)}`);
+        });
+    });
+}
+
 // Display single drive details in a beautiful card
 function displayDriveDetails(drive) {
     const details = [
@@ -138,11 +197,31 @@ function displayDriveDetails(drive) {
         `${chalk.bold('Type:')}        ${drive.type}`,
         `${chalk.bold('Purpose:')}     ${drive.purpose || chalk.dim('Not specified')}`,
         `${chalk.bold('UUID:')}        ${chalk.dim(drive.uuid)}`,
+        ...(drive.previous_uuids || []).map(uuid => `${chalk.bold('Was:')}         ${chalk.dim(uuid)}`),
         `${chalk.bold('First Seen:')}  ${chalk.dim(new Date(drive.first_seen).toLocaleString())}`,
         `${chalk.bold('Last Seen:')}   ${chalk.dim(new Date(drive.last_seen).toLocaleString())}`
-    ].join('\n');
+    ];
 
-    console.log('\n' + boxen(details, {
+    if (drive.disk) {
+        const disk = storage.getDiskById(drive.disk);
+        const parts = [];
+        if (drive.partition) parts.push(`partition ${drive.partition} of`);
+        if (disk) parts.push(chalk.yellow(disk.label));
+        parts.push(chalk.dim(drive.disk));
+        details.push(`${chalk.bold('Disk:')}        ${parts.join(' ')}`);
+    }
+
+    if (drive.tags && drive.tags.length > 0) {
+        details.push(`${chalk.bold('Tags:')}        ${drive.tags.map(tag => chalk.magenta(`#${tag}`)).join(' ')}`);
+    }
+
+    const custom = Object.entries(drive.custom || {});
+    if (custom.length > 0) {
+        details.push('', chalk.bold('Custom fields:'));
+        custom.forEach(([name, value]) => details.push(`  ${chalk.cyan(name)}: ${value}`));
+    }
+
+    console.log('\n' + boxen(details.join('\n'), {
         padding: 1,
         margin: 1,
         borderStyle: 'round',
@@ -152,9 +231,45 @@ function displayDriveDetails(drive) {
     }));
 }
 
+// Display plain-text export of registered drives
+function displayDriveExport(drives) {
+    console.log('');
+    drives.forEach(d => {
+        console.log(`Label: ${d.label}`);
+        console.log(`UUID: ${d.uuid}`);
+        console.log(`Size: ${d.size}`);
+        console.log(`Type: ${d.type}`);
+        console.log(`Purpose: ${d.purpose || 'Not specified'}`);
+        console.log(`First Seen: ${new Date(d.first_seen).toLocaleString()}`);
+        console.log(`Last Seen: ${new Date(d.last_seen).toLocaleString()}`);
+        if (d.tags && d.tags.length > 0) console.log(`Tags: ${d.tags.join(', ')}`);
+        Object.entries(d.custom || {}).forEach(([name, value]) => console.log(`${name}: ${value}`));
+        console.log('─'.repeat(50));
+    });
+}
+
+// With --json, stdout holds only the JSON document: messages go to stderr as plain text
+let jsonMode = false;
+
+// Turn JSON mode on or off
+function setJsonMode(value) {
+    jsonMode = Boolean(value);
+}
+
+// Check if JSON mode is on
+function isJsonMode() {
+    return jsonMode;
+}
+
 // Display success message
 function displaySuccess(message) {
-    console.log('\n' + boxen(chalk.green('✓ ' + message), {
+    if (jsonMode) {
+        console.error(`diskmgt: ${message}`);
+        return;
+    }
+
+    const prefix = dryrun.isEnabled() ? '[dry-run] ' : '';
+    console.log('\n' + boxen(chalk.green('✓ ' + prefix + message), {
         padding: { left: 2, right: 2, top: 0, bottom: 0 },
         margin: { top: 1, bottom: 1 },
         borderColor: 'green',
@@ -164,6 +279,11 @@ function displaySuccess(message) {
 
 // Display error message
 function displayError(message) {
+    if (jsonMode) {
+        console.error(`diskmgt: error: ${message}`);
+        return;
+    }
+
     console.log('\n' + boxen(chalk.red('✗ ' + message), {
         padding: { left: 2, right: 2, top: 0, bottom: 0 },
         margin: { top: 1, bottom: 1 },
@@ -174,6 +294,11 @@ function displayError(message) {
 
 // Display info message
 function displayInfo(message) {
+    if (jsonMode) {
+        console.error(`diskmgt: ${message}`);
+        return;
+    }
+
     console.log('\n' + boxen(chalk.blue('ℹ ' + message), {
         padding: { left: 2, right: 2, top: 0, bottom: 0 },
         margin: { top: 1, bottom: 1 },
@@ -183,10 +308,16 @@ function displayInfo(message) {
 }
 
 module.exports = {
+    setJsonMode,
+    isJsonMode,
     displayHeader,
+    timeAgo,
+    offlineStatus,
     displayDriveList,
     displayDetectedDrives,
+    displayDiskTree,
     displayDriveDetails,
+    displayDriveExport,
     displaySuccess,
     displayError,
     displayInfo
@@ -0,0 +1,113 @@
+const chalk = require('chalk');
+const Table = require('cli-table3');
+const storage = require('./storage');
+const display = require('./display');
+
+// Check registry records (and disk records) for problems
+// Returns [{ severity: 'error'|'warning', uuid, label, problem }]; disk issues carry the disk ID as uuid
+function diagnoseRegistry(drives, disks = []) {
+    const issues = [];
+    const add = (severity, drive, problem) => issues.push({
+        severity,
+        uuid: drive.uuid || null,
+        label: drive.label || null,
+        problem
+    });
+
+    const uuidCounts = {};
+    const labelCounts = {};
+    drives.forEach(drive => {
+        if (drive.uuid) uuidCounts[drive.uuid] = (uuidCounts[drive.uuid] || 0) + 1;
+        if (drive.label) {
+            const key = String(drive.label).toLowerCase();
+            labelCounts[key] = (labelCounts[key] || 0) + 1;
+        }
+    });
+
+    drives.forEach(drive => {
+        if (uuidCounts[drive.uuid] > 1) {
+            add('error', drive, `Duplicate UUID (${uuidCounts[drive.uuid]} records)`);
+        }
+
+        // detect.detectDrives() invents these for devices without a filesystem; they change between boots
+        if (typeof drive.uuid === 'string' && drive.uuid.startsWith('NO-UUID-')) {
+            add('error', drive, 'Placeholder UUID: the device had no filesystem when it was registered');
+        }
+
+        storage.validateDrive(drive).forEach(problem => add('error', drive, problem));
+
+        if (drive.label && labelCounts[String(drive.label).toLowerCase()] > 1) {
+            add('warning', drive, 'Label is shared with another drive (commands cannot select it by label)');
+        }
+
+        Object.keys(drive)
+            .filter(field => !storage.DRIVE_FIELDS[field])
+            .forEach(field => add('warning', drive, `Unknown field "${field}"`));
+
+        if (drive.disk && !disks.some(disk => disk.id === drive.disk)) {
+            add('warning', drive, `No record for its disk ${drive.disk} (added by "dm list" while the disk is connected)`);
+        }
+    });
+
+    const idCounts = {};
+    disks.forEach(disk => {
+        idCounts[disk.id] = (idCounts[disk.id] || 0) + 1;
+    });
+
+    disks.forEach(disk => {
+        const addDisk = (severity, problem) => issues.push({ severity, uuid: disk.id || null, label: disk.label || null, problem });
+
+        if (idCounts[disk.id] > 1) {
+            addDisk('error', `Duplicate disk ID (${idCounts[disk.id]} records)`);
+        }
+        storage.validateDisk(disk).forEach(problem => addDisk('error', problem));
+
+        Object.keys(disk)
+            .filter(field => !storage.DISK_FIELDS[field])
+            .forEach(field => addDisk('warning', `Unknown disk field "${field}"`));
+    });
+
+    return issues;
+}
+
+// Display the doctor report; returns true if no errors were found
+function displayDiagnosis(drives, issues, disks = []) {
+    console.log(chalk.bold(`\nRegistry: ${storage.DRIVES_FILE}`));
+    console.log(chalk.dim(`Schema version ${storage.SCHEMA_VERSION}, ${drives.length} record(s), ${disks.length} disk(s)\n`));
+
+    if (issues.length === 0) {
+        display.displaySuccess('No problems found');
+        return true;
+    }
+
+    const table = new Table({
+        head: ['Severity', 'Label', 'UUID / Disk ID', 'Problem'].map(h => chalk.cyan(h)),
+        style: { head: [], border: ['dim'] }
+    });
+
+    issues.forEach(issue => {
+        table.push([
+            issue.severity === 'error' ? chalk.red('error') : chalk.yellow('warning'),
+            issue.label || chalk.dim('-'),
+            issue.uuid || chalk.dim('-'),
+            issue.problem
+        ]);
+    });
+
+    console.log(table.toString());
+
+    const errors = issues.filter(i => i.severity === 'error').length;
+    const warnings = issues.length - errors;
+    if (errors > 0) {
+        display.displayError(`${errors} error(s), ${warnings} warning(s). Fix them with "dm edit" or "dm remove", or by editing ${storage.DRIVES_FILE}.`);
+        return false;
+    }
+
+    display.displayInfo(`${warnings} warning(s)`);
+    return true;
+}
+
+module.exports = {
+    diagnoseRegistry,
+    displayDiagnosis
+};
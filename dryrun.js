@@ -0,0 +1,99 @@
+const chalk = require('chalk');
+const runner = require('./runner');
+
+// When enabled, state-changing commands are recorded instead of executed
+let enabled = false;
+let plan = [];
+
+// Turn dry-run mode on or off (clears any recorded plan)
+function setEnabled(value) {
+    enabled = Boolean(value);
+    plan = [];
+}
+
+// Check if dry-run mode is on
+function isEnabled() {
+    return enabled;
+}
+
+// Record a precondition that was checked before running commands
+function check(description, passed = true) {
+    if (enabled) {
+        plan.push({ kind: 'check', description, passed });
+    }
+    return passed;
+}
+
+// Print dry-run output, on stderr when --json keeps stdout for the JSON document
+// (display is required here because it requires this module)
+function print(text) {
+    (require('./display').isJsonMode() ? console.error : console.log)(text);
+}
+
+// Run a state-changing command, or record it when dry-run mode is on
+function run(command, options = {}) {
+    if (!enabled) {
+        return runner.run(command, options);
+    }
+
+    plan.push({ kind: 'command', command });
+    print(chalk.magenta(`  [dry-run] ${command}`));
+    return options.encoding ? '' : Buffer.alloc(0);
+}
+
+// Get recorded checks and commands in order
+function getPlan() {
+    return plan.slice();
+}
+
+// Forget recorded checks and commands
+function resetPlan() {
+    plan = [];
+}
+
+// Display the recorded plan and clear it
+function displayPlan() {
+    const boxen = require('boxen');
+
+    const checks = plan.filter(step => step.kind === 'check');
+    const commands = plan.filter(step => step.kind === 'command');
+
+    const lines = [chalk.bold('Preconditions checked:')];
+    if (checks.length === 0) {
+        lines.push(chalk.dim('  (none)'));
+    }
+    checks.forEach(step => {
+        lines.push(step.passed ? `  ${chalk.green('✓')} ${step.description}` : `  ${chalk.red('✗')} ${step.description}`);
+    });
+
+    lines.push('', chalk.bold('Commands that would run, in order:'));
+    if (commands.length === 0) {
+        lines.push(chalk.dim('  (none - nothing would be changed)'));
+    }
+    commands.forEach((step, index) => {
+        lines.push(`  ${chalk.yellow(String(index + 1).padStart(2))}. ${step.command}`);
+    });
+
+    lines.push('', chalk.dim('Dry run: nothing was changed on disk.'));
+
+    print('\n' + boxen(lines.join('\n'), {
+        padding: 1,
+        margin: 1,
+        borderStyle: 'round',
+        borderColor: 'magenta',
+        title: '🧪 Dry-run Plan',
+        titleAlignment: 'center'
+    }));
+
+    resetPlan();
+}
+
+module.exports = {
+    setEnabled,
+    isEnabled,
+    check,
+    run,
+    getPlan,
+    resetPlan,
+    displayPlan
+};
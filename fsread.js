@@ -0,0 +1,325 @@
+const path = require('path');
+const runner = require('./runner');
+
+// Filesystems read straight from the device, and the reader used for them
+const DIRECT_READERS = {
+    ext2: 'debugfs',
+    ext3: 'debugfs',
+    ext4: 'debugfs',
+    vfat: 'mtools',
+    btrfs: 'btrfs'
+};
+
+// Filesystems worth a loop mount when they can't be read directly, with options that stop the kernel
+// from replaying a journal or log (which writes even on a read-only mount)
+const LOOP_OPTIONS = {
+    ext2: 'ro',
+    ext3: 'ro,noload',
+    ext4: 'ro,noload',
+    vfat: 'ro',
+    exfat: 'ro',
+    ntfs: 'ro',
+    ntfs3: 'ro',
+    hfsplus: 'ro',
+    iso9660: 'ro',
+    xfs: 'ro,norecovery',
+    f2fs: 'ro,norecovery',
+    btrfs: 'ro,rescue=nologreplay'
+};
+
+// Every command this module runs must match one of these: tools that open the device read-only,
+// a loop device created read-only and mounts of that loop device only
+const READ_ONLY_COMMANDS = [
+    /^findmnt -n -o TARGET -S \S+$/,
+    /^debugfs -c -R '[^']*' \S+$/,
+    /^MTOOLS_SKIP_CHECK=1 m(type|dir -b) -i \S+ '::[^']*'$/,
+    /^btrfs inspect-internal dump-super \S+$/,
+    /^btrfs restore (-D -v|-i -S) --path-regex '[^']*' \S+ \/tmp\/diskmgt_fsread_\w+$/,
+    /^readlink '\/tmp\/diskmgt_fsread_\w+\/[^']*'$/,
+    /^losetup -f --show -r \S+$/,
+    /^losetup -d \/dev\/loop\d+$/,
+    /^mount -o ro[\w,=]* \/dev\/loop\d+ \/tmp\/diskmgt_fsread_\w+$/,
+    /^(umount|mkdir -p|rmdir|rm -rf) \/tmp\/diskmgt_fsread_\w+$/
+];
+
+// Symlinks followed before giving up on a path
+const MAX_LINKS = 8;
+
+// Check a command is on the read-only list (and chains nothing else after it outside its quoted arguments)
+function isReadOnlyCommand(command) {
+    const unquoted = command.replace(/'[^']*'/g, "''");
+    return !/[;&|`$<>\n]/.test(unquoted) && READ_ONLY_COMMANDS.some(pattern => pattern.test(command));
+}
+
+// Run a command, refusing anything that could write to the device being read
+function readOnlyRun(command) {
+    if (!isReadOnlyCommand(command)) {
+        throw new Error(`Refusing to run "${command}": not a read-only command`);
+    }
+    return runner.run(command, { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] });
+}
+
+// Quote an argument for the shell (single quotes are dropped, so it can't break out)
+function shellQuote(value) {
+    return `'${String(value).replace(/'/g, '')}'`;
+}
+
+// Path a symlink points to, inside the same filesystem
+function linkTarget(file, target) {
+    return target.startsWith('/') ? target : path.join(path.dirname(file), target);
+}
+
+// Scratch directory for a device (loop mountpoint or btrfs restore target)
+function scratchDir(device) {
+    return `/tmp/diskmgt_fsread_${path.basename(device).replace(/\W/g, '_')}`;
+}
+
+// Where a device is already mounted (null if it isn't)
+function findMountpoint(device) {
+    try {
+        return readOnlyRun(`findmnt -n -o TARGET -S ${device}`).split('\n')[0].trim() || null;
+    } catch {
+        return null;
+    }
+}
+
+// Reader over a directory: the mountpoint a filesystem already has, or a read-only loop mount
+function directoryReader(device, method, dir, close = () => {}) {
+    const local = file => path.join(dir, file);
+    return {
+        device,
+        method,
+        exists: file => runner.realpath(local(file)) !== null,
+        readFile: file => runner.readFile(local(file)),
+        readDir: file => runner.readDir(local(file)),
+        close
+    };
+}
+
+// Reader for ext2/3/4 through debugfs, which opens the device read-only unless given -w
+// (-c also skips the block bitmaps, so a damaged filesystem still opens)
+function debugfsReader(device) {
+    // debugfs exits 0 even when a path is missing; a failure means it couldn't read the device at all
+    const debugfs = request => {
+        try {
+            return readOnlyRun(`debugfs -c -R ${shellQuote(request)} ${device}`);
+        } catch {
+            return '';
+        }
+    };
+    const stat = file => {
+        const output = debugfs(`stat "${file}"`);
+        return /^Inode:/m.test(output) ? output : null;
+    };
+
+    // debugfs looks up a symlink itself, not what it points to
+    const resolve = (file, depth = 0) => {
+        const info = stat(file);
+        if (!info) return null;
+        if (!/Type: symlink/.test(info)) return file;
+        if (depth >= MAX_LINKS) return null;
+
+        const fast = info.match(/Fast link dest: "(.*)"/);
+        return resolve(linkTarget(file, fast ? fast[1] : debugfs(`cat "${file}"`)), depth + 1);
+    };
+
+    if (!stat('/')) return null;
+
+    return {
+        device,
+        method: 'debugfs',
+        exists: file => resolve(file) !== null,
+        readFile: file => {
+            const real = resolve(file);
+            return real ? debugfs(`cat "${real}"`) : null;
+        },
+        readDir: file => {
+            const real = resolve(file);
+            if (!real) return [];
+            // ls -p: /inode/mode/uid/gid/name/size/
+            return debugfs(`ls -p "${real}"`).split('\n')
+                .map(line => line.split('/')[5])
+                .filter(name => name && name !== '.' && name !== '..');
+        },
+        close: () => {}
+    };
+}
+
+// Reader for FAT through mtools, which opens the device read-only for mdir and mtype
+function mtoolsReader(device) {
+    const mtools = (tool, file) => readOnlyRun(`MTOOLS_SKIP_CHECK=1 ${tool} -i ${device} ${shellQuote(`::${file}`)}`);
+    const list = file => {
+        try {
+            return mtools('mdir -b', file).split('\n').map(line => line.trim()).filter(Boolean);
+        } catch {
+            return null;
+        }
+    };
+
+    if (!list('/')) return null;
+
+    return {
+        device,
+        method: 'mtools',
+        exists: file => list(file) !== null,
+        readFile: file => {
+            try {
+                return mtools('mtype', file);
+            } catch {
+                return null;
+            }
+        },
+        // mdir -b prints full names (::/overlays/foo.dtbo)
+        readDir: file => (list(file) || [])
+            .map(entry => path.basename(entry))
+            .filter(name => name && name !== '.' && name !== '..'),
+        close: () => {}
+    };
+}
+
+// --path-regex for btrfs restore matching a path (and, with children, everything directly in it)
+// e.g. /etc/os-release: ^/(|etc(|/os-release))$
+function restoreRegex(file, children = false) {
+    const segments = file.split('/').filter(Boolean).map(segment => segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    if (children) segments.push('[^/]+');
+
+    let regex = '';
+    for (let i = segments.length - 1; i >= 0; i--) {
+        regex = `(|${i === 0 ? '' : '/'}${segments[i]}${regex})`;
+    }
+    return `^/${regex}$`;
+}
+
+// Reader for btrfs through btrfs restore, which opens the device read-only and copies files out
+// to a scratch directory (top-level subvolume only)
+function btrfsReader(device) {
+    const dir = scratchDir(device);
+    const restore = (flags, regex) => readOnlyRun(`btrfs restore ${flags} --path-regex ${shellQuote(regex)} ${device} ${dir}`);
+    // Paths a dry run would restore
+    const restorable = regex => restore('-D -v', regex).split('\n')
+        .map(line => line.match(/^Restoring (\S+)/))
+        .filter(Boolean)
+        .map(match => match[1].slice(dir.length));
+
+    try {
+        readOnlyRun(`btrfs inspect-internal dump-super ${device}`);
+        readOnlyRun(`mkdir -p ${dir}`);
+    } catch {
+        return null;
+    }
+
+    const readFile = (file, depth = 0) => {
+        try {
+            restore('-i -S', restoreRegex(file));
+        } catch {
+            return null;
+        }
+
+        let target = null;
+        try {
+            target = readOnlyRun(`readlink ${shellQuote(`${dir}${file}`)}`).trim();
+        } catch {
+            // Not a symlink
+        }
+        if (target) {
+            return depth < MAX_LINKS ? readFile(linkTarget(file, target), depth + 1) : null;
+        }
+        return runner.readFile(`${dir}${file}`);
+    };
+
+    return {
+        device,
+        method: 'btrfs',
+        // Directories only show up through what they contain
+        exists: file => {
+            try {
+                return restorable(restoreRegex(file).replace(/\$$/, '(|/.*)$')).length > 0;
+            } catch {
+                return false;
+            }
+        },
+        readFile: file => readFile(file),
+        readDir: file => {
+            try {
+                const prefix = file.endsWith('/') ? file : `${file}/`;
+                return restorable(restoreRegex(file, true))
+                    .filter(entry => entry.startsWith(prefix))
+                    .map(entry => entry.slice(prefix.length));
+            } catch {
+                return [];
+            }
+        },
+        close: () => {
+            try {
+                readOnlyRun(`rm -rf ${dir}`);
+            } catch {
+                // Ignore cleanup errors
+            }
+        }
+    };
+}
+
+// Reader over a read-only loop device mounted without journal replay: the kernel refuses every write
+// to the loop device, so not even the superblock's mount count changes
+function loopReader(device, type) {
+    const options = LOOP_OPTIONS[type];
+    if (!options) return null;
+
+    const dir = scratchDir(device);
+    let loop;
+    try {
+        loop = readOnlyRun(`losetup -f --show -r ${device}`).trim();
+    } catch {
+        return null;
+    }
+
+    const cleanup = commands => commands.forEach(command => {
+        try {
+            readOnlyRun(command);
+        } catch {
+            // Ignore cleanup errors
+        }
+    });
+
+    try {
+        readOnlyRun(`mkdir -p ${dir}`);
+        readOnlyRun(`mount -o ${options} ${loop} ${dir}`);
+    } catch {
+        cleanup([`rmdir ${dir}`, `losetup -d ${loop}`]);
+        return null;
+    }
+
+    return directoryReader(device, 'loop', dir, () => cleanup([`umount ${dir}`, `rmdir ${dir}`, `losetup -d ${loop}`]));
+}
+
+// Open a filesystem for reading without changing a byte of the device: through the mountpoint it already has,
+// straight from the device (debugfs, mtools, btrfs restore) or through a read-only loop mount.
+// Returns { device, method, exists(path), readFile(path), readDir(path), close() }, or null if it can't be read
+function openFilesystem(device, type) {
+    const mountpoint = findMountpoint(device);
+    if (mountpoint) {
+        return directoryReader(device, 'mounted', mountpoint);
+    }
+
+    const direct = { debugfs: debugfsReader, mtools: mtoolsReader, btrfs: btrfsReader }[DIRECT_READERS[type]];
+    return (direct && direct(device)) || loopReader(device, type);
+}
+
+// Run fn(reader) on a filesystem and close it afterwards (null if it can't be read)
+function withFilesystem(device, type, fn) {
+    const reader = openFilesystem(device, type);
+    if (!reader) return null;
+
+    try {
+        return fn(reader);
+    } finally {
+        reader.close();
+    }
+}
+
+module.exports = {
+    isReadOnlyCommand,
+    restoreRegex,
+    openFilesystem,
+    withFilesystem
+};
@@ -1,90 +1,208 @@
-const { execSync } = require('child_process');
 const chalk = require('chalk');
 const Table = require('cli-table3');
+const runner = require('./runner');
+const smartHistory = require('./smarthistory');
 
 // Check if smartctl is available
 function isSmartctlAvailable() {
     try {
-        execSync('which smartctl', { stdio: 'ignore' });
+        runner.run('which smartctl', { stdio: 'ignore' });
         return true;
     } catch {
         return false;
     }
 }
 
-// Get SMART health for a device
-function getSmartHealth(device) {
+// ATA attributes that count down from 100 as an SSD wears out (normalized value)
+const WEAR_ATTRIBUTES = [
+    177, // Wear_Leveling_Count (Samsung)
+    233, // Media_Wearout_Indicator (Intel)
+    231, // SSD_Life_Left
+    169, // Remaining_Lifetime_Perc
+    202  // Percent_Lifetime_Remain (Crucial, Micron)
+];
+
+// ATA attributes whose raw value should stay at zero
+const DEFECT_ATTRIBUTES = {
+    5: 'reallocated sectors',
+    187: 'uncorrectable errors',
+    197: 'sectors pending reallocation',
+    198: 'offline uncorrectable sectors'
+};
+
+// NVMe data units are thousands of 512-byte blocks
+const NVME_DATA_UNIT = 512 * 1000;
+
+// Status message shown for a SMART status
+const STATUS_MESSAGES = {
+    PASS: 'Healthy',
+    FAIL: 'FAILING',
+    UNKNOWN: 'Unknown',
+    'N/A': 'No SMART'
+};
+
+// Run smartctl once for everything it knows about a device (null if it gives no JSON: not installed, too old)
+function readSmart(device) {
+    let output;
     try {
-        const output = execSync(`smartctl -H ${device}`, { encoding: 'utf-8', stdio: ['pipe', 'pipe', 'ignore'] });
-
-        // Parse health status
-        if (output.includes('PASSED')) {
-            return { status: 'PASS', message: 'Healthy' };
-        } else if (output.includes('FAILED')) {
-            return { status: 'FAIL', message: 'FAILING' };
-        } else {
-            return { status: 'UNKNOWN', message: 'Unknown' };
-        }
+        output = runner.run(`smartctl -j -a ${device}`, { encoding: 'utf-8', stdio: ['pipe', 'pipe', 'ignore'] });
     } catch (err) {
-        // Device might not support SMART
-        return { status: 'N/A', message: 'No SMART' };
+        // The exit status is a bit mask: warnings and a failing disk still come with the full report
+        output = err.stdout ? String(err.stdout) : '';
     }
-}
 
-// Get temperature for a device
-function getTemperature(device) {
     try {
-        const output = execSync(`smartctl -A ${device}`, { encoding: 'utf-8', stdio: ['pipe', 'pipe', 'ignore'] });
-
-        // Look for temperature in output
-        const tempMatch = output.match(/Temperature.*?(\d+)\s*Celsius/i) ||
-                         output.match(/Airflow_Temperature.*?(\d+)/i) ||
-                         output.match(/190\s+.*?(\d+)/); // ID 190 is temperature
-
-        if (tempMatch) {
-            return parseInt(tempMatch[1]);
-        }
-        return null;
+        return JSON.parse(output);
     } catch {
         return null;
     }
 }
 
-// Get power-on hours
-function getPowerOnHours(device) {
-    try {
-        const output = execSync(`smartctl -A ${device}`, { encoding: 'utf-8', stdio: ['pipe', 'pipe', 'ignore'] });
+// Structured SMART health from smartctl JSON (-j -a): status, attributes, NVMe health log and self-tests
+function parseSmartJson(data) {
+    const support = data.smart_support || {};
+    const passed = data.smart_status ? data.smart_status.passed : undefined;
+    let status = 'UNKNOWN';
+    if (passed === true) status = 'PASS';
+    if (passed === false) status = 'FAIL';
+    if (passed === undefined && support.available === false) status = 'N/A';
+
+    const attributes = ((data.ata_smart_attributes || {}).table || []).map(attr => ({
+        id: attr.id,
+        name: attr.name,
+        value: attr.value,
+        worst: attr.worst,
+        threshold: attr.thresh,
+        raw: attr.raw ? attr.raw.value : null,
+        rawString: attr.raw ? attr.raw.string : null,
+        prefailure: Boolean(attr.flags && attr.flags.prefailure),
+        whenFailed: attr.when_failed || null
+    }));
+
+    const log = data.nvme_smart_health_information_log;
+    const nvme = log ? {
+        criticalWarning: log.critical_warning,
+        percentageUsed: log.percentage_used,
+        availableSpare: log.available_spare,
+        availableSpareThreshold: log.available_spare_threshold,
+        mediaErrors: log.media_errors,
+        unsafeShutdowns: log.unsafe_shutdowns,
+        errorLogEntries: log.num_err_log_entries,
+        dataUnitsRead: log.data_units_read,
+        dataUnitsWritten: log.data_units_written,
+        bytesWritten: log.data_units_written !== undefined ? log.data_units_written * NVME_DATA_UNIT : null
+    } : null;
+
+    const ataTests = ((data.ata_smart_self_test_log || {}).standard || {}).table || [];
+    const nvmeTests = (data.nvme_self_test_log || {}).table || [];
+    const selfTests = [
+        ...ataTests.map(test => ({
+            type: test.type ? test.type.string : null,
+            status: test.status ? test.status.string : null,
+            passed: test.status && test.status.passed !== undefined ? test.status.passed : null,
+            lifetimeHours: test.lifetime_hours !== undefined ? test.lifetime_hours : null
+        })),
+        ...nvmeTests.map(test => ({
+            type: test.self_test_code ? test.self_test_code.string : null,
+            status: test.self_test_result ? test.self_test_result.string : null,
+            passed: test.self_test_result ? test.self_test_result.value === 0 : null,
+            lifetimeHours: test.power_on_hours !== undefined ? test.power_on_hours : null
+        }))
+    ];
+
+    // Wear as life left (100 = new): NVMe reports life used, which can pass 100
+    let wear = null;
+    if (nvme && nvme.percentageUsed !== undefined) {
+        wear = Math.max(0, 100 - nvme.percentageUsed);
+    } else {
+        const attr = WEAR_ATTRIBUTES.map(id => attributes.find(a => a.id === id)).find(Boolean);
+        wear = attr ? attr.value : null;
+    }
 
-        // Look for Power_On_Hours
-        const hoursMatch = output.match(/Power_On_Hours.*?(\d+)/i) ||
-                          output.match(/9\s+Power_On_Hours.*?(\d+)/);
+    return {
+        status,
+        protocol: data.device ? data.device.protocol : null,
+        model: data.model_name || null,
+        serial: data.serial_number || null,
+        firmware: data.firmware_version || null,
+        smartAvailable: support.available !== undefined ? support.available : null,
+        smartEnabled: support.enabled !== undefined ? support.enabled : null,
+        temperature: data.temperature && data.temperature.current !== undefined ? data.temperature.current : null,
+        powerOnHours: data.power_on_time && data.power_on_time.hours !== undefined ? data.power_on_time.hours : null,
+        powerCycles: data.power_cycle_count !== undefined ? data.power_cycle_count : null,
+        wear,
+        attributes,
+        nvme,
+        selfTests,
+        messages: ((data.smartctl || {}).messages || []).map(message => message.string)
+    };
+}
+
+// Problems in a SMART reading worth a warning, beyond the overall status
+function smartWarnings(smart) {
+    const warnings = [];
+
+    smart.attributes.filter(attr => attr.whenFailed).forEach(attr => {
+        warnings.push(`${attr.name} below threshold (${attr.whenFailed === 'now' ? 'now' : 'in the past'})`);
+    });
+    Object.entries(DEFECT_ATTRIBUTES).forEach(([id, description]) => {
+        const attr = smart.attributes.find(a => a.id === parseInt(id));
+        if (attr && attr.raw > 0) warnings.push(`${attr.raw} ${description}`);
+    });
 
-        if (hoursMatch) {
-            return parseInt(hoursMatch[1]);
+    if (smart.nvme) {
+        if (smart.nvme.criticalWarning) warnings.push(`NVMe critical warning 0x${smart.nvme.criticalWarning.toString(16)}`);
+        if (smart.nvme.mediaErrors > 0) warnings.push(`${smart.nvme.mediaErrors} media errors`);
+        if (smart.nvme.availableSpare !== undefined && smart.nvme.availableSpare < smart.nvme.availableSpareThreshold) {
+            warnings.push(`Spare blocks at ${smart.nvme.availableSpare}% (threshold ${smart.nvme.availableSpareThreshold}%)`);
         }
-        return null;
-    } catch {
-        return null;
     }
+
+    const lastTest = smart.selfTests[0];
+    if (lastTest && lastTest.passed === false) {
+        warnings.push(`Last self-test: ${lastTest.status}`);
+    }
+
+    return warnings;
 }
 
-// Get wear level (for SSDs)
-function getWearLevel(device) {
-    try {
-        const output = execSync(`smartctl -A ${device}`, { encoding: 'utf-8', stdio: ['pipe', 'pipe', 'ignore'] });
+// SMART health of a device (null if smartctl gives nothing)
+function getSmartData(device) {
+    const data = readSmart(device);
+    return data ? parseSmartJson(data) : null;
+}
 
-        // Look for Wear_Leveling_Count or Media_Wearout_Indicator
-        const wearMatch = output.match(/Wear_Leveling_Count.*?(\d+)/i) ||
-                         output.match(/Media_Wearout_Indicator.*?(\d+)/i) ||
-                         output.match(/177\s+Wear_Leveling_Count.*?(\d+)/);
+// Collect all SMART readings for a detected disk (one smartctl run) and store them in the SMART time series
+// changes is what moved since the drive's previous reading (null for a drive never read before)
+function collectHealth(disk) {
+    const smart = getSmartData(disk.device);
+    const status = smart ? smart.status : 'N/A';
+
+    const reading = {
+        name: disk.name,
+        device: disk.device,
+        model: disk.model,
+        size: disk.size,
+        health: { status, message: STATUS_MESSAGES[status] },
+        temperature: smart ? smart.temperature : null,
+        wear: smart ? smart.wear : null,
+        powerOnHours: smart ? smart.powerOnHours : null,
+        smart
+    };
+
+    reading.changes = smartHistory.changesSinceLast(reading);
+    smartHistory.recordReading(reading);
+    return reading;
+}
 
-        if (wearMatch) {
-            return parseInt(wearMatch[1]);
-        }
-        return null;
-    } catch {
-        return null;
-    }
+// Add a health reading to the history of every filesystem on the disk
+function recordHealth(reading) {
+    require('./history').recordForDisk(reading.device, 'health', {
+        status: reading.health.status,
+        temperature: reading.temperature,
+        wear: reading.wear,
+        power_on_hours: reading.powerOnHours
+    });
 }
 
 // Format hours to human readable
@@ -132,7 +250,7 @@ function formatTemp(temp) {
 
 // Get wear level with color
 function formatWear(wear) {
-    if (!wear) return chalk.dim('N/A');
+    if (wear === null || wear === undefined) return chalk.dim('N/A');
 
     if (wear < 50) {
         return chalk.red(`${wear}% WORN`);
@@ -184,41 +302,46 @@ function displayHealthDashboard() {
     });
 
     // Collect health data for each disk
-    disks.forEach(disk => {
-        const health = getSmartHealth(disk.device);
-        const temp = getTemperature(disk.device);
-        const wear = getWearLevel(disk.device);
-        const hours = getPowerOnHours(disk.device);
+    const readings = disks.map(disk => collectHealth(disk));
+    const changes = {};
+    readings.forEach(reading => {
+        changes[reading.name] = reading.changes;
+    });
+    readings.forEach(recordHealth);
 
+    readings.forEach(reading => {
         table.push([
-            disk.name,
-            disk.model || 'Unknown',
-            disk.size,
-            formatStatus(health.status),
-            formatTemp(temp),
-            formatWear(wear),
-            formatHours(hours)
+            reading.name,
+            reading.model || 'Unknown',
+            reading.size,
+            formatStatus(reading.health.status),
+            formatTemp(reading.temperature),
+            formatWear(reading.wear),
+            formatHours(reading.powerOnHours)
         ]);
     });
 
     console.log(table.toString());
     console.log('');
 
+    smartHistory.displayChanges(changes);
+
     // Show warnings
     const warnings = [];
-    disks.forEach(disk => {
-        const health = getSmartHealth(disk.device);
-        const temp = getTemperature(disk.device);
-        const wear = getWearLevel(disk.device);
+    readings.forEach(reading => {
+        const { name, health, temperature: temp, wear } = reading;
 
         if (health.status === 'FAIL') {
-            warnings.push(chalk.red(`⚠ ${disk.name}: SMART failure detected - backup immediately!`));
+            warnings.push(chalk.red(`⚠ ${name}: SMART failure detected - backup immediately!`));
         }
         if (temp && temp > 60) {
-            warnings.push(chalk.yellow(`⚠ ${disk.name}: High temperature (${temp}°C) - check cooling`));
+            warnings.push(chalk.yellow(`⚠ ${name}: High temperature (${temp}°C) - check cooling`));
+        }
+        if (wear !== null && wear < 50) {
+            warnings.push(chalk.yellow(`⚠ ${name}: High wear (${100 - wear}%) - consider replacement`));
         }
-        if (wear && wear < 50) {
-            warnings.push(chalk.yellow(`⚠ ${disk.name}: High wear (${100 - wear}%) - consider replacement`));
+        if (reading.smart) {
+            smartWarnings(reading.smart).forEach(w => warnings.push(chalk.yellow(`⚠ ${name}: ${w}`)));
         }
     });
 
@@ -230,10 +353,14 @@ function displayHealthDashboard() {
         console.log(chalk.green('✓ All drives healthy!\n'));
     }
 
-    console.log(chalk.dim('Tip: Run \'smartctl -a /dev/sdX\' for detailed SMART data\n'));
+    console.log(chalk.dim('Tip: \'dm health --json\' has the full attribute tables, NVMe health logs and self-tests,'));
+    console.log(chalk.dim('     \'dm smart-history <disk>\' charts every reading taken here\n'));
 }
 
 module.exports = {
     displayHealthDashboard,
-    isSmartctlAvailable
+    isSmartctlAvailable,
+    parseSmartJson,
+    smartWarnings,
+    collectHealth
 };
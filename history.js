@@ -0,0 +1,208 @@
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+const Table = require('cli-table3');
+const storage = require('./storage');
+const dryrun = require('./dryrun');
+const runner = require('./runner');
+
+// Append-only event log, one JSON object per line: { ts, uuid, event, ...details }
+const HISTORY_FILE = path.join(storage.CONFIG_DIR, 'history.jsonl');
+
+// Event names and how they are shown in the timeline
+const EVENT_LABELS = {
+    'attach': 'Attached',
+    'detach': 'Detached',
+    'mount': 'Mounted',
+    'unmount': 'Unmounted',
+    'fsck': 'Filesystem check',
+    'backup': 'Backup taken',
+    'backup-written': 'Backup written',
+    'restore': 'Restored',
+    'clone': 'Cloned',
+    'format': 'Formatted',
+    'label': 'Label changed',
+    'resize': 'Resized',
+    'btrfs-convert': 'Converted to BTRFS',
+    'btrfs-rollback': 'Rolled back to ext4',
+    'btrfs-delete-saved': 'Deleted ext2_saved',
+    'health': 'Health reading',
+    'reidentified': 'New filesystem UUID'
+};
+
+// Append an event for a UUID (nothing is recorded in dry-run mode)
+function record(uuid, event, details = {}) {
+    if (dryrun.isEnabled() || !uuid || uuid.startsWith('NO-UUID-')) {
+        return false;
+    }
+
+    try {
+        storage.initStorage();
+        fs.appendFileSync(HISTORY_FILE, JSON.stringify({ ts: new Date().toISOString(), uuid, event, ...details }) + '\n');
+        return true;
+    } catch {
+        // History must never break the operation that triggered it
+        return false;
+    }
+}
+
+// Filesystem UUID of a device (null if none)
+function getDeviceUUID(device) {
+    try {
+        return runner.run(`lsblk -ndo UUID ${device}`, { encoding: 'utf8' }).trim() || null;
+    } catch {
+        return null;
+    }
+}
+
+// Filesystem UUIDs of a disk and its partitions
+function getDiskUUIDs(disk) {
+    try {
+        return runner.run(`lsblk -nlo UUID ${disk}`, { encoding: 'utf8' }).split('\n').map(u => u.trim()).filter(Boolean);
+    } catch {
+        return [];
+    }
+}
+
+// Append an event for whatever filesystem is on a device
+function recordForDevice(device, event, details = {}) {
+    return record(getDeviceUUID(device), event, { device, ...details });
+}
+
+// Append an event for the filesystem holding a path (e.g. the drive a backup was written to)
+function recordForPath(file, event, details = {}) {
+    let device;
+    try {
+        device = runner.run(`findmnt -no SOURCE --target "${file}"`, { encoding: 'utf8' }).trim();
+    } catch {
+        return false;
+    }
+    return device.startsWith('/dev/') ? recordForDevice(device, event, details) : false;
+}
+
+// Append an event for every filesystem on a disk
+function recordForDisk(disk, event, details = {}) {
+    getDiskUUIDs(disk).forEach(uuid => record(uuid, event, { device: disk, ...details }));
+}
+
+// Append an event for an operation that may have replaced the filesystem (and its UUID)
+// previousUUID is the UUID read before the operation
+function recordChange(device, previousUUID, event, details = {}) {
+    const uuid = getDeviceUUID(device);
+
+    if (previousUUID && previousUUID !== uuid) {
+        record(previousUUID, event, { device, ...details, new_uuid: uuid });
+        return record(uuid, event, { device, ...details, previous_uuid: previousUUID });
+    }
+    return record(uuid, event, { device, ...details });
+}
+
+// Read every event in the history file, oldest first
+function readEvents() {
+    if (!fs.existsSync(HISTORY_FILE)) {
+        return [];
+    }
+
+    return fs.readFileSync(HISTORY_FILE, 'utf8')
+        .split('\n')
+        .filter(Boolean)
+        .map(line => {
+            try {
+                return JSON.parse(line);
+            } catch {
+                return null;
+            }
+        })
+        .filter(Boolean);
+}
+
+// Read all events for a UUID, oldest first
+function getHistory(uuid) {
+    return readEvents().filter(entry => entry.uuid === uuid);
+}
+
+// Read all events for a registered drive, including those from before it was reformatted
+function getDriveHistory(drive) {
+    const uuids = new Set([drive.uuid, ...(drive.previous_uuids || [])]);
+
+    // recordChange() logs a reformat under both UUIDs; keep only the copy under the new one
+    return readEvents().filter(entry => uuids.has(entry.uuid) && !(entry.new_uuid && uuids.has(entry.new_uuid)));
+}
+
+// One-line summary of an event's details
+function describeEvent(entry) {
+    switch (entry.event) {
+        case 'mount':
+            return entry.mountpoint || '';
+        case 'fsck':
+            return `${entry.mode}: ${entry.result}`;
+        case 'backup':
+            return `${entry.method} → ${entry.path}`;
+        case 'backup-written':
+            return `${entry.method} of ${entry.source} → ${entry.path}`;
+        case 'restore':
+            return `from ${entry.source}`;
+        case 'clone':
+            return `to ${entry.target}`;
+        case 'format':
+            return entry.fstype;
+        case 'label':
+            return `"${entry.label}"`;
+        case 'resize':
+            return entry.size;
+        case 'health': {
+            const parts = [entry.status];
+            if (entry.temperature !== null && entry.temperature !== undefined) parts.push(`${entry.temperature}°C`);
+            if (entry.wear !== null && entry.wear !== undefined) parts.push(`wear ${entry.wear}%`);
+            if (entry.power_on_hours !== null && entry.power_on_hours !== undefined) parts.push(`${entry.power_on_hours}h`);
+            return parts.join(', ');
+        }
+        default:
+            return '';
+    }
+}
+
+// Display the timeline for one registered drive
+function displayHistory(drive, events) {
+    console.log(chalk.bold(`\n${drive.label}`) + chalk.dim(` (${drive.uuid})`));
+    console.log(chalk.dim(`First seen ${new Date(drive.first_seen).toLocaleString()}, last seen ${new Date(drive.last_seen).toLocaleString()}\n`));
+
+    if (events.length === 0) {
+        console.log(chalk.yellow('No events recorded for this drive yet.\n'));
+        return;
+    }
+
+    const table = new Table({
+        head: ['Time', 'Event', 'Device', 'Details'].map(h => chalk.cyan(h)),
+        style: { head: [], border: ['dim'] }
+    });
+
+    events.forEach(entry => {
+        let detail = describeEvent(entry);
+        if (entry.previous_uuid) detail += chalk.dim(` (was ${entry.previous_uuid})`);
+        if (entry.new_uuid) detail += chalk.dim(` (now ${entry.new_uuid})`);
+
+        table.push([
+            new Date(entry.ts).toLocaleString(),
+            EVENT_LABELS[entry.event] || entry.event,
+            entry.device || '',
+            detail
+        ]);
+    });
+
+    console.log(table.toString());
+    console.log('');
+}
+
+module.exports = {
+    HISTORY_FILE,
+    record,
+    getDeviceUUID,
+    recordForDevice,
+    recordForPath,
+    recordForDisk,
+    recordChange,
+    getHistory,
+    getDriveHistory,
+    displayHistory
+};
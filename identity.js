@@ -0,0 +1,140 @@
+const os = require('os');
+const storage = require('./storage');
+const detect = require('./detect');
+const history = require('./history');
+const dryrun = require('./dryrun');
+
+// Find the record for a detected partition whose filesystem UUID is not registered:
+// same PARTUUID, or (for records saved before PARTUUIDs were) same disk and partition number
+function findReformatted(drives, part, detectedUUIDs) {
+    if (part.uuid.startsWith('NO-UUID-')) return null;
+
+    return drives.find(drive => {
+        // A record whose own filesystem is connected somewhere else was not reformatted
+        if (detectedUUIDs.has(drive.uuid)) return false;
+
+        if (part.partuuid && drive.partuuid) {
+            return drive.partuuid === part.partuuid;
+        }
+        return Boolean(part.diskId) && drive.disk === part.diskId && drive.partition === part.partition;
+    }) || null;
+}
+
+// Registry record for a detected volume: the given label, type and purpose, plus its size, device
+// and the links reconcileRecords() follows (disk ID, PARTUUID, partition number)
+function driveRecord(drive, fields) {
+    return {
+        uuid: drive.uuid,
+        ...fields,
+        size: drive.size,
+        device: drive.device,
+        disk: drive.diskId,
+        partuuid: drive.partuuid,
+        partition: drive.partition
+    };
+}
+
+// Name for a new disk record, from its model
+function diskLabel(disk) {
+    return disk.model && disk.model !== 'Unknown Model' ? disk.model.trim() : disk.name;
+}
+
+// Bring registry data in line with the detected hardware (mutates data)
+// - re-keys records whose partition was reformatted, keeping the old UUID in previous_uuids
+// - links records to their disk (disk ID, PARTUUID, partition number)
+// - adds a disk record for every detected disk holding a registered partition, or updates its hardware fields
+// Returns { reidentified: [{ label, device, uuid, previous_uuid }], linked: [labels], disksAdded: [ids], disksUpdated: [ids] }
+// (when a disk was last seen is kept by storage.updateLastSeen(), with its partitions)
+function reconcileRecords(data, detected, timestamp = new Date().toISOString()) {
+    const changes = { reidentified: [], linked: [], disksAdded: [], disksUpdated: [] };
+    const detectedUUIDs = new Set(detected.map(d => d.uuid));
+    const usedDisks = new Set();
+    data.disks = data.disks || [];
+
+    detected.filter(detect.isRegistrable).forEach(part => {
+        let drive = data.drives.find(d => d.uuid === part.uuid);
+
+        if (!drive) {
+            drive = findReformatted(data.drives, part, detectedUUIDs);
+            if (!drive) return;
+
+            changes.reidentified.push({ label: drive.label, device: part.device, uuid: part.uuid, previous_uuid: drive.uuid });
+            drive.previous_uuids = [...(drive.previous_uuids || []), drive.uuid];
+            drive.uuid = part.uuid;
+        }
+
+        const links = { disk: part.diskId, partuuid: part.partuuid, partition: part.partition };
+        let linked = false;
+        Object.entries(links).forEach(([field, value]) => {
+            if (value !== null && value !== undefined && drive[field] !== value) {
+                drive[field] = value;
+                linked = true;
+            }
+        });
+        if (linked) changes.linked.push(drive.label);
+
+        if (part.diskId) usedDisks.add(part.diskId);
+    });
+
+    detected.filter(d => d.type === 'disk' && usedDisks.has(d.diskId)).forEach(disk => {
+        let record = data.disks.find(d => d.id === disk.diskId);
+
+        if (!record) {
+            record = {
+                id: disk.diskId,
+                label: diskLabel(disk),
+                first_seen: timestamp,
+                last_seen: timestamp,
+                last_seen_on: { [os.hostname()]: timestamp }
+            };
+            data.disks.push(record);
+            changes.disksAdded.push(disk.diskId);
+        }
+
+        const fields = {
+            serial: disk.serial,
+            wwn: disk.wwn,
+            model: disk.model && disk.model !== 'Unknown Model' ? disk.model.trim() : null,
+            size: disk.size
+        };
+        let updated = false;
+        Object.entries(fields).forEach(([field, value]) => {
+            if (value && record[field] !== value) {
+                record[field] = value;
+                updated = true;
+            }
+        });
+        if (updated && !changes.disksAdded.includes(disk.diskId)) changes.disksUpdated.push(disk.diskId);
+    });
+
+    return changes;
+}
+
+// Reconcile the registry with detected devices and log re-identified drives to their history
+// (nothing is saved in dry-run mode)
+function reconcileRegistry(detected) {
+    if (dryrun.isEnabled()) {
+        return { reidentified: [], linked: [], disksAdded: [], disksUpdated: [] };
+    }
+
+    const changes = storage.updateRegistry(data => {
+        const result = reconcileRecords(data, detected);
+        // Nothing to save unless a record was re-keyed, linked, added or updated
+        return Object.values(result).some(list => list.length > 0) ? result : false;
+    });
+
+    if (!changes) {
+        return { reidentified: [], linked: [], disksAdded: [], disksUpdated: [] };
+    }
+
+    changes.reidentified.forEach(change => {
+        history.record(change.uuid, 'reidentified', { device: change.device, previous_uuid: change.previous_uuid });
+    });
+    return changes;
+}
+
+module.exports = {
+    driveRecord,
+    reconcileRecords,
+    reconcileRegistry
+};
@@ -1,45 +1,58 @@
 #!/usr/bin/env node
 
 // Handle CLI arguments
-const args = process.argv.slice(2);
-
-if (args.includes('--version') || args.includes('-v')) {
+const dryrun = require('./dryrun');
+const args = process.argv.slice(2).filter(arg => arg !== '--dry-run');
+const cli = require('./cli');
+dryrun.setEnabled(process.argv.includes('--dry-run'));
+// The command is the first argument that isn't a flag or a flag's value (dm --json list)
+const command = cli.parseArgs(args).positional[0] || null;
+
+if (!command && (args.includes('--version') || args.includes('-v'))) {
     const pkg = require('./package.json');
     console.log(`diskmgt v${pkg.version}`);
     process.exit(0);
 }
 
-if (args.includes('--help') || args.includes('-h')) {
-    const chalk = require('chalk');
-    console.log(chalk.bold('\nDiskMgt - Smart Drive Manager for Raspberry Pi\n'));
-    console.log('Usage: diskmgt [options]\n');
-    console.log('Options:');
-    console.log('  --version, -v     Show version number');
-    console.log('  --help, -h        Show this help message');
-    console.log('  --health          Show drive health dashboard');
-    console.log('\nWithout arguments, launches interactive menu.\n');
-    console.log('GitHub: https://github.com/nfodor/diskmgt\n');
+if (!command && (args.includes('--help') || args.includes('-h'))) {
+    cli.printUsage();
     process.exit(0);
 }
 
-if (args.includes('--health')) {
-    const health = require('./health');
-    health.displayHealthDashboard();
+if (!command && args.includes('--health')) {
+    if (args.includes('--json')) {
+        const report = require('./report');
+        report.printJson(report.buildHealthReport());
+    } else {
+        const health = require('./health');
+        health.displayHealthDashboard();
+    }
     process.exit(0);
 }
 
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const inquirer = require('inquirer');
 const storage = require('./storage');
 const detect = require('./detect');
 const display = require('./display');
 const maintenance = require('./maintenance');
 const diskinfo = require('./diskinfo');
+const usbinfo = require('./usbinfo');
 const autoregister = require('./autoregister');
 const partitiontools = require('./partitiontools');
 const backup = require('./backup');
 const claudeHelper = require('./claude-helper');
 const btrfsConvert = require('./btrfs-convert');
 const qemuBoot = require('./qemu-boot');
+const search = require('./search');
+const playbook = require('./playbook');
+const history = require('./history');
+const registryIO = require('./registry-io');
+const identity = require('./identity');
+const stale = require('./stale');
+const labels = require('./labels');
 
 // Configure AI features
 async function configureAI() {
@@ -144,8 +157,12 @@ async function showHelp() {
         '• Add/register      - Manual or auto by content\n' +
         '• Edit info         - Update labels, types, purpose\n' +
         '• Remove drive      - Remove from tracking\n' +
+        '• Stale drives      - Unseen drives, backup rotation\n' +
         '• Search drives     - AI semantic or basic text\n' +
-        '• Export list       - Export all drive data\n\n' +
+        '• Export list       - Screen, JSON, CSV, Markdown, HTML\n' +
+        '• Import list       - Merge a JSON/CSV export by UUID\n' +
+        '• Drive labels      - QR code sticker sheets\n' +
+        '• Look up drive     - Scan a sticker, see its card\n\n' +
         chalk.bold('AI FEATURES:\n') +
         '• Semantic search   - Natural language queries\n' +
         '  "lxc", "backup", "big drives", "mounted"\n' +
@@ -198,9 +215,19 @@ async function showHelp() {
         chalk.bold('STORAGE:\n') +
         '~/.config/diskmgt/drives.json\n' +
         '~/.config/diskmgt/backup-config.json\n' +
+        '~/.config/diskmgt/daemon-config.json\n' +
+        '~/.config/diskmgt/sync-config.json\n' +
+        '~/.config/diskmgt/stale-config.json\n' +
+        '~/.config/diskmgt/history.jsonl\n' +
         '~/.config/diskmgt/config.json (AI key)\n\n' +
         chalk.bold('USAGE:\n') +
-        'diskmgt  or  dm  (with alias)',
+        'diskmgt  or  dm  (with alias)\n' +
+        'dm <command> --help  - Scripting (dm --help)\n' +
+        'dm --dry-run         - Preview commands, change nothing\n' +
+        'dm dashboard         - Full-screen live view\n' +
+        'dm daemon            - Track attach/detach events\n' +
+        'dm playbook <file>   - Multi-step disk jobs (YAML/JSON)\n' +
+        'dm fixtures <file>   - Record probe output for bug reports',
         { padding: 1, borderColor: 'cyan', margin: 1 }
     ));
 
@@ -219,16 +246,24 @@ async function mainMenu() {
         { name: 'Add/register a drive', value: 'add' },
         { name: 'Edit drive info', value: 'edit' },
         { name: 'Remove drive from tracking', value: 'remove' },
+        { name: 'Drive history', value: 'history' },
+        { name: 'Stale drives & backup rotation', value: 'stale' },
         { name: 'Search drives', value: 'search' },
         { name: 'Export drive list', value: 'export' },
+        { name: 'Import drive list', value: 'import' },
+        { name: 'Print drive labels (QR stickers)', value: 'labels' },
+        { name: 'Look up a drive (scan its QR code)', value: 'lookup' },
         new inquirer.Separator(),
         { name: 'Backup & Restore', value: 'backup' },
         { name: 'Disk Maintenance & Health', value: 'maintenance' },
         { name: '🔄 BTRFS Conversion (ext4 → BTRFS)', value: 'btrfs' },
+        { name: '📜 Run a playbook (multi-step disk job)', value: 'playbook' },
         { name: '💊 Drive Health Dashboard', value: 'health' },
+        { name: '🖥️  Full-screen live dashboard', value: 'dashboard' },
         { name: '🚀 Boot Raspberry Pi drive in QEMU', value: 'qemu' },
         new inquirer.Separator(),
         { name: '⚙️  Configure AI features', value: 'configure' },
+        { name: `🧪 Dry-run mode: ${dryrun.isEnabled() ? 'ON' : 'OFF'}`, value: 'dryrun' },
         new inquirer.Separator(),
         { name: 'Exit', value: 'exit' }
     ];
@@ -261,12 +296,27 @@ async function mainMenu() {
         case 'remove':
             await removeDrive();
             break;
+        case 'history':
+            await showDriveHistory();
+            break;
+        case 'stale':
+            await showStaleDrives();
+            break;
         case 'search':
             await searchDrives();
             break;
         case 'export':
             await exportDrives();
             break;
+        case 'import':
+            await importDrives();
+            break;
+        case 'labels':
+            await printLabels();
+            break;
+        case 'lookup':
+            await lookupDrive();
+            break;
         case 'backup':
             await backupRestoreMenu();
             break;
@@ -276,22 +326,37 @@ async function mainMenu() {
         case 'btrfs':
             await btrfsMenu();
             break;
+        case 'playbook':
+            await runPlaybookMenu();
+            break;
         case 'health':
             const health = require('./health');
             health.displayHealthDashboard();
             await inquirer.prompt([{ type: 'input', name: 'continue', message: 'Press Enter to continue...' }]);
             break;
+        case 'dashboard':
+            await require('./dashboard').openDashboard();
+            break;
         case 'qemu':
             await qemuBootMenu();
             break;
         case 'configure':
             await configureAI();
             break;
+        case 'dryrun':
+            dryrun.setEnabled(!dryrun.isEnabled());
+            break;
         case 'exit':
             console.log('\nGoodbye!\n');
             process.exit(0);
     }
 
+    // Show what a dry run would have done before the screen is cleared
+    if (dryrun.getPlan().length > 0) {
+        dryrun.displayPlan();
+        await inquirer.prompt([{ type: 'input', name: 'continue', message: 'Press Enter to continue...' }]);
+    }
+
     // Return to main menu
     await mainMenu();
 }
@@ -301,6 +366,7 @@ async function showDrives() {
     display.displayHeader('All Drives');
 
     const detected = detect.detectDrives();
+    identity.reconcileRegistry(detected);
     const known = storage.getAllDrives();
 
     // Update last_seen for connected drives
@@ -311,6 +377,7 @@ async function showDrives() {
     });
 
     display.displayDriveList(detected, known);
+    display.displayDiskTree(storage.getAllDisks(), known, detected);
 
     console.log('\n');
     display.displayDetectedDrives(detected);
@@ -385,6 +452,11 @@ async function showDetailedDiskInfo() {
     const chalk = require('chalk');
     const actionChoices = [];
 
+    if (info.usb) {
+        const warnings = info.usb.warnings.length > 0 ? chalk.red(` (${info.usb.warnings.length} warning(s))`) : '';
+        actionChoices.push({ name: `🔌 USB topology & power${warnings}`, value: 'usb' });
+    }
+
     if (qemuBoot.isAvailable()) {
         actionChoices.push({ name: '🚀 Boot this drive in QEMU (test without mounting)', value: 'qemu' });
         actionChoices.push(new inquirer.Separator());
@@ -401,6 +473,9 @@ async function showDetailedDiskInfo() {
 
     if (action === 'qemu') {
         await qemuBoot.bootInQemu(selectedDisk);
+    } else if (action === 'usb') {
+        usbinfo.displayUsbInfo(info.usb, usbinfo.getPowerStatus());
+        await inquirer.prompt([{ type: 'input', name: 'continue', message: 'Press Enter to return...' }]);
     }
 }
 
@@ -412,9 +487,9 @@ async function addDrive() {
     const known = storage.getAllDrives();
     const knownUUIDs = new Set(known.map(d => d.uuid));
 
-    // Only show partitions (not whole disks) to avoid confusion
-    const partitions = detected.filter(d => d.type === 'part');
-    const unregistered = partitions.filter(d => !knownUUIDs.has(d.uuid));
+    // Only show partitions and volumes (not whole disks or LUKS/LVM/RAID members) to avoid confusion
+    const volumes = detected.filter(detect.isRegistrable);
+    const unregistered = volumes.filter(d => !knownUUIDs.has(d.uuid));
 
     if (unregistered.length === 0) {
         display.displayInfo('All detected drives are already registered.');
@@ -535,14 +610,11 @@ async function addDrive() {
         }
     ]);
 
-    const driveData = {
-        uuid: selectedDrive.uuid,
+    const driveData = identity.driveRecord(selectedDrive, {
         label: answers.label,
-        size: selectedDrive.size,
         type: answers.type,
-        purpose: answers.purpose,
-        device: selectedDrive.device
-    };
+        purpose: answers.purpose
+    });
 
     if (storage.addDrive(driveData)) {
         display.displaySuccess(`Drive "${answers.label}" registered successfully!`);
@@ -595,6 +667,8 @@ async function editDrive() {
                 { name: 'Label', value: 'label' },
                 { name: 'Type', value: 'type' },
                 { name: 'Purpose', value: 'purpose' },
+                { name: 'Tags', value: 'tags' },
+                { name: 'Custom fields', value: 'custom' },
                 new inquirer.Separator(),
                 { name: 'Cancel', value: null }
             ]
@@ -605,7 +679,20 @@ async function editDrive() {
 
     let newValue;
 
-    if (field === 'type') {
+    if (field === 'custom') {
+        newValue = await editCustomFields(selectedDrive.custom || {});
+        if (!newValue) return;
+    } else if (field === 'tags') {
+        const answer = await inquirer.prompt([
+            {
+                type: 'input',
+                name: 'value',
+                message: 'Tags (comma-separated):',
+                default: (selectedDrive.tags || []).join(', ')
+            }
+        ]);
+        newValue = storage.normalizeTags(answer.value.split(','));
+    } else if (field === 'type') {
         const answer = await inquirer.prompt([
             {
                 type: 'list',
@@ -636,6 +723,126 @@ async function editDrive() {
     await inquirer.prompt([{ type: 'input', name: 'continue', message: 'Press Enter to continue...' }]);
 }
 
+// Suggested custom field names offered when adding a field
+const CUSTOM_FIELD_SUGGESTIONS = ['owner', 'project', 'location', 'purchase_date', 'warranty_expiry', 'rotation_days'];
+
+// Add, change or remove one custom field; resolves to the new fields (null if cancelled)
+async function editCustomFields(custom) {
+    const { name } = await inquirer.prompt([
+        {
+            type: 'list',
+            name: 'name',
+            message: 'Select a field:',
+            choices: [
+                ...Object.entries(custom).map(([n, value]) => ({ name: `${n}: ${value}`, value: n })),
+                { name: '➕ Add a field', value: '__add' },
+                new inquirer.Separator(),
+                { name: 'Cancel', value: null }
+            ]
+        }
+    ]);
+
+    if (!name) return null;
+
+    let fieldName = name;
+    if (name === '__add') {
+        const unused = CUSTOM_FIELD_SUGGESTIONS.filter(n => custom[n] === undefined);
+        const { suggestion } = await inquirer.prompt([
+            {
+                type: 'list',
+                name: 'suggestion',
+                message: 'Field name:',
+                choices: [...unused, { name: 'Other...', value: null }]
+            }
+        ]);
+
+        fieldName = suggestion;
+        if (!fieldName) {
+            const answer = await inquirer.prompt([
+                {
+                    type: 'input',
+                    name: 'name',
+                    message: 'Field name (letters, digits, _ and -):',
+                    validate: input => storage.CUSTOM_FIELD_NAME.test(input.trim()) || 'Use letters, digits, _ and - only'
+                }
+            ]);
+            fieldName = answer.name.trim();
+        }
+    }
+
+    const { value } = await inquirer.prompt([
+        {
+            type: 'input',
+            name: 'value',
+            message: `Value for ${fieldName} (empty to remove):`,
+            default: custom[fieldName]
+        }
+    ]);
+
+    const updated = { ...custom };
+    if (value.trim()) {
+        updated[fieldName] = value.trim();
+    } else {
+        delete updated[fieldName];
+    }
+    return updated;
+}
+
+// Show the event timeline of a registered drive
+async function showDriveHistory() {
+    display.displayHeader('Drive History');
+
+    const known = storage.getAllDrives();
+
+    if (known.length === 0) {
+        display.displayInfo('No drives registered yet.');
+        await inquirer.prompt([{ type: 'input', name: 'continue', message: 'Press Enter to continue...' }]);
+        return;
+    }
+
+    const choices = known.map(d => ({
+        name: `${d.label} (${d.size})`,
+        value: d
+    }));
+
+    choices.push(new inquirer.Separator());
+    choices.push({ name: 'Cancel', value: null });
+
+    const { selectedDrive } = await inquirer.prompt([
+        {
+            type: 'list',
+            name: 'selectedDrive',
+            message: 'Select drive:',
+            choices
+        }
+    ]);
+
+    if (!selectedDrive) return;
+
+    history.displayHistory(selectedDrive, history.getDriveHistory(selectedDrive));
+
+    await inquirer.prompt([{ type: 'input', name: 'continue', message: 'Press Enter to continue...' }]);
+}
+
+// Stale drives report
+async function showStaleDrives() {
+    display.displayHeader('Stale Drives');
+
+    // Connected drives are never stale
+    const detected = detect.detectDrives();
+    identity.reconcileRegistry(detected);
+    detected.forEach(d => {
+        if (storage.getDriveByUUID(d.uuid)) {
+            storage.updateLastSeen(d.uuid);
+        }
+    });
+
+    const config = stale.getStaleConfig();
+    stale.displayStaleReport(stale.findStaleDrives(storage.getAllDrives(), new Set(detected.map(d => d.uuid)), config), config);
+
+    await inquirer.prompt([{ type: 'input', name: 'continue', message: 'Press Enter to continue...' }]);
+}
+
 // Remove drive
 async function removeDrive() {
     display.displayHeader('Remove Drive');
@@ -695,7 +902,7 @@ async function searchDrives() {
         {
             type: 'input',
             name: 'query',
-            message: 'Enter search term (label, type, or purpose):'
+            message: 'Enter search term (label, type, purpose, tag, or field:value):'
         }
     ]);
 
@@ -727,8 +934,7 @@ async function searchDrives() {
         try {
             console.log(chalk.dim('\n  Analyzing with AI...'));
 
-            const matchingUUIDs = await claudeHelper.semanticSearch(query, known);
-            results = known.filter(d => matchingUUIDs.includes(d.uuid));
+            results = await search.aiSearch(query, known);
 
             console.log(chalk.green('  ✓ AI search completed\n'));
         } catch (err) {
@@ -740,24 +946,7 @@ async function searchDrives() {
 
     if (!useAI) {
         // Basic search with hardcoded aliases
-        const queryLower = query.toLowerCase();
-
-        results = known.filter(d => {
-            const searchText = `${d.label} ${d.type} ${d.purpose} ${d.device}`.toLowerCase();
-
-            // Check direct match
-            if (searchText.includes(queryLower)) return true;
-
-            // Handle common aliases
-            if (queryLower === 'lxc' && searchText.includes('lxd')) return true;
-            if (queryLower === 'lxd' && searchText.includes('lxc')) return true;
-            if (queryLower === 'container' && searchText.includes('lxd')) return true;
-            if (queryLower === 'os' && searchText.includes('operating system')) return true;
-            if (queryLower === 'system' && searchText.includes('operating system')) return true;
-            if (queryLower === 'root' && searchText.includes('root-system')) return true;
-
-            return false;
-        });
+        results = search.basicSearch(query, known);
     }
 
     if (results.length === 0) {
@@ -782,19 +971,143 @@ async function exportDrives() {
         return;
     }
 
-    console.log('');
-    known.forEach(d => {
-        console.log(`Label: ${d.label}`);
-        console.log(`UUID: ${d.uuid}`);
-        console.log(`Size: ${d.size}`);
-        console.log(`Type: ${d.type}`);
-        console.log(`Purpose: ${d.purpose || 'Not specified'}`);
-        console.log(`First Seen: ${new Date(d.first_seen).toLocaleString()}`);
-        console.log(`Last Seen: ${new Date(d.last_seen).toLocaleString()}`);
-        console.log('─'.repeat(50));
-    });
+    const { format } = await inquirer.prompt([
+        {
+            type: 'list',
+            name: 'format',
+            message: 'Export as:',
+            choices: [
+                { name: 'Show on screen', value: 'text' },
+                { name: 'JSON (can be imported)', value: 'json' },
+                { name: 'CSV (can be imported)', value: 'csv' },
+                { name: 'Markdown table', value: 'md' },
+                { name: 'HTML report', value: 'html' }
+            ]
+        }
+    ]);
+
+    if (format === 'text') {
+        display.displayDriveExport(known);
+        display.displaySuccess(`Exported ${known.length} drive(s).`);
+    } else {
+        const { file } = await inquirer.prompt([
+            {
+                type: 'input',
+                name: 'file',
+                message: 'Save to:',
+                default: path.join(os.homedir(), `diskmgt-drives.${format}`)
+            }
+        ]);
+
+        try {
+            fs.writeFileSync(file, registryIO.exportDrives(known, format));
+            display.displaySuccess(`Exported ${known.length} drive(s) to ${file}`);
+        } catch (err) {
+            display.displayError(`Export failed: ${err.message}`);
+        }
+    }
+
+    await inquirer.prompt([{ type: 'input', name: 'continue', message: 'Press Enter to continue...' }]);
+}
+
+// Write QR code sticker sheets for registered drives
+async function printLabels() {
+    display.displayHeader('Drive Labels');
+
+    const known = storage.getAllDrives();
+
+    if (known.length === 0) {
+        display.displayInfo('No drives registered yet.');
+        await inquirer.prompt([{ type: 'input', name: 'continue', message: 'Press Enter to continue...' }]);
+        return;
+    }
+
+    const answers = await inquirer.prompt([
+        {
+            type: 'checkbox',
+            name: 'drives',
+            message: 'Drives to label:',
+            choices: known.map(d => ({ name: `${d.label} (${d.size})`, value: d, checked: true })),
+            validate: input => input.length > 0 || 'Select at least one drive'
+        },
+        {
+            type: 'list',
+            name: 'format',
+            message: 'Format:',
+            choices: [
+                { name: 'HTML sticker sheets (print or save as PDF from a browser)', value: 'html' },
+                { name: 'SVG', value: 'svg' }
+            ]
+        }
+    ]);
+
+    const { file } = await inquirer.prompt([
+        {
+            type: 'input',
+            name: 'file',
+            message: 'Save to:',
+            default: path.join(os.homedir(), `diskmgt-labels.${answers.format}`)
+        }
+    ]);
+
+    try {
+        fs.writeFileSync(file, labels.renderLabels(answers.drives, answers.format));
+        display.displaySuccess(`Wrote ${answers.drives.length} label(s) on ${Math.ceil(answers.drives.length / labels.PER_SHEET)} A4 sheet(s) to ${file}`);
+    } catch (err) {
+        display.displayError(`Writing labels failed: ${err.message}`);
+    }
+
+    await inquirer.prompt([{ type: 'input', name: 'continue', message: 'Press Enter to continue...' }]);
+}
+
+// Show the registry card for a scanned QR code or typed UUID
+async function lookupDrive() {
+    display.displayHeader('Look Up Drive');
+
+    const { code } = await inquirer.prompt([{ type: 'input', name: 'code', message: 'Scan the QR code or type a UUID:' }]);
+    const drive = labels.findDriveByCode(storage.getAllDrives(), code);
+
+    if (drive) {
+        display.displayDriveDetails(drive);
+    } else if (code.trim()) {
+        display.displayError(`No registered drive has UUID "${code.trim()}"`);
+    }
+
+    await inquirer.prompt([{ type: 'input', name: 'continue', message: 'Press Enter to continue...' }]);
+}
+
+// Import drives from a JSON or CSV export, merging by UUID
+async function importDrives() {
+    display.displayHeader('Import Drives');
+
+    const { file } = await inquirer.prompt([
+        {
+            type: 'input',
+            name: 'file',
+            message: 'File to import (.json or .csv):',
+            validate: input => fs.existsSync(input.trim()) || 'File not found'
+        }
+    ]);
+
+    try {
+        const records = registryIO.readImportFile(file.trim());
+        const plan = registryIO.planImport(storage.getAllDrives(), records);
+        const labels = await registryIO.resolveLabelClashes(plan.clashes, file.trim());
+
+        registryIO.displayImportSummary(plan, true);
+
+        const { proceed } = await inquirer.prompt([
+            { type: 'confirm', name: 'proceed', message: 'Apply these changes?', default: true }
+        ]);
+
+        if (proceed && !dryrun.isEnabled()) {
+            const applied = registryIO.applyImport(records, labels);
+            display.displaySuccess(`Added ${applied.added.length}, merged ${applied.updated.length} drive(s)`);
+        }
+    } catch (err) {
+        display.displayError(`Import failed: ${err.message}`);
+    }
 
-    display.displaySuccess(`Exported ${known.length} drive(s).`);
     await inquirer.prompt([{ type: 'input', name: 'continue', message: 'Press Enter to continue...' }]);
 }
 
@@ -843,7 +1156,7 @@ async function maintenanceMenu() {
 
         // Add unmounted devices for fsck and smart
         if (action === 'fsck' || action === 'smart') {
-            detected.filter(d => d.mountpoint === 'not mounted' && d.type === 'part').forEach(d => {
+            detected.filter(d => d.mountpoint === 'not mounted' && detect.isVolume(d)).forEach(d => {
                 targets.push({
                     name: `${d.name} (${d.size}) - unmounted`,
                     mountpoint: null,
@@ -955,7 +1268,7 @@ async function backupRestoreMenu() {
 // Perform backup
 async function performBackup() {
     const detected = detect.detectDrives();
-    const partitions = detected.filter(d => d.type === 'part');
+    const partitions = detected.filter(detect.isVolume);
 
     if (partitions.length === 0) {
         display.displayInfo('No partitions found to backup.');
@@ -1091,7 +1404,7 @@ async function performRestore() {
 
     // Select target partition
     const detected = detect.detectDrives();
-    const partitions = detected.filter(d => d.type === 'part');
+    const partitions = detected.filter(detect.isVolume);
 
     const choices = partitions.map(p => ({
         name: `${p.name} (${p.size}) - ${p.mountpoint} [${p.fstype}]`,
@@ -1117,10 +1430,8 @@ async function performRestore() {
 async function managePartition(detected) {
     display.displayHeader('Partition Management');
 
-    const chalk = require('chalk');
-
-    // Get only partitions
-    const partitions = detected.filter(d => d.type === 'part');
+    // Get partitions and stacked volumes (LUKS, LVM, RAID, loop)
+    const partitions = detected.filter(detect.isVolume);
 
     if (partitions.length === 0) {
         display.displayInfo('No partitions detected.');
@@ -1145,110 +1456,45 @@ async function managePartition(detected) {
 
     if (!partition) return;
 
-    // Partition tools menu
-    const isMounted = partition.mountpoint !== 'not mounted';
-
-    const toolChoices = [
-        { name: `${chalk.blue('ℹ')}  View partition details`, value: 'details' },
-        new inquirer.Separator('─── Mount Operations ───'),
-        isMounted
-            ? { name: `${chalk.yellow('⏏')}  Unmount partition`, value: 'unmount' }
-            : { name: `${chalk.green('📌')} Mount partition`, value: 'mount' },
-        new inquirer.Separator('─── Recovery & Maintenance ───'),
-        { name: `${chalk.cyan('🔍')} Check filesystem (read-only)`, value: 'fsck_ro' },
-        { name: `${chalk.red('🔧')} Repair filesystem`, value: 'fsck_repair' },
-        { name: `${chalk.green('💾')} Backup partition to image`, value: 'backup' },
-        new inquirer.Separator('─── Modification (DANGEROUS) ───'),
-        { name: `${chalk.magenta('🏷️')}  Set partition label`, value: 'label' },
-        { name: `${chalk.yellow('📏')} Resize partition`, value: 'resize' },
-        { name: `${chalk.red('⚠️')}  Format partition (ERASE ALL DATA)`, value: 'format' },
-        { name: `${chalk.red('📋')} Clone to another partition`, value: 'clone' },
-        new inquirer.Separator(),
-        { name: 'Back', value: 'back' }
-    ];
-
-    const { tool } = await inquirer.prompt([{
-        type: 'list',
-        name: 'tool',
-        message: `Partition ${partition.name} - Select tool:`,
-        choices: toolChoices,
-        pageSize: 20
-    }]);
-
-    if (tool === 'back') return;
-
-    // Execute selected tool
-    switch (tool) {
-        case 'details':
-            const info = diskinfo.getDetailedDiskInfo(partition.device);
-            diskinfo.displayDetailedDiskInfo(info);
-            break;
-
-        case 'mount':
-            await partitiontools.mountPartition(partition.device);
-            break;
-
-        case 'unmount':
-            await partitiontools.unmountPartition(partition.device);
-            break;
-
-        case 'fsck_ro':
-            await partitiontools.checkFilesystem(partition.device, partition.fstype, true);
-            break;
-
-        case 'fsck_repair':
-            if (isMounted) {
-                display.displayError('Partition must be unmounted before repair.');
-            } else {
-                await partitiontools.checkFilesystem(partition.device, partition.fstype, false);
-            }
-            break;
+    await partitiontools.partitionToolsMenu(partition, partitions);
+}
 
-        case 'backup':
-            await partitiontools.backupPartition(partition.device);
-            break;
+// Run a playbook file
+async function runPlaybookMenu() {
+    display.displayHeader('Run Playbook');
 
-        case 'label':
-            await partitiontools.setPartitionLabel(partition.device, partition.fstype);
-            break;
-
-        case 'resize':
-            if (isMounted) {
-                display.displayError('Partition must be unmounted before resizing.');
-            } else {
-                await partitiontools.resizePartition(partition.device, partition.fstype);
-            }
-            break;
+    const { file } = await inquirer.prompt([{
+        type: 'input',
+        name: 'file',
+        message: 'Playbook file (YAML or JSON):'
+    }]);
 
-        case 'format':
-            if (isMounted) {
-                display.displayError('Partition must be unmounted before formatting.');
-            } else {
-                await partitiontools.formatPartition(partition.device);
-            }
-            break;
+    if (!file) return;
 
-        case 'clone':
-            const targetChoices = partitions
-                .filter(p => p.device !== partition.device)
-                .map(p => ({
-                    name: `${p.name} (${p.size}) - ${p.mountpoint}`,
-                    value: p.device
-                }));
+    let book;
+    try {
+        book = playbook.loadPlaybook(file);
+    } catch (err) {
+        display.displayError(err.message);
+        await inquirer.prompt([{ type: 'input', name: 'continue', message: 'Press Enter to continue...' }]);
+        return;
+    }
 
-            targetChoices.push({ name: 'Cancel', value: null });
+    console.log(`\n  ${book.name}\n`);
+    book.steps.forEach((step, index) => {
+        console.log(`  ${index + 1}. ${step.action.padEnd(14)} ${playbook.describeTarget(step.target)}`);
+    });
+    console.log('');
 
-            const { target } = await inquirer.prompt([{
-                type: 'list',
-                name: 'target',
-                message: 'Select target partition:',
-                choices: targetChoices
-            }]);
+    const { confirm } = await inquirer.prompt([{
+        type: 'confirm',
+        name: 'confirm',
+        message: playbook.isDestructive(book) ? 'This playbook formats or converts drives. Run it?' : 'Run this playbook?',
+        default: false
+    }]);
 
-            if (target) {
-                await partitiontools.clonePartition(partition.device, target);
-            }
-            break;
+    if (confirm) {
+        playbook.displayReport(await playbook.runPlaybook(book));
     }
 
     await inquirer.prompt([{ type: 'input', name: 'continue', message: 'Press Enter to continue...' }]);
@@ -1268,7 +1514,7 @@ async function btrfsMenu() {
     }
 
     const detected = detect.detectDrives();
-    const partitions = detected.filter(d => d.type === 'part' && d.fstype);
+    const partitions = detected.filter(d => detect.isVolume(d) && d.fstype);
 
     if (partitions.length === 0) {
         display.displayInfo('No partitions detected.');
@@ -1405,7 +1651,11 @@ async function qemuBootMenu() {
 }
 
 // Start the application
-mainMenu().catch(err => {
-    console.error('Error:', err);
-    process.exit(1);
-});
+if (command) {
+    cli.runCommand(args).then(code => process.exit(code));
+} else {
+    mainMenu().catch(err => {
+        console.error('Error:', err);
+        process.exit(1);
+    });
+}
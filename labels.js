@@ -0,0 +1,181 @@
+const path = require('path');
+const QRCode = require('qrcode');
+const storage = require('./storage');
+const { escapeHtml } = require('./registry-io');
+
+// Formats a sticker sheet can be written as
+const LABEL_FORMATS = ['svg', 'html'];
+
+// Sticker sheet layout in mm: A4 with 2 x 7 stickers of 99.1 x 38.1 (Avery L7163 and compatibles)
+const SHEET = {
+    width: 210,
+    height: 297,
+    columns: 2,
+    rows: 7,
+    stickerWidth: 99.1,
+    stickerHeight: 38.1,
+    left: 4.65,
+    top: 15.15,
+    gap: 2.5
+};
+
+const PER_SHEET = SHEET.columns * SHEET.rows;
+
+// Guess a label format from a file extension (null if unknown)
+function formatFromPath(file) {
+    const ext = path.extname(file).toLowerCase().slice(1);
+    const format = ext === 'htm' ? 'html' : ext;
+    return LABEL_FORMATS.includes(format) ? format : null;
+}
+
+// Shorten text to fit on a sticker
+function fit(text, max) {
+    const value = String(text || '');
+    return value.length > max ? `${value.slice(0, max - 1)}…` : value;
+}
+
+// What goes on a drive's sticker; the serial comes from its disk record (or the disk ID itself)
+function stickerInfo(drive) {
+    let serial = null;
+    if (drive.disk) {
+        const disk = storage.getDiskById(drive.disk);
+        serial = disk && disk.serial ? disk.serial : (drive.disk.startsWith('serial:') ? drive.disk.slice(7) : null);
+    }
+
+    return {
+        label: drive.label,
+        purpose: drive.purpose || '',
+        size: drive.size || '',
+        uuid: drive.uuid,
+        serial
+    };
+}
+
+// QR code for text as an SVG element of the given size, one path for all dark modules
+function qrSvg(text, x, y, size) {
+    const { modules } = QRCode.create(text, { errorCorrectionLevel: 'M' });
+    const n = modules.size;
+    const runs = [];
+
+    for (let row = 0; row < n; row++) {
+        let col = 0;
+        while (col < n) {
+            if (!modules.get(row, col)) {
+                col++;
+                continue;
+            }
+            const start = col;
+            while (col < n && modules.get(row, col)) col++;
+            runs.push(`M${start} ${row}h${col - start}v1h-${col - start}z`);
+        }
+    }
+
+    // Two modules of white quiet zone around the code
+    return `<svg x="${x}" y="${y}" width="${size}" height="${size}" viewBox="-2 -2 ${n + 4} ${n + 4}" shape-rendering="crispEdges">` +
+        `<rect x="-2" y="-2" width="${n + 4}" height="${n + 4}" fill="#fff"/>` +
+        `<path d="${runs.join('')}" fill="#000"/></svg>`;
+}
+
+// One sticker with its top-left corner at (x, y)
+function renderSticker(info, x, y) {
+    const h = SHEET.stickerHeight;
+    const qrSize = h - 6;
+    const textX = x + qrSize + 6;
+    const line = (dy, size, text, extra = '') =>
+        `<text x="${textX.toFixed(2)}" y="${(y + dy).toFixed(2)}" font-size="${size}"${extra}>${escapeHtml(text)}</text>`;
+
+    return [
+        `<rect x="${x.toFixed(2)}" y="${y.toFixed(2)}" width="${SHEET.stickerWidth}" height="${h}" rx="2" fill="none" stroke="#ccc" stroke-width="0.2"/>`,
+        qrSvg(info.uuid, (x + 3).toFixed(2), (y + 3).toFixed(2), qrSize),
+        line(9, 5, fit(info.label, 18), ' font-weight="bold"'),
+        line(15, 3.2, fit(info.purpose, 32)),
+        line(20, 3.2, info.size),
+        line(28, 2.2, info.uuid, ' font-family="monospace"'),
+        info.serial ? line(32, 2.2, `S/N ${fit(info.serial, 32)}`, ' font-family="monospace"') : ''
+    ].join('');
+}
+
+// Stickers for one A4 sheet, as SVG elements in mm
+function renderSheet(infos) {
+    return infos.map((info, index) => {
+        const column = index % SHEET.columns;
+        const row = Math.floor(index / SHEET.columns);
+        return renderSticker(
+            info,
+            SHEET.left + column * (SHEET.stickerWidth + SHEET.gap),
+            SHEET.top + row * SHEET.stickerHeight
+        );
+    }).join('\n');
+}
+
+// Split sticker infos into sheets
+function sheets(drives) {
+    const infos = drives.map(stickerInfo);
+    const pages = [];
+    for (let i = 0; i < infos.length; i += PER_SHEET) {
+        pages.push(infos.slice(i, i + PER_SHEET));
+    }
+    return pages;
+}
+
+// Sticker sheets for drives: one SVG with the A4 sheets stacked, or an HTML page that prints one sheet per page
+function renderLabels(drives, format) {
+    const pages = sheets(drives);
+    const svgOpen = (width, height) =>
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${width}mm" height="${height}mm" viewBox="0 0 ${width} ${height}" font-family="sans-serif" fill="#000">`;
+
+    switch (format) {
+        case 'svg':
+            return [
+                '<?xml version="1.0" encoding="UTF-8"?>',
+                svgOpen(SHEET.width, SHEET.height * pages.length),
+                ...pages.map((page, i) => `<g transform="translate(0 ${i * SHEET.height})">\n${renderSheet(page)}\n</g>`),
+                '</svg>'
+            ].join('\n') + '\n';
+        case 'html':
+            return [
+                '<!DOCTYPE html>',
+                '<html lang="en">',
+                '<head>',
+                '<meta charset="utf-8">',
+                `<title>DiskMgt drive labels (${drives.length})</title>`,
+                '<style>',
+                '@page { size: A4; margin: 0; }',
+                'body { margin: 0; }',
+                'svg { display: block; page-break-after: always; }',
+                '</style>',
+                '</head>',
+                '<body>',
+                ...pages.map(page => `${svgOpen(SHEET.width, SHEET.height)}\n${renderSheet(page)}\n</svg>`),
+                '</body>',
+                '</html>'
+            ].join('\n') + '\n';
+        default:
+            throw new Error(`Unknown label format "${format}" (use ${LABEL_FORMATS.join(', ')})`);
+    }
+}
+
+// Find the drive a scanned or typed code refers to: its UUID, a UUID it had before a reformat,
+// or an unambiguous start of one (at least 4 characters)
+function findDriveByCode(drives, code) {
+    const wanted = String(code).trim().toLowerCase();
+    if (!wanted) return null;
+
+    const uuids = drive => [drive.uuid, ...(drive.previous_uuids || [])].map(uuid => String(uuid).toLowerCase());
+
+    const exact = drives.find(drive => uuids(drive).includes(wanted));
+    if (exact) return exact;
+
+    if (wanted.length < 4) return null;
+    const partial = drives.filter(drive => uuids(drive).some(uuid => uuid.startsWith(wanted)));
+    return partial.length === 1 ? partial[0] : null;
+}
+
+module.exports = {
+    LABEL_FORMATS,
+    PER_SHEET,
+    formatFromPath,
+    stickerInfo,
+    renderLabels,
+    findDriveByCode
+};
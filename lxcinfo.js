@@ -1,7 +1,7 @@
-const { execSync } = require('child_process');
 const fs = require('fs');
 const path = require('path');
 const chalk = require('chalk');
+const runner = require('./runner');
 
 // Detect if a mount point is used for LXD storage
 function detectLXDStorage(mountpoint) {
@@ -36,7 +36,7 @@ function detectLXDStorage(mountpoint) {
 
     try {
         // Get LXD storage pools
-        const poolsOutput = execSync('lxc storage list --format csv 2>/dev/null || true', { encoding: 'utf8' });
+        const poolsOutput = runner.run('lxc storage list --format csv 2>/dev/null || true', { encoding: 'utf8' });
 
         if (poolsOutput.trim()) {
             const lines = poolsOutput.trim().split('\n');
@@ -57,7 +57,7 @@ function detectLXDStorage(mountpoint) {
         }
 
         // Get LXD containers
-        const containersOutput = execSync('lxc list --format csv -c ns 2>/dev/null || true', { encoding: 'utf8' });
+        const containersOutput = runner.run('lxc list --format csv -c ns 2>/dev/null || true', { encoding: 'utf8' });
 
         if (containersOutput.trim()) {
             const lines = containersOutput.trim().split('\n');
@@ -67,7 +67,7 @@ function detectLXDStorage(mountpoint) {
                 if (name && status) {
                     // Try to get container info
                     try {
-                        const containerInfo = execSync(`lxc config device show ${name} 2>/dev/null || echo ""`, { encoding: 'utf8' });
+                        const containerInfo = runner.run(`lxc config device show ${name} 2>/dev/null || echo ""`, { encoding: 'utf8' });
 
                         // Check if container uses storage from this pool
                         const usesThisStorage = lxdInfo.pools.some(pool => {
@@ -75,7 +75,7 @@ function detectLXDStorage(mountpoint) {
                         });
 
                         // Get container storage info
-                        const storageInfo = execSync(`lxc info ${name} 2>/dev/null | grep -E "(Disk usage|Storage)" || true`, { encoding: 'utf8' });
+                        const storageInfo = runner.run(`lxc info ${name} 2>/dev/null | grep -E "(Disk usage|Storage)" || true`, { encoding: 'utf8' });
 
                         lxdInfo.containers.push({
                             name: name,
@@ -102,7 +102,7 @@ function detectLXDStorage(mountpoint) {
 
         if (fs.existsSync(lxdDir)) {
             try {
-                const duOutput = execSync(`du -sb "${lxdDir}" 2>/dev/null || echo "0"`, { encoding: 'utf8' });
+                const duOutput = runner.run(`du -sb "${lxdDir}" 2>/dev/null || echo "0"`, { encoding: 'utf8' });
                 const bytes = parseInt(duOutput.trim().split('\t')[0]);
                 lxdInfo.usedSize += bytes;
             } catch (err) {
@@ -112,7 +112,7 @@ function detectLXDStorage(mountpoint) {
 
         if (fs.existsSync(storageDir)) {
             try {
-                const duOutput = execSync(`du -sb "${storageDir}" 2>/dev/null || echo "0"`, { encoding: 'utf8' });
+                const duOutput = runner.run(`du -sb "${storageDir}" 2>/dev/null || echo "0"`, { encoding: 'utf8' });
                 const bytes = parseInt(duOutput.trim().split('\t')[0]);
                 lxdInfo.usedSize += bytes;
             } catch (err) {
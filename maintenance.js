@@ -1,7 +1,8 @@
-const { execSync, spawn } = require('child_process');
+const { spawn } = require('child_process');
 const chalk = require('chalk');
 const inquirer = require('inquirer');
 const fs = require('fs');
+const runner = require('./runner');
 
 // Find largest directories on a drive/partition
 async function findLargestDirectories(mountpoint) {
@@ -10,7 +11,7 @@ async function findLargestDirectories(mountpoint) {
 
     try {
         // Use du to find largest directories
-        const output = execSync(
+        const output = runner.run(
             `du -h -d 2 "${mountpoint}" 2>/dev/null | sort -rh | head -20`,
             { encoding: 'utf8', maxBuffer: 10 * 1024 * 1024 }
         );
@@ -25,7 +26,7 @@ async function findLargestDirectories(mountpoint) {
         console.log('');
 
         // Also show summary
-        const summary = execSync(`df -h "${mountpoint}"`, { encoding: 'utf8' });
+        const summary = runner.run(`df -h "${mountpoint}"`, { encoding: 'utf8' });
         console.log(chalk.bold('  Disk Usage Summary:\n'));
         console.log('  ' + summary.split('\n').join('\n  '));
 
@@ -94,7 +95,7 @@ async function checkFilesystem(device, fstype) {
     let hasIssues = false;
 
     try {
-        const output = execSync(checkCmd, {
+        const output = runner.run(checkCmd, {
             encoding: 'utf8',
             maxBuffer: 10 * 1024 * 1024
         });
@@ -132,7 +133,7 @@ async function checkFilesystem(device, fstype) {
                         {
                             fsck_output: fsckOutput,
                             fstype: fstype,
-                            device_info: execSync(`lsblk -o NAME,SIZE,FSTYPE,MOUNTPOINT ${device}`, { encoding: 'utf8' })
+                            device_info: runner.run(`lsblk -o NAME,SIZE,FSTYPE,MOUNTPOINT ${device}`, { encoding: 'utf8' })
                         }
                     );
 
@@ -157,7 +158,7 @@ async function checkSmartHealth(device) {
 
     try {
         // Get SMART health status
-        const health = execSync(`smartctl -H ${device}`, { encoding: 'utf8' });
+        const health = runner.run(`smartctl -H ${device}`, { encoding: 'utf8' });
         console.log(health);
         smartData += health;
 
@@ -175,7 +176,7 @@ async function checkSmartHealth(device) {
         }]);
 
         if (confirm) {
-            const attributes = execSync(`smartctl -A ${device}`, { encoding: 'utf8' });
+            const attributes = runner.run(`smartctl -A ${device}`, { encoding: 'utf8' });
             console.log('\n' + attributes);
             smartData += '\n' + attributes;
 
@@ -208,7 +209,7 @@ async function checkSmartHealth(device) {
                         'Analyze this SMART data and assess drive health',
                         {
                             smart_output: smartData,
-                            device_info: execSync(`lsblk -o NAME,SIZE,MODEL ${device}`, { encoding: 'utf8' })
+                            device_info: runner.run(`lsblk -o NAME,SIZE,MODEL ${device}`, { encoding: 'utf8' })
                         }
                     );
 
@@ -247,7 +248,7 @@ async function checkBootConfig() {
 
         // Validate fstab entries
         console.log(chalk.dim('\n     Validating fstab entries...\n'));
-        const validation = execSync('findmnt --verify', { encoding: 'utf8' });
+        const validation = runner.run('findmnt --verify', { encoding: 'utf8' });
         if (validation.trim()) {
             console.log(chalk.yellow('     ⚠ Issues found:\n'));
             console.log('     ' + validation.split('\n').join('\n     '));
@@ -261,7 +262,7 @@ async function checkBootConfig() {
     // Check boot partition
     console.log(chalk.bold('  2. Boot Partition Status:\n'));
     try {
-        const bootInfo = execSync('df -h /boot', { encoding: 'utf8' });
+        const bootInfo = runner.run('df -h /boot', { encoding: 'utf8' });
         console.log('     ' + bootInfo.split('\n').join('\n     '));
     } catch (err) {
         console.log(chalk.red(`     Error: ${err.message}\n`));
@@ -274,7 +275,7 @@ async function checkBootConfig() {
 
         // Check EFI boot entries
         try {
-            const efibootmgr = execSync('efibootmgr', { encoding: 'utf8' });
+            const efibootmgr = runner.run('efibootmgr', { encoding: 'utf8' });
             console.log(chalk.bold('     EFI Boot Entries:\n'));
             console.log('     ' + efibootmgr.split('\n').join('\n     '));
         } catch (err) {
@@ -287,7 +288,7 @@ async function checkBootConfig() {
     // Check initramfs/initrd
     console.log(chalk.bold('  4. Initial RAM Filesystem:\n'));
     try {
-        const initrd = execSync('ls -lh /boot/initrd* /boot/initramfs* 2>/dev/null || echo "None found"',
+        const initrd = runner.run('ls -lh /boot/initrd* /boot/initramfs* 2>/dev/null || echo "None found"',
             { encoding: 'utf8' });
         console.log('     ' + initrd.split('\n').join('\n     '));
     } catch (err) {
@@ -297,14 +298,25 @@ async function checkBootConfig() {
     // Check kernel
     console.log(chalk.bold('  5. Installed Kernels:\n'));
     try {
-        const kernels = execSync('ls -lh /boot/vmlinuz* 2>/dev/null', { encoding: 'utf8' });
+        const kernels = runner.run('ls -lh /boot/vmlinuz* 2>/dev/null', { encoding: 'utf8' });
         console.log('     ' + kernels.split('\n').join('\n     '));
 
-        const current = execSync('uname -r', { encoding: 'utf8' }).trim();
+        const current = runner.run('uname -r', { encoding: 'utf8' }).trim();
         console.log(chalk.green(`     Current kernel: ${current}\n`));
     } catch (err) {
         console.log(chalk.red(`     Error: ${err.message}\n`));
     }
+
+    // Raspberry Pi firmware boot files on the disk the system runs from
+    const detect = require('./detect');
+    const rootDrive = detect.detectDrives().find(d => d.mountpoint === '/');
+    if (rootDrive) {
+        const piBoot = require('./diskinfo').getDetailedDiskInfo(`/dev/${rootDrive.root}`).piBoot;
+        if (piBoot) {
+            console.log(chalk.bold('  6. Raspberry Pi Boot Files:\n'));
+            require('./piboot').displayPiBoot(piBoot);
+        }
+    }
 }
 
 // Check system journal for disk errors
@@ -316,7 +328,7 @@ async function checkSystemErrors() {
 
     try {
         // Check journalctl for disk-related errors
-        const errors = execSync(
+        const errors = runner.run(
             'journalctl -p err -b | grep -iE "(disk|drive|ata|scsi|nvme|mmc|i/o error)" | tail -20',
             { encoding: 'utf8' }
         );
@@ -354,8 +366,8 @@ async function checkSystemErrors() {
                         'Analyze these disk errors and suggest solutions',
                         {
                             errors: errorText,
-                            system_info: execSync('uname -a', { encoding: 'utf8' }).trim(),
-                            disk_list: execSync('lsblk -o NAME,SIZE,TYPE,FSTYPE,MOUNTPOINT', { encoding: 'utf8' })
+                            system_info: runner.run('uname -a', { encoding: 'utf8' }).trim(),
+                            disk_list: runner.run('lsblk -o NAME,SIZE,TYPE,FSTYPE,MOUNTPOINT', { encoding: 'utf8' })
                         }
                     );
 
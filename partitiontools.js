@@ -1,7 +1,63 @@
-const { execSync } = require('child_process');
+const path = require('path');
 const chalk = require('chalk');
 const inquirer = require('inquirer');
 const display = require('./display');
+const diskinfo = require('./diskinfo');
+const dryrun = require('./dryrun');
+const history = require('./history');
+const runner = require('./runner');
+
+// Filesystems offered by formatPartition
+const FORMAT_TYPES = ['ext4', 'ext3', 'btrfs', 'xfs', 'vfat'];
+
+// Where a device is mounted (null if it isn't)
+function findMountpoint(device) {
+    try {
+        return runner.run(`findmnt -n -o TARGET -S ${device}`, { encoding: 'utf8' }).split('\n')[0].trim() || null;
+    } catch {
+        return null;
+    }
+}
+
+// Check if a device is currently mounted
+function isMounted(device) {
+    return findMountpoint(device) !== null;
+}
+
+// Bytes in a resize size such as 100G or 500M (binary units, as resize2fs reads them)
+function parseResizeSize(size) {
+    const units = { K: 1024, M: 1024 ** 2, G: 1024 ** 3 };
+    return parseInt(size) * units[size.slice(-1)];
+}
+
+// Check if a device holds stacked devices (an open LUKS mapping, an LVM volume, a RAID array)
+function hasHolders(device) {
+    const resolved = runner.realpath(device);
+    return Boolean(resolved) && runner.readDir(`/sys/class/block/${path.basename(resolved)}/holders`).length > 0;
+}
+
+// Get device size in bytes (0 if unknown)
+function getDeviceSize(device) {
+    try {
+        return parseInt(runner.run(`blockdev --getsize64 ${device}`, { encoding: 'utf8' }).trim()) || 0;
+    } catch {
+        return 0;
+    }
+}
+
+// Check that a device about to be overwritten is neither mounted nor used by a stacked device
+// (what names it in the checks recorded for a dry run)
+function checkNotInUse(device, what = device) {
+    if (!dryrun.check(`${what} is not mounted`, !isMounted(device))) {
+        display.displayError(`${device} is mounted: unmount it first.`);
+        return false;
+    }
+    if (!dryrun.check(`${what} is not in use by LUKS, LVM or RAID`, !hasHolders(device))) {
+        display.displayError(`${device} is in use by LUKS, LVM or RAID: close or stop it first.`);
+        return false;
+    }
+    return true;
+}
 
 // Mount a partition
 async function mountPartition(device) {
@@ -9,12 +65,13 @@ async function mountPartition(device) {
 
     try {
         // Create mount point if it doesn't exist
-        execSync(`mkdir -p ${mountpoint}`, { encoding: 'utf8' });
+        dryrun.run(`mkdir -p ${mountpoint}`, { encoding: 'utf8' });
 
         // Mount the partition
-        execSync(`mount ${device} ${mountpoint}`, { encoding: 'utf8' });
+        dryrun.run(`mount ${device} ${mountpoint}`, { encoding: 'utf8' });
 
         display.displaySuccess(`Partition mounted at ${mountpoint}`);
+        history.recordForDevice(device, 'mount', { mountpoint });
         return mountpoint;
     } catch (err) {
         display.displayError(`Failed to mount: ${err.message}`);
@@ -25,8 +82,9 @@ async function mountPartition(device) {
 // Unmount a partition
 async function unmountPartition(device) {
     try {
-        execSync(`umount ${device}`, { encoding: 'utf8' });
+        dryrun.run(`umount ${device}`, { encoding: 'utf8' });
         display.displaySuccess(`Partition unmounted successfully`);
+        history.recordForDevice(device, 'unmount');
         return true;
     } catch (err) {
         display.displayError(`Failed to unmount: ${err.message}`);
@@ -59,21 +117,30 @@ async function checkFilesystem(device, fstype, readOnly = true) {
             break;
         default:
             display.displayError(`Filesystem type "${fstype}" not supported for checking.`);
-            return;
+            return false;
     }
 
     console.log(chalk.yellow(`  Mode: ${mode}\n`));
 
+    if (!readOnly && !checkNotInUse(device)) {
+        return false;
+    }
+
     try {
-        const output = execSync(checkCmd, {
+        // Read-only checks change nothing, so they also run in dry-run mode
+        const output = (readOnly ? runner.run : dryrun.run)(checkCmd, {
             encoding: 'utf8',
             maxBuffer: 10 * 1024 * 1024
         });
         display.displaySuccess('Filesystem check completed');
         console.log(output);
+        history.recordForDevice(device, 'fsck', { mode, result: readOnly ? 'clean' : 'repaired' });
+        return true;
     } catch (err) {
         console.log(chalk.yellow('\n  ⚠ Filesystem check found issues:\n'));
         console.log(err.stdout || err.message);
+        history.recordForDevice(device, 'fsck', { mode, result: `issues found (exit code ${err.status})` });
+        return false;
     }
 }
 
@@ -90,12 +157,13 @@ async function backupPartition(device) {
     }));
 
     try {
-        execSync(`dd if=${device} of=${backupPath} bs=4M status=progress`, {
+        dryrun.run(`dd if=${device} of=${backupPath} bs=4M status=progress`, {
             encoding: 'utf8',
             stdio: 'inherit'
         });
 
         display.displaySuccess(`Backup created: ${backupPath}`);
+        history.recordForDevice(device, 'backup', { method: 'dd', destination: 'local', path: backupPath });
         return backupPath;
     } catch (err) {
         display.displayError(`Backup failed: ${err.message}`);
@@ -104,7 +172,8 @@ async function backupPartition(device) {
 }
 
 // Clone partition to another device
-async function clonePartition(sourceDevice, targetDevice) {
+// options.yes skips the confirmation prompt
+async function clonePartition(sourceDevice, targetDevice, options = {}) {
     const boxen = require('boxen');
 
     console.log(boxen(
@@ -120,7 +189,7 @@ async function clonePartition(sourceDevice, targetDevice) {
         }
     ));
 
-    const { confirm } = await inquirer.prompt([{
+    const { confirm } = options.yes ? { confirm: true } : await inquirer.prompt([{
         type: 'confirm',
         name: 'confirm',
         message: 'Are you absolutely sure you want to proceed?',
@@ -132,13 +201,28 @@ async function clonePartition(sourceDevice, targetDevice) {
         return false;
     }
 
+    if (!dryrun.check('Source and target are different devices', sourceDevice !== targetDevice)) {
+        display.displayError('Source and target must be different partitions.');
+        return false;
+    }
+
+    if (!checkNotInUse(targetDevice, `Target ${targetDevice}`)) {
+        return false;
+    }
+
+    if (!dryrun.check('Target is at least as large as source', getDeviceSize(targetDevice) >= getDeviceSize(sourceDevice))) {
+        display.displayError('Target partition is smaller than source partition. Cannot clone.');
+        return false;
+    }
+
     try {
-        execSync(`dd if=${sourceDevice} of=${targetDevice} bs=4M status=progress`, {
+        dryrun.run(`dd if=${sourceDevice} of=${targetDevice} bs=4M status=progress`, {
             encoding: 'utf8',
             stdio: 'inherit'
         });
 
         display.displaySuccess(`Partition cloned successfully`);
+        history.recordForDevice(sourceDevice, 'clone', { target: targetDevice });
         return true;
     } catch (err) {
         display.displayError(`Clone failed: ${err.message}`);
@@ -147,7 +231,8 @@ async function clonePartition(sourceDevice, targetDevice) {
 }
 
 // Format partition
-async function formatPartition(device) {
+// options.fstype and options.yes replace the filesystem and confirmation prompts
+async function formatPartition(device, options = {}) {
     const boxen = require('boxen');
 
     console.log(boxen(
@@ -161,11 +246,11 @@ async function formatPartition(device) {
         }
     ));
 
-    const { fstype } = await inquirer.prompt([{
+    const { fstype } = options.fstype ? { fstype: options.fstype } : await inquirer.prompt([{
         type: 'list',
         name: 'fstype',
         message: 'Select filesystem type:',
-        choices: ['ext4', 'ext3', 'btrfs', 'xfs', 'vfat', 'Cancel']
+        choices: [...FORMAT_TYPES, 'Cancel']
     }]);
 
     if (fstype === 'Cancel') {
@@ -173,7 +258,16 @@ async function formatPartition(device) {
         return false;
     }
 
-    const { confirm } = await inquirer.prompt([{
+    if (!dryrun.check(`Filesystem type "${fstype}" is supported`, FORMAT_TYPES.includes(fstype))) {
+        display.displayError(`Filesystem type "${fstype}" not supported for formatting.`);
+        return false;
+    }
+
+    if (!checkNotInUse(device)) {
+        return false;
+    }
+
+    const { confirm } = options.yes ? { confirm: true } : await inquirer.prompt([{
         type: 'confirm',
         name: 'confirm',
         message: `Format ${device} as ${fstype}?`,
@@ -186,6 +280,7 @@ async function formatPartition(device) {
     }
 
     try {
+        const previousUUID = history.getDeviceUUID(device);
         let formatCmd;
         switch (fstype) {
             case 'ext4':
@@ -204,8 +299,9 @@ async function formatPartition(device) {
                 break;
         }
 
-        execSync(formatCmd, { encoding: 'utf8', stdio: 'inherit' });
+        dryrun.run(formatCmd, { encoding: 'utf8', stdio: 'inherit' });
         display.displaySuccess(`Partition formatted as ${fstype}`);
+        history.recordChange(device, previousUUID, 'format', { fstype });
         return true;
     } catch (err) {
         display.displayError(`Format failed: ${err.message}`);
@@ -214,8 +310,9 @@ async function formatPartition(device) {
 }
 
 // Set partition label
-async function setPartitionLabel(device, fstype) {
-    const { label } = await inquirer.prompt([{
+// options.label replaces the label prompt
+async function setPartitionLabel(device, fstype, options = {}) {
+    const { label } = options.label ? { label: options.label } : await inquirer.prompt([{
         type: 'input',
         name: 'label',
         message: 'Enter new partition label:',
@@ -241,12 +338,15 @@ async function setPartitionLabel(device, fstype) {
                 labelCmd = `fatlabel ${device} "${label}"`;
                 break;
             default:
+                dryrun.check(`Filesystem type "${fstype}" supports labels`, false);
                 display.displayError(`Filesystem type "${fstype}" not supported for labeling.`);
                 return false;
         }
 
-        execSync(labelCmd, { encoding: 'utf8' });
+        dryrun.check(`Filesystem type "${fstype}" supports labels`);
+        dryrun.run(labelCmd, { encoding: 'utf8' });
         display.displaySuccess(`Partition label set to "${label}"`);
+        history.recordForDevice(device, 'label', { label });
         return true;
     } catch (err) {
         display.displayError(`Failed to set label: ${err.message}`);
@@ -255,44 +355,71 @@ async function setPartitionLabel(device, fstype) {
 }
 
 // Resize partition
-async function resizePartition(device, fstype) {
+// options.size and options.yes replace the size and confirmation prompts
+async function resizePartition(device, fstype, options = {}) {
     console.log(chalk.cyan('\n  Checking current partition size...\n'));
 
     try {
-        const currentSize = execSync(`blockdev --getsize64 ${device}`, { encoding: 'utf8' }).trim();
+        const currentSize = runner.run(`blockdev --getsize64 ${device}`, { encoding: 'utf8' }).trim();
         const currentGB = (parseInt(currentSize) / (1024 * 1024 * 1024)).toFixed(2);
 
         console.log(`  Current size: ${currentGB} GB\n`);
 
-        const { newSize } = await inquirer.prompt([{
+        const { newSize } = options.size ? { newSize: options.size } : await inquirer.prompt([{
             type: 'input',
             name: 'newSize',
             message: 'Enter new size (e.g., 100G, 500M):',
             validate: input => /^\d+[GMK]$/.test(input) || 'Invalid format (use 100G, 500M, etc.)'
         }]);
 
+        if (!dryrun.check(`New size "${newSize}" is valid`, /^\d+[GMK]$/.test(newSize))) {
+            display.displayError(`Invalid size "${newSize}" (use 100G, 500M, etc.)`);
+            return false;
+        }
+
+        const mountpoint = findMountpoint(device);
         let resizeCmd;
         switch (fstype) {
             case 'ext4':
             case 'ext3':
             case 'ext2':
-                // First resize partition, then filesystem
-                console.log(chalk.yellow('\n  Note: Resize requires unmounting first\n'));
+                // ext grows online, but resize2fs only shrinks an unmounted filesystem
+                if (parseResizeSize(newSize) < parseInt(currentSize)) {
+                    console.log(chalk.yellow('\n  Note: Shrinking requires unmounting first\n'));
+                    if (!dryrun.check(`${device} is not mounted (ext shrinks offline)`, !mountpoint)) {
+                        display.displayError('Partition must be unmounted before shrinking.');
+                        return false;
+                    }
+                }
                 resizeCmd = `resize2fs ${device} ${newSize}`;
                 break;
             case 'btrfs':
-                resizeCmd = `btrfs filesystem resize ${newSize} ${device}`;
-                break;
             case 'xfs':
-                display.displayError('XFS can only be grown, not shrunk');
-                resizeCmd = `xfs_growfs ${device}`;
+                // Both resize a mounted filesystem through its mountpoint
+                if (!dryrun.check(`${device} is mounted (${fstype} resizes online)`, Boolean(mountpoint))) {
+                    display.displayError(`Mount ${device} first: ${fstype} can only be resized while mounted.`);
+                    return false;
+                }
+                if (fstype === 'btrfs') {
+                    resizeCmd = `btrfs filesystem resize ${newSize} ${mountpoint}`;
+                } else {
+                    display.displayInfo('XFS can only be grown, not shrunk: growing to fill the partition');
+                    resizeCmd = `xfs_growfs ${mountpoint}`;
+                }
                 break;
             default:
+                dryrun.check(`Filesystem type "${fstype}" supports resizing`, false);
                 display.displayError(`Filesystem type "${fstype}" not supported for resizing.`);
                 return false;
         }
 
-        const { confirm } = await inquirer.prompt([{
+        dryrun.check(`Filesystem type "${fstype}" supports resizing`);
+        if (!dryrun.check(`${device} is not in use by LUKS, LVM or RAID`, !hasHolders(device))) {
+            display.displayError(`${device} is in use by LUKS, LVM or RAID: resize the stacked device instead.`);
+            return false;
+        }
+
+        const { confirm } = options.yes ? { confirm: true } : await inquirer.prompt([{
             type: 'confirm',
             name: 'confirm',
             message: `Resize ${device} to ${newSize}?`,
@@ -304,8 +431,9 @@ async function resizePartition(device, fstype) {
             return false;
         }
 
-        execSync(resizeCmd, { encoding: 'utf8', stdio: 'inherit' });
+        dryrun.run(resizeCmd, { encoding: 'utf8', stdio: 'inherit' });
         display.displaySuccess('Partition resized successfully');
+        history.recordForDevice(device, 'resize', { size: newSize });
         return true;
     } catch (err) {
         display.displayError(`Resize failed: ${err.message}`);
@@ -313,6 +441,113 @@ async function resizePartition(device, fstype) {
     }
 }
 
+// Partition tools menu for one partition (partitions are the clone targets offered)
+async function partitionToolsMenu(partition, partitions) {
+    const isMounted = partition.mountpoint !== 'not mounted';
+
+    const toolChoices = [
+        { name: `${chalk.blue('ℹ')}  View partition details`, value: 'details' },
+        new inquirer.Separator('─── Mount Operations ───'),
+        isMounted
+            ? { name: `${chalk.yellow('⏏')}  Unmount partition`, value: 'unmount' }
+            : { name: `${chalk.green('📌')} Mount partition`, value: 'mount' },
+        new inquirer.Separator('─── Recovery & Maintenance ───'),
+        { name: `${chalk.cyan('🔍')} Check filesystem (read-only)`, value: 'fsck_ro' },
+        { name: `${chalk.red('🔧')} Repair filesystem`, value: 'fsck_repair' },
+        { name: `${chalk.green('💾')} Backup partition to image`, value: 'backup' },
+        new inquirer.Separator('─── Modification (DANGEROUS) ───'),
+        { name: `${chalk.magenta('🏷️')}  Set partition label`, value: 'label' },
+        { name: `${chalk.yellow('📏')} Resize partition`, value: 'resize' },
+        { name: `${chalk.red('⚠️')}  Format partition (ERASE ALL DATA)`, value: 'format' },
+        { name: `${chalk.red('📋')} Clone to another partition`, value: 'clone' },
+        new inquirer.Separator(),
+        { name: 'Back', value: 'back' }
+    ];
+
+    const { tool } = await inquirer.prompt([{
+        type: 'list',
+        name: 'tool',
+        message: `Partition ${partition.name} - Select tool:`,
+        choices: toolChoices,
+        pageSize: 20
+    }]);
+
+    if (tool === 'back') return;
+
+    // Execute selected tool
+    switch (tool) {
+        case 'details':
+            const info = diskinfo.getDetailedDiskInfo(partition.device);
+            diskinfo.displayDetailedDiskInfo(info);
+            break;
+
+        case 'mount':
+            await mountPartition(partition.device);
+            break;
+
+        case 'unmount':
+            await unmountPartition(partition.device);
+            break;
+
+        case 'fsck_ro':
+            await checkFilesystem(partition.device, partition.fstype, true);
+            break;
+
+        case 'fsck_repair':
+            if (isMounted) {
+                display.displayError('Partition must be unmounted before repair.');
+            } else {
+                await checkFilesystem(partition.device, partition.fstype, false);
+            }
+            break;
+
+        case 'backup':
+            await backupPartition(partition.device);
+            break;
+
+        case 'label':
+            await setPartitionLabel(partition.device, partition.fstype);
+            break;
+
+        case 'resize':
+            // resizePartition knows which filesystems resize online
+            await resizePartition(partition.device, partition.fstype);
+            break;
+
+        case 'format':
+            if (isMounted) {
+                display.displayError('Partition must be unmounted before formatting.');
+            } else {
+                await formatPartition(partition.device);
+            }
+            break;
+
+        case 'clone':
+            const targetChoices = partitions
+                .filter(p => p.device !== partition.device)
+                .map(p => ({
+                    name: `${p.name} (${p.size}) - ${p.mountpoint}`,
+                    value: p.device
+                }));
+
+            targetChoices.push({ name: 'Cancel', value: null });
+
+            const { target } = await inquirer.prompt([{
+                type: 'list',
+                name: 'target',
+                message: 'Select target partition:',
+                choices: targetChoices
+            }]);
+
+            if (target) {
+                await clonePartition(partition.device, target);
+            }
+            break;
+    }
+
+    await inquirer.prompt([{ type: 'input', name: 'continue', message: 'Press Enter to continue...' }]);
+}
+
 module.exports = {
     mountPartition,
     unmountPartition,
@@ -321,5 +556,10 @@ module.exports = {
     clonePartition,
     formatPartition,
     setPartitionLabel,
-    resizePartition
+    resizePartition,
+    partitionToolsMenu,
+    isMounted,
+    hasHolders,
+    checkNotInUse,
+    FORMAT_TYPES
 };
@@ -0,0 +1,534 @@
+const path = require('path');
+const chalk = require('chalk');
+const detect = require('./detect');
+const runner = require('./runner');
+
+const MiB = 1024 * 1024;
+
+// Common GPT partition type GUIDs
+const GPT_TYPES = {
+    'C12A7328-F81F-11D2-BA4B-00A0C93EC93B': 'EFI System',
+    '21686148-6449-6E6F-744E-656564454649': 'BIOS boot',
+    '0FC63DAF-8483-4772-8E79-3D69D8477DE4': 'Linux filesystem',
+    '0657FD6D-A4AB-43C4-84E5-0933C84B4F4F': 'Linux swap',
+    'E6D6D379-F507-44C2-A23C-238F2A3DF928': 'Linux LVM',
+    'A19D880F-05FC-4D3B-A006-743F0F84911E': 'Linux RAID',
+    '4F68BCE3-E8CD-4DB1-96E7-FBCAF984B709': 'Linux root (x86-64)',
+    'B921B045-1DF0-41C3-AF44-4C6F280D3FAE': 'Linux root (ARM64)',
+    '933AC7E1-2EB4-4F13-B844-0E14E2AEF915': 'Linux home',
+    'EBD0A0A2-B9E5-4433-87C0-68B6B72699C7': 'Microsoft basic data',
+    'E3C9E316-0B5C-4DB8-817D-F92DF00215AE': 'Microsoft reserved',
+    'DE94BBA4-06D1-4D40-A16A-BFD50179D6AC': 'Windows recovery',
+    '48465300-0000-11AA-AA11-00306543ECAC': 'Apple HFS+',
+    '7C3457EF-0000-11AA-AA11-00306543ECAC': 'Apple APFS'
+};
+
+// Common MBR partition type IDs (hex, as sfdisk prints them)
+const MBR_TYPES = {
+    '5': 'Extended',
+    '7': 'NTFS/exFAT',
+    'b': 'W95 FAT32',
+    'c': 'W95 FAT32 (LBA)',
+    'e': 'W95 FAT16 (LBA)',
+    'f': 'W95 Extended (LBA)',
+    '82': 'Linux swap',
+    '83': 'Linux',
+    '85': 'Linux extended',
+    '8e': 'Linux LVM',
+    'ee': 'GPT protective',
+    'ef': 'EFI System',
+    'fd': 'Linux RAID'
+};
+
+// MBR types that hold logical partitions instead of a filesystem
+const EXTENDED_TYPES = ['5', 'f', '85'];
+
+// Partition flags that make a disk bootable (named as parted names them)
+const BOOT_FLAGS = ['boot', 'esp', 'bios_grub', 'legacy_boot'];
+
+// Erase block size assumed for SD cards that don't report one
+const DEFAULT_ERASE_SIZE = 4 * MiB;
+
+// Gaps smaller than this are left by alignment, not worth listing
+const MIN_GAP = MiB;
+
+// Layout bar colours by filesystem (chalk colour names), and fill characters for terminals without colour or Unicode
+const FS_COLORS = {
+    ext2: 'blue',
+    ext3: 'blue',
+    ext4: 'blue',
+    btrfs: 'cyan',
+    xfs: 'magenta',
+    f2fs: 'green',
+    vfat: 'yellow',
+    exfat: 'yellow',
+    ntfs: 'red',
+    swap: 'gray',
+    crypto_LUKS: 'red',
+    LVM2_member: 'green',
+    linux_raid_member: 'magenta'
+};
+const FS_FILL = {
+    ext2: '#',
+    ext3: '#',
+    ext4: '#',
+    btrfs: '%',
+    xfs: '&',
+    vfat: '=',
+    exfat: '=',
+    ntfs: '+',
+    swap: '~'
+};
+
+// Width of the layout bar in columns
+const BAR_WIDTH = 60;
+
+// CRC32 (as used by GPT headers and entry arrays)
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+// CRC32 of a buffer
+function crc32(buffer) {
+    let crc = 0xFFFFFFFF;
+    for (const byte of buffer) {
+        crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// Normalise an MBR type ID ("0x0c", "0c", "c") to sfdisk's form
+function mbrType(id) {
+    return String(id).toLowerCase().replace(/^0x/, '').replace(/^0+(?=.)/, '');
+}
+
+// Partition number from a node name (/dev/sda2, /dev/mmcblk0p2)
+function partitionNumber(node) {
+    const match = String(node).match(/(\d+)$/);
+    return match ? parseInt(match[1]) : null;
+}
+
+// Node name of partition n of a disk
+function partitionNode(device, n) {
+    return /\d$/.test(device) ? `${device}p${n}` : `${device}${n}`;
+}
+
+// Boot flags of a partition, from its type, bootable bit and GPT attributes
+function bootFlags(label, type, bootable, attributes) {
+    const flags = [];
+    if (bootable) flags.push('boot');
+    if (label === 'gpt' && type === 'C12A7328-F81F-11D2-BA4B-00A0C93EC93B') flags.push('boot', 'esp');
+    if (label === 'msdos' && type === 'ef') flags.push('esp');
+    if (label === 'gpt' && type === '21686148-6449-6E6F-744E-656564454649') flags.push('bios_grub');
+    if (attributes.includes('LegacyBIOSBootable')) flags.push('legacy_boot');
+    return [...new Set(flags)];
+}
+
+// Partition table from `sfdisk --json` output
+function parseSfdisk(output) {
+    const table = JSON.parse(output).partitiontable;
+    const label = table.label === 'dos' ? 'msdos' : table.label;
+
+    return {
+        label,
+        id: table.id || null,
+        sectorSize: table.sectorsize || 512,
+        firstUsable: table.firstlba || null,
+        lastUsable: table.lastlba || null,
+        partitions: (table.partitions || []).map(part => {
+            const type = label === 'gpt' ? String(part.type).toUpperCase() : mbrType(part.type);
+            const attributes = part.attrs ? part.attrs.split(/\s+/).filter(Boolean) : [];
+            return {
+                number: partitionNumber(part.node),
+                node: part.node,
+                start: part.start,
+                end: part.start + part.size - 1,
+                size: part.size,
+                type,
+                typeName: (label === 'gpt' ? GPT_TYPES[type] : MBR_TYPES[type]) || null,
+                uuid: part.uuid || null,
+                name: part.name || null,
+                attributes,
+                flags: bootFlags(label, type, Boolean(part.bootable), attributes)
+            };
+        })
+    };
+}
+
+// Partition table from `parted -j ... unit s print` output (parted 3.5 and later)
+function parseParted(output, device) {
+    const disk = JSON.parse(output).disk;
+    const sectors = value => parseInt(String(value).replace(/s$/, ''));
+
+    return {
+        label: disk.label,
+        id: disk.uuid || null,
+        sectorSize: disk['logical-sector-size'] || 512,
+        firstUsable: null,
+        lastUsable: null,
+        partitions: (disk.partitions || []).map(part => {
+            const type = disk.label === 'gpt' ? String(part['type-uuid'] || '').toUpperCase() : mbrType(part['type-id'] || '');
+            const flags = (part.flags || []).filter(flag => BOOT_FLAGS.includes(flag));
+            return {
+                number: part.number,
+                node: partitionNode(device, part.number),
+                start: sectors(part.start),
+                end: sectors(part.end),
+                size: sectors(part.size),
+                type: type || null,
+                typeName: (disk.label === 'gpt' ? GPT_TYPES[type] : MBR_TYPES[type]) || null,
+                uuid: part.uuid || null,
+                name: part.name || null,
+                attributes: [],
+                flags
+            };
+        })
+    };
+}
+
+// Read one sector (null if it can't be read)
+function readSector(device, lba, sectorSize) {
+    try {
+        const output = runner.run(`dd if=${device} bs=${sectorSize} skip=${lba} count=1 status=none | od -An -v -tx1`, {
+            encoding: 'utf8',
+            stdio: ['ignore', 'pipe', 'ignore']
+        });
+        const hex = output.replace(/\s+/g, '');
+        return hex.length === sectorSize * 2 ? Buffer.from(hex, 'hex') : null;
+    } catch {
+        return null;
+    }
+}
+
+// GUID stored in mixed-endian form at an offset
+function guidAt(buffer, offset) {
+    const hex = (start, end, reverse) => {
+        const bytes = [...buffer.subarray(offset + start, offset + end)];
+        return (reverse ? bytes.reverse() : bytes).map(b => b.toString(16).padStart(2, '0')).join('');
+    };
+    return [hex(0, 4, true), hex(4, 6, true), hex(6, 8, true), hex(8, 10), hex(10, 16)].join('-').toUpperCase();
+}
+
+// Parse a GPT header sector (null if it has no GPT signature)
+function parseGptHeader(sector) {
+    if (!sector || sector.toString('latin1', 0, 8) !== 'EFI PART') return null;
+
+    const headerSize = sector.readUInt32LE(12);
+    const header = Buffer.from(sector.subarray(0, Math.min(headerSize, sector.length)));
+    header.writeUInt32LE(0, 16);
+
+    return {
+        crcValid: crc32(header) === sector.readUInt32LE(16),
+        myLba: Number(sector.readBigUInt64LE(24)),
+        alternateLba: Number(sector.readBigUInt64LE(32)),
+        firstUsable: Number(sector.readBigUInt64LE(40)),
+        lastUsable: Number(sector.readBigUInt64LE(48)),
+        diskGuid: guidAt(sector, 56),
+        entriesLba: Number(sector.readBigUInt64LE(72)),
+        entryCount: sector.readUInt32LE(80),
+        entrySize: sector.readUInt32LE(84),
+        entriesCrc: sector.readUInt32LE(88)
+    };
+}
+
+// MBR partition types in sector 0 (hex, in sfdisk's form)
+function parseMbrTypes(sector) {
+    if (!sector || sector.readUInt16LE(510) !== 0xAA55) return null;
+    return [0, 1, 2, 3]
+        .map(i => sector[446 + i * 16 + 4])
+        .filter(type => type !== 0)
+        .map(type => type.toString(16));
+}
+
+// Partitions that hold data: an extended partition only holds the logical partitions inside it
+function dataPartitions(table) {
+    return table.partitions.filter(part => !(table.label === 'msdos' && EXTENDED_TYPES.includes(part.type)));
+}
+
+// Unallocated ranges of at least MIN_GAP between first and last (inclusive), around the partitions
+function findGaps(partitions, first, last, sectorSize) {
+    const gaps = [];
+    let next = first;
+
+    [...partitions].sort((a, b) => a.start - b.start).forEach(part => {
+        if (part.start > next) gaps.push({ start: next, end: part.start - 1 });
+        next = Math.max(next, part.end + 1);
+    });
+    if (last !== null && last >= next) gaps.push({ start: next, end: last });
+
+    return gaps
+        .map(gap => ({ ...gap, size: gap.end - gap.start + 1 }))
+        .filter(gap => gap.size * sectorSize >= MIN_GAP);
+}
+
+// Check a partition table for overlaps, partitions past the end of the disk, alignment,
+// GPT header damage and hybrid MBRs. Returns [{ severity, message }]
+// table: as parsed above plus diskSectors, eraseSize and, for GPT disks whose first sectors could be read,
+// primaryGpt, backupGpt (parsed headers, null when missing) and mbrTypes
+function checkPartitionTable(table) {
+    const issues = [];
+    const error = message => issues.push({ severity: 'error', message });
+    const warning = message => issues.push({ severity: 'warning', message });
+    const name = part => `Partition ${part.number}`;
+
+    const partitions = dataPartitions(table);
+    const sorted = [...partitions].sort((a, b) => a.start - b.start);
+    sorted.slice(1).forEach((part, i) => {
+        const previous = sorted[i];
+        if (part.start <= previous.end) {
+            error(`Partitions ${previous.number} and ${part.number} overlap (sectors ${part.start}-${Math.min(part.end, previous.end)})`);
+        }
+    });
+
+    if (table.diskSectors) {
+        const last = Math.min(table.lastUsable || Infinity, table.diskSectors - 1);
+        partitions.filter(part => part.end > last).forEach(part => {
+            error(`${name(part)} ends at sector ${part.end}, past the end of the disk (${table.diskSectors} sectors): the image is bigger than the disk`);
+        });
+    }
+
+    partitions.forEach(part => {
+        const offset = part.start * table.sectorSize;
+        if (offset % MiB !== 0) {
+            warning(`${name(part)} starts at sector ${part.start}, not on a 1 MiB boundary: writes are slower on SSDs, SD cards and 4K-sector disks`);
+        } else if (table.eraseSize && offset % table.eraseSize !== 0) {
+            warning(`${name(part)} is not aligned to the card's ${table.eraseSize / MiB} MiB erase block: writes wear the card faster`);
+        }
+    });
+
+    if (table.label === 'gpt' && table.primaryGpt !== undefined) {
+        const primary = table.primaryGpt;
+        const backup = table.backupGpt;
+        if (!primary || !primary.crcValid) {
+            error('The primary GPT header is corrupt: the disk boots from the backup copy, if at all');
+        }
+        if (!backup || !backup.crcValid) {
+            error(`The backup GPT header is missing or corrupt${primary ? ` (expected at sector ${primary.alternateLba})` : ''}`);
+        }
+        if (primary && primary.crcValid && backup && backup.crcValid) {
+            const fields = {
+                diskGuid: 'disk GUID',
+                firstUsable: 'first usable sector',
+                lastUsable: 'last usable sector',
+                entryCount: 'number of partition entries',
+                entrySize: 'partition entry size',
+                entriesCrc: 'partition entries'
+            };
+            Object.entries(fields).filter(([field]) => primary[field] !== backup[field]).forEach(([, description]) => {
+                error(`The primary and backup GPT headers disagree on the ${description}`);
+            });
+        }
+        if (primary && table.diskSectors && primary.alternateLba !== table.diskSectors - 1) {
+            warning(`The backup GPT header is at sector ${primary.alternateLba}, not at the end of the disk (sector ${table.diskSectors - 1}): ` +
+                'the image was written to a bigger disk, move it with sgdisk -e');
+        }
+
+        if (table.mbrTypes) {
+            const others = table.mbrTypes.filter(type => type !== 'ee');
+            if (!table.mbrTypes.includes('ee')) {
+                warning('The disk has no protective MBR: MBR-only tools will see it as empty');
+            } else if (others.length > 0) {
+                warning(`Hybrid MBR (also lists type ${others.join(', ')}): tools that only know one of the two tables can corrupt the other`);
+            }
+        }
+    }
+
+    return issues;
+}
+
+// Read the partition table of a disk with sfdisk (or parted) and check it
+// Returns { label, id, sectorSize, diskSectors, firstUsable, lastUsable, eraseSize, partitions, gaps, issues },
+// or null if the disk has no partition table
+function readPartitionTable(device) {
+    let table = null;
+    try {
+        table = parseSfdisk(runner.run(`sfdisk --json ${device}`, { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }));
+    } catch {
+        try {
+            table = parseParted(runner.run(`parted -s -j ${device} unit s print`, { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }), device);
+        } catch {
+            return null;
+        }
+    }
+    if (!table || !table.label) return null;
+
+    // sysfs sizes are in 512-byte units whatever the sector size
+    const name = path.basename(device);
+    const size512 = parseInt(runner.readFile(`/sys/class/block/${name}/size`));
+    table.diskSectors = size512 ? Math.floor(size512 * 512 / table.sectorSize) : null;
+
+    // SD cards report their erase block (allocation unit) size
+    const eraseSize = parseInt(runner.readFile(`/sys/class/block/${name}/device/preferred_erase_size`));
+    table.eraseSize = eraseSize || (name.startsWith('mmcblk') ? DEFAULT_ERASE_SIZE : null);
+
+    // GPT headers are only checked when the disk can be read (not as a normal user)
+    const headers = {};
+    const primarySector = table.label === 'gpt' ? readSector(device, 1, table.sectorSize) : null;
+    if (primarySector) {
+        const primaryGpt = parseGptHeader(primarySector);
+        const backupLba = primaryGpt ? primaryGpt.alternateLba : (table.diskSectors ? table.diskSectors - 1 : null);
+        headers.primaryGpt = primaryGpt;
+        headers.backupGpt = backupLba ? parseGptHeader(readSector(device, backupLba, table.sectorSize)) : null;
+        headers.mbrTypes = parseMbrTypes(readSector(device, 0, table.sectorSize));
+
+        if (primaryGpt) {
+            table.firstUsable = table.firstUsable || primaryGpt.firstUsable;
+            table.lastUsable = table.lastUsable || primaryGpt.lastUsable;
+        }
+    }
+
+    const first = table.firstUsable || 1;
+    const last = table.lastUsable || (table.diskSectors ? table.diskSectors - 1 : null);
+
+    return {
+        ...table,
+        gaps: findGaps(dataPartitions(table), first, last, table.sectorSize),
+        issues: checkPartitionTable({ ...table, ...headers })
+    };
+}
+
+// Rows of the partition layout, partitions and gaps in disk order: { number, start, end, size, type, name, flags, gap }
+function layoutRows(table) {
+    return [
+        ...table.partitions.map(part => ({ ...part, gap: false })),
+        ...table.gaps.map(gap => ({ ...gap, number: null, type: null, typeName: null, name: null, flags: [], gap: true }))
+    ].sort((a, b) => a.start - b.start || (a.gap ? 1 : -1));
+}
+
+// Draw bars and charts with plain ASCII: dumb terminals, non-UTF-8 locales, or DISKMGT_ASCII=1
+function asciiOnly() {
+    const locale = process.env.LC_ALL || process.env.LC_CTYPE || process.env.LANG || '';
+    return process.env.TERM === 'dumb' || process.env.DISKMGT_ASCII === '1' || (locale !== '' && !/utf-?8/i.test(locale));
+}
+
+// Split a bar width between segments in proportion to their sizes, at least minimums[i] (or one) columns each
+function segmentWidths(sizes, width, minimums = []) {
+    const total = sizes.reduce((sum, size) => sum + size, 0);
+    const exact = sizes.map(size => (total > 0 ? size / total * width : 0));
+    const widths = exact.map((w, i) => Math.max(minimums[i] || 1, Math.floor(w)));
+
+    // Hand out what rounding left over to the segments that lost the most, take any excess from the widest
+    let spare = width - widths.reduce((sum, w) => sum + w, 0);
+    exact.map((w, i) => ({ i, lost: w - widths[i] }))
+        .sort((a, b) => b.lost - a.lost)
+        .forEach(({ i }) => {
+            if (spare > 0) {
+                widths[i]++;
+                spare--;
+            }
+        });
+    while (spare < 0 && Math.max(...widths) > 1) {
+        const widest = widths.indexOf(Math.max(...widths));
+        widths[widest]--;
+        spare++;
+    }
+    return widths;
+}
+
+// Proportional bar of a disk's partitions and free space, with a legend line per segment
+// partitions: diskinfo partitions ({ device, type, label, usedPercent }). Returns the lines to print
+function renderLayoutBar(table, partitions = [], options = {}) {
+    const width = options.width || BAR_WIDTH;
+    const ascii = options.ascii === undefined ? asciiOnly() : options.ascii;
+
+    const rows = layoutRows(table);
+    // Space after the last partition that GPT can't use yet (an image written to a bigger disk)
+    const end = rows.length > 0 ? rows[rows.length - 1].end : 0;
+    if (table.diskSectors && (table.diskSectors - 1 - end) * table.sectorSize >= MIN_GAP) {
+        rows.push({ start: end + 1, end: table.diskSectors - 1, size: table.diskSectors - 1 - end, gap: true });
+    }
+    if (rows.length === 0) return [];
+
+    const segments = rows.map(row => {
+        if (row.gap) return { ...row, fstype: null, label: null, percent: null };
+        const partition = partitions.find(p => p.device === row.node) || {};
+        return {
+            ...row,
+            fstype: partition.type && partition.type !== 'unknown' ? partition.type : null,
+            label: partition.label || partition.partlabel || row.name,
+            percent: Number.isInteger(partition.usedPercent) ? partition.usedPercent : null
+        };
+    });
+    // Partitions get room for their number and one column of fill, so neighbours don't run together
+    const widths = segmentWidths(
+        segments.map(segment => segment.size),
+        width,
+        segments.map(segment => (segment.gap ? 1 : String(segment.number).length + 1))
+    );
+
+    const bar = segments.map((segment, i) => {
+        const w = widths[i];
+        const number = String(segment.number || '');
+        if (ascii) {
+            if (segment.gap) return '.'.repeat(w);
+            return (number + (FS_FILL[segment.fstype] || '*').repeat(w)).slice(0, w);
+        }
+
+        if (segment.gap) return chalk.dim('░'.repeat(w));
+        // Used space in solid colour, the rest shaded
+        const color = FS_COLORS[segment.fstype] || 'white';
+        const used = segment.percent === null ? w : Math.max(number.length, Math.round(w * segment.percent / 100));
+        const text = number.padEnd(w).slice(0, w);
+        return chalk[`bg${color[0].toUpperCase()}${color.slice(1)}`].black(text.slice(0, used)) + chalk[color](text.slice(used).replace(/ /g, '▒'));
+    }).join('');
+
+    const legend = segments.map(segment => {
+        const size = sectorsSize(segment.size, table.sectorSize);
+        if (segment.gap) {
+            return `${ascii ? '.' : chalk.dim('░')} ${chalk.dim('free')} ${size}`;
+        }
+        const swatch = ascii ? (FS_FILL[segment.fstype] || '*') : chalk[FS_COLORS[segment.fstype] || 'white']('█');
+        const usedText = segment.percent === null
+            ? chalk.dim('not mounted')
+            : `${segment.percent}% used, ${100 - segment.percent}% free`;
+        return `${swatch} ${segment.number} ${segment.label ? chalk.bold(segment.label) + ' ' : ''}${segment.fstype || segment.typeName || 'unknown'} ${size} ${chalk.dim(ascii ? '-' : '·')} ${usedText}`;
+    });
+
+    return [ascii ? `[${bar}]` : bar, ...legend];
+}
+
+// Display the warnings found in a partition table (nothing if there are none)
+function displayTableWarnings(table) {
+    if (!table || table.issues.length === 0) return;
+
+    const boxen = require('boxen');
+    const hasErrors = table.issues.some(issue => issue.severity === 'error');
+    const lines = table.issues.map(issue => (issue.severity === 'error'
+        ? chalk.red(`✗ ${issue.message}`)
+        : chalk.yellow(`⚠ ${issue.message}`)));
+
+    console.log(boxen(lines.join('\n'), {
+        padding: 1,
+        margin: 1,
+        borderStyle: 'round',
+        borderColor: hasErrors ? 'red' : 'yellow',
+        title: '⚠️  Partition Table Warnings',
+        titleAlignment: 'center'
+    }));
+}
+
+// Size of a number of sectors, for display
+function sectorsSize(sectors, sectorSize) {
+    return detect.formatSize(sectors * sectorSize);
+}
+
+module.exports = {
+    crc32,
+    parseSfdisk,
+    parseParted,
+    parseGptHeader,
+    parseMbrTypes,
+    findGaps,
+    checkPartitionTable,
+    readPartitionTable,
+    layoutRows,
+    sectorsSize,
+    asciiOnly,
+    segmentWidths,
+    renderLayoutBar,
+    displayTableWarnings
+};
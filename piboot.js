@@ -0,0 +1,307 @@
+const chalk = require('chalk');
+const fsread = require('./fsread');
+
+// Kernel images the firmware loads when config.txt has no kernel= (Pi 5, 64-bit, Pi 2-4 32-bit, Pi 1/Zero)
+const DEFAULT_KERNELS = ['kernel_2712.img', 'kernel8.img', 'kernel7l.img', 'kernel7.img', 'kernel.img'];
+
+// Mount points fstab uses for the Pi boot partition (Bookworm and later, older releases)
+const BOOT_MOUNTS = ['/boot/firmware', '/boot'];
+
+// Parse config.txt: settings grouped by conditional section ([all], [pi4], [cm4], [gpio4=1], ...)
+// Returns { sections: [{ filter, settings: [{ key, value, line }] }], overlays: [{ name, params, filter, line }],
+// includes: [file], invalid: [{ line, text }] }
+function parseConfigTxt(text) {
+    const config = { sections: [], overlays: [], includes: [], invalid: [] };
+    let section = { filter: 'all', settings: [] };
+    config.sections.push(section);
+
+    text.split('\n').forEach((raw, index) => {
+        const line = raw.trim();
+        const number = index + 1;
+        if (!line || line.startsWith('#')) return;
+
+        const filter = line.match(/^\[(.+)\]$/);
+        if (filter) {
+            section = { filter: filter[1].trim(), settings: [] };
+            config.sections.push(section);
+            return;
+        }
+
+        if (line.startsWith('include ')) {
+            config.includes.push(line.slice(8).trim());
+            return;
+        }
+
+        // "initramfs <file> followkernel" is the one setting written without "="
+        const initramfs = line.match(/^initramfs\s+(.+)$/);
+        const eq = line.indexOf('=');
+        if (!initramfs && eq <= 0) {
+            config.invalid.push({ line: number, text: line });
+            return;
+        }
+
+        const key = initramfs ? 'initramfs' : line.slice(0, eq).trim();
+        const value = initramfs ? initramfs[1].trim() : line.slice(eq + 1).trim();
+        section.settings.push({ key, value, line: number });
+
+        if (key === 'dtoverlay' && value) {
+            const [name, ...params] = value.split(',');
+            config.overlays.push({ name: name.trim(), params, filter: section.filter, line: number });
+        }
+    });
+
+    // Settings before the first [section] are in an implicit [all]; drop it if there are none
+    if (config.sections[0].settings.length === 0 && config.sections.length > 1) {
+        config.sections.shift();
+    }
+    return config;
+}
+
+// Every value of a setting in config.txt, with the section it is in
+function settingValues(config, key) {
+    return config.sections
+        .filter(section => section.filter !== 'none')
+        .flatMap(section => section.settings.filter(s => s.key === key).map(s => ({ ...s, filter: section.filter })));
+}
+
+// Parse cmdline.txt: the kernel command line, which must be a single line
+// Returns { params: [{ key, value }], root, rootfstype, lines }
+function parseCmdline(text) {
+    const lines = text.split('\n').map(l => l.trim()).filter(Boolean);
+    const params = (lines[0] || '').split(/\s+/).filter(Boolean).map(token => {
+        const eq = token.indexOf('=');
+        return eq === -1 ? { key: token, value: null } : { key: token.slice(0, eq), value: token.slice(eq + 1) };
+    });
+    const value = key => {
+        const param = params.find(p => p.key === key);
+        return param ? param.value : null;
+    };
+
+    return { params, root: value('root'), rootfstype: value('rootfstype'), lines: lines.length };
+}
+
+// Parse an fstab into { spec, file, vfstype, options, freq, passno } entries
+function parseFstab(text) {
+    return text.split('\n')
+        .map(line => line.trim())
+        .filter(line => line && !line.startsWith('#'))
+        .map(line => {
+            const [spec, file, vfstype, options, freq, passno] = line.split(/\s+/);
+            return { spec, file, vfstype, options: options || 'defaults', freq: freq || '0', passno: passno || '0' };
+        });
+}
+
+// Find the partition a device spec (PARTUUID=, UUID=, LABEL=, PARTLABEL= or /dev/...) refers to
+function findBySpec(partitions, spec) {
+    if (!spec) return null;
+    const eq = spec.indexOf('=');
+    if (spec.startsWith('/dev/') || eq === -1) {
+        return partitions.find(p => p.device === spec) || null;
+    }
+
+    const kind = spec.slice(0, eq).toUpperCase();
+    const wanted = spec.slice(eq + 1).replace(/^"|"$/g, '').toLowerCase();
+    const field = { PARTUUID: 'partuuid', UUID: 'uuid', LABEL: 'label', PARTLABEL: 'partlabel' }[kind];
+    if (!field) return null;
+    return partitions.find(p => String(p[field] || '').toLowerCase() === wanted) || null;
+}
+
+// Cross-check the boot files of a Pi disk against its partitions
+// files: { config, cmdline, fstab } parsed (fstab null if the root partition could not be read)
+// bootFiles: names in the boot partition, overlayFiles: names in its overlays/ directory
+// Returns [{ severity: 'error' | 'warning', message }]; errors stop the disk from booting
+function checkPiBoot(files, partitions, bootPartition, bootFiles, overlayFiles) {
+    const issues = [];
+    const error = message => issues.push({ severity: 'error', message });
+    const warning = message => issues.push({ severity: 'warning', message });
+    const { config, cmdline, fstab } = files;
+    const hasInitramfs = Boolean(config) &&
+        (settingValues(config, 'auto_initramfs').length > 0 || settingValues(config, 'initramfs').length > 0);
+
+    // cmdline.txt
+    let root = null;
+    if (!cmdline) {
+        error('No cmdline.txt on the boot partition');
+    } else {
+        if (cmdline.lines > 1) {
+            error(`cmdline.txt has ${cmdline.lines} lines; the kernel only reads the first, everything must be on one line`);
+        }
+        if (!cmdline.root) {
+            error('cmdline.txt has no root= parameter');
+        } else {
+            root = findBySpec(partitions, cmdline.root);
+            if (!root) {
+                error(`cmdline.txt root=${cmdline.root} is not a partition on this disk (cloned or re-partitioned without updating cmdline.txt?)`);
+            } else if (cmdline.root.startsWith('/dev/')) {
+                warning(`cmdline.txt uses root=${cmdline.root}; device names change between SD card and USB boot, use root=PARTUUID=${root.partuuid || '...'}`);
+            } else if (/^(UUID|LABEL)=/i.test(cmdline.root) && !hasInitramfs) {
+                warning(`cmdline.txt uses root=${cmdline.root}, which needs an initramfs to be found; PARTUUID= works without one`);
+            }
+            if (root && cmdline.rootfstype && root.type && root.type !== 'unknown' && root.type !== cmdline.rootfstype) {
+                error(`cmdline.txt says rootfstype=${cmdline.rootfstype} but ${root.device} is ${root.type}`);
+            }
+        }
+    }
+
+    // config.txt
+    if (!config) {
+        warning('No config.txt on the boot partition (firmware defaults apply)');
+    } else {
+        config.invalid.forEach(entry => warning(`config.txt line ${entry.line} is not a setting: "${entry.text}"`));
+
+        // Files may live in a sub-directory (os_prefix); only check them in the usual layout
+        if (settingValues(config, 'os_prefix').length === 0) {
+            const kernels = settingValues(config, 'kernel');
+            kernels.filter(k => !bootFiles.includes(k.value)).forEach(k => {
+                error(`config.txt [${k.filter}] kernel=${k.value} is not on the boot partition`);
+            });
+            if (kernels.length === 0 && !DEFAULT_KERNELS.some(k => bootFiles.includes(k))) {
+                error(`No kernel image on the boot partition (${DEFAULT_KERNELS.join(', ')})`);
+            }
+
+            settingValues(config, 'initramfs').forEach(setting => {
+                const file = setting.value.split(/\s+/)[0];
+                if (!bootFiles.includes(file)) {
+                    error(`config.txt [${setting.filter}] initramfs ${file} is not on the boot partition`);
+                }
+            });
+
+            config.overlays
+                .filter(overlay => overlay.filter !== 'none' && !overlayFiles.includes(`${overlay.name}.dtbo`))
+                .forEach(overlay => warning(`config.txt [${overlay.filter}] dtoverlay=${overlay.name} has no overlays/${overlay.name}.dtbo`));
+        }
+    }
+
+    // fstab on the root partition
+    if (fstab) {
+        const rootEntry = fstab.find(entry => entry.file === '/');
+        if (!rootEntry) {
+            warning('/etc/fstab has no entry for /');
+        } else {
+            const fstabRoot = findBySpec(partitions, rootEntry.spec);
+            if (!fstabRoot) {
+                error(`/etc/fstab mounts / from ${rootEntry.spec}, which is not a partition on this disk`);
+            } else if (root && fstabRoot.device !== root.device) {
+                error(`/etc/fstab mounts / from ${fstabRoot.device} but cmdline.txt boots ${root.device}`);
+            }
+        }
+
+        const bootEntry = fstab.find(entry => BOOT_MOUNTS.includes(entry.file));
+        if (bootEntry) {
+            const fstabBoot = findBySpec(partitions, bootEntry.spec);
+            if (!fstabBoot) {
+                error(`/etc/fstab mounts ${bootEntry.file} from ${bootEntry.spec}, which is not a partition on this disk (boot stops in emergency mode)`);
+            } else if (bootPartition && fstabBoot.device !== bootPartition.device) {
+                error(`/etc/fstab mounts ${bootEntry.file} from ${fstabBoot.device} but the boot files are on ${bootPartition.device}`);
+            }
+        }
+    }
+
+    return issues;
+}
+
+// Inspect the Raspberry Pi boot setup of a disk; partitions as listed by diskinfo (device, type, uuid, partuuid, label)
+// Returns null if the disk has no Pi boot partition (a FAT partition with config.txt or cmdline.txt)
+function inspectPiBoot(partitions) {
+    let boot = null;
+    for (const partition of partitions.filter(p => p.type === 'vfat')) {
+        boot = fsread.withFilesystem(partition.device, partition.type, reader => {
+            const bootFiles = reader.readDir('/');
+            if (!bootFiles.includes('config.txt') && !bootFiles.includes('cmdline.txt')) return null;
+
+            const configText = reader.readFile('/config.txt');
+            const config = configText === null ? null : parseConfigTxt(configText);
+            // config.txt can point the firmware at another command line file
+            const cmdlineName = config ? (settingValues(config, 'cmdline').pop() || { value: 'cmdline.txt' }).value : 'cmdline.txt';
+            const cmdlineText = reader.readFile(`/${cmdlineName}`);
+
+            return {
+                partition,
+                bootFiles,
+                overlayFiles: reader.readDir('/overlays'),
+                config,
+                cmdlineName,
+                cmdline: cmdlineText === null ? null : parseCmdline(cmdlineText)
+            };
+        });
+        if (boot) break;
+    }
+    if (!boot) return null;
+
+    // The root partition is the one cmdline.txt boots; without a match, guess the first Linux filesystem
+    let rootPartition = boot.cmdline ? findBySpec(partitions, boot.cmdline.root) : null;
+    const rootGuessed = !rootPartition;
+    if (!rootPartition) {
+        rootPartition = partitions.find(p => ['ext4', 'btrfs', 'f2fs', 'xfs'].includes(p.type)) || null;
+    }
+
+    let fstab = null;
+    if (rootPartition) {
+        const fstabText = fsread.withFilesystem(rootPartition.device, rootPartition.type, reader => reader.readFile('/etc/fstab'));
+        fstab = fstabText ? parseFstab(fstabText) : null;
+    }
+
+    const files = { config: boot.config, cmdline: boot.cmdline, fstab };
+    return {
+        bootPartition: boot.partition.device,
+        rootPartition: rootPartition ? rootPartition.device : null,
+        rootGuessed,
+        cmdlineName: boot.cmdlineName,
+        ...files,
+        issues: checkPiBoot(files, partitions, boot.partition, boot.bootFiles, boot.overlayFiles)
+    };
+}
+
+// Display a Pi boot inspection
+function displayPiBoot(report) {
+    const boxen = require('boxen');
+    const line = (name, value) => `${chalk.bold(`${name}:`.padEnd(12))}${value}`;
+
+    const lines = [
+        line('Boot', chalk.yellow(report.bootPartition)),
+        line('Root', report.rootPartition
+            ? chalk.yellow(report.rootPartition) + (report.rootGuessed ? chalk.dim(' (guessed, cmdline.txt does not match)') : '')
+            : chalk.red('not found')),
+        line('cmdline', report.cmdline ? `root=${report.cmdline.root || chalk.red('missing')}${report.cmdline.rootfstype ? ` rootfstype=${report.cmdline.rootfstype}` : ''}` : chalk.red('missing')),
+        line('fstab', report.fstab ? `${report.fstab.length} entries` : chalk.dim('not read'))
+    ];
+
+    if (report.config) {
+        lines.push('', chalk.bold(`config.txt (${report.config.sections.length} section(s)):`));
+        report.config.sections.filter(section => section.settings.length > 0).forEach(section => {
+            const overlays = section.settings.filter(s => s.key === 'dtoverlay' && s.value).map(s => s.value.split(',')[0]);
+            const other = section.settings.filter(s => s.key !== 'dtoverlay').map(s => `${s.key}=${s.value}`);
+            lines.push(`  ${chalk.cyan(`[${section.filter}]`)} ${other.slice(0, 6).join(' ')}${other.length > 6 ? chalk.dim(` +${other.length - 6} more`) : ''}`);
+            if (overlays.length > 0) {
+                lines.push(`    ${chalk.dim('overlays:')} ${overlays.join(', ')}`);
+            }
+        });
+    }
+
+    lines.push('');
+    if (report.issues.length === 0) {
+        lines.push(chalk.green('✓ cmdline.txt, config.txt and fstab match the partitions on this disk'));
+    }
+    report.issues.forEach(issue => {
+        lines.push(issue.severity === 'error' ? chalk.red(`✗ ${issue.message}`) : chalk.yellow(`⚠ ${issue.message}`));
+    });
+
+    const errors = report.issues.filter(issue => issue.severity === 'error').length;
+    console.log(boxen(lines.join('\n'), {
+        padding: 1,
+        margin: 1,
+        borderStyle: 'round',
+        borderColor: errors > 0 ? 'red' : 'green',
+        title: '🍓 Raspberry Pi Boot',
+        titleAlignment: 'center'
+    }));
+}
+
+module.exports = {
+    parseConfigTxt,
+    parseCmdline,
+    parseFstab,
+    checkPiBoot,
+    inspectPiBoot,
+    displayPiBoot
+};
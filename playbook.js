@@ -0,0 +1,341 @@
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+const Table = require('cli-table3');
+const yaml = require('js-yaml');
+const storage = require('./storage');
+const detect = require('./detect');
+const display = require('./display');
+const partitiontools = require('./partitiontools');
+const backup = require('./backup');
+const btrfsConvert = require('./btrfs-convert');
+const dryrun = require('./dryrun');
+const identity = require('./identity');
+const runner = require('./runner');
+
+/**
+ * PLAYBOOK FORMAT (YAML or JSON):
+ *
+ *   name: Prepare backup SSD
+ *   target: { serial: S4EVNF0M123456 }     # default target for every step
+ *   steps:
+ *     - action: format
+ *       fstype: ext4
+ *     - action: label
+ *       label: Backups
+ *     - action: register
+ *       label: Backups
+ *       purpose: Weekly backups
+ *     - action: mount
+ *     - action: backup
+ *       method: tar
+ *       destination: local
+ *
+ * A step may override the target with its own "target". Targets name exactly one of
+ * uuid, label (registry nickname, then filesystem label) or serial (whole disk; add
+ * "partition: <n>" when the disk has more than one partition).
+ *
+ * All targets are resolved to device paths before the first step runs, so a format
+ * that changes the UUID or label does not lose track of the device.
+ */
+
+// Step actions and the parameters each one requires
+const STEP_ACTIONS = {
+    'format': ['fstype'],
+    'label': ['label'],
+    'register': ['label'],
+    'mount': [],
+    'backup': ['method', 'destination'],
+    'btrfs-convert': []
+};
+
+// Actions that destroy data on the target
+const DESTRUCTIVE_ACTIONS = ['format', 'btrfs-convert'];
+
+// Ways a step can name its target device
+const TARGET_KEYS = ['uuid', 'label', 'serial'];
+
+// Read and validate a playbook file (throws with a readable message)
+function loadPlaybook(file) {
+    if (!fs.existsSync(file)) {
+        throw new Error(`Playbook not found: ${file}`);
+    }
+
+    const text = fs.readFileSync(file, 'utf8');
+    let doc;
+    try {
+        doc = path.extname(file) === '.json' ? JSON.parse(text) : yaml.load(text);
+    } catch (err) {
+        throw new Error(`Cannot parse ${file}: ${err.message}`);
+    }
+
+    if (!doc || !Array.isArray(doc.steps) || doc.steps.length === 0) {
+        throw new Error('Playbook must have a non-empty "steps" list');
+    }
+
+    const steps = doc.steps.map((step, index) => {
+        const where = `Step ${index + 1}`;
+
+        if (!step || !STEP_ACTIONS[step.action]) {
+            throw new Error(`${where}: unknown action "${step && step.action}" (use ${Object.keys(STEP_ACTIONS).join(', ')})`);
+        }
+
+        const target = step.target || doc.target;
+        if (!target) {
+            throw new Error(`${where}: no target (set "target" on the step or the playbook)`);
+        }
+
+        const keys = TARGET_KEYS.filter(key => target[key] !== undefined);
+        if (keys.length !== 1) {
+            throw new Error(`${where}: target must name exactly one of ${TARGET_KEYS.join(', ')}`);
+        }
+
+        STEP_ACTIONS[step.action].forEach(param => {
+            if (step[param] === undefined) {
+                throw new Error(`${where}: "${step.action}" needs "${param}"`);
+            }
+        });
+
+        if (step.action === 'format' && !partitiontools.FORMAT_TYPES.includes(step.fstype)) {
+            throw new Error(`${where}: fstype must be one of ${partitiontools.FORMAT_TYPES.join(', ')}`);
+        }
+        if (step.action === 'backup' && !backup.BACKUP_METHODS.includes(step.method)) {
+            throw new Error(`${where}: method must be one of ${backup.BACKUP_METHODS.join(', ')}`);
+        }
+        if (step.action === 'backup' && !backup.BACKUP_DESTINATIONS.includes(step.destination)) {
+            throw new Error(`${where}: destination must be one of ${backup.BACKUP_DESTINATIONS.join(', ')}`);
+        }
+
+        return { ...step, target };
+    });
+
+    return {
+        name: doc.name || path.basename(file),
+        file,
+        steps
+    };
+}
+
+// Check if a playbook contains steps that destroy data
+function isDestructive(playbook) {
+    return playbook.steps.some(step => DESTRUCTIVE_ACTIONS.includes(step.action));
+}
+
+// Short description of a step target (serial=XYZ part 1)
+function describeTarget(target) {
+    const key = TARGET_KEYS.find(k => target[k] !== undefined);
+    return `${key}=${target[key]}` + (target.partition !== undefined ? ` part ${target.partition}` : '');
+}
+
+// Block devices with serials inherited from their disk
+function listBlockDevices() {
+    const output = runner.run('lsblk -J -p -o NAME,TYPE,SERIAL,UUID,LABEL,FSTYPE', { encoding: 'utf8' });
+    const devices = [];
+
+    const walk = (nodes, disk) => nodes.forEach(node => {
+        const owner = disk || node;
+        devices.push({
+            device: node.name,
+            type: node.type,
+            disk: owner.name,
+            serial: owner.serial ? owner.serial.trim() : null,
+            uuid: node.uuid,
+            label: node.label,
+            fstype: node.fstype
+        });
+        if (node.children) walk(node.children, owner);
+    });
+
+    walk(JSON.parse(output).blockdevices || [], null);
+    return devices;
+}
+
+// Resolve a step target to a device path (throws if missing or ambiguous)
+function resolveTarget(target, devices, known) {
+    if (target.uuid !== undefined) {
+        const match = devices.find(d => d.uuid === target.uuid);
+        if (!match) throw new Error(`No device with UUID ${target.uuid}`);
+        return match.device;
+    }
+
+    if (target.label !== undefined) {
+        const registered = known.filter(d => d.label === target.label);
+        if (registered.length > 1) throw new Error(`Label "${target.label}" matches ${registered.length} registered drives`);
+        if (registered.length === 1) {
+            const match = devices.find(d => d.uuid === registered[0].uuid);
+            if (!match) throw new Error(`Drive "${target.label}" is registered but not connected`);
+            return match.device;
+        }
+
+        const labelled = devices.filter(d => d.label === target.label);
+        if (labelled.length === 0) throw new Error(`No drive labelled "${target.label}"`);
+        if (labelled.length > 1) throw new Error(`Label "${target.label}" matches ${labelled.length} devices`);
+        return labelled[0].device;
+    }
+
+    const disk = devices.find(d => d.type === 'disk' && d.serial === String(target.serial));
+    if (!disk) throw new Error(`No disk with serial ${target.serial}`);
+
+    const partitions = devices.filter(d => d.disk === disk.device && d.type === 'part');
+    if (target.partition !== undefined) {
+        const wanted = backup.partitionDevice(disk.device, target.partition);
+        if (!partitions.some(p => p.device === wanted)) throw new Error(`${disk.device} has no partition ${target.partition}`);
+        return wanted;
+    }
+    if (partitions.length === 0) return disk.device;
+    if (partitions.length === 1) return partitions[0].device;
+    throw new Error(`${disk.device} has ${partitions.length} partitions; add "partition: <n>" to the target`);
+}
+
+// Current filesystem type, taking earlier steps of this run into account
+function currentFstype(device, state) {
+    if (state.fstype[device]) return state.fstype[device];
+    try {
+        return runner.run(`blkid -s TYPE -o value ${device}`, { encoding: 'utf8' }).trim() || 'unknown';
+    } catch {
+        return 'unknown';
+    }
+}
+
+// Register the target, or update its record if the UUID is already known
+function registerStep(step, device) {
+    const drive = detect.detectDrives().find(d => d.device === device);
+
+    if (dryrun.isEnabled()) {
+        return { ok: true, detail: `[dry-run] would register "${step.label}"` };
+    }
+    if (!drive || drive.uuid.startsWith('NO-UUID-')) {
+        return { ok: false, detail: `${device} has no filesystem UUID` };
+    }
+
+    const fields = {
+        label: step.label,
+        type: step.type || detect.getDriveType(drive.name),
+        purpose: step.purpose || ''
+    };
+
+    if (storage.getDriveByUUID(drive.uuid)) {
+        Object.keys(fields).forEach(field => storage.updateDriveField(drive.uuid, field, fields[field]));
+        return { ok: true, detail: `updated ${drive.uuid}` };
+    }
+
+    storage.addDrive(identity.driveRecord(drive, fields));
+    return { ok: true, detail: `registered ${drive.uuid}` };
+}
+
+// Run one step against a resolved device
+async function runStep(step, device, state) {
+    switch (step.action) {
+        case 'format': {
+            const ok = await partitiontools.formatPartition(device, { fstype: step.fstype, yes: true });
+            if (ok) state.fstype[device] = step.fstype;
+            return { ok, detail: ok ? `formatted as ${step.fstype}` : 'format failed' };
+        }
+        case 'label': {
+            const ok = await partitiontools.setPartitionLabel(device, currentFstype(device, state), { label: step.label });
+            return { ok, detail: ok ? `labelled "${step.label}"` : 'label failed' };
+        }
+        case 'register':
+            return registerStep(step, device);
+        case 'mount': {
+            const mountpoint = await partitiontools.mountPartition(device);
+            return { ok: Boolean(mountpoint), detail: mountpoint ? `mounted at ${mountpoint}` : 'mount failed' };
+        }
+        case 'backup': {
+            const backupPath = await backup.backupDrive(device, device.split('/').pop(), {
+                method: step.method,
+                destination: step.destination,
+                path: step.path
+            });
+            return { ok: Boolean(backupPath), detail: backupPath || 'backup failed' };
+        }
+        case 'btrfs-convert': {
+            const ok = await btrfsConvert.convertToBtrfs(device, { yes: true });
+            if (ok) state.fstype[device] = 'btrfs';
+            return { ok, detail: ok ? 'converted to btrfs' : 'conversion failed' };
+        }
+    }
+}
+
+// Run all steps in order, stopping at the first failure
+async function runPlaybook(playbook) {
+    const results = playbook.steps.map((step, index) => ({
+        step: index + 1,
+        action: step.action,
+        target: describeTarget(step.target),
+        device: null,
+        status: 'skipped',
+        detail: '',
+        duration_ms: 0
+    }));
+
+    // Resolve every target up front so nothing runs if one is missing
+    const devices = listBlockDevices();
+    const known = storage.getAllDrives();
+    for (let i = 0; i < playbook.steps.length; i++) {
+        try {
+            results[i].device = resolveTarget(playbook.steps[i].target, devices, known);
+        } catch (err) {
+            results[i].status = 'failed';
+            results[i].detail = err.message;
+            return { name: playbook.name, dry_run: dryrun.isEnabled(), ok: false, steps: results };
+        }
+    }
+
+    const state = { fstype: {} };
+    for (let i = 0; i < playbook.steps.length; i++) {
+        const result = results[i];
+        const started = Date.now();
+
+        console.log(chalk.bold.cyan(`\n▶ Step ${result.step}/${results.length}: ${result.action} ${result.device}\n`));
+
+        try {
+            const { ok, detail } = await runStep(playbook.steps[i], result.device, state);
+            result.status = ok ? 'ok' : 'failed';
+            result.detail = detail;
+        } catch (err) {
+            result.status = 'failed';
+            result.detail = err.message;
+        }
+        result.duration_ms = Date.now() - started;
+
+        if (result.status === 'failed') {
+            return { name: playbook.name, dry_run: dryrun.isEnabled(), ok: false, steps: results };
+        }
+    }
+
+    return { name: playbook.name, dry_run: dryrun.isEnabled(), ok: true, steps: results };
+}
+
+// Display the per-step report
+function displayReport(report) {
+    const table = new Table({
+        head: ['#', 'Action', 'Target', 'Device', 'Status', 'Detail'].map(h => chalk.cyan(h)),
+        style: { head: [], border: ['dim'] }
+    });
+
+    const colors = { ok: chalk.green, failed: chalk.red, skipped: chalk.dim };
+    report.steps.forEach(r => {
+        table.push([r.step, r.action, r.target, r.device || '-', colors[r.status](r.status), r.detail]);
+    });
+
+    console.log(chalk.bold(`\nPlaybook: ${report.name}${report.dry_run ? chalk.magenta(' (dry run)') : ''}\n`));
+    console.log(table.toString());
+
+    if (report.ok) {
+        display.displaySuccess(`All ${report.steps.length} steps completed`);
+    } else {
+        const failedStep = report.steps.find(r => r.status === 'failed');
+        display.displayError(`Stopped at step ${failedStep.step} (${failedStep.action}): ${failedStep.detail}`);
+    }
+}
+
+module.exports = {
+    STEP_ACTIONS,
+    loadPlaybook,
+    isDestructive,
+    describeTarget,
+    resolveTarget,
+    runPlaybook,
+    displayReport
+};
@@ -1,13 +1,14 @@
-const { execSync, spawn } = require('child_process');
+const { spawn } = require('child_process');
 const fs = require('fs');
 const chalk = require('chalk');
 const inquirer = require('inquirer');
 const display = require('./display');
+const runner = require('./runner');
 
 // Check if QEMU is available
 function isAvailable() {
     try {
-        execSync('which qemu-system-aarch64', { stdio: 'ignore' });
+        runner.run('which qemu-system-aarch64', { stdio: 'ignore' });
         return true;
     } catch {
         return false;
@@ -19,7 +20,7 @@ function detectBootablePartitions(device) {
     try {
         // Get all partitions for this disk
         const diskDevice = device.replace(/p?\d+$/, ''); // Get base disk device
-        const output = execSync(`lsblk -nlo NAME,FSTYPE,MOUNTPOINT,LABEL,PARTTYPE ${diskDevice}`, { encoding: 'utf-8' });
+        const output = runner.run(`lsblk -nlo NAME,FSTYPE,MOUNTPOINT,LABEL,PARTTYPE ${diskDevice}`, { encoding: 'utf-8' });
         const lines = output.trim().split('\n');
 
         const partitions = lines.map(line => {
@@ -55,8 +56,8 @@ function detectBootablePartitions(device) {
 function extractBootFiles(bootDevice, tempDir) {
     try {
         const mountPoint = `${tempDir}/boot-mount`;
-        execSync(`mkdir -p ${mountPoint}`, { stdio: 'ignore' });
-        execSync(`mount -o ro ${bootDevice} ${mountPoint}`, { stdio: 'inherit' });
+        runner.run(`mkdir -p ${mountPoint}`, { stdio: 'ignore' });
+        runner.run(`mount -o ro ${bootDevice} ${mountPoint}`, { stdio: 'inherit' });
 
         // Look for kernel
         let kernelSrc = null;
@@ -69,13 +70,13 @@ function extractBootFiles(bootDevice, tempDir) {
         }
 
         if (!kernelSrc) {
-            execSync(`umount ${mountPoint}`, { stdio: 'ignore' });
+            runner.run(`umount ${mountPoint}`, { stdio: 'ignore' });
             throw new Error('No kernel found on boot partition');
         }
 
         // Copy kernel
         const kernelDest = `${tempDir}/kernel.img`;
-        execSync(`cp ${kernelSrc} ${kernelDest}`, { stdio: 'inherit' });
+        runner.run(`cp ${kernelSrc} ${kernelDest}`, { stdio: 'inherit' });
 
         // Look for device tree
         let dtbSrc = null;
@@ -94,11 +95,11 @@ function extractBootFiles(bootDevice, tempDir) {
         let dtbDest = null;
         if (dtbSrc) {
             dtbDest = `${tempDir}/device-tree.dtb`;
-            execSync(`cp ${dtbSrc} ${dtbDest}`, { stdio: 'inherit' });
+            runner.run(`cp ${dtbSrc} ${dtbDest}`, { stdio: 'inherit' });
         }
 
-        execSync(`umount ${mountPoint}`, { stdio: 'ignore' });
-        execSync(`rmdir ${mountPoint}`, { stdio: 'ignore' });
+        runner.run(`umount ${mountPoint}`, { stdio: 'ignore' });
+        runner.run(`rmdir ${mountPoint}`, { stdio: 'ignore' });
 
         return { kernel: kernelDest, dtb: dtbDest };
     } catch (err) {
@@ -167,7 +168,7 @@ async function bootInQemu(device) {
         if (bootPart) {
             console.log(chalk.cyan('\nExtracting kernel and device tree from boot partition...'));
             const tempDir = `/tmp/qemu-boot-${Date.now()}`;
-            execSync(`mkdir -p ${tempDir}`, { stdio: 'ignore' });
+            runner.run(`mkdir -p ${tempDir}`, { stdio: 'ignore' });
 
             try {
                 const bootFiles = extractBootFiles(bootPart.device, tempDir);
@@ -177,7 +178,7 @@ async function bootInQemu(device) {
                 if (dtb) console.log(chalk.green(`✓ Device tree: ${dtb}`));
             } catch (err) {
                 display.displayError(err.message);
-                execSync(`rm -rf ${tempDir}`, { stdio: 'ignore' });
+                runner.run(`rm -rf ${tempDir}`, { stdio: 'ignore' });
                 return;
             }
         }
@@ -257,7 +258,7 @@ async function bootInQemu(device) {
         // Cleanup
         if (kernel) {
             const tempDir = kernel.substring(0, kernel.lastIndexOf('/'));
-            execSync(`rm -rf ${tempDir}`, { stdio: 'ignore' });
+            runner.run(`rm -rf ${tempDir}`, { stdio: 'ignore' });
         }
 
     } catch (err) {
@@ -0,0 +1,367 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const chalk = require('chalk');
+const inquirer = require('inquirer');
+const storage = require('./storage');
+const report = require('./report');
+
+// Formats the registry can be written as, and the ones that can be read back
+const EXPORT_FORMATS = ['json', 'csv', 'md', 'html'];
+const IMPORT_FORMATS = ['json', 'csv'];
+
+// Fixed columns of a CSV/Markdown/HTML export (custom fields follow as custom.<name>)
+const COLUMNS = ['uuid', 'label', 'type', 'purpose', 'size', 'device', 'first_seen', 'last_seen', 'tags'];
+
+// Guess a format from a file extension (null if unknown)
+function formatFromPath(file) {
+    const ext = path.extname(file).toLowerCase().slice(1);
+    const aliases = { markdown: 'md', htm: 'html' };
+    const format = aliases[ext] || ext;
+    return EXPORT_FORMATS.includes(format) ? format : null;
+}
+
+// Custom field names used by any drive, sorted
+function customFieldNames(drives) {
+    return [...new Set(drives.flatMap(d => Object.keys(d.custom || {})))].sort();
+}
+
+// Table rows (header first) shared by the CSV, Markdown and HTML exports
+function tableRows(drives) {
+    const custom = customFieldNames(drives);
+    const header = [...COLUMNS, ...custom.map(name => `custom.${name}`)];
+
+    const rows = drives.map(d => [
+        ...COLUMNS.map(column => (column === 'tags' ? (d.tags || []).join(', ') : d[column] || '')),
+        ...custom.map(name => (d.custom || {})[name] || '')
+    ]);
+
+    return [header, ...rows];
+}
+
+// Quote a CSV cell if needed
+function csvCell(value) {
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Escape text for HTML
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Standalone HTML report (inline styles, no external assets)
+function htmlReport(drives) {
+    const [header, ...rows] = tableRows(drives);
+    const generated = new Date().toISOString();
+
+    return [
+        '<!DOCTYPE html>',
+        '<html lang="en">',
+        '<head>',
+        '<meta charset="utf-8">',
+        `<title>DiskMgt drive registry - ${escapeHtml(os.hostname())}</title>`,
+        '<style>',
+        'body { font-family: system-ui, sans-serif; margin: 2em; color: #222; }',
+        'table { border-collapse: collapse; width: 100%; font-size: 0.9em; }',
+        'th, td { border: 1px solid #ccc; padding: 0.4em 0.6em; text-align: left; vertical-align: top; }',
+        'th { background: #0b7285; color: #fff; }',
+        'tr:nth-child(even) td { background: #f1f3f5; }',
+        '.meta { color: #666; }',
+        '</style>',
+        '</head>',
+        '<body>',
+        '<h1>Drive registry</h1>',
+        `<p class="meta">${drives.length} drive(s) on ${escapeHtml(os.hostname())}, generated ${generated}</p>`,
+        '<table>',
+        `<thead><tr>${header.map(h => `<th>${escapeHtml(h)}</th>`).join('')}</tr></thead>`,
+        '<tbody>',
+        ...rows.map(row => `<tr>${row.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`),
+        '</tbody>',
+        '</table>',
+        '</body>',
+        '</html>',
+        ''
+    ].join('\n');
+}
+
+// Render registry records in an export format
+function exportDrives(drives, format) {
+    switch (format) {
+        case 'json':
+            return JSON.stringify(report.envelope('registry', { drives }), null, 2) + '\n';
+        case 'csv':
+            return tableRows(drives).map(row => row.map(csvCell).join(',')).join('\n') + '\n';
+        case 'md': {
+            const [header, ...rows] = tableRows(drives);
+            const line = row => `| ${row.map(cell => String(cell).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ')).join(' | ')} |`;
+            return [line(header), line(header.map(() => '---')), ...rows.map(line)].join('\n') + '\n';
+        }
+        case 'html':
+            return htmlReport(drives);
+        default:
+            throw new Error(`Unknown export format "${format}" (use ${EXPORT_FORMATS.join(', ')})`);
+    }
+}
+
+// Parse CSV text into rows of cells (RFC 4180 quoting)
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+    return rows.filter(r => r.some(c => c !== ''));
+}
+
+// Turn CSV rows (header first) back into registry records
+function recordsFromCsv(text) {
+    const [header, ...rows] = parseCsv(text);
+    if (!header || !header.includes('uuid')) {
+        throw new Error('CSV has no "uuid" column');
+    }
+
+    return rows.map(row => {
+        const record = {};
+        const custom = {};
+        header.forEach((column, index) => {
+            const value = (row[index] || '').trim();
+            if (column.startsWith('custom.')) {
+                if (value) custom[column.slice('custom.'.length)] = value;
+            } else if (column === 'tags') {
+                record.tags = storage.normalizeTags(value.split(','));
+            } else if (COLUMNS.includes(column)) {
+                record[column] = value;
+            }
+        });
+        return { ...record, tags: record.tags || [], custom };
+    });
+}
+
+// Parse records from export text (JSON export, a drives.json copy, or CSV); source names it in errors
+function parseImportText(text, format, source) {
+    if (!IMPORT_FORMATS.includes(format)) {
+        throw new Error(`Cannot import ${format} (use ${IMPORT_FORMATS.join(' or ')}; Markdown and HTML exports are reports only)`);
+    }
+    if (format === 'csv') {
+        return recordsFromCsv(text);
+    }
+
+    let doc;
+    try {
+        doc = JSON.parse(text);
+    } catch (err) {
+        throw new Error(`Cannot parse ${source}: ${err.message}`);
+    }
+
+    if (Array.isArray(doc)) return doc;
+    if (doc && doc.schema === 'diskmgt/registry' && Array.isArray(doc.drives)) return doc.drives;
+    if (doc && Array.isArray(doc.drives)) return storage.migrateRegistry(doc).drives;
+    throw new Error(`${source} is not a diskmgt registry export`);
+}
+
+// Read records from an export file
+function readImportFile(file, format) {
+    return parseImportText(fs.readFileSync(file, 'utf8'), format || formatFromPath(file) || 'json', file);
+}
+
+// Combine two host -> last seen maps, keeping the latest time for each host
+function mergeLastSeenOn(a = {}, b = {}) {
+    const merged = { ...a };
+    Object.entries(b).forEach(([host, time]) => {
+        if (!merged[host] || Date.parse(time) > Date.parse(merged[host])) {
+            merged[host] = time;
+        }
+    });
+    return merged;
+}
+
+// Combine a local record with an imported one for the same UUID
+// The newer record (by last_seen) wins field by field; tags, custom fields, last_seen_on and previous_uuids are merged
+function mergeRecords(local, imported, label) {
+    const importedNewer = Date.parse(imported.last_seen) > Date.parse(local.last_seen);
+    const [older, newer] = importedNewer ? [local, imported] : [imported, local];
+
+    // Spread local first so the merged record keeps its key order
+    const merged = {
+        ...local,
+        ...older,
+        ...newer,
+        first_seen: Date.parse(older.first_seen) < Date.parse(newer.first_seen) ? older.first_seen : newer.first_seen,
+        tags: storage.normalizeTags([...(local.tags || []), ...(imported.tags || [])]),
+        custom: { ...older.custom, ...newer.custom },
+        last_seen_on: mergeLastSeenOn(local.last_seen_on, imported.last_seen_on),
+        previous_uuids: [...new Set([...(local.previous_uuids || []), ...(imported.previous_uuids || [])])]
+    };
+    merged.label = label || merged.label;
+    return merged;
+}
+
+// Work out what importing records would do, without changing anything
+// Returns { added, updated, unchanged, skipped: [{ record, reason }], clashes: [{ uuid, local, imported }] }
+function planImport(localDrives, records) {
+    const plan = { added: [], updated: [], unchanged: [], skipped: [], clashes: [] };
+    const seen = new Set();
+
+    records.forEach(record => {
+        const complete = { tags: [], custom: {}, ...record };
+        const problems = storage.validateDrive(complete);
+
+        if (typeof complete.uuid === 'string' && complete.uuid.startsWith('NO-UUID-')) {
+            problems.push('placeholder UUID');
+        }
+        if (seen.has(complete.uuid)) {
+            problems.push('UUID appears twice in the import');
+        }
+        if (problems.length > 0) {
+            plan.skipped.push({ record, reason: problems.join(', ') });
+            return;
+        }
+        seen.add(complete.uuid);
+
+        const local = localDrives.find(d => d.uuid === complete.uuid);
+        if (!local) {
+            plan.added.push(complete);
+            return;
+        }
+
+        if (local.label !== complete.label) {
+            plan.clashes.push({ uuid: complete.uuid, local: local.label, imported: complete.label });
+        }
+
+        const merged = mergeRecords(local, complete, local.label);
+        if (JSON.stringify(merged) === JSON.stringify(local) && local.label === complete.label) {
+            plan.unchanged.push(local);
+        } else {
+            plan.updated.push(complete);
+        }
+    });
+
+    return plan;
+}
+
+// Decide which label to keep for each clash: always "local" or "imported", or ask when choice is unset
+// Resolves to a map of UUID -> label
+async function resolveLabelClashes(clashes, source, choice) {
+    const labels = {};
+
+    for (const clash of clashes) {
+        let keep = choice;
+        if (!keep) {
+            ({ keep } = await inquirer.prompt([
+                {
+                    type: 'list',
+                    name: 'keep',
+                    message: `${clash.uuid} is "${clash.local}" here but "${clash.imported}" in ${source}. Keep:`,
+                    choices: [
+                        { name: `"${clash.local}" (this registry)`, value: 'local' },
+                        { name: `"${clash.imported}" (imported)`, value: 'imported' }
+                    ]
+                }
+            ]));
+        }
+        labels[clash.uuid] = keep === 'imported' ? clash.imported : clash.local;
+    }
+
+    return labels;
+}
+
+// Merge records into the registry; labels maps UUID -> label chosen for each clash
+// Returns the plan that was applied
+function applyImport(records, labels = {}) {
+    let plan;
+
+    storage.updateRegistry(data => {
+        plan = planImport(data.drives, records);
+
+        // Keeping the local label can leave a clashing record unchanged after all
+        const updated = plan.updated.filter(record => {
+            const index = data.drives.findIndex(d => d.uuid === record.uuid);
+            const local = data.drives[index];
+            const merged = mergeRecords(local, record, labels[record.uuid] || local.label);
+
+            if (JSON.stringify(merged) === JSON.stringify(local)) {
+                plan.unchanged.push(local);
+                return false;
+            }
+            data.drives[index] = merged;
+            return true;
+        });
+        plan = { ...plan, updated };
+        plan.added.forEach(record => data.drives.push(record));
+
+        return plan.added.length + plan.updated.length > 0;
+    });
+
+    return plan;
+}
+
+// Print what an import did (or would do)
+function displayImportSummary(plan, dryRun) {
+    const [added, merged] = dryRun ? ['Would add:', 'Would merge:'] : ['Added:', 'Merged:'];
+    console.log('');
+    console.log(`  ${chalk.green(added.padEnd(13))} ${plan.added.length}`);
+    console.log(`  ${chalk.cyan(merged.padEnd(13))} ${plan.updated.length}`);
+    console.log(`  ${chalk.dim('Unchanged:'.padEnd(13))} ${plan.unchanged.length}`);
+
+    if (plan.skipped.length > 0) {
+        console.log(`  ${chalk.yellow('Skipped:'.padEnd(13))} ${plan.skipped.length}`);
+        plan.skipped.forEach(({ record, reason }) => {
+            console.log(chalk.yellow(`    ${record.label || record.uuid || '(no label)'}: ${reason}`));
+        });
+    }
+    console.log('');
+}
+
+module.exports = {
+    EXPORT_FORMATS,
+    IMPORT_FORMATS,
+    formatFromPath,
+    escapeHtml,
+    exportDrives,
+    parseCsv,
+    recordsFromCsv,
+    parseImportText,
+    readImportFile,
+    mergeRecords,
+    planImport,
+    resolveLabelClashes,
+    applyImport,
+    displayImportSummary
+};
@@ -0,0 +1,141 @@
+const os = require('os');
+const storage = require('./storage');
+const detect = require('./detect');
+const diskinfo = require('./diskinfo');
+const health = require('./health');
+
+// Version of the JSON documents below (bump on breaking changes, see JSON_OUTPUT.md)
+const REPORT_VERSION = 1;
+
+// Common envelope for every JSON document
+function envelope(schema, body) {
+    return {
+        schema: `diskmgt/${schema}`,
+        version: REPORT_VERSION,
+        generated_at: new Date().toISOString(),
+        hostname: os.hostname(),
+        ...body
+    };
+}
+
+// Detected device with display placeholders ("not mounted", "NO-UUID-...") turned into null
+function normalizeDetected(drive) {
+    return {
+        name: drive.name,
+        device: drive.device,
+        type: drive.type,
+        parent: drive.parent,
+        parents: drive.parents,
+        depth: drive.depth,
+        root: drive.root,
+        size: drive.size,
+        bytes: drive.bytes,
+        fstype: drive.fstype === 'unknown' ? null : drive.fstype,
+        mountpoint: drive.mountpoint === 'not mounted' ? null : drive.mountpoint,
+        model: drive.model === 'Unknown Model' ? null : drive.model,
+        uuid: drive.uuid.startsWith('NO-UUID-') ? null : drive.uuid,
+        serial: drive.serial,
+        wwn: drive.wwn,
+        transport: drive.transport,
+        vendor: drive.vendor,
+        firmware: drive.firmware,
+        rotational: drive.rotational,
+        removable: drive.removable,
+        physical_sector_size: drive.physicalSectorSize,
+        logical_sector_size: drive.logicalSectorSize,
+        discard_granularity: drive.discardGranularity,
+        scheduler: drive.scheduler,
+        disk_id: drive.diskId,
+        partuuid: drive.partuuid,
+        partition: drive.partition
+    };
+}
+
+// Registry records for a disk, its partitions and the volumes stacked on them
+function registryForDisk(disk, detected, known) {
+    const uuids = new Set(detected
+        .filter(d => d.root === disk.name)
+        .map(d => d.uuid));
+    return known.filter(d => uuids.has(d.uuid));
+}
+
+// Drive inventory: detected devices and registry records, cross-referenced by UUID (disks by disk ID)
+function buildInventory() {
+    const detected = detect.detectDrives();
+    const known = storage.getAllDrives();
+    const detectedUUIDs = new Set(detected.map(d => d.uuid));
+    const detectedDisks = new Set(detected.map(d => d.diskId).filter(Boolean));
+
+    return envelope('inventory', {
+        detected: detected.map(d => ({
+            ...normalizeDetected(d),
+            registry: known.find(k => k.uuid === d.uuid) || null
+        })),
+        registered: known.map(k => ({
+            ...k,
+            connected: detectedUUIDs.has(k.uuid)
+        })),
+        disks: storage.getAllDisks().map(k => ({
+            ...k,
+            connected: detectedDisks.has(k.id)
+        }))
+    });
+}
+
+// Detailed disk information with registry records attached to each partition
+function buildDiskInfo(device) {
+    const info = diskinfo.getDetailedDiskInfo(device);
+    const known = storage.getAllDrives();
+
+    return envelope('diskinfo', {
+        disk: {
+            ...info,
+            partitions: info.partitions.map(part => ({
+                ...part,
+                registry: known.find(k => k.uuid === part.uuid) || null
+            }))
+        }
+    });
+}
+
+// SMART readings for every detected disk
+function buildHealthReport() {
+    const available = health.isSmartctlAvailable();
+    const detected = detect.detectDrives();
+    const known = storage.getAllDrives();
+    const disks = available ? detected.filter(d => d.type === 'disk') : [];
+
+    return envelope('health', {
+        smartctl_available: available,
+        disks: disks.map(disk => {
+            const reading = health.collectHealth(disk);
+            return {
+                name: reading.name,
+                device: reading.device,
+                model: disk.model === 'Unknown Model' ? null : disk.model,
+                size: reading.size,
+                smart_status: reading.health.status,
+                temperature_c: reading.temperature,
+                wear_percent: reading.wear,
+                power_on_hours: reading.powerOnHours,
+                smart: reading.smart,
+                registry: registryForDisk(disk, detected, known)
+            };
+        })
+    });
+}
+
+// Print a JSON document to stdout
+function printJson(document) {
+    console.log(JSON.stringify(document, null, 2));
+}
+
+module.exports = {
+    REPORT_VERSION,
+    envelope,
+    normalizeDetected,
+    buildInventory,
+    buildDiskInfo,
+    buildHealthReport,
+    printJson
+};
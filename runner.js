@@ -0,0 +1,212 @@
+const { execSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+
+// Fixture bundles: the output of every command run and sysfs file read, so a machine's drives can be
+// replayed anywhere. { schema, version, recorded_at, hostname, commands: { <command>: result }, files, dirs, links }
+const FIXTURE_SCHEMA = 'diskmgt/fixtures';
+const FIXTURE_VERSION = 1;
+
+// 'live' runs commands; 'record' runs them and saves their output; 'replay' answers from a bundle only
+let mode = 'live';
+let bundle = null;
+let bundleFile = null;
+
+// Empty fixture bundle for this machine
+function emptyBundle() {
+    return {
+        schema: FIXTURE_SCHEMA,
+        version: FIXTURE_VERSION,
+        recorded_at: new Date().toISOString(),
+        hostname: os.hostname(),
+        commands: {},
+        files: {},
+        dirs: {},
+        links: {}
+    };
+}
+
+// Read a fixture bundle from a file
+function loadBundle(file) {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (data.schema !== FIXTURE_SCHEMA) {
+        throw new Error(`${file} is not a diskmgt fixture bundle`);
+    }
+    if (data.version > FIXTURE_VERSION) {
+        throw new Error(`${file} was recorded by a newer diskmgt (fixture version ${data.version})`);
+    }
+    return { ...emptyBundle(), ...data };
+}
+
+// Run commands for real (the default)
+function live() {
+    mode = 'live';
+    bundle = null;
+    bundleFile = null;
+}
+
+// Run commands for real and save their output to a bundle file (added to it if it exists)
+function record(file) {
+    mode = 'record';
+    bundleFile = file;
+    bundle = fs.existsSync(file) ? loadBundle(file) : emptyBundle();
+}
+
+// Answer commands from a bundle (a file or a bundle object) without running anything
+function replay(source) {
+    mode = 'replay';
+    bundleFile = null;
+    bundle = typeof source === 'string' ? loadBundle(source) : { ...emptyBundle(), ...source };
+}
+
+// Current mode: 'live', 'record' or 'replay'
+function getMode() {
+    return mode;
+}
+
+// The bundle being recorded or replayed (null when live)
+function getBundle() {
+    return bundle;
+}
+
+// Save the bundle being recorded (every call, so a crash keeps what was captured)
+function saveBundle() {
+    fs.writeFileSync(bundleFile, JSON.stringify(bundle, null, 2) + '\n');
+}
+
+// Output of a command as text (null when it went to the terminal)
+function outputText(output) {
+    if (output === null || output === undefined) return null;
+    return Buffer.isBuffer(output) ? output.toString('utf8') : String(output);
+}
+
+// Output as execSync would have returned it for these options
+function outputFor(text, options) {
+    if (text === null || text === undefined) return null;
+    return options.encoding && options.encoding !== 'buffer' ? text : Buffer.from(text, 'utf8');
+}
+
+// Error like execSync's for a command that failed in a bundle
+function replayedError(command, result, options) {
+    const err = new Error(`Command failed: ${command}${result.stderr ? `\n${result.stderr}` : ''}`);
+    err.status = result.status;
+    err.signal = result.signal || null;
+    err.killed = Boolean(result.killed);
+    err.stdout = outputFor(result.stdout, options);
+    err.stderr = outputFor(result.stderr, options);
+    return err;
+}
+
+// Run a shell command like execSync: returns its output, throws with status/stdout/stderr if it fails
+function run(command, options = {}) {
+    if (mode === 'replay') {
+        const result = bundle.commands[command];
+        if (!result) {
+            // Like a command that is not installed: callers fall back the same way
+            throw replayedError(command, { status: 127, stdout: '', stderr: `No fixture for "${command}"` }, options);
+        }
+        if (result.status !== 0) {
+            throw replayedError(command, result, options);
+        }
+        return outputFor(result.stdout, options);
+    }
+
+    if (mode === 'live') {
+        return execSync(command, options);
+    }
+
+    try {
+        const output = execSync(command, options);
+        bundle.commands[command] = { status: 0, stdout: outputText(output) };
+        saveBundle();
+        return output;
+    } catch (err) {
+        bundle.commands[command] = {
+            status: err.status === null || err.status === undefined ? 1 : err.status,
+            signal: err.signal || null,
+            killed: Boolean(err.killed),
+            stdout: outputText(err.stdout),
+            stderr: outputText(err.stderr)
+        };
+        saveBundle();
+        throw err;
+    }
+}
+
+// Read a text file such as a sysfs attribute (null if it can't be read)
+function readFile(file) {
+    if (mode === 'replay') {
+        return bundle.files[file] === undefined ? null : bundle.files[file];
+    }
+
+    let content;
+    try {
+        content = fs.readFileSync(file, 'utf8');
+    } catch {
+        content = null;
+    }
+    if (mode === 'record') {
+        bundle.files[file] = content;
+        saveBundle();
+    }
+    return content;
+}
+
+// List a directory (empty if it can't be read)
+function readDir(dir) {
+    if (mode === 'replay') {
+        return bundle.dirs[dir] || [];
+    }
+
+    let entries;
+    try {
+        entries = fs.readdirSync(dir);
+    } catch {
+        entries = [];
+    }
+    if (mode === 'record') {
+        bundle.dirs[dir] = entries;
+        saveBundle();
+    }
+    return entries;
+}
+
+// Resolve symlinks in a path such as /sys/block/sda (null if it doesn't exist)
+function realpath(file) {
+    if (mode === 'replay') {
+        return bundle.links[file] || null;
+    }
+
+    let resolved;
+    try {
+        resolved = fs.realpathSync(file);
+    } catch {
+        resolved = null;
+    }
+    if (mode === 'record') {
+        bundle.links[file] = resolved;
+        saveBundle();
+    }
+    return resolved;
+}
+
+// DISKMGT_REPLAY or DISKMGT_RECORD pick the mode for a whole run (replay wins if both are set)
+if (process.env.DISKMGT_REPLAY) {
+    replay(process.env.DISKMGT_REPLAY);
+} else if (process.env.DISKMGT_RECORD) {
+    record(process.env.DISKMGT_RECORD);
+}
+
+module.exports = {
+    FIXTURE_SCHEMA,
+    FIXTURE_VERSION,
+    live,
+    record,
+    replay,
+    getMode,
+    getBundle,
+    run,
+    readFile,
+    readDir,
+    realpath
+};
@@ -0,0 +1,59 @@
+const claudeHelper = require('./claude-helper');
+
+// Match "tag:<tag>" or "<custom field>:<text>" queries (null if the query is not one)
+function fieldSearch(query, drives) {
+    const match = query.match(/^([A-Za-z0-9_-]+):(.+)$/);
+    if (!match) return null;
+
+    const name = match[1].toLowerCase();
+    const value = match[2].trim().toLowerCase();
+
+    if (name === 'tag') {
+        return drives.filter(d => (d.tags || []).some(tag => tag.toLowerCase() === value));
+    }
+
+    const fieldNames = new Set(drives.flatMap(d => Object.keys(d.custom || {}).map(n => n.toLowerCase())));
+    if (!fieldNames.has(name)) return null;
+
+    return drives.filter(d => Object.entries(d.custom || {})
+        .some(([n, v]) => n.toLowerCase() === name && v.toLowerCase().includes(value)));
+}
+
+// Basic text search with common aliases
+// Also searches tags and custom fields, and accepts "tag:<tag>" or "<field>:<text>"
+function basicSearch(query, drives) {
+    const queryLower = query.toLowerCase().trim();
+
+    const byField = fieldSearch(queryLower, drives);
+    if (byField) return byField;
+
+    return drives.filter(d => {
+        const tags = (d.tags || []).join(' ');
+        const custom = Object.entries(d.custom || {}).map(([name, value]) => `${name} ${value}`).join(' ');
+        const searchText = `${d.label} ${d.type} ${d.purpose} ${d.device} ${tags} ${custom}`.toLowerCase();
+
+        // Check direct match
+        if (searchText.includes(queryLower)) return true;
+
+        // Handle common aliases
+        if (queryLower === 'lxc' && searchText.includes('lxd')) return true;
+        if (queryLower === 'lxd' && searchText.includes('lxc')) return true;
+        if (queryLower === 'container' && searchText.includes('lxd')) return true;
+        if (queryLower === 'os' && searchText.includes('operating system')) return true;
+        if (queryLower === 'system' && searchText.includes('operating system')) return true;
+        if (queryLower === 'root' && searchText.includes('root-system')) return true;
+
+        return false;
+    });
+}
+
+// AI-powered semantic search (throws if AI is unavailable or the request fails)
+async function aiSearch(query, drives) {
+    const matchingUUIDs = await claudeHelper.semanticSearch(query, drives);
+    return drives.filter(d => matchingUUIDs.includes(d.uuid));
+}
+
+module.exports = {
+    basicSearch,
+    aiSearch
+};
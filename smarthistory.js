@@ -0,0 +1,297 @@
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+const Table = require('cli-table3');
+const storage = require('./storage');
+const dryrun = require('./dryrun');
+const detect = require('./detect');
+const display = require('./display');
+const parttable = require('./parttable');
+const runner = require('./runner');
+
+// Append-only SMART time series, one JSON object per line: { ts, serial, device, model, status, <metric>... }
+const SMART_HISTORY_FILE = path.join(storage.CONFIG_DIR, 'smart-history.jsonl');
+
+// Metrics kept for every reading; worse is the direction that means trouble (null when neither does)
+const METRICS = [
+    { key: 'temperature', label: 'Temperature', worse: null, format: value => `${value}°C` },
+    { key: 'reallocated', label: 'Reallocated sectors', worse: 'up' },
+    { key: 'pending', label: 'Pending sectors', worse: 'up' },
+    { key: 'crc_errors', label: 'CRC errors', worse: 'up' },
+    { key: 'media_errors', label: 'Media errors', worse: 'up' },
+    { key: 'wear', label: 'Life left', worse: 'down', format: value => `${value}%` },
+    { key: 'data_written', label: 'Data written', worse: null, format: value => detect.formatSize(value) },
+    { key: 'power_on_hours', label: 'Power-on hours', worse: null }
+];
+
+// Sparkline levels, lowest first
+const SPARK_BLOCKS = '▁▂▃▄▅▆▇█';
+const SPARK_ASCII = '_.-:=+*#';
+
+// Points shown in a trend when no count is given
+const DEFAULT_POINTS = { day: 30, month: 12 };
+
+// Raw value of an ATA attribute (null if the disk doesn't report it)
+function rawAttribute(smart, id) {
+    const attr = smart.attributes.find(a => a.id === id);
+    return attr && attr.raw !== null ? attr.raw : null;
+}
+
+// Metrics of a parsed SMART reading (see health.parseSmartJson)
+function metricsFromSmart(smart) {
+    const nvme = smart.nvme || {};
+    // Total_LBAs_Written counts 512-byte sectors on most drives
+    const lbasWritten = rawAttribute(smart, 241);
+
+    return {
+        temperature: smart.temperature,
+        reallocated: rawAttribute(smart, 5),
+        pending: rawAttribute(smart, 197),
+        crc_errors: rawAttribute(smart, 199),
+        media_errors: nvme.mediaErrors !== undefined ? nvme.mediaErrors : null,
+        wear: smart.wear,
+        data_written: nvme.bytesWritten !== undefined && nvme.bytesWritten !== null
+            ? nvme.bytesWritten
+            : (lbasWritten !== null ? lbasWritten * 512 : null),
+        power_on_hours: smart.powerOnHours
+    };
+}
+
+// Append a health reading (from health.collectHealth) to the time series of its drive's serial number
+// Nothing is recorded in dry-run mode, from replayed fixtures (another machine's disks) or for disks whose
+// serial smartctl can't read
+function recordReading(reading) {
+    if (dryrun.isEnabled() || runner.getMode() === 'replay' || !reading.smart || !reading.smart.serial) {
+        return null;
+    }
+
+    const entry = {
+        ts: new Date().toISOString(),
+        serial: reading.smart.serial,
+        device: reading.device,
+        model: reading.smart.model || reading.model || null,
+        status: reading.health.status,
+        ...metricsFromSmart(reading.smart)
+    };
+
+    try {
+        storage.initStorage();
+        fs.appendFileSync(SMART_HISTORY_FILE, JSON.stringify(entry) + '\n');
+        return entry;
+    } catch {
+        // The time series must never break the health check that fed it
+        return null;
+    }
+}
+
+// Read every reading in the time series, oldest first
+function readReadings() {
+    if (!fs.existsSync(SMART_HISTORY_FILE)) {
+        return [];
+    }
+
+    return fs.readFileSync(SMART_HISTORY_FILE, 'utf8')
+        .split('\n')
+        .filter(Boolean)
+        .map(line => {
+            try {
+                return JSON.parse(line);
+            } catch {
+                return null;
+            }
+        })
+        .filter(Boolean);
+}
+
+// Readings of one drive, oldest first
+function getReadings(serial) {
+    return readReadings().filter(entry => entry.serial === serial);
+}
+
+// Serial numbers in the time series, most recently read first
+function knownSerials() {
+    return [...new Set(readReadings().reverse().map(entry => entry.serial))];
+}
+
+// Serial number for a serial or a device path/name, from the time series (null if nothing matches)
+// A device matches the drive most recently read through it
+function findSerial(target) {
+    const readings = readReadings().reverse();
+    const device = target.startsWith('/dev/') ? target : `/dev/${target}`;
+
+    const match = readings.find(entry => entry.serial === target) || readings.find(entry => entry.device === device);
+    return match ? match.serial : null;
+}
+
+// Keep the last reading of each day or month (UTC), oldest first: counters are cumulative,
+// so the last reading of a period is where it ended up
+function bucketReadings(readings, period = 'day') {
+    const length = period === 'month' ? 7 : 10;
+    const buckets = new Map();
+
+    readings.forEach(entry => buckets.set(entry.ts.slice(0, length), entry));
+    return [...buckets.entries()].map(([bucket, entry]) => ({ bucket, ...entry }));
+}
+
+// Metrics that changed between two readings: { key, label, before, after, delta, worse }
+// worse is true when an error counter went up or the life left went down
+function diffReadings(previous, current) {
+    return METRICS
+        .filter(metric => typeof previous[metric.key] === 'number' && typeof current[metric.key] === 'number')
+        .filter(metric => previous[metric.key] !== current[metric.key])
+        .map(metric => {
+            const delta = current[metric.key] - previous[metric.key];
+            return {
+                key: metric.key,
+                label: metric.label,
+                before: previous[metric.key],
+                after: current[metric.key],
+                delta,
+                worse: (metric.worse === 'up' && delta > 0) || (metric.worse === 'down' && delta < 0)
+            };
+        });
+}
+
+// What changed since the drive's last stored reading: { since, changes } (null for a drive never read before)
+// Call before recordReading(), or the last stored reading is this one
+function changesSinceLast(reading) {
+    if (!reading.smart || !reading.smart.serial) return null;
+
+    const readings = getReadings(reading.smart.serial);
+    const previous = readings[readings.length - 1];
+    if (!previous) return null;
+
+    return { since: previous.ts, changes: diffReadings(previous, metricsFromSmart(reading.smart)) };
+}
+
+// One-line chart of a series, scaled between its lowest and highest values (gaps for missing values)
+function sparkline(values, ascii = parttable.asciiOnly()) {
+    const levels = ascii ? SPARK_ASCII : SPARK_BLOCKS;
+    const numbers = values.filter(value => typeof value === 'number');
+    if (numbers.length === 0) return '';
+
+    const min = Math.min(...numbers);
+    const range = Math.max(...numbers) - min;
+
+    return values.map(value => {
+        if (typeof value !== 'number') return ' ';
+        const level = range === 0 ? 0 : Math.round((value - min) / range * (levels.length - 1));
+        return levels[level];
+    }).join('');
+}
+
+// Value of a metric as shown in tables
+function formatMetric(metric, value) {
+    if (typeof value !== 'number') return chalk.dim('N/A');
+    return metric.format ? metric.format(value) : String(value);
+}
+
+// Signed difference of a metric ("+3°C", "-2%")
+function formatDelta(metric, delta) {
+    return `${delta > 0 ? '+' : '-'}${formatMetric(metric, Math.abs(delta))}`;
+}
+
+// Change of a metric, red when it got worse
+function formatChange(change) {
+    const metric = METRICS.find(m => m.key === change.key);
+    const text = `${formatMetric(metric, change.before)} → ${formatMetric(metric, change.after)}`;
+    const arrow = change.delta > 0 ? '▲' : '▼';
+
+    return change.worse ? chalk.red(`${arrow} ${change.label}: ${text}`) : `${chalk.dim(arrow)} ${change.label}: ${text}`;
+}
+
+// Display what changed since the last reading of each drive (changes from changesSinceLast, keyed by name)
+function displayChanges(changesByName) {
+    const entries = Object.entries(changesByName).filter(([, diff]) => diff);
+    if (entries.length === 0) return;
+
+    console.log(chalk.bold('Since last reading:\n'));
+    entries.forEach(([name, diff]) => {
+        const when = chalk.dim(`(${display.timeAgo(diff.since)})`);
+        if (diff.changes.length === 0) {
+            console.log(`  ${name} ${when}: ${chalk.dim('no change')}`);
+            return;
+        }
+        console.log(`  ${name} ${when}:`);
+        diff.changes.forEach(change => console.log(`    ${formatChange(change)}`));
+    });
+    console.log('');
+}
+
+// Trend of one drive: its last count days or months, one point per period
+function buildTrend(serial, period = 'day', count = DEFAULT_POINTS[period]) {
+    const readings = getReadings(serial);
+    const points = bucketReadings(readings, period).slice(-count);
+
+    return { serial, period, readings: readings.length, points };
+}
+
+// Display the trend of one drive: a sparkline per metric, first and latest values, and the change between them
+function displayTrend(trend) {
+    const boxen = require('boxen');
+    const { points } = trend;
+    const latest = points[points.length - 1];
+
+    if (!latest) {
+        console.log(chalk.yellow(`\nNo SMART readings stored for ${trend.serial} yet. Run 'dm health' to take one.\n`));
+        return;
+    }
+
+    const line = (name, value) => `${chalk.bold(`${name}:`.padEnd(12))}${value}`;
+    const first = points[0];
+    const unit = trend.period === 'month' ? 'month' : 'day';
+
+    console.log(boxen([
+        line('Model', chalk.yellow(latest.model || 'Unknown')),
+        line('Serial', trend.serial),
+        line('Device', latest.device),
+        line('Readings', `${trend.readings}, last ${display.timeAgo(latest.ts)}`),
+        line('Period', `${first.bucket} → ${latest.bucket} ${chalk.dim(`(${points.length} ${unit}${points.length > 1 ? 's' : ''}, last reading of each)`)}`)
+    ].join('\n'), {
+        padding: 1,
+        margin: 1,
+        borderStyle: 'round',
+        title: '📈 SMART Trend',
+        titleAlignment: 'center'
+    }));
+
+    const table = new Table({
+        head: ['Metric', 'Trend', 'First', 'Latest', 'Change'].map(h => chalk.cyan(h)),
+        style: { head: [], border: ['dim'] }
+    });
+
+    const changes = diffReadings(first, latest);
+    METRICS.forEach(metric => {
+        const values = points.map(point => point[metric.key]);
+        if (!values.some(value => typeof value === 'number')) return;
+
+        const change = changes.find(c => c.key === metric.key);
+        table.push([
+            metric.label,
+            sparkline(values),
+            formatMetric(metric, first[metric.key]),
+            formatMetric(metric, latest[metric.key]),
+            change ? (change.worse ? chalk.red : text => text)(formatDelta(metric, change.delta)) : chalk.dim('-')
+        ]);
+    });
+
+    console.log(table.toString());
+    console.log('');
+}
+
+module.exports = {
+    SMART_HISTORY_FILE,
+    METRICS,
+    metricsFromSmart,
+    recordReading,
+    getReadings,
+    knownSerials,
+    findSerial,
+    bucketReadings,
+    diffReadings,
+    changesSinceLast,
+    sparkline,
+    displayChanges,
+    buildTrend,
+    displayTrend
+};
@@ -0,0 +1,191 @@
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+const Table = require('cli-table3');
+const storage = require('./storage');
+const history = require('./history');
+const display = require('./display');
+const dryrun = require('./dryrun');
+
+const STALE_CONFIG_FILE = path.join(storage.CONFIG_DIR, 'stale-config.json');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Get stale drive config
+function getStaleConfig() {
+    const defaults = {
+        staleDays: 30,
+        rotationDays: 7,
+        hookTimeout: 60,
+        notify: []
+    };
+
+    if (!fs.existsSync(STALE_CONFIG_FILE)) {
+        return defaults;
+    }
+    return { ...defaults, ...JSON.parse(fs.readFileSync(STALE_CONFIG_FILE, 'utf8')) };
+}
+
+// Check if a drive holds backups: its purpose or tags mention backup/offsite, or it has a rotation interval
+function isBackupDrive(drive) {
+    const words = [drive.purpose || '', ...(drive.tags || [])].join(' ');
+    return /backup|offsite/i.test(words) || Boolean((drive.custom || {}).rotation_days);
+}
+
+// Rotation interval of a backup drive in days: its rotation_days custom field, else the configured default
+function rotationDays(drive, config) {
+    const days = parseInt((drive.custom || {}).rotation_days);
+    return days > 0 ? days : config.rotationDays;
+}
+
+// Time of the last backup written to a drive (null if none was recorded)
+function lastBackupWritten(drive) {
+    const writes = history.getDriveHistory(drive).filter(entry => entry.event === 'backup-written');
+    return writes.length > 0 ? writes[writes.length - 1].ts : null;
+}
+
+// Drives not seen for config.staleDays days, and backup drives not seen within their rotation interval
+// connected: UUIDs connected right now (never stale). Oldest sighting first
+function findStaleDrives(drives, connected, config, now = Date.now()) {
+    return drives
+        .filter(drive => !connected.has(drive.uuid))
+        .map(drive => {
+            const days = Math.floor((now - Date.parse(drive.last_seen)) / DAY);
+            const backup = isBackupDrive(drive);
+            const rotation = backup ? rotationDays(drive, config) : null;
+            const seen = storage.lastSeenHost(drive);
+
+            return {
+                uuid: drive.uuid,
+                label: drive.label,
+                purpose: drive.purpose || '',
+                last_seen: drive.last_seen,
+                last_seen_host: seen ? seen.host : null,
+                days,
+                backup_drive: backup,
+                rotation_days: rotation,
+                overdue: backup && days >= rotation,
+                last_backup: backup ? lastBackupWritten(drive) : null
+            };
+        })
+        .filter(entry => entry.days >= config.staleDays || entry.overdue)
+        .sort((a, b) => b.days - a.days);
+}
+
+// One-line reminder for a flagged drive
+function describeStale(entry) {
+    const seen = `not seen for ${entry.days} day(s)${entry.last_seen_host ? ` (last on ${entry.last_seen_host})` : ''}`;
+    if (!entry.overdue) {
+        return `"${entry.label}" ${seen}`;
+    }
+
+    const backup = entry.last_backup ? `last backup written ${display.timeAgo(entry.last_backup)}` : 'no backup recorded';
+    return `Backup drive "${entry.label}" is due for rotation (every ${entry.rotation_days} day(s)): ${seen}, ${backup}`;
+}
+
+// Environment passed to notify hooks
+function notifyEnv(entry) {
+    return {
+        ...process.env,
+        DISKMGT_EVENT: 'stale',
+        DISKMGT_REASON: entry.overdue ? 'rotation' : 'stale',
+        DISKMGT_UUID: entry.uuid,
+        DISKMGT_LABEL: entry.label,
+        DISKMGT_PURPOSE: entry.purpose,
+        DISKMGT_LAST_SEEN: entry.last_seen,
+        DISKMGT_LAST_SEEN_HOST: entry.last_seen_host || '',
+        DISKMGT_DAYS: String(entry.days),
+        DISKMGT_ROTATION_DAYS: entry.rotation_days ? String(entry.rotation_days) : '',
+        DISKMGT_LAST_BACKUP: entry.last_backup || '',
+        DISKMGT_MESSAGE: describeStale(entry)
+    };
+}
+
+// Run the notify hooks once per flagged drive; returns the number of hook runs that failed
+function notifyStale(entries, config) {
+    let failures = 0;
+
+    entries.forEach(entry => {
+        config.notify.forEach(hook => {
+            try {
+                // Hook output goes to stderr so "dm stale --json --notify" still prints clean JSON
+                const output = dryrun.run(hook, {
+                    env: notifyEnv(entry),
+                    encoding: 'utf8',
+                    stdio: ['ignore', 'pipe', 'inherit'],
+                    timeout: config.hookTimeout * 1000
+                }).trim();
+                if (output) {
+                    output.split('\n').forEach(line => console.error(chalk.dim(`  [${path.basename(hook.split(' ')[0])}] ${line}`)));
+                }
+            } catch (err) {
+                failures++;
+                display.displayError(`Notify hook "${hook}" failed for ${entry.label}: ${err.killed ? 'timed out' : `exit code ${err.status}`}`);
+            }
+        });
+    });
+
+    return failures;
+}
+
+// Display flagged drives grouped by purpose
+function displayStaleReport(entries, config) {
+    if (entries.length === 0) {
+        display.displaySuccess(`Every drive has been seen in the last ${config.staleDays} day(s) and no backup drive is due for rotation.`);
+        return;
+    }
+
+    const groups = {};
+    entries.forEach(entry => {
+        const purpose = entry.purpose || 'No purpose';
+        (groups[purpose] = groups[purpose] || []).push(entry);
+    });
+
+    Object.keys(groups).sort().forEach(purpose => {
+        console.log(chalk.bold(`\n${purpose}`) + chalk.dim(` (${groups[purpose].length})`));
+
+        const table = new Table({
+            head: ['Label', 'Last seen', 'Where', 'Rotation', 'Last backup written'].map(h => chalk.cyan(h)),
+            style: { head: [], border: ['dim'] }
+        });
+
+        groups[purpose].forEach(entry => {
+            let rotation = chalk.dim('-');
+            if (entry.overdue) {
+                rotation = chalk.red(`⚠ overdue (every ${entry.rotation_days}d)`);
+            } else if (entry.backup_drive) {
+                rotation = `every ${entry.rotation_days}d`;
+            }
+
+            table.push([
+                chalk.bold(entry.label),
+                display.timeAgo(entry.last_seen),
+                entry.last_seen_host || chalk.dim('-'),
+                rotation,
+                entry.backup_drive
+                    ? (entry.last_backup ? display.timeAgo(entry.last_backup) : chalk.yellow('never'))
+                    : chalk.dim('-')
+            ]);
+        });
+
+        console.log(table.toString());
+    });
+
+    const overdue = entries.filter(entry => entry.overdue).length;
+    console.log('');
+    if (overdue > 0) {
+        display.displayError(`${overdue} backup drive(s) due for rotation`);
+    } else {
+        display.displayInfo(`${entries.length} drive(s) not seen for ${config.staleDays} day(s) or more`);
+    }
+}
+
+module.exports = {
+    STALE_CONFIG_FILE,
+    getStaleConfig,
+    isBackupDrive,
+    findStaleDrives,
+    describeStale,
+    notifyStale,
+    displayStaleReport
+};
@@ -1,9 +1,117 @@
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
+const dryrun = require('./dryrun');
 
-const CONFIG_DIR = path.join(os.homedir(), '.config', 'diskmgt');
+// DISKMGT_CONFIG_DIR overrides the location (used by tests and for alternate registries)
+const CONFIG_DIR = process.env.DISKMGT_CONFIG_DIR || path.join(os.homedir(), '.config', 'diskmgt');
 const DRIVES_FILE = path.join(CONFIG_DIR, 'drives.json');
+const LOCK_FILE = `${DRIVES_FILE}.lock`;
+
+// Previous versions kept as drives.json.bak.1 (newest) .. drives.json.bak.N
+const BACKUP_COUNT = 3;
+
+// Give up waiting for the lock after LOCK_TIMEOUT, and treat locks older than STALE_LOCK as abandoned
+// when their owner is gone or can't be told (ms)
+const LOCK_TIMEOUT = 10000;
+const STALE_LOCK = 30000;
+
+// Layout of drives.json; bump it and add a migration whenever records change shape
+const SCHEMA_VERSION = 4;
+
+// Known partition record fields: value type and whether every record must have it
+const DRIVE_FIELDS = {
+    uuid: { type: 'string', required: true },
+    label: { type: 'string', required: true },
+    type: { type: 'string' },
+    purpose: { type: 'string' },
+    size: { type: 'string' },
+    device: { type: 'string' },
+    first_seen: { type: 'date', required: true },
+    last_seen: { type: 'date', required: true },
+    tags: { type: 'tags' },
+    custom: { type: 'custom' },
+    last_seen_on: { type: 'hosts' },
+    disk: { type: 'string' },
+    partuuid: { type: 'string' },
+    partition: { type: 'number' },
+    previous_uuids: { type: 'list' }
+};
+
+// Known physical disk record fields (disks are keyed by detect's diskId: WWN or serial)
+const DISK_FIELDS = {
+    id: { type: 'string', required: true },
+    label: { type: 'string', required: true },
+    serial: { type: 'string' },
+    wwn: { type: 'string' },
+    model: { type: 'string' },
+    size: { type: 'string' },
+    first_seen: { type: 'date', required: true },
+    last_seen: { type: 'date', required: true },
+    last_seen_on: { type: 'hosts' }
+};
+
+// Custom field names (owner, purchase_date, warranty-expiry, ...)
+const CUSTOM_FIELD_NAME = /^[A-Za-z0-9_-]+$/;
+
+// Upgrade steps keyed by the version they produce (files without schemaVersion are version 0)
+// Each one changes data in place
+const MIGRATIONS = {
+    1: data => {
+        // Hand-edited version 0 records could lack timestamps or have null text fields
+        const now = new Date().toISOString();
+        data.drives.forEach(drive => {
+            if (!drive.first_seen) drive.first_seen = drive.last_seen || now;
+            if (!drive.last_seen) drive.last_seen = drive.first_seen;
+            ['type', 'purpose'].forEach(field => {
+                if (drive[field] === null) drive[field] = '';
+            });
+        });
+    },
+    2: data => {
+        // Every record gets tags and custom fields; ad-hoc fields added with updateDriveField move into custom
+        const known = ['uuid', 'label', 'type', 'purpose', 'size', 'device', 'first_seen', 'last_seen', 'tags', 'custom'];
+        data.drives.forEach(drive => {
+            const { tags, custom } = drive;
+            drive.tags = normalizeTags(Array.isArray(tags) ? tags : typeof tags === 'string' ? tags.split(',') : []);
+            drive.custom = {};
+            if (custom && typeof custom === 'object') {
+                Object.entries(custom)
+                    .filter(([name, value]) => CUSTOM_FIELD_NAME.test(name) && typeof value === 'string')
+                    .forEach(([name, value]) => { drive.custom[name] = value; });
+            }
+
+            Object.keys(drive).forEach(field => {
+                if (known.includes(field)) return;
+                if (CUSTOM_FIELD_NAME.test(field) && ['string', 'number', 'boolean'].includes(typeof drive[field])) {
+                    drive.custom[field] = String(drive[field]);
+                    delete drive[field];
+                }
+            });
+        });
+    },
+    3: data => {
+        // Until now each registry only recorded what its own host had seen
+        data.drives.forEach(drive => {
+            drive.last_seen_on = { [os.hostname()]: drive.last_seen };
+        });
+    },
+    4: data => {
+        // Physical disks get their own records; partitions are linked to them once seen again
+        data.disks = [];
+        data.drives.forEach(drive => {
+            drive.previous_uuids = [];
+        });
+    }
+};
+
+// Nesting depth of the lock held by this process
+let lockDepth = 0;
+
+// An empty registry in the current layout
+function emptyRegistry() {
+    return { schemaVersion: SCHEMA_VERSION, drives: [], disks: [] };
+}
 
 // Initialize storage
 function initStorage() {
@@ -12,19 +120,337 @@ function initStorage() {
     }
 
     if (!fs.existsSync(DRIVES_FILE)) {
-        fs.writeFileSync(DRIVES_FILE, JSON.stringify({ drives: [] }, null, 2));
+        acquireLock();
+        try {
+            // Check again: another process may have created it while we waited
+            if (!fs.existsSync(DRIVES_FILE)) {
+                writeAtomic(DRIVES_FILE, JSON.stringify(emptyRegistry(), null, 2));
+            }
+        } finally {
+            releaseLock();
+        }
     }
 }
 
-// Read all drives
-function getAllDrives() {
+// Block the (synchronous) caller for ms milliseconds
+function sleep(ms) {
+    Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+// Check if a lock file was left behind by a process that is gone
+// A live owner keeps its lock however long it takes (a sync pull over SSH can be slow)
+function isStaleLock() {
+    let stat;
+    let owner;
+    try {
+        stat = fs.statSync(LOCK_FILE);
+        owner = JSON.parse(fs.readFileSync(LOCK_FILE, 'utf8'));
+    } catch {
+        // Gone, or still being written by its owner: only stale if it has stayed that way
+        return stat ? Date.now() - stat.mtimeMs > STALE_LOCK : false;
+    }
+
+    if (owner.pid) {
+        try {
+            process.kill(owner.pid, 0);
+            return false;
+        } catch (err) {
+            // ESRCH: owner is gone; EPERM: owner is alive but belongs to another user
+            if (err.code === 'ESRCH') return true;
+            if (err.code === 'EPERM') return false;
+        }
+    }
+
+    return Date.now() - (owner.time || stat.mtimeMs) > STALE_LOCK;
+}
+
+// Take the registry lock, waiting for other diskmgt processes (re-entrant within a process)
+function acquireLock() {
+    if (lockDepth > 0) {
+        lockDepth++;
+        return;
+    }
+
+    const deadline = Date.now() + LOCK_TIMEOUT;
+
+    while (true) {
+        try {
+            const fd = fs.openSync(LOCK_FILE, 'wx');
+            fs.writeSync(fd, JSON.stringify({ pid: process.pid, time: Date.now() }));
+            fs.closeSync(fd);
+            lockDepth = 1;
+            return;
+        } catch (err) {
+            if (err.code !== 'EEXIST') throw err;
+        }
+
+        if (isStaleLock()) {
+            try {
+                fs.unlinkSync(LOCK_FILE);
+            } catch {
+                // Another process removed it first
+            }
+            continue;
+        }
+
+        if (Date.now() > deadline) {
+            throw new Error(`Drive registry is locked by another diskmgt process (${LOCK_FILE})`);
+        }
+        sleep(50);
+    }
+}
+
+// Release the registry lock
+function releaseLock() {
+    if (--lockDepth > 0) return;
+
+    try {
+        fs.unlinkSync(LOCK_FILE);
+    } catch {
+        // Ignore
+    }
+}
+
+// Write a file so readers see either the old or the new contents, never a partial file
+function writeAtomic(file, contents) {
+    const tmp = `${file}.tmp-${process.pid}`;
+
+    const fd = fs.openSync(tmp, 'w');
+    try {
+        fs.writeSync(fd, contents);
+        fs.fsyncSync(fd);
+    } finally {
+        fs.closeSync(fd);
+    }
+    fs.renameSync(tmp, file);
+
+    // Persist the rename itself
+    try {
+        const dirFd = fs.openSync(path.dirname(file), 'r');
+        fs.fsyncSync(dirFd);
+        fs.closeSync(dirFd);
+    } catch {
+        // Ignore (not supported on every filesystem)
+    }
+}
+
+// Shift drives.json.bak.1..N-1 up by one and copy the current registry to .bak.1
+function rotateBackups() {
+    if (!fs.existsSync(DRIVES_FILE)) return;
+
+    for (let i = BACKUP_COUNT - 1; i >= 1; i--) {
+        const from = `${DRIVES_FILE}.bak.${i}`;
+        if (fs.existsSync(from)) {
+            fs.renameSync(from, `${DRIVES_FILE}.bak.${i + 1}`);
+        }
+    }
+    fs.copyFileSync(DRIVES_FILE, `${DRIVES_FILE}.bak.1`);
+}
+
+// Parse registry JSON, throwing if it is not a valid registry
+function parseRegistry(text) {
+    const data = JSON.parse(text);
+    if (!data || !Array.isArray(data.drives)) {
+        throw new Error('missing "drives" list');
+    }
+    return data;
+}
+
+// Replace a corrupt registry with the newest backup that still parses
+function recoverRegistry(reason) {
+    const corruptCopy = `${DRIVES_FILE}.corrupt-${Date.now()}`;
+    fs.copyFileSync(DRIVES_FILE, corruptCopy);
+
+    for (let i = 1; i <= BACKUP_COUNT; i++) {
+        const backup = `${DRIVES_FILE}.bak.${i}`;
+        if (!fs.existsSync(backup)) continue;
+
+        try {
+            const text = fs.readFileSync(backup, 'utf8');
+            const data = parseRegistry(text);
+            writeAtomic(DRIVES_FILE, text);
+            console.error(`diskmgt: ${DRIVES_FILE} was corrupt (${reason}); restored from ${path.basename(backup)}. Corrupt copy kept as ${path.basename(corruptCopy)}`);
+            return data;
+        } catch {
+            // Try the next older backup
+        }
+    }
+
+    writeAtomic(DRIVES_FILE, JSON.stringify(emptyRegistry(), null, 2));
+    console.error(`diskmgt: ${DRIVES_FILE} was corrupt (${reason}) and no usable backup was found; started an empty registry. Corrupt copy kept as ${path.basename(corruptCopy)}`);
+    return emptyRegistry();
+}
+
+// Bring registry data up to SCHEMA_VERSION (returns a new object, schemaVersion first)
+function migrateRegistry(data) {
+    const from = data.schemaVersion || 0;
+    if (from > SCHEMA_VERSION) {
+        throw new Error(`${DRIVES_FILE} has schema version ${from}, newer than this diskmgt supports (${SCHEMA_VERSION}). Upgrade diskmgt.`);
+    }
+
+    const { schemaVersion, ...rest } = data;
+    for (let version = from + 1; version <= SCHEMA_VERSION; version++) {
+        MIGRATIONS[version](rest);
+    }
+    return { schemaVersion: SCHEMA_VERSION, ...rest };
+}
+
+// Migrate the file on disk, keeping the old version as a backup
+function upgradeRegistry() {
+    acquireLock();
+    try {
+        const data = parseRegistry(fs.readFileSync(DRIVES_FILE, 'utf8'));
+        const from = data.schemaVersion || 0;
+        const migrated = migrateRegistry(data);
+
+        if (from !== SCHEMA_VERSION) {
+            writeRegistry(migrated);
+            console.error(`diskmgt: upgraded ${DRIVES_FILE} from schema version ${from} to ${SCHEMA_VERSION} (previous file kept as drives.json.bak.1)`);
+        }
+        return migrated;
+    } finally {
+        releaseLock();
+    }
+}
+
+// Read the registry, recovering from a backup if it is corrupt and migrating older layouts
+function readRegistry() {
+    initStorage();
+    let data = null;
+    try {
+        data = parseRegistry(fs.readFileSync(DRIVES_FILE, 'utf8'));
+    } catch {
+        // Retry under the lock below
+    }
+
+    if (!data) {
+        acquireLock();
+        try {
+            // Another process may have recovered it while we waited
+            data = parseRegistry(fs.readFileSync(DRIVES_FILE, 'utf8'));
+        } catch (err) {
+            data = recoverRegistry(err.message);
+        } finally {
+            releaseLock();
+        }
+    }
+
+    if ((data.schemaVersion || 0) !== SCHEMA_VERSION) {
+        return upgradeRegistry();
+    }
+    return data;
+}
+
+// Registry data without when drives and disks were last seen, to tell sightings from edits
+function withoutSightings(data) {
+    const strip = ({ last_seen, last_seen_on, ...record }) => record;
+    return JSON.stringify({ ...data, drives: (data.drives || []).map(strip), disks: (data.disks || []).map(strip) });
+}
+
+// Write the registry, keeping the previous version as a backup
+// Sightings alone don't rotate the backups (a listing would push every pre-edit backup out), and
+// unchanged data isn't written at all
+function writeRegistry(data) {
+    const text = JSON.stringify(data, null, 2);
+    let previous = null;
+    try {
+        previous = fs.readFileSync(DRIVES_FILE, 'utf8');
+    } catch {
+        // No registry yet
+    }
+    if (previous === text) return;
+
+    let sightingsOnly = false;
+    try {
+        sightingsOnly = previous !== null && withoutSightings(JSON.parse(previous)) === withoutSightings(data);
+    } catch {
+        // Unreadable previous version: keep it as a backup
+    }
+    if (!sightingsOnly) {
+        rotateBackups();
+    }
+    writeAtomic(DRIVES_FILE, text);
+}
+
+// Read, modify and write the registry while holding the lock
+// The mutator changes data in place; returning false skips the write. Its result is returned.
+function updateRegistry(mutator) {
     initStorage();
+    acquireLock();
     try {
-        const data = fs.readFileSync(DRIVES_FILE, 'utf8');
-        return JSON.parse(data).drives;
-    } catch (err) {
-        return [];
+        const data = readRegistry();
+        const result = mutator(data);
+        if (result !== false) {
+            writeRegistry(data);
+        }
+        return result;
+    } finally {
+        releaseLock();
+    }
+}
+
+// Check one field value against DRIVE_FIELDS (or DISK_FIELDS); unknown fields accept anything
+function checkField(field, value, fields = DRIVE_FIELDS) {
+    const spec = fields[field];
+    if (!spec) return null;
+
+    if (value === undefined || value === null || value === '') {
+        return spec.required ? `missing ${field}` : null;
+    }
+    if (spec.type === 'date') {
+        return typeof value === 'string' && !isNaN(Date.parse(value)) ? null : `${field} must be an ISO date`;
     }
+    if (spec.type === 'list') {
+        const valid = Array.isArray(value) && value.every(item => typeof item === 'string' && item !== '');
+        return valid ? null : `${field} must be a list of non-empty strings`;
+    }
+    if (spec.type === 'tags') {
+        const valid = Array.isArray(value) && value.every(tag => typeof tag === 'string' && tag.trim() === tag && tag !== '' && !tag.includes(','));
+        return valid ? null : `${field} must be a list of non-empty tags without commas`;
+    }
+    if (spec.type === 'hosts') {
+        const valid = typeof value === 'object' && !Array.isArray(value) &&
+            Object.values(value).every(date => typeof date === 'string' && !isNaN(Date.parse(date)));
+        return valid ? null : `${field} must map host names to ISO dates`;
+    }
+    if (spec.type === 'custom') {
+        const valid = typeof value === 'object' && !Array.isArray(value) &&
+            Object.entries(value).every(([name, v]) => CUSTOM_FIELD_NAME.test(name) && typeof v === 'string');
+        return valid ? null : `${field} must map names (letters, digits, _ and -) to text`;
+    }
+    return typeof value === spec.type ? null : `${field} must be a ${spec.type}`;
+}
+
+// List problems with a drive record (empty if valid)
+function validateDrive(drive) {
+    return Object.keys(DRIVE_FIELDS)
+        .map(field => checkField(field, drive[field]))
+        .filter(Boolean);
+}
+
+// List problems with a disk record (empty if valid)
+function validateDisk(disk) {
+    return Object.keys(DISK_FIELDS)
+        .map(field => checkField(field, disk[field], DISK_FIELDS))
+        .filter(Boolean);
+}
+
+// Clean up a list of tags: trimmed, no blanks, no case-insensitive duplicates
+function normalizeTags(tags) {
+    const seen = new Set();
+    return tags
+        .map(tag => String(tag).trim())
+        .filter(tag => {
+            const key = tag.toLowerCase();
+            if (!tag || seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+}
+
+// Read all drives
+function getAllDrives() {
+    return readRegistry().drives;
 }
 
 // Get drive by UUID
@@ -35,57 +461,95 @@ function getDriveByUUID(uuid) {
 
 // Add new drive
 function addDrive(driveData) {
-    initStorage();
-    const data = JSON.parse(fs.readFileSync(DRIVES_FILE, 'utf8'));
+    return updateRegistry(data => {
+        // Check if drive already exists
+        if (data.drives.some(d => d.uuid === driveData.uuid)) {
+            return false;
+        }
 
-    // Check if drive already exists
-    if (data.drives.some(d => d.uuid === driveData.uuid)) {
-        return false;
-    }
+        const timestamp = new Date().toISOString();
+        const drive = {
+            ...driveData,
+            first_seen: timestamp,
+            last_seen: timestamp,
+            tags: driveData.tags || [],
+            custom: driveData.custom || {},
+            last_seen_on: { [os.hostname()]: timestamp },
+            previous_uuids: driveData.previous_uuids || []
+        };
 
-    const timestamp = new Date().toISOString();
-    data.drives.push({
-        ...driveData,
-        first_seen: timestamp,
-        last_seen: timestamp
-    });
+        const problems = validateDrive(drive);
+        if (problems.length > 0) {
+            throw new Error(`Invalid drive record: ${problems.join(', ')}`);
+        }
 
-    fs.writeFileSync(DRIVES_FILE, JSON.stringify(data, null, 2));
-    return true;
+        data.drives.push(drive);
+        return true;
+    });
 }
 
-// Update drive last_seen timestamp
+// Update the last_seen timestamp of a drive and its disk (not in dry-run mode, which leaves the registry as it is)
 function updateLastSeen(uuid) {
-    initStorage();
-    const data = JSON.parse(fs.readFileSync(DRIVES_FILE, 'utf8'));
-    const drive = data.drives.find(d => d.uuid === uuid);
+    if (dryrun.isEnabled()) return;
 
-    if (drive) {
-        drive.last_seen = new Date().toISOString();
-        fs.writeFileSync(DRIVES_FILE, JSON.stringify(data, null, 2));
-    }
+    updateRegistry(data => {
+        const drive = data.drives.find(d => d.uuid === uuid);
+        if (!drive) return false;
+
+        // The drive's disk is seen with it
+        const timestamp = new Date().toISOString();
+        [drive, (data.disks || []).find(d => d.id === drive.disk)].filter(Boolean).forEach(record => {
+            record.last_seen = timestamp;
+            record.last_seen_on = { ...record.last_seen_on, [os.hostname()]: timestamp };
+        });
+    });
 }
 
 // Update drive field
 function updateDriveField(uuid, field, value) {
-    initStorage();
-    const data = JSON.parse(fs.readFileSync(DRIVES_FILE, 'utf8'));
-    const drive = data.drives.find(d => d.uuid === uuid);
+    const problem = checkField(field, value);
+    if (problem) {
+        throw new Error(`Invalid value for ${field}: ${problem}`);
+    }
+
+    return updateRegistry(data => {
+        const drive = data.drives.find(d => d.uuid === uuid);
+        if (!drive) return false;
 
-    if (drive) {
         drive[field] = value;
-        fs.writeFileSync(DRIVES_FILE, JSON.stringify(data, null, 2));
         return true;
-    }
-    return false;
+    });
+}
+
+// Change a drive record in place while holding the lock (false if the UUID is unknown)
+// Throws, leaving the registry untouched, if the changed record is invalid
+function updateDrive(uuid, mutator) {
+    return updateRegistry(data => {
+        const drive = data.drives.find(d => d.uuid === uuid);
+        if (!drive) return false;
+
+        mutator(drive);
+
+        const problems = validateDrive(drive);
+        if (problems.length > 0) {
+            throw new Error(`Invalid drive record: ${problems.join(', ')}`);
+        }
+        return true;
+    });
 }
 
 // Remove drive
 function removeDrive(uuid) {
-    initStorage();
-    const data = JSON.parse(fs.readFileSync(DRIVES_FILE, 'utf8'));
-    data.drives = data.drives.filter(d => d.uuid !== uuid);
-    fs.writeFileSync(DRIVES_FILE, JSON.stringify(data, null, 2));
+    updateRegistry(data => {
+        data.drives = data.drives.filter(d => d.uuid !== uuid);
+    });
+}
+
+// Host that saw a drive most recently: { host, time } (null if unknown)
+function lastSeenHost(drive) {
+    return Object.entries(drive.last_seen_on || {})
+        .map(([host, time]) => ({ host, time }))
+        .reduce((latest, entry) => (!latest || Date.parse(entry.time) > Date.parse(latest.time) ? entry : latest), null);
 }
 
 // Count drives
@@ -93,13 +557,40 @@ function countDrives() {
     return getAllDrives().length;
 }
 
+// Read all physical disk records
+function getAllDisks() {
+    return readRegistry().disks || [];
+}
+
+// Get disk by ID (WWN or serial, as built by detect)
+function getDiskById(id) {
+    return getAllDisks().find(d => d.id === id);
+}
+
 module.exports = {
+    CONFIG_DIR,
+    DRIVES_FILE,
+    SCHEMA_VERSION,
+    DRIVE_FIELDS,
+    DISK_FIELDS,
+    CUSTOM_FIELD_NAME,
     initStorage,
+    writeAtomic,
+    isStaleLock,
+    updateRegistry,
+    migrateRegistry,
+    validateDrive,
+    validateDisk,
+    normalizeTags,
     getAllDrives,
     getDriveByUUID,
     addDrive,
     updateLastSeen,
     updateDriveField,
+    updateDrive,
     removeDrive,
-    countDrives
+    lastSeenHost,
+    countDrives,
+    getAllDisks,
+    getDiskById
 };
@@ -0,0 +1,209 @@
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const chalk = require('chalk');
+const storage = require('./storage');
+const registryIO = require('./registry-io');
+const dryrun = require('./dryrun');
+
+const SYNC_CONFIG_FILE = path.join(storage.CONFIG_DIR, 'sync-config.json');
+
+// Each host writes <hostname>.diskmgt.json to the shared directory and only reads the others,
+// so hosts never overwrite each other (and a git repo never gets merge conflicts)
+const HOST_FILE_SUFFIX = '.diskmgt.json';
+
+// Where the registry lives on a remote Pi, relative to its home directory
+const REMOTE_REGISTRY = '.config/diskmgt/drives.json';
+
+// Seconds before an SSH pull or git command gives up
+const REMOTE_TIMEOUT = 60;
+
+// Get sync config: { dir, ssh: ["pi@pi-03", ...] }
+function getSyncConfig() {
+    const defaults = { dir: null, ssh: [] };
+
+    if (!fs.existsSync(SYNC_CONFIG_FILE)) {
+        return defaults;
+    }
+    return { ...defaults, ...JSON.parse(fs.readFileSync(SYNC_CONFIG_FILE, 'utf8')) };
+}
+
+// Split "pi@pi-03" or "pi@pi-03:/path/drives.json" into host and remote file
+function parseSshTarget(target) {
+    const colon = target.indexOf(':');
+    if (colon === -1) {
+        return { host: target, file: REMOTE_REGISTRY };
+    }
+    return { host: target.slice(0, colon), file: target.slice(colon + 1) || REMOTE_REGISTRY };
+}
+
+// Most useful line of a failed command's error (its last stderr line)
+function commandError(err) {
+    const stderr = err.stderr ? String(err.stderr).trim() : '';
+    return stderr ? stderr.split('\n').pop() : err.message.split('\n')[0];
+}
+
+// Check if a directory is inside a git working copy
+function isGitRepo(dir) {
+    try {
+        execFileSync('git', ['-C', dir, 'rev-parse', '--is-inside-work-tree'], { stdio: 'pipe' });
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+// Check if a git working copy has a remote to pull from and push to
+function hasGitRemote(dir) {
+    try {
+        return execFileSync('git', ['-C', dir, 'remote'], { encoding: 'utf8', stdio: 'pipe' }).trim() !== '';
+    } catch {
+        return false;
+    }
+}
+
+// Registry files written by other hosts into a shared directory
+function otherHostFiles(dir) {
+    const own = `${os.hostname()}${HOST_FILE_SUFFIX}`;
+    return fs.readdirSync(dir)
+        .filter(name => name.endsWith(HOST_FILE_SUFFIX) && name !== own)
+        .sort()
+        .map(name => path.join(dir, name));
+}
+
+// Fetch a remote Pi's drives.json over SSH (key-based login only, never prompts)
+function pullSsh(target) {
+    const { host, file } = parseSshTarget(target);
+    const text = execFileSync('ssh', ['-o', 'BatchMode=yes', '-o', 'ConnectTimeout=10', host, 'cat', file], {
+        encoding: 'utf8',
+        stdio: ['ignore', 'pipe', 'pipe'],
+        timeout: REMOTE_TIMEOUT * 1000
+    });
+    return registryIO.parseImportText(text, 'json', target);
+}
+
+// Check if the local registry differs from what was last published (ignoring the export timestamp)
+function publishedChanged(file) {
+    try {
+        return JSON.stringify(registryIO.readImportFile(file, 'json')) !== JSON.stringify(storage.getAllDrives());
+    } catch {
+        return true;
+    }
+}
+
+// Merge one source into the local registry
+// Label clashes are asked about on a terminal; otherwise options.labels decides (local if unset)
+async function mergeSource(source, records, options) {
+    const plan = registryIO.planImport(storage.getAllDrives(), records);
+
+    const interactive = process.stdin.isTTY && !options.labels;
+    const labels = await registryIO.resolveLabelClashes(plan.clashes, source, interactive ? null : options.labels || 'local');
+
+    const applied = dryrun.isEnabled() ? plan : registryIO.applyImport(records, labels);
+    return {
+        source,
+        added: applied.added.length,
+        merged: applied.updated.length,
+        skipped: applied.skipped.length,
+        clashes: plan.clashes.length,
+        error: null
+    };
+}
+
+// Pull from the shared directory and SSH hosts, then publish this host's registry to the directory
+// options: { dir, ssh: [targets], labels: 'local'|'imported' }
+async function syncRegistry(options = {}) {
+    const results = [];
+    const dir = options.dir ? path.resolve(options.dir) : null;
+
+    if (dir && !fs.existsSync(dir)) {
+        throw new Error(`Sync directory not found: ${dir}`);
+    }
+
+    const git = Boolean(dir) && isGitRepo(dir);
+    const remote = git && hasGitRemote(dir);
+
+    if (remote) {
+        try {
+            dryrun.run(`git -C "${dir}" pull --rebase --quiet`, { stdio: 'pipe', timeout: REMOTE_TIMEOUT * 1000 });
+        } catch (err) {
+            results.push({ source: `git pull (${dir})`, error: commandError(err) });
+        }
+    }
+
+    const sources = [
+        ...(dir ? otherHostFiles(dir).map(file => ({ source: path.basename(file), read: () => registryIO.readImportFile(file, 'json') })) : []),
+        ...(options.ssh || []).map(target => ({ source: target, read: () => pullSsh(target) }))
+    ];
+
+    for (const { source, read } of sources) {
+        try {
+            results.push(await mergeSource(source, read(), options));
+        } catch (err) {
+            results.push({ source, error: commandError(err) });
+        }
+    }
+
+    let published = null;
+    if (dir) {
+        published = path.join(dir, `${os.hostname()}${HOST_FILE_SUFFIX}`);
+        if (!dryrun.isEnabled() && publishedChanged(published)) {
+            // Peers may be reading the directory right now: they see the old file or the new one, never half of it
+            storage.writeAtomic(published, registryIO.exportDrives(storage.getAllDrives(), 'json'));
+        }
+
+        if (git) {
+            try {
+                dryrun.run(`git -C "${dir}" add "${path.basename(published)}"`, { stdio: 'pipe' });
+                // Commit only if the file changed ("git diff --cached --quiet" fails when it did)
+                try {
+                    execFileSync('git', ['-C', dir, 'diff', '--cached', '--quiet'], { stdio: 'pipe' });
+                } catch {
+                    dryrun.run(`git -C "${dir}" commit --quiet -m "diskmgt: registry from ${os.hostname()}"`, { stdio: 'pipe' });
+                }
+                if (remote) {
+                    dryrun.run(`git -C "${dir}" push --quiet`, { stdio: 'pipe', timeout: REMOTE_TIMEOUT * 1000 });
+                }
+            } catch (err) {
+                results.push({ source: `git commit/push (${dir})`, error: commandError(err) });
+            }
+        }
+    }
+
+    return { results, published, git };
+}
+
+// Display what a sync did
+function displaySyncReport({ results, published, git }) {
+    console.log('');
+    if (results.length === 0) {
+        console.log(chalk.dim('  No other registries found'));
+    }
+
+    results.forEach(r => {
+        if (r.error) {
+            console.log(`  ${chalk.red('✗')} ${r.source}: ${chalk.red(r.error)}`);
+            return;
+        }
+
+        const parts = [`${r.added} added`, `${r.merged} merged`];
+        if (r.skipped > 0) parts.push(chalk.yellow(`${r.skipped} skipped`));
+        if (r.clashes > 0) parts.push(chalk.yellow(`${r.clashes} label clash(es)`));
+        console.log(`  ${chalk.green('✓')} ${r.source}: ${parts.join(', ')}`);
+    });
+
+    if (published) {
+        console.log(`  ${chalk.cyan('→')} ${dryrun.isEnabled() ? 'Would publish' : 'Published'} ${published}${git ? ' (git)' : ''}`);
+    }
+    console.log('');
+}
+
+module.exports = {
+    SYNC_CONFIG_FILE,
+    HOST_FILE_SUFFIX,
+    getSyncConfig,
+    parseSshTarget,
+    syncRegistry,
+    displaySyncReport
+};
@@ -50,6 +50,54 @@ test('diskinfo.js loads without errors', () => {
     require('./diskinfo.js');
 });
 
+test('cli.js loads without errors', () => {
+    require('./cli.js');
+});
+
+test('dryrun.js loads without errors', () => {
+    require('./dryrun.js');
+});
+
+test('playbook.js loads without errors', () => {
+    require('./playbook.js');
+});
+
+test('dashboard.js loads without errors', () => {
+    require('./dashboard.js');
+});
+
+test('daemon.js loads without errors', () => {
+    require('./daemon.js');
+});
+
+test('history.js loads without errors', () => {
+    require('./history.js');
+});
+
+test('doctor.js loads without errors', () => {
+    require('./doctor.js');
+});
+
+test('registry-io.js loads without errors', () => {
+    require('./registry-io.js');
+});
+
+test('sync.js loads without errors', () => {
+    require('./sync.js');
+});
+
+test('identity.js loads without errors', () => {
+    require('./identity.js');
+});
+
+test('stale.js loads without errors', () => {
+    require('./stale.js');
+});
+
+test('labels.js loads without errors', () => {
+    require('./labels.js');
+});
+
 // Test 2: Storage operations
 console.log('\n💾 Storage Tests\n');
 
@@ -156,7 +204,1591 @@ test('diskinfo.getDetailedDiskInfo() returns object', () => {
     }
 });
 
-// Test 6: Integration test
+// Test 6: CLI operations
+console.log('\n⌨️  CLI Tests\n');
+
+const cli = require('./cli.js');
+const search = require('./search.js');
+
+test('cli.parseArgs() separates positionals and flags', () => {
+    const { positional, flags } = cli.parseArgs(['/dev/sda1', '--method', 'tar', '--dest=local', '--yes']);
+    if (positional.length !== 1 || positional[0] !== '/dev/sda1') {
+        throw new Error('Positional arguments not parsed');
+    }
+    if (flags.method !== 'tar' || flags.dest !== 'local' || flags.yes !== true) {
+        throw new Error('Flags not parsed');
+    }
+});
+
+test('cli.parseArgs() never gives boolean flags a value', () => {
+    const { positional, flags } = cli.parseArgs(['--readonly', '/dev/sda1']);
+    if (flags.readonly !== true || positional[0] !== '/dev/sda1') {
+        throw new Error('Boolean flag consumed the next argument');
+    }
+});
+
+test('cli.parseArgs() collects repeated --tag and --set flags', () => {
+    const { flags } = cli.parseArgs(['--tag', 'a', '--set=owner=alice', '--tag', 'b']);
+    if (JSON.stringify(flags.tag) !== '["a","b"]' || JSON.stringify(flags.set) !== '["owner=alice"]') {
+        throw new Error('Repeated flags not collected: ' + JSON.stringify(flags));
+    }
+});
+
+test('--json errors go to stderr with a failing exit code, flags before the command included', () => {
+    const { spawnSync } = require('child_process');
+    const dir = fs.mkdtempSync('/tmp/diskmgt-json-test-');
+    const results = [['info', '/dev/diskmgt-missing', '--json'], ['--json', 'info', '/dev/diskmgt-missing']].map(args =>
+        spawnSync(process.execPath, ['index.js', ...args], {
+            cwd: __dirname,
+            encoding: 'utf8',
+            timeout: 60000,
+            env: { ...process.env, DISKMGT_CONFIG_DIR: dir }
+        }));
+    fs.rmSync(dir, { recursive: true, force: true });
+
+    results.forEach(result => {
+        if (result.status !== 1 || result.stdout.trim() !== '' || !result.stderr.includes('/dev/diskmgt-missing not found')) {
+            throw new Error(`Unexpected result (exit ${result.status}): ${JSON.stringify({ stdout: result.stdout, stderr: result.stderr })}`);
+        }
+    });
+});
+
+test('dm -v and dm --version print the version', () => {
+    const { spawnSync } = require('child_process');
+    const pkg = require('./package.json');
+    ['-v', '--version'].forEach(flag => {
+        const result = spawnSync(process.execPath, ['index.js', flag], { cwd: __dirname, encoding: 'utf8', timeout: 60000 });
+        if (result.status !== 0 || result.stdout.trim() !== `diskmgt v${pkg.version}`) {
+            throw new Error(`${flag} gave exit ${result.status}: ${result.stdout}${result.stderr}`);
+        }
+    });
+});
+
+test('dm edit and dm remove change nothing with --dry-run', () => {
+    const { spawnSync } = require('child_process');
+    const dir = fs.mkdtempSync('/tmp/diskmgt-edit-dryrun-test-');
+    const env = { ...process.env, DISKMGT_CONFIG_DIR: dir };
+    const script = `
+        const storage = require('./storage.js');
+        storage.addDrive({ uuid: 'dry-run-uuid', label: 'Photos', type: 'USB Drive', purpose: 'Backup', device: '/dev/sdx1' });
+    `;
+    execSync(`node -e "${script.replace(/"/g, '\\"')}"`, { cwd: __dirname, encoding: 'utf8', env });
+    const registry = () => fs.readFileSync(`${dir}/drives.json`, 'utf8');
+    const before = registry();
+
+    const results = [['edit', 'Photos', '--label', 'Pictures', '--tag', 'offsite'], ['remove', 'Photos']].map(args =>
+        spawnSync(process.execPath, ['index.js', '--dry-run', ...args], { cwd: __dirname, encoding: 'utf8', timeout: 60000, env }));
+    const after = registry();
+    fs.rmSync(dir, { recursive: true, force: true });
+
+    if (results.some(result => result.status !== 0) || after !== before) {
+        throw new Error('Registry changed or command failed: ' + results.map(r => `${r.status} ${r.stdout}${r.stderr}`).join('\n'));
+    }
+    if (!results[0].stdout.includes('"Pictures"') || !results[0].stdout.includes('offsite')) {
+        throw new Error('Dry run did not show the changes: ' + results[0].stdout);
+    }
+});
+
+test('dm stale --json --notify --dry-run keeps the dry-run output off stdout', () => {
+    const { spawnSync } = require('child_process');
+    const dir = fs.mkdtempSync('/tmp/diskmgt-stale-json-test-');
+    const env = { ...process.env, DISKMGT_CONFIG_DIR: dir };
+    const script = `
+        const storage = require('./storage.js');
+        storage.addDrive({ uuid: 'stale-uuid', label: 'Archive', type: 'USB Drive', purpose: 'Offsite backup', device: '/dev/sdx1' });
+        storage.updateDrive('stale-uuid', drive => { drive.last_seen = '2020-01-01T00:00:00.000Z'; });
+    `;
+    execSync(`node -e "${script.replace(/"/g, '\\"')}"`, { cwd: __dirname, encoding: 'utf8', env });
+    fs.writeFileSync(`${dir}/stale-config.json`, JSON.stringify({ notify: ['echo stale'] }));
+
+    const result = spawnSync(process.execPath, ['index.js', 'stale', '--json', '--notify', '--dry-run'], { cwd: __dirname, encoding: 'utf8', timeout: 60000, env });
+    fs.rmSync(dir, { recursive: true, force: true });
+
+    let document;
+    try {
+        document = JSON.parse(result.stdout);
+    } catch {
+        throw new Error('stdout is not JSON: ' + result.stdout);
+    }
+    if (result.status !== 0 || document.drives.length !== 1 || !result.stderr.includes('[dry-run] echo stale')) {
+        throw new Error(`Unexpected result (exit ${result.status}): ${result.stderr}`);
+    }
+});
+
+test('cli.isCommand() recognises subcommands', () => {
+    if (!cli.isCommand('list') || cli.isCommand('bogus')) {
+        throw new Error('isCommand returned wrong result');
+    }
+});
+
+test('search.basicSearch() matches aliases', () => {
+    const drives = [
+        { uuid: 'a', label: 'Containers', type: 'USB Drive', purpose: 'LXD Storage', device: '/dev/sda1' },
+        { uuid: 'b', label: 'Movies', type: 'USB Drive', purpose: 'Media Storage', device: '/dev/sdb1' }
+    ];
+    const results = search.basicSearch('lxc', drives);
+    if (results.length !== 1 || results[0].uuid !== 'a') {
+        throw new Error('lxc alias did not match LXD drive');
+    }
+});
+
+test('search.basicSearch() matches tags and custom fields', () => {
+    const drives = [
+        { uuid: 'a', label: 'One', type: 'USB Drive', purpose: '', device: '/dev/sda1', tags: ['offsite'], custom: { owner: 'Alice' } },
+        { uuid: 'b', label: 'Two', type: 'USB Drive', purpose: '', device: '/dev/sdb1', tags: ['offsite-old'], custom: { owner: 'Bob' } }
+    ];
+    if (search.basicSearch('tag:offsite', drives).map(d => d.uuid).join() !== 'a') {
+        throw new Error('tag: query did not match the exact tag');
+    }
+    if (search.basicSearch('owner:bob', drives).map(d => d.uuid).join() !== 'b') {
+        throw new Error('field: query did not match the custom field');
+    }
+    if (search.basicSearch('alice', drives).map(d => d.uuid).join() !== 'a') {
+        throw new Error('Plain query did not search custom values');
+    }
+});
+
+test('report.normalizeDetected() turns placeholders into null', () => {
+    const report = require('./report.js');
+    const normalized = report.normalizeDetected({
+        name: 'sda1', device: '/dev/sda1', type: 'part', parent: 'sda', size: '1.0GB', bytes: 1073741824,
+        fstype: 'unknown', mountpoint: 'not mounted', model: 'Unknown Model', uuid: 'NO-UUID-sda1'
+    });
+    if (normalized.fstype !== null || normalized.mountpoint !== null || normalized.model !== null || normalized.uuid !== null) {
+        throw new Error('Placeholder values were not normalized');
+    }
+});
+
+test('report.buildInventory() returns versioned document', () => {
+    const report = require('./report.js');
+    const inventory = report.buildInventory();
+    if (inventory.schema !== 'diskmgt/inventory' || inventory.version !== report.REPORT_VERSION) {
+        throw new Error('Inventory envelope missing');
+    }
+    if (!Array.isArray(inventory.detected) || !Array.isArray(inventory.registered)) {
+        throw new Error('Inventory lists missing');
+    }
+});
+
+test('dryrun.run() records commands instead of running them', () => {
+    const dryrun = require('./dryrun.js');
+    const marker = `/tmp/diskmgt-dryrun-test-${process.pid}`;
+
+    const originalLog = console.log;
+    console.log = () => {};
+    try {
+        dryrun.setEnabled(true);
+        dryrun.check('marker does not exist', !fs.existsSync(marker));
+        dryrun.run(`touch ${marker}`, { encoding: 'utf8' });
+    } finally {
+        console.log = originalLog;
+    }
+
+    const plan = dryrun.getPlan();
+    dryrun.setEnabled(false);
+
+    if (fs.existsSync(marker)) {
+        fs.unlinkSync(marker);
+        throw new Error('Command was executed in dry-run mode');
+    }
+    if (plan.length !== 2 || plan[0].kind !== 'check' || plan[1].command !== `touch ${marker}`) {
+        throw new Error('Plan not recorded in order');
+    }
+});
+
+test('partitiontools.resizePartition() grows mounted xfs, btrfs and ext4 but shrinks ext4 only offline', () => {
+    // /dev/sdx1 is a 10 GiB partition mounted at /srv/data; only the resize commands below can run
+    const dir = fs.mkdtempSync('/tmp/diskmgt-resize-test-');
+    fs.writeFileSync(`${dir}/fixtures.json`, JSON.stringify({
+        schema: 'diskmgt/fixtures',
+        version: 1,
+        commands: {
+            'blockdev --getsize64 /dev/sdx1': { status: 0, stdout: '10737418240\n' },
+            'findmnt -n -o TARGET -S /dev/sdx1': { status: 0, stdout: '/srv/data\n' },
+            'xfs_growfs /srv/data': { status: 0, stdout: '' },
+            'btrfs filesystem resize 20G /srv/data': { status: 0, stdout: '' },
+            'resize2fs /dev/sdx1 20G': { status: 0, stdout: '' },
+            'resize2fs /dev/sdx1 5G': { status: 0, stdout: '' }
+        }
+    }));
+    const script = `
+        const partitiontools = require('./partitiontools.js');
+        const resize = (fstype, size) => partitiontools.resizePartition('/dev/sdx1', fstype, { size, yes: true });
+        (async () => {
+            const results = [await resize('xfs', '20G'), await resize('btrfs', '20G'), await resize('ext4', '20G'), await resize('ext4', '5G')];
+            console.log(JSON.stringify(results));
+        })();
+    `;
+    const output = execSync(`node -e "${script.replace(/"/g, '\\"')}"`, {
+        cwd: __dirname,
+        encoding: 'utf8',
+        env: { ...process.env, DISKMGT_CONFIG_DIR: `${dir}/config`, DISKMGT_REPLAY: `${dir}/fixtures.json` }
+    });
+    fs.rmSync(dir, { recursive: true, force: true });
+
+    const results = output.trim().split('\n').pop();
+    if (results !== '[true,true,true,false]') {
+        throw new Error('Unexpected resize results: ' + results);
+    }
+});
+
+test('format, repair, clone and restore refuse a mounted or held device outside dry-run too', () => {
+    // /dev/sdx1 is mounted at /srv/data, /dev/sdy1 holds an open LUKS mapping
+    const dir = fs.mkdtempSync('/tmp/diskmgt-in-use-test-');
+    fs.writeFileSync(`${dir}/fixtures.json`, JSON.stringify({
+        schema: 'diskmgt/fixtures',
+        version: 1,
+        commands: {
+            'findmnt -n -o TARGET -S /dev/sdx1': { status: 0, stdout: '/srv/data\n' }
+        },
+        links: { '/dev/sdy1': '/dev/sdy1' },
+        dirs: { '/sys/class/block/sdy1/holders': ['dm-0'] }
+    }));
+    const script = `
+        const runner = require('./runner.js');
+        const partitiontools = require('./partitiontools.js');
+        const backup = require('./backup.js');
+        const run = runner.run;
+        const ran = [];
+        runner.run = (command, options) => { ran.push(command); return run(command, options); };
+        (async () => {
+            const results = [
+                await partitiontools.formatPartition('/dev/sdx1', { fstype: 'ext4', yes: true }),
+                await partitiontools.checkFilesystem('/dev/sdy1', 'ext4', false),
+                await partitiontools.clonePartition('/dev/sdz1', '/dev/sdx1', { yes: true }),
+                await backup.restoreDrive('/backups/data.tar.gz', '/dev/sdy1', { yes: true })
+            ];
+            console.log(JSON.stringify({ results, ran }));
+        })();
+    `;
+    const output = execSync(`node -e "${script.replace(/"/g, '\\"')}"`, {
+        cwd: __dirname,
+        encoding: 'utf8',
+        env: { ...process.env, DISKMGT_CONFIG_DIR: `${dir}/config`, DISKMGT_REPLAY: `${dir}/fixtures.json` }
+    });
+    fs.rmSync(dir, { recursive: true, force: true });
+
+    const { results, ran } = JSON.parse(output.trim().split('\n').pop());
+    if (results.some(Boolean)) {
+        throw new Error('A device in use was overwritten: ' + JSON.stringify(results));
+    }
+    const writes = ran.filter(command => /^(mkfs|e2fsck|dd|tar)/.test(command));
+    if (writes.length > 0) {
+        throw new Error('Ran ' + writes.join(', '));
+    }
+});
+
+test('the partition tools menu resizes a mounted xfs partition online', () => {
+    const dir = fs.mkdtempSync('/tmp/diskmgt-resize-menu-test-');
+    fs.writeFileSync(`${dir}/fixtures.json`, JSON.stringify({
+        schema: 'diskmgt/fixtures',
+        version: 1,
+        commands: {
+            'blockdev --getsize64 /dev/sdx1': { status: 0, stdout: '10737418240\n' },
+            'findmnt -n -o TARGET -S /dev/sdx1': { status: 0, stdout: '/srv/data\n' },
+            'xfs_growfs /srv/data': { status: 0, stdout: '' }
+        }
+    }));
+    const script = `
+        const inquirer = require('inquirer');
+        const runner = require('./runner.js');
+        const partitiontools = require('./partitiontools.js');
+        const answers = [{ tool: 'resize' }, { newSize: '20G' }, { confirm: true }, { continue: '' }];
+        inquirer.prompt = async () => answers.shift();
+        const run = runner.run;
+        const ran = [];
+        runner.run = (command, options) => { ran.push(command); return run(command, options); };
+        const partition = { name: 'sdx1', device: '/dev/sdx1', fstype: 'xfs', size: '10G', mountpoint: '/srv/data' };
+        partitiontools.partitionToolsMenu(partition, [partition]).then(() => console.log(JSON.stringify(ran)));
+    `;
+    const output = execSync(`node -e "${script.replace(/"/g, '\\"')}"`, {
+        cwd: __dirname,
+        encoding: 'utf8',
+        env: { ...process.env, DISKMGT_CONFIG_DIR: `${dir}/config`, DISKMGT_REPLAY: `${dir}/fixtures.json` }
+    });
+    fs.rmSync(dir, { recursive: true, force: true });
+
+    const ran = JSON.parse(output.trim().split('\n').pop());
+    if (!ran.includes('xfs_growfs /srv/data')) {
+        throw new Error('Menu did not resize the mounted partition: ' + JSON.stringify(ran));
+    }
+});
+
+test('backup.partitionDevice() handles mmcblk/nvme names', () => {
+    const backup = require('./backup.js');
+    if (backup.partitionDevice('/dev/sda', 2) !== '/dev/sda2' || backup.partitionDevice('/dev/mmcblk0', 2) !== '/dev/mmcblk0p2') {
+        throw new Error('Wrong partition device path');
+    }
+});
+
+test('playbook.loadPlaybook() validates steps', () => {
+    const playbook = require('./playbook.js');
+    const file = `/tmp/diskmgt-playbook-test-${process.pid}.yaml`;
+
+    fs.writeFileSync(file, 'target: { serial: ABC }\nsteps:\n  - action: format\n    fstype: ext4\n  - action: mount\n');
+    const book = playbook.loadPlaybook(file);
+
+    fs.writeFileSync(file, 'target: { serial: ABC }\nsteps:\n  - action: format\n');
+    let rejected = false;
+    try {
+        playbook.loadPlaybook(file);
+    } catch {
+        rejected = true;
+    }
+    fs.unlinkSync(file);
+
+    if (book.steps.length !== 2 || book.steps[1].target.serial !== 'ABC' || !playbook.isDestructive(book)) {
+        throw new Error('Playbook not loaded');
+    }
+    if (!rejected) {
+        throw new Error('Format step without fstype was accepted');
+    }
+});
+
+test('playbook.resolveTarget() finds devices by uuid, label and serial', () => {
+    const playbook = require('./playbook.js');
+    const devices = [
+        { device: '/dev/sda', type: 'disk', disk: '/dev/sda', serial: 'S1', uuid: null, label: null },
+        { device: '/dev/sda1', type: 'part', disk: '/dev/sda', serial: 'S1', uuid: 'u1', label: 'rootfs' },
+        { device: '/dev/mmcblk0', type: 'disk', disk: '/dev/mmcblk0', serial: 'S2', uuid: null, label: null },
+        { device: '/dev/mmcblk0p1', type: 'part', disk: '/dev/mmcblk0', serial: 'S2', uuid: 'u2', label: 'bootfs' },
+        { device: '/dev/mmcblk0p2', type: 'part', disk: '/dev/mmcblk0', serial: 'S2', uuid: 'u3', label: 'data' }
+    ];
+    const known = [{ uuid: 'u3', label: 'Backups' }];
+
+    if (playbook.resolveTarget({ uuid: 'u2' }, devices, known) !== '/dev/mmcblk0p1' ||
+        playbook.resolveTarget({ label: 'Backups' }, devices, known) !== '/dev/mmcblk0p2' ||
+        playbook.resolveTarget({ label: 'rootfs' }, devices, known) !== '/dev/sda1' ||
+        playbook.resolveTarget({ serial: 'S1' }, devices, known) !== '/dev/sda1' ||
+        playbook.resolveTarget({ serial: 'S2', partition: 2 }, devices, known) !== '/dev/mmcblk0p2') {
+        throw new Error('Target resolved to wrong device');
+    }
+
+    let ambiguous = false;
+    try {
+        playbook.resolveTarget({ serial: 'S2' }, devices, known);
+    } catch {
+        ambiguous = true;
+    }
+    if (!ambiguous) {
+        throw new Error('Serial with several partitions was not rejected');
+    }
+});
+
+test('playbook register steps link the record to its disk like dm register', () => {
+    const dir = fs.mkdtempSync('/tmp/diskmgt-playbook-test-');
+    fs.writeFileSync(`${dir}/fixtures.json`, JSON.stringify({
+        schema: 'diskmgt/fixtures',
+        version: 1,
+        commands: {
+            'lsblk -J -p -o NAME,TYPE,SERIAL,UUID,LABEL,FSTYPE': { status: 0, stdout: JSON.stringify({ blockdevices: [
+                { name: '/dev/sda', type: 'disk', serial: 'WX1', children: [{ name: '/dev/sda1', type: 'part', uuid: 'fs-9', label: null, fstype: 'ext4' }] }
+            ] }) }
+        }
+    }));
+    const script = `
+        const detect = require('./detect.js');
+        const storage = require('./storage.js');
+        const playbook = require('./playbook.js');
+        detect.detectDrives = () => [
+            { name: 'sda1', device: '/dev/sda1', type: 'part', fstype: 'ext4', uuid: 'fs-9', size: '1.8TB', diskId: 'serial:WX1', partuuid: 'p-9', partition: 1 }
+        ];
+        playbook.runPlaybook({ name: 'Register', steps: [{ action: 'register', target: { uuid: 'fs-9' }, label: 'Media' }] }).then(() => {
+            console.log(JSON.stringify(storage.getDriveByUUID('fs-9')));
+        });
+    `;
+    const output = execSync(`node -e "${script.replace(/"/g, '\\"')}"`, {
+        cwd: __dirname,
+        encoding: 'utf8',
+        env: { ...process.env, DISKMGT_CONFIG_DIR: `${dir}/config`, DISKMGT_REPLAY: `${dir}/fixtures.json` }
+    });
+    fs.rmSync(dir, { recursive: true, force: true });
+
+    const drive = JSON.parse(output.trim().split('\n').pop());
+    if (drive.label !== 'Media' || drive.disk !== 'serial:WX1' || drive.partuuid !== 'p-9' || drive.partition !== 1) {
+        throw new Error('Record not linked: ' + JSON.stringify(drive));
+    }
+});
+
+test('detect.parseDfOutput() keeps mounted block devices', () => {
+    const detect = require('./detect.js');
+    const usage = detect.parseDfOutput(
+        'Filesystem     1024-blocks     Used Available Capacity Mounted on\n' +
+        'tmpfs               403552     1224    402328       1% /run\n' +
+        '/dev/sda2         30322460 12158188  16905620      42% /\n' +
+        '/dev/sdb1        960303848 52133248 859315900       6% /mnt/My Backups\n'
+    );
+    if (usage.length !== 2 || usage[0].percent !== 42 || usage[1].mountpoint !== '/mnt/My Backups') {
+        throw new Error('df output parsed incorrectly');
+    }
+});
+
+test('dashboard.buildTreeData() nests partitions under disks', () => {
+    const dashboard = require('./dashboard.js');
+    const detected = [
+        { name: 'sda', device: '/dev/sda', type: 'disk', parent: null, size: '1.0TB', model: 'SSD', uuid: 'NO-UUID-sda' },
+        { name: 'sda1', device: '/dev/sda1', type: 'part', parent: 'sda', size: '1.0TB', fstype: 'ext4', mountpoint: 'not mounted', uuid: 'u1' }
+    ];
+    const tree = dashboard.buildTreeData(detected, [{ uuid: 'u1', label: 'Backups' }]);
+    const disk = tree.children['sda 1.0TB SSD'];
+    if (!disk || disk.children['sda1 1.0TB ext4 [Backups]'].drive.device !== '/dev/sda1') {
+        throw new Error('Partition not nested under its disk');
+    }
+});
+
+test('daemon.diffDrives() reports attach, detach and reformat', () => {
+    const daemon = require('./daemon.js');
+    const previous = [
+        { device: '/dev/sda1', uuid: 'u1' },
+        { device: '/dev/sdb1', uuid: 'u2' }
+    ];
+    const current = [
+        { device: '/dev/sda1', uuid: 'u9' },
+        { device: '/dev/sdc1', uuid: 'u3' }
+    ];
+    const { attached, detached } = daemon.diffDrives(previous, current);
+    if (attached.map(d => d.uuid).join() !== 'u9,u3' || detached.map(d => d.uuid).join() !== 'u1,u2') {
+        throw new Error('Wrong attach/detach sets');
+    }
+});
+
+test('daemon.hookEnv() exposes drive details to hooks', () => {
+    const daemon = require('./daemon.js');
+    const env = daemon.hookEnv('attach', {
+        name: 'sda1', device: '/dev/sda1', type: 'part', parent: 'sda', size: '1.0TB',
+        fstype: 'ext4', model: 'Unknown Model', uuid: 'u1'
+    }, { label: 'Backups', purpose: 'Weekly' });
+    if (env.DISKMGT_EVENT !== 'attach' || env.DISKMGT_UUID !== 'u1' || env.DISKMGT_LABEL !== 'Backups' ||
+        env.DISKMGT_REGISTERED !== '1' || env.DISKMGT_MODEL !== '') {
+        throw new Error('Hook environment incomplete');
+    }
+});
+
+test('daemon keeps running when a rescan fails', () => {
+    const dir = fs.mkdtempSync('/tmp/diskmgt-daemon-test-');
+    const script = `
+        const detect = require('./detect.js');
+        const daemon = require('./daemon.js');
+        let scans = 0;
+        detect.detectDrives = () => {
+            scans++;
+            if (scans === 2) throw new Error('Drive registry is locked by another diskmgt process');
+            return [];
+        };
+        setTimeout(() => process.kill(process.pid, 'SIGTERM'), 2500);
+        daemon.runDaemon({ poll: true, interval: 1 }).then(() => console.log('scans ' + scans));
+    `;
+    const output = execSync(`node -e "${script.replace(/"/g, '\\"')}"`, {
+        cwd: __dirname,
+        encoding: 'utf8',
+        timeout: 60000,
+        env: { ...process.env, DISKMGT_CONFIG_DIR: dir }
+    });
+    fs.rmSync(dir, { recursive: true, force: true });
+
+    if (!output.includes('Rescan failed: Drive registry is locked') || !/scans [3-9]/.test(output)) {
+        throw new Error('Daemon did not survive the failed rescan: ' + output.trim());
+    }
+});
+
+test('daemon.generateSystemdUnit() runs the daemon command', () => {
+    const daemon = require('./daemon.js');
+    const unit = daemon.generateSystemdUnit({ user: 'pi', home: '/home/pi', node: '/usr/bin/node', script: '/opt/diskmgt/index.js' });
+    if (!unit.includes('ExecStart=/usr/bin/node /opt/diskmgt/index.js daemon') || !unit.includes('User=pi')) {
+        throw new Error('Unit file missing ExecStart or User');
+    }
+});
+
+test('history.record() appends events except in dry-run mode', () => {
+    // Run in a child process with its own HOME so the real history file is untouched
+    const home = fs.mkdtempSync('/tmp/diskmgt-history-test-');
+    const script = `
+        const history = require('./history.js');
+        const dryrun = require('./dryrun.js');
+        history.record('u1', 'mount', { device: '/dev/sda1', mountpoint: '/mnt/sda1' });
+        dryrun.setEnabled(true);
+        history.record('u1', 'format', { fstype: 'ext4' });
+        dryrun.setEnabled(false);
+        history.record('u2', 'unmount');
+        console.log(JSON.stringify(history.getHistory('u1')));
+    `;
+    const output = execSync(`node -e "${script.replace(/"/g, '\\"')}"`, {
+        cwd: __dirname,
+        encoding: 'utf8',
+        env: { ...process.env, HOME: home }
+    });
+    fs.rmSync(home, { recursive: true, force: true });
+
+    const events = JSON.parse(output);
+    if (events.length !== 1 || events[0].event !== 'mount' || events[0].mountpoint !== '/mnt/sda1') {
+        throw new Error('Unexpected history: ' + output.trim());
+    }
+});
+
+test('dry-run mode leaves the registry untouched when drives are seen', () => {
+    const dir = fs.mkdtempSync('/tmp/diskmgt-dryrun-registry-test-');
+    const script = `
+        const fs = require('fs');
+        const storage = require('./storage.js');
+        const identity = require('./identity.js');
+        const dryrun = require('./dryrun.js');
+        storage.addDrive({ uuid: 'fs-1', label: 'Photos', size: '1TB', device: '/dev/sda1' });
+        const before = fs.readFileSync(storage.DRIVES_FILE, 'utf8');
+        dryrun.setEnabled(true);
+        storage.updateLastSeen('fs-1');
+        identity.reconcileRegistry([
+            { name: 'sda', type: 'disk', uuid: 'NO-UUID-sda', model: 'Elements', size: '1.8TB', serial: 'WX1', wwn: null, diskId: 'serial:WX1', partuuid: null, partition: null },
+            { name: 'sda1', device: '/dev/sda1', type: 'part', fstype: 'ext4', uuid: 'fs-1', serial: null, wwn: null, diskId: 'serial:WX1', partuuid: 'p-1', partition: 1 }
+        ]);
+        console.log(fs.readFileSync(storage.DRIVES_FILE, 'utf8') === before);
+    `;
+    const output = execSync(`node -e "${script.replace(/"/g, '\\"')}"`, {
+        cwd: __dirname,
+        encoding: 'utf8',
+        env: { ...process.env, DISKMGT_CONFIG_DIR: dir }
+    });
+    fs.rmSync(dir, { recursive: true, force: true });
+
+    if (output.trim() !== 'true') {
+        throw new Error('Registry was written in dry-run mode');
+    }
+});
+
+test('storage recovers a corrupt registry from its backup', () => {
+    const dir = fs.mkdtempSync('/tmp/diskmgt-storage-test-');
+    const script = `
+        const fs = require('fs');
+        const storage = require('./storage.js');
+        storage.addDrive({ uuid: 'u1', label: 'One' });
+        storage.addDrive({ uuid: 'u2', label: 'Two' });
+        fs.writeFileSync(storage.DRIVES_FILE, '{"drives": [');
+        console.log(JSON.stringify(storage.getAllDrives().map(d => d.uuid)));
+    `;
+    const output = execSync(`node -e "${script.replace(/"/g, '\\"')}" 2>/dev/null`, {
+        cwd: __dirname,
+        encoding: 'utf8',
+        env: { ...process.env, DISKMGT_CONFIG_DIR: dir }
+    });
+    const files = fs.readdirSync(dir);
+    fs.rmSync(dir, { recursive: true, force: true });
+
+    // .bak.1 holds the registry as it was before the second add
+    if (output.trim() !== '["u1"]') {
+        throw new Error('Unexpected drives after recovery: ' + output.trim());
+    }
+    if (!files.some(f => f.startsWith('drives.json.corrupt-'))) {
+        throw new Error('Corrupt copy was not kept');
+    }
+});
+
+test('storage only rotates backups for edits, not for sightings', () => {
+    const dir = fs.mkdtempSync('/tmp/diskmgt-storage-test-');
+    const script = `
+        const fs = require('fs');
+        const storage = require('./storage.js');
+        storage.addDrive({ uuid: 'u1', label: 'One' });
+        const backup = fs.readFileSync(storage.DRIVES_FILE + '.bak.1', 'utf8');
+        for (let i = 0; i < 5; i++) storage.updateLastSeen('u1');
+        const afterSightings = fs.readFileSync(storage.DRIVES_FILE + '.bak.1', 'utf8');
+        storage.updateDriveField('u1', 'label', 'Renamed');
+        const afterEdit = JSON.parse(fs.readFileSync(storage.DRIVES_FILE + '.bak.1', 'utf8'));
+        console.log(JSON.stringify({ kept: afterSightings === backup, edited: afterEdit.drives[0].label }));
+    `;
+    const output = execSync(`node -e "${script.replace(/"/g, '\\"')}"`, {
+        cwd: __dirname,
+        encoding: 'utf8',
+        env: { ...process.env, DISKMGT_CONFIG_DIR: dir }
+    });
+    fs.rmSync(dir, { recursive: true, force: true });
+
+    if (output.trim() !== '{"kept":true,"edited":"One"}') {
+        throw new Error('Unexpected backups: ' + output.trim());
+    }
+});
+
+test('storage never treats a live owner\'s lock as stale, however old', () => {
+    const dir = fs.mkdtempSync('/tmp/diskmgt-storage-test-');
+    const script = `
+        const fs = require('fs');
+        const storage = require('./storage.js');
+        storage.initStorage();
+        const lock = storage.DRIVES_FILE + '.lock';
+        fs.writeFileSync(lock, JSON.stringify({ pid: process.ppid, time: Date.now() - 3600000 }));
+        const live = storage.isStaleLock();
+        fs.writeFileSync(lock, JSON.stringify({ pid: 2147483646, time: Date.now() }));
+        const dead = storage.isStaleLock();
+        fs.writeFileSync(lock, JSON.stringify({ time: Date.now() - 3600000 }));
+        const unknown = storage.isStaleLock();
+        console.log(JSON.stringify([live, dead, unknown]));
+    `;
+    const output = execSync(`node -e "${script.replace(/"/g, '\\"')}"`, {
+        cwd: __dirname,
+        encoding: 'utf8',
+        env: { ...process.env, DISKMGT_CONFIG_DIR: dir }
+    });
+    fs.rmSync(dir, { recursive: true, force: true });
+
+    if (output.trim() !== '[false,true,true]') {
+        throw new Error('Unexpected stale lock checks: ' + output.trim());
+    }
+});
+
+test('storage keeps every drive added by concurrent processes', () => {
+    const dir = fs.mkdtempSync('/tmp/diskmgt-storage-test-');
+    const adder = n => `node -e "const s = require('./storage.js'); for (let i = 0; i < 5; i++) s.addDrive({ uuid: 'p${n}-' + i, label: 'x' });"`;
+    execSync(`${[1, 2, 3, 4].map(adder).join(' & ')} & wait`, {
+        cwd: __dirname,
+        env: { ...process.env, DISKMGT_CONFIG_DIR: dir },
+        timeout: 60000
+    });
+    const drives = JSON.parse(fs.readFileSync(`${dir}/drives.json`, 'utf8')).drives;
+    fs.rmSync(dir, { recursive: true, force: true });
+
+    if (drives.length !== 20) {
+        throw new Error(`Expected 20 drives, got ${drives.length}`);
+    }
+});
+
+test('storage.migrateRegistry() upgrades unversioned files', () => {
+    const migrated = storage.migrateRegistry({ drives: [{ uuid: 'u1', label: 'One', purpose: null, last_seen: '2024-01-01T00:00:00.000Z' }] });
+    if (migrated.schemaVersion !== storage.SCHEMA_VERSION || Object.keys(migrated)[0] !== 'schemaVersion') {
+        throw new Error('schemaVersion not set');
+    }
+    const drive = migrated.drives[0];
+    if (drive.first_seen !== '2024-01-01T00:00:00.000Z' || drive.purpose !== '') {
+        throw new Error('Record not migrated: ' + JSON.stringify(drive));
+    }
+});
+
+test('storage.migrateRegistry() moves ad-hoc fields into custom fields', () => {
+    const seen = { first_seen: '2024-01-01T00:00:00.000Z', last_seen: '2024-01-01T00:00:00.000Z' };
+    const migrated = storage.migrateRegistry({ schemaVersion: 1, drives: [{ uuid: 'u1', label: 'One', owner: 'alice', ...seen }] });
+    const drive = migrated.drives[0];
+    if (drive.owner !== undefined || drive.custom.owner !== 'alice' || !Array.isArray(drive.tags)) {
+        throw new Error('Record not migrated: ' + JSON.stringify(drive));
+    }
+    if (storage.validateDrive(drive).length > 0) {
+        throw new Error('Migrated record is invalid');
+    }
+});
+
+test('storage.migrateRegistry() records existing sightings for this host', () => {
+    const seen = { first_seen: '2024-01-01T00:00:00.000Z', last_seen: '2024-01-02T00:00:00.000Z' };
+    const migrated = storage.migrateRegistry({ schemaVersion: 2, drives: [{ uuid: 'u1', label: 'One', tags: [], custom: {}, ...seen }] });
+    const lastSeenOn = migrated.drives[0].last_seen_on;
+    if (!lastSeenOn || lastSeenOn[require('os').hostname()] !== seen.last_seen) {
+        throw new Error('last_seen_on not migrated: ' + JSON.stringify(lastSeenOn));
+    }
+});
+
+test('storage.migrateRegistry() adds disk records and previous UUIDs', () => {
+    const seen = { first_seen: '2024-01-01T00:00:00.000Z', last_seen: '2024-01-02T00:00:00.000Z' };
+    const migrated = storage.migrateRegistry({ schemaVersion: 3, drives: [{ uuid: 'u1', label: 'One', tags: [], custom: {}, ...seen }] });
+    if (!Array.isArray(migrated.disks) || !Array.isArray(migrated.drives[0].previous_uuids)) {
+        throw new Error('Registry not migrated: ' + JSON.stringify(migrated));
+    }
+});
+
+test('detect.diskIdentity() prefers the WWN over the serial number', () => {
+    const detect = require('./detect.js');
+    if (detect.diskIdentity('S3Z1', '0x5002538e') !== 'wwn:0x5002538e' || detect.diskIdentity('S3Z1', null) !== 'serial:S3Z1') {
+        throw new Error('Wrong disk identity');
+    }
+    if (detect.diskIdentity(null, null) !== null) {
+        throw new Error('Disk without serial or WWN got an identity');
+    }
+});
+
+test('detect.parseLsblk() nests stacked devices and spots arrays spanning disks', () => {
+    const detect = require('./detect.js');
+    const member = (name, fstype, children) => ({ name, type: 'part', size: '1000', fstype, uuid: `${name}-member`, children });
+    const md = { name: 'md0', type: 'raid1', size: '1000', fstype: 'ext4', uuid: 'md-fs' };
+    const drives = detect.parseLsblk({ blockdevices: [
+        { name: 'sdx', type: 'disk', size: '2000', serial: 'X1', children: [
+            member('sdx1', 'crypto_LUKS', [{ name: 'luks-x', path: '/dev/mapper/luks-x', type: 'crypt', size: '1000', fstype: 'LVM2_member', uuid: 'pv', children: [
+                { name: 'vg-data', path: '/dev/mapper/vg-data', type: 'lvm', size: '1000', fstype: 'ext4', uuid: 'lv-fs' }
+            ] }]),
+            member('sdx2', 'linux_raid_member', [md])
+        ] },
+        { name: 'sdy', type: 'disk', size: '1000', serial: 'Y1', children: [member('sdy1', 'linux_raid_member', [md])] },
+        { name: 'zram0', type: 'disk', size: '1000', fstype: 'swap' }
+    ] });
+    const byName = Object.fromEntries(drives.map(d => [d.name, d]));
+
+    const lv = byName['vg-data'];
+    if (!lv || lv.type !== 'lvm' || lv.parent !== 'luks-x' || lv.depth !== 3 || lv.root !== 'sdx' || lv.diskId !== 'serial:X1') {
+        throw new Error('LVM volume not stacked on its LUKS mapping: ' + JSON.stringify(lv));
+    }
+    const array = drives.filter(d => d.name === 'md0');
+    if (array.length !== 1 || array[0].type !== 'raid' || array[0].parents.join() !== 'sdx2,sdy1' || array[0].diskId !== null) {
+        throw new Error('RAID array spanning two disks not listed once: ' + JSON.stringify(array));
+    }
+    if (byName.zram0.type !== 'zram') {
+        throw new Error('zram not told apart from disks');
+    }
+});
+
+test('detect.parseLsblk() reads hardware attributes from old and new lsblk JSON', () => {
+    const detect = require('./detect.js');
+    const [modern, old] = detect.parseLsblk({ blockdevices: [
+        { name: 'sdx', type: 'disk', size: 1000, model: 'Samsung SSD 870 EVO 1TB', tran: 'usb', rota: false, rm: false,
+            vendor: 'Samsung ', rev: 'SVT02B6Q', 'phy-sec': 4096, 'log-sec': 512, 'disc-gran': 512, sched: 'mq-deadline' },
+        { name: 'sdy', type: 'disk', size: '1000', tran: 'sata', rota: '1', rm: '0', 'phy-sec': '512', 'log-sec': '512', 'disc-gran': '0' }
+    ] });
+
+    if (modern.model !== 'Samsung SSD 870 EVO 1TB' || modern.vendor !== 'Samsung' || modern.firmware !== 'SVT02B6Q' ||
+        modern.transport !== 'usb' || modern.rotational !== false || modern.physicalSectorSize !== 4096 || modern.scheduler !== 'mq-deadline') {
+        throw new Error('Hardware attributes not read: ' + JSON.stringify(modern));
+    }
+    if (old.rotational !== true || old.removable !== false || old.discardGranularity !== 0 || old.logicalSectorSize !== 512) {
+        throw new Error('String flags and numbers not converted: ' + JSON.stringify(old));
+    }
+});
+
+test('detect.detectDrives() drops only the columns an older lsblk rejects', () => {
+    const detect = require('./detect.js');
+    const runner = require('./runner.js');
+    const without = (...names) => detect.LSBLK_COLUMNS.split(',').filter(c => !names.includes(c)).join(',');
+    runner.replay({
+        commands: {
+            // Old lsblk prints the rest of the column list after the one it rejects
+            [`lsblk -nbo ${detect.LSBLK_COLUMNS} --json`]: { status: 1, stdout: '', stderr: `lsblk: unknown column: ${detect.LSBLK_COLUMNS.replace(/^NAME,/, '')}\n` },
+            [`lsblk -nbo ${without('PATH')} --json`]: { status: 1, stdout: '', stderr: 'lsblk: unknown column: DISC-GRAN,SCHED\n' },
+            [`lsblk -nbo ${without('PATH', 'DISC-GRAN')} --json`]: { status: 0, stdout: JSON.stringify({ blockdevices: [
+                { name: 'sdx', type: 'disk', size: '1000', model: 'Elements', serial: 'S1', tran: 'usb', rota: '1', children: [
+                    { name: 'sdx1', type: 'part', size: '900', fstype: 'crypto_LUKS', uuid: 'luks-1', partuuid: 'p-1', children: [
+                        { name: 'cryptdata', type: 'crypt', size: '880', fstype: 'LVM2_member', uuid: 'pv-1', children: [
+                            { name: 'vg-data', type: 'lvm', size: '800', fstype: 'ext4', uuid: 'fs-1' }
+                        ] }
+                    ] }
+                ] }
+            ] }) }
+        }
+    });
+
+    try {
+        const drives = detect.detectDrives();
+        const devices = drives.map(d => d.device).join(',');
+        if (devices !== '/dev/sdx,/dev/sdx1,/dev/mapper/cryptdata,/dev/mapper/vg-data') {
+            throw new Error('Wrong device paths: ' + devices);
+        }
+        if (drives[0].serial !== 'S1' || drives[0].transport !== 'usb' || drives[0].rotational !== true) {
+            throw new Error('Hardware columns dropped: ' + JSON.stringify(drives[0]));
+        }
+    } finally {
+        runner.live();
+    }
+});
+
+test('detect.isRegistrable() takes filesystems, not their LUKS/LVM/RAID members', () => {
+    const detect = require('./detect.js');
+    const device = (type, fstype, uuid = 'u1') => ({ type, fstype, uuid });
+    const registrable = [device('part', 'ext4'), device('lvm', 'ext4'), device('crypt', 'btrfs'), device('raid', 'xfs')];
+    const refused = [device('disk', 'unknown'), device('part', 'crypto_LUKS'), device('crypt', 'LVM2_member'),
+        device('part', 'linux_raid_member'), device('loop', 'squashfs'), device('part', 'unknown', 'NO-UUID-sda1'), device('zram', 'swap')];
+
+    if (!registrable.every(detect.isRegistrable) || refused.some(detect.isRegistrable)) {
+        throw new Error('Wrong devices offered for registration');
+    }
+    if (!detect.isVolume(device('loop', 'squashfs')) || detect.isVolume(device('zram', 'swap'))) {
+        throw new Error('Wrong devices offered to the partition tools');
+    }
+});
+
+test('runner records command output and replays it without running anything', () => {
+    const os = require('os');
+    const path = require('path');
+    const runner = require('./runner.js');
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'diskmgt-test-')), 'fixtures.json');
+
+    try {
+        runner.record(file);
+        runner.run('echo recorded', { encoding: 'utf8' });
+        try {
+            runner.run('exit 3', { stdio: 'ignore' });
+        } catch {
+            // Recorded with its exit status
+        }
+
+        runner.replay(file);
+        if (runner.run('echo recorded', { encoding: 'utf8' }) !== 'recorded\n' || runner.run('echo recorded').toString() !== 'recorded\n') {
+            throw new Error('Recorded output not replayed');
+        }
+        const status = command => {
+            try {
+                runner.run(command);
+                return 0;
+            } catch (err) {
+                return err.status;
+            }
+        };
+        if (status('exit 3') !== 3 || status('echo never-recorded') !== 127) {
+            throw new Error('Failed and unknown commands not replayed as failures');
+        }
+    } finally {
+        runner.live();
+        fs.rmSync(path.dirname(file), { recursive: true, force: true });
+    }
+});
+
+test('diskinfo.getDetailedDiskInfo() parses a replayed fixture', () => {
+    const runner = require('./runner.js');
+    const detect = require('./detect.js');
+    const diskinfo = require('./diskinfo.js');
+    const lsblk = { blockdevices: [{ name: 'sdx', path: '/dev/sdx', type: 'disk', size: 1000204886016, model: 'Samsung SSD 870 EVO 1TB',
+        serial: 'S6PU', tran: 'usb', rota: false, rm: false, 'phy-sec': 512, 'log-sec': 512, 'disc-gran': 0 }] };
+
+    runner.replay({ commands: {
+        [`lsblk -ndbo ${detect.LSBLK_COLUMNS} --json /dev/sdx`]: { status: 0, stdout: JSON.stringify(lsblk) },
+        'sfdisk --json /dev/sdx': { status: 0, stdout: JSON.stringify({ partitiontable: {
+            label: 'gpt', id: 'D3A4C9E0-5B1F-4A8E-9C7D-2E6F1B0A3C55', device: '/dev/sdx', unit: 'sectors', firstlba: 2048, lastlba: 1953525134, sectorsize: 512,
+            partitions: [
+                { node: '/dev/sdx1', start: 2048, size: 1048576, type: 'C12A7328-F81F-11D2-BA4B-00A0C93EC93B', uuid: 'p1' },
+                { node: '/dev/sdx2', start: 1050624, size: 1952474511, type: '0FC63DAF-8483-4772-8E79-3D69D8477DE4', uuid: 'p2' }
+            ]
+        } }) },
+        'blkid -o export /dev/sdx* 2>/dev/null || true': { status: 0, stdout:
+            'DEVNAME=/dev/sdx1\nUUID=AB12-CD34\nTYPE=vfat\nLABEL=bootfs\n\nDEVNAME=/dev/sdx2\nUUID=u2\nTYPE=ext4\nLABEL=rootfs\n' },
+        'mount | grep /dev/sdx || true': { status: 0, stdout: '' }
+    } });
+
+    try {
+        const info = diskinfo.getDetailedDiskInfo('/dev/sdx');
+        if (info.partitionTable !== 'gpt' || !info.bootable || info.bootPartitions[0].number !== '1') {
+            throw new Error('Partition table not parsed: ' + JSON.stringify(info));
+        }
+        if (info.partitions.map(p => p.label).join() !== 'bootfs,rootfs') {
+            throw new Error('Partitions not parsed: ' + JSON.stringify(info.partitions));
+        }
+        if (info.hardware.model !== 'Samsung SSD 870 EVO 1TB' || info.hardware.serial !== 'S6PU' || info.hardware.transport !== 'usb') {
+            throw new Error('Hardware not parsed: ' + JSON.stringify(info.hardware));
+        }
+    } finally {
+        runner.live();
+    }
+});
+
+test('fsread only runs read-only commands', () => {
+    const fsread = require('./fsread.js');
+
+    [
+        "debugfs -c -R 'cat \"/etc/os-release\"' /dev/sdb2",
+        "MTOOLS_SKIP_CHECK=1 mtype -i /dev/sdb1 '::/config.txt'",
+        "btrfs restore -D -v --path-regex '^/(|boot(|/[^/]+))$' /dev/sdb3 /tmp/diskmgt_fsread_sdb3",
+        'losetup -f --show -r /dev/sdb2',
+        'mount -o ro,noload /dev/loop3 /tmp/diskmgt_fsread_sdb2'
+    ].forEach(command => {
+        if (!fsread.isReadOnlyCommand(command)) throw new Error(`Rejected: ${command}`);
+    });
+    [
+        'mount -o ro /dev/sdb2 /tmp/diskmgt_fsread_sdb2',
+        "debugfs -w -R 'rm /etc/fstab' /dev/sdb2",
+        "debugfs -c -R 'stat /' /dev/sdb2; mkfs.ext4 /dev/sdb2",
+        'losetup -f --show /dev/sdb2'
+    ].forEach(command => {
+        if (fsread.isReadOnlyCommand(command)) throw new Error(`Allowed: ${command}`);
+    });
+
+    if (fsread.restoreRegex('/etc/os-release') !== '^/(|etc(|/os-release))$' || fsread.restoreRegex('/boot', true) !== '^/(|boot(|/[^/]+))$') {
+        throw new Error('Wrong restore regex: ' + fsread.restoreRegex('/etc/os-release'));
+    }
+});
+
+test('diskinfo detects an OS with debugfs without mounting anything', () => {
+    const runner = require('./runner.js');
+    const fsread = require('./fsread.js');
+    const diskinfo = require('./diskinfo.js');
+    const debugfs = (request, stdout) => [`debugfs -c -R '${request}' /dev/sdx2`, { status: 0, stdout }];
+    const commands = [];
+    const originalRun = runner.run;
+
+    runner.replay({ commands: Object.fromEntries([
+        ['mount | grep /dev/sdx || true', { status: 0, stdout: '' }],
+        ['blkid -o export /dev/sdx* 2>/dev/null || true', { status: 0, stdout: 'DEVNAME=/dev/sdx2\nUUID=u2\nTYPE=ext4\nLABEL=rootfs\n' }],
+        debugfs('stat "/"', 'Inode: 2   Type: directory    Mode:  0755\n'),
+        debugfs('stat "/etc/os-release"', 'Inode: 16   Type: symlink    Mode:  0777\nFast link dest: "../usr/lib/os-release"\n'),
+        debugfs('stat "/usr/lib/os-release"', 'Inode: 17   Type: regular    Mode:  0644\n'),
+        debugfs('cat "/usr/lib/os-release"', 'PRETTY_NAME="Debian GNU/Linux 12 (bookworm)"\nID=debian\n'),
+        debugfs('stat "/boot"', 'Inode: 12   Type: directory    Mode:  0755\n'),
+        debugfs('ls -p "/boot"', '/12/040755/0/0/.//\n/2/040755/0/0/..//\n/14/100644/0/0/vmlinuz-6.1.0-rpi7-rpi-v8/8388608/\n/15/100644/0/0/config-6.1.0-rpi7-rpi-v8/0/\n\n')
+    ]) });
+    runner.run = (command, options) => {
+        commands.push(command);
+        return originalRun(command, options);
+    };
+
+    try {
+        const info = diskinfo.getDetailedDiskInfo('/dev/sdx');
+        const os = info.osInfo[0];
+        if (!os || os.osType !== 'Debian GNU/Linux 12 (bookworm)' || os.readWith !== 'debugfs' || os.kernels.join() !== '/boot/vmlinuz-6.1.0-rpi7-rpi-v8') {
+            throw new Error('OS not detected: ' + JSON.stringify(info.osInfo));
+        }
+        // Everything run on the partition besides diskinfo's own findmnt lookup went through fsread's check
+        const sdx2 = commands.filter(command => command.includes('/dev/sdx2') && !command.endsWith('|| true'));
+        if (sdx2.some(command => !fsread.isReadOnlyCommand(command)) || commands.some(command => /^mount .*\/dev\/sdx\d/.test(command))) {
+            throw new Error('Ran a command that could write: ' + JSON.stringify(commands));
+        }
+    } finally {
+        runner.run = originalRun;
+        runner.live();
+    }
+});
+
+test('parttable.parseGptHeader() reads a header and checks its CRC', () => {
+    const parttable = require('./parttable.js');
+
+    if (parttable.crc32(Buffer.from('123456789')) !== 0xCBF43926) {
+        throw new Error('Wrong CRC32: ' + parttable.crc32(Buffer.from('123456789')).toString(16));
+    }
+
+    const sector = Buffer.alloc(512);
+    sector.write('EFI PART', 0, 'latin1');
+    sector.writeUInt32LE(0x00010000, 8);
+    sector.writeUInt32LE(92, 12);
+    sector.writeBigUInt64LE(1n, 24);
+    sector.writeBigUInt64LE(7679999n, 32);
+    sector.writeBigUInt64LE(34n, 40);
+    sector.writeBigUInt64LE(7679966n, 48);
+    Buffer.from('28732ac11ff8d211ba4b00a0c93ec93b', 'hex').copy(sector, 56);
+    sector.writeBigUInt64LE(2n, 72);
+    sector.writeUInt32LE(128, 80);
+    sector.writeUInt32LE(128, 84);
+    sector.writeUInt32LE(parttable.crc32(sector.subarray(0, 92)), 16);
+
+    const header = parttable.parseGptHeader(sector);
+    if (!header.crcValid || header.alternateLba !== 7679999 || header.lastUsable !== 7679966 || header.diskGuid !== 'C12A7328-F81F-11D2-BA4B-00A0C93EC93B') {
+        throw new Error('Header not parsed: ' + JSON.stringify(header));
+    }
+
+    sector[60] ^= 0xFF;
+    if (parttable.parseGptHeader(sector).crcValid || parttable.parseGptHeader(Buffer.alloc(512)) !== null) {
+        throw new Error('Corrupt header accepted');
+    }
+});
+
+test('parttable.readPartitionTable() flags a Pi image written to a bigger SD card', () => {
+    const runner = require('./runner.js');
+    const parttable = require('./parttable.js');
+    const od = buffer => buffer.toString('hex').match(/../g).join(' ') + '\n';
+    const dd = lba => `dd if=/dev/mmcblk0 bs=512 skip=${lba} count=1 status=none | od -An -v -tx1`;
+
+    // Headers of a 3.7 GB image: the backup sits at its last sector, not the card's
+    const gptHeader = (myLba, alternateLba) => {
+        const sector = Buffer.alloc(512);
+        sector.write('EFI PART', 0, 'latin1');
+        sector.writeUInt32LE(92, 12);
+        sector.writeBigUInt64LE(BigInt(myLba), 24);
+        sector.writeBigUInt64LE(BigInt(alternateLba), 32);
+        sector.writeBigUInt64LE(34n, 40);
+        sector.writeBigUInt64LE(7679966n, 48);
+        sector.writeUInt32LE(128, 80);
+        sector.writeUInt32LE(128, 84);
+        sector.writeUInt32LE(parttable.crc32(sector.subarray(0, 92)), 16);
+        return sector;
+    };
+    // Hybrid MBR: the protective entry plus the FAT partition
+    const mbr = Buffer.alloc(512);
+    mbr[446 + 4] = 0xEE;
+    mbr[462 + 4] = 0x0C;
+    mbr.writeUInt16LE(0xAA55, 510);
+
+    runner.replay({
+        commands: {
+            'sfdisk --json /dev/mmcblk0': { status: 0, stdout: JSON.stringify({ partitiontable: {
+                label: 'gpt', id: 'ID', device: '/dev/mmcblk0', unit: 'sectors', firstlba: 34, lastlba: 7679966, sectorsize: 512,
+                partitions: [
+                    { node: '/dev/mmcblk0p1', start: 8192, size: 1042432, type: 'C12A7328-F81F-11D2-BA4B-00A0C93EC93B', uuid: 'p1', name: 'boot' },
+                    { node: '/dev/mmcblk0p2', start: 1050624, size: 6629343, type: '0FC63DAF-8483-4772-8E79-3D69D8477DE4', uuid: 'p2', name: 'root' }
+                ]
+            } }) },
+            [dd(0)]: { status: 0, stdout: od(mbr) },
+            [dd(1)]: { status: 0, stdout: od(gptHeader(1, 7679999)) },
+            [dd(7679999)]: { status: 0, stdout: od(gptHeader(7679999, 1)) }
+        },
+        files: {
+            '/sys/class/block/mmcblk0/size': '62333952\n',
+            '/sys/class/block/mmcblk0/device/preferred_erase_size': '4194304\n'
+        }
+    });
+
+    try {
+        const table = parttable.readPartitionTable('/dev/mmcblk0');
+        const messages = table.issues.map(issue => `${issue.severity}: ${issue.message}`);
+        const expected = [
+            /^warning: Partition 2 is not aligned to the card's 4 MiB erase block/,
+            /^warning: The backup GPT header is at sector 7679999, not at the end of the disk \(sector 62333951\)/,
+            /^warning: Hybrid MBR \(also lists type c\)/
+        ];
+        if (messages.length !== expected.length || expected.some((pattern, i) => !pattern.test(messages[i]))) {
+            throw new Error('Wrong issues: ' + JSON.stringify(messages));
+        }
+        if (table.gaps.length !== 1 || table.gaps[0].start !== 34 || table.gaps[0].end !== 8191) {
+            throw new Error('Wrong gaps: ' + JSON.stringify(table.gaps));
+        }
+        if (table.partitions[0].flags.join() !== 'boot,esp' || table.partitions[1].typeName !== 'Linux filesystem') {
+            throw new Error('Wrong partitions: ' + JSON.stringify(table.partitions));
+        }
+    } finally {
+        runner.live();
+    }
+});
+
+test('parttable.checkPartitionTable() catches overlaps and misaligned MBR partitions', () => {
+    const parttable = require('./parttable.js');
+    const table = parttable.parseSfdisk(JSON.stringify({ partitiontable: {
+        label: 'dos', id: '0x5452574f', device: '/dev/sdx', unit: 'sectors',
+        partitions: [
+            { node: '/dev/sdx1', start: 63, size: 524225, type: 'c', bootable: true },
+            { node: '/dev/sdx2', start: 524288, size: 4200000, type: '83' },
+            { node: '/dev/sdx3', start: 4718592, size: 1992048, type: '5' },
+            { node: '/dev/sdx5', start: 4720640, size: 1990000, type: '83' }
+        ]
+    } }));
+
+    const messages = parttable.checkPartitionTable({ ...table, diskSectors: 5000000 }).map(issue => issue.message);
+    const expected = [
+        /^Partitions 2 and 5 overlap \(sectors 4720640-4724287\)/,
+        /^Partition 5 ends at sector 6710639, past the end of the disk/,
+        /^Partition 1 starts at sector 63, not on a 1 MiB boundary/
+    ];
+    if (table.label !== 'msdos' || table.partitions[0].flags.join() !== 'boot') {
+        throw new Error('Table not parsed: ' + JSON.stringify(table));
+    }
+    if (messages.length !== expected.length || expected.some((pattern, i) => !pattern.test(messages[i]))) {
+        throw new Error('Wrong issues: ' + JSON.stringify(messages));
+    }
+});
+
+test('parttable.renderLayoutBar() draws partitions and free space to scale', () => {
+    const parttable = require('./parttable.js');
+    const table = parttable.parseSfdisk(JSON.stringify({ partitiontable: {
+        label: 'dos', id: '0x5452574f', device: '/dev/sdx', unit: 'sectors',
+        partitions: [
+            { node: '/dev/sdx1', start: 2048, size: 1048576, type: 'c' },
+            { node: '/dev/sdx2', start: 1050624, size: 20971520, type: '83' }
+        ]
+    } }));
+    table.diskSectors = 62521344;
+    table.gaps = parttable.findGaps(table.partitions, 1, table.diskSectors - 1, 512);
+    const partitions = [
+        { device: '/dev/sdx1', type: 'vfat', label: 'bootfs', usedPercent: 25 },
+        { device: '/dev/sdx2', type: 'ext4', label: 'rootfs', usedPercent: null }
+    ];
+
+    const lines = parttable.renderLayoutBar(table, partitions, { width: 30, ascii: true });
+    if (lines[0] !== '[1=2#########..................]') {
+        throw new Error('Wrong bar: ' + lines[0]);
+    }
+    if (lines[1] !== '= 1 bootfs vfat 512.0MB - 25% used, 75% free' || lines[2] !== '# 2 rootfs ext4 10.0GB - not mounted' || lines[3] !== '. free 19.3GB') {
+        throw new Error('Wrong legend: ' + JSON.stringify(lines.slice(1)));
+    }
+
+    const widths = parttable.segmentWidths([1, 1000000, 3], 20, [2, 1, 1]);
+    if (widths.join() !== '2,17,1') {
+        throw new Error('Wrong widths: ' + widths.join());
+    }
+});
+
+test('health.collectHealth() reads ATA attributes from one smartctl JSON run', () => {
+    const runner = require('./runner.js');
+    const health = require('./health.js');
+    const attr = (id, name, value, worst, thresh, raw, extra = {}) => ({
+        id, name, value, worst, thresh, when_failed: '', flags: { value: 0x13, string: 'PO--C- ', prefailure: true }, raw: { value: raw, string: String(raw) }, ...extra
+    });
+    const smart = {
+        smartctl: { version: [7, 3], exit_status: 4, messages: [{ string: 'Warning: ATA error count increased', severity: 'warning' }] },
+        device: { name: '/dev/sdx', type: 'sat', protocol: 'ATA' },
+        model_name: 'Samsung SSD 870 EVO 1TB',
+        serial_number: 'S6PU',
+        firmware_version: 'SVT02B6Q',
+        smart_support: { available: true, enabled: true },
+        smart_status: { passed: true },
+        ata_smart_attributes: { table: [
+            attr(5, 'Reallocated_Sector_Ct', 100, 100, 10, 8),
+            attr(9, 'Power_On_Hours', 95, 95, 0, 21043),
+            attr(177, 'Wear_Leveling_Count', 87, 87, 0, 123),
+            attr(194, 'Temperature_Celsius', 67, 52, 0, 33)
+        ] },
+        power_on_time: { hours: 21043 },
+        power_cycle_count: 412,
+        temperature: { current: 33 },
+        ata_smart_self_test_log: { standard: { table: [
+            { type: { value: 2, string: 'Extended offline' }, status: { value: 121, string: 'Completed: read failure', passed: false }, lifetime_hours: 21000 },
+            { type: { value: 1, string: 'Short offline' }, status: { value: 0, string: 'Completed without error', passed: true }, lifetime_hours: 20000 }
+        ] } }
+    };
+
+    // Exit status 4 (some command failed) still comes with the full report
+    runner.replay({ commands: {
+        'smartctl -j -a /dev/sdx': { status: 4, stdout: JSON.stringify(smart) }
+    } });
+
+    try {
+        const reading = health.collectHealth({ name: 'sdx', device: '/dev/sdx', model: 'Samsung SSD 870 EVO 1TB', size: '931.5GB' });
+        if (reading.health.status !== 'PASS' || reading.temperature !== 33 || reading.powerOnHours !== 21043 || reading.wear !== 87) {
+            throw new Error('Reading not parsed: ' + JSON.stringify(reading));
+        }
+        const wear = reading.smart.attributes.find(a => a.id === 177);
+        if (wear.worst !== 87 || wear.threshold !== 0 || wear.raw !== 123 || reading.smart.selfTests.length !== 2 || reading.smart.powerCycles !== 412) {
+            throw new Error('Attributes not parsed: ' + JSON.stringify(reading.smart));
+        }
+        const warnings = health.smartWarnings(reading.smart);
+        if (warnings.join('|') !== '8 reallocated sectors|Last self-test: Completed: read failure') {
+            throw new Error('Wrong warnings: ' + JSON.stringify(warnings));
+        }
+    } finally {
+        runner.live();
+    }
+});
+
+test('dm health --json stores its readings in the SMART time series', () => {
+    // Run in a child process with its own config directory so the real time series is untouched
+    const dir = fs.mkdtempSync('/tmp/diskmgt-health-record-test-');
+    const script = `
+        const runner = require('./runner.js');
+        const detect = require('./detect.js');
+        const health = require('./health.js');
+        const report = require('./report.js');
+        const smartHistory = require('./smarthistory.js');
+        let reallocated = 0;
+        const smart = () => JSON.stringify({
+            device: { name: '/dev/sdx', type: 'sat', protocol: 'ATA' },
+            serial_number: 'S1',
+            smart_status: { passed: true },
+            ata_smart_attributes: { table: [{ id: 5, name: 'Reallocated_Sector_Ct', value: 100, worst: 100, thresh: 10, raw: { value: reallocated } }] },
+            temperature: { current: 35 }
+        });
+        runner.run = command => {
+            if (command === 'smartctl -j -a /dev/sdx') return smart();
+            throw new Error('Unexpected command ' + command);
+        };
+        health.isSmartctlAvailable = () => true;
+        detect.detectDrives = () => [{ name: 'sdx', device: '/dev/sdx', type: 'disk', model: 'Disk', size: '1.0TB' }];
+        report.buildHealthReport();
+        reallocated = 8;
+        report.buildHealthReport();
+        const changes = health.collectHealth(detect.detectDrives()[0]).changes;
+        console.log(JSON.stringify({ readings: smartHistory.getReadings('S1').map(r => r.reallocated), changes }));
+    `;
+    const output = execSync(`node -e "${script.replace(/"/g, '\\"')}"`, {
+        cwd: __dirname,
+        encoding: 'utf8',
+        env: { ...process.env, DISKMGT_CONFIG_DIR: dir }
+    });
+    fs.rmSync(dir, { recursive: true, force: true });
+
+    const { readings, changes } = JSON.parse(output.trim().split('\n').pop());
+    if (readings.join() !== '0,8,8' || !changes || changes.changes.length !== 0) {
+        throw new Error('Readings not stored: ' + output.trim());
+    }
+});
+
+test('health.parseSmartJson() reads the NVMe health log', () => {
+    const health = require('./health.js');
+    const smart = health.parseSmartJson({
+        device: { name: '/dev/nvme0', type: 'nvme', protocol: 'NVMe' },
+        smart_support: { available: true, enabled: true },
+        smart_status: { passed: true, nvme: { value: 0 } },
+        nvme_smart_health_information_log: {
+            critical_warning: 0, temperature: 41, available_spare: 100, available_spare_threshold: 10, percentage_used: 104,
+            data_units_read: 1000, data_units_written: 2000, power_on_hours: 9000, unsafe_shutdowns: 17, media_errors: 2, num_err_log_entries: 5
+        },
+        temperature: { current: 41 },
+        power_on_time: { hours: 9000 },
+        nvme_self_test_log: { table: [
+            { self_test_code: { value: 1, string: 'Short' }, self_test_result: { value: 0, string: 'Completed without error' }, power_on_hours: 8990 }
+        ] }
+    });
+
+    if (smart.protocol !== 'NVMe' || smart.wear !== 0 || smart.nvme.unsafeShutdowns !== 17 || smart.nvme.bytesWritten !== 1024000000) {
+        throw new Error('NVMe log not parsed: ' + JSON.stringify(smart));
+    }
+    if (smart.selfTests[0].passed !== true || smart.attributes.length !== 0) {
+        throw new Error('Self-tests not parsed: ' + JSON.stringify(smart.selfTests));
+    }
+    if (health.smartWarnings(smart).join('|') !== '2 media errors') {
+        throw new Error('Wrong warnings: ' + JSON.stringify(health.smartWarnings(smart)));
+    }
+});
+
+test('smarthistory records readings per serial and flags counters that went up', () => {
+    // Run in a child process with its own config directory so the real time series is untouched
+    const dir = fs.mkdtempSync('/tmp/diskmgt-smart-history-test-');
+    const script = `
+        const smartHistory = require('./smarthistory.js');
+        const dryrun = require('./dryrun.js');
+        const reading = (reallocated, crc, wear) => ({
+            device: '/dev/sda',
+            health: { status: 'PASS' },
+            smart: {
+                serial: 'S1', model: 'Disk', temperature: 35, wear, powerOnHours: 100, nvme: null,
+                attributes: [{ id: 5, raw: reallocated }, { id: 199, raw: crc }, { id: 241, raw: 2048 }]
+            }
+        });
+        smartHistory.recordReading(reading(0, 3, 98));
+        const diff = smartHistory.changesSinceLast(reading(8, 3, 97));
+        smartHistory.recordReading(reading(8, 3, 97));
+        dryrun.setEnabled(true);
+        smartHistory.recordReading(reading(9, 3, 97));
+        console.log(JSON.stringify({ diff, readings: smartHistory.getReadings('S1'), serial: smartHistory.findSerial('sda') }));
+    `;
+    const output = execSync(`node -e "${script.replace(/"/g, '\\"')}"`, {
+        cwd: __dirname,
+        encoding: 'utf8',
+        env: { ...process.env, DISKMGT_CONFIG_DIR: dir }
+    });
+    fs.rmSync(dir, { recursive: true, force: true });
+
+    const { diff, readings, serial } = JSON.parse(output);
+    if (readings.length !== 2 || readings[1].reallocated !== 8 || readings[1].data_written !== 1048576 || serial !== 'S1') {
+        throw new Error('Unexpected readings: ' + output.trim());
+    }
+    const changes = diff.changes.map(c => `${c.key}:${c.delta}:${c.worse}`).join('|');
+    if (changes !== 'reallocated:8:true|wear:-1:true') {
+        throw new Error('Wrong changes: ' + changes);
+    }
+});
+
+test('smarthistory.bucketReadings() keeps the last reading of each period for the sparklines', () => {
+    const smartHistory = require('./smarthistory.js');
+    const readings = [
+        { ts: '2026-01-30T08:00:00.000Z', temperature: 30 },
+        { ts: '2026-01-30T20:00:00.000Z', temperature: 40 },
+        { ts: '2026-01-31T08:00:00.000Z', temperature: null },
+        { ts: '2026-02-01T08:00:00.000Z', temperature: 50 }
+    ];
+
+    const days = smartHistory.bucketReadings(readings, 'day');
+    const months = smartHistory.bucketReadings(readings, 'month');
+    if (days.map(d => `${d.bucket}=${d.temperature}`).join(',') !== '2026-01-30=40,2026-01-31=null,2026-02-01=50') {
+        throw new Error('Wrong days: ' + JSON.stringify(days));
+    }
+    if (months.map(m => `${m.bucket}=${m.temperature}`).join(',') !== '2026-01=null,2026-02=50') {
+        throw new Error('Wrong months: ' + JSON.stringify(months));
+    }
+
+    const values = days.map(d => d.temperature);
+    if (smartHistory.sparkline(values, false) !== '▁ █' || smartHistory.sparkline([1, 2, 3, 5], true) !== '_-=#') {
+        throw new Error('Wrong sparklines: ' + smartHistory.sparkline(values, false) + ' ' + smartHistory.sparkline([1, 2, 3, 5], true));
+    }
+});
+
+test('usbinfo.getUsbInfo() maps a drive to its hub chain and flags slow links and unpowered hubs', () => {
+    const runner = require('./runner.js');
+    const usbinfo = require('./usbinfo.js');
+    const usb = '/sys/devices/platform/scb/fd500000.pcie/usb1';
+    const attrs = (dir, values) => Object.fromEntries(Object.entries(values).map(([k, v]) => [`${dir}/${k}`, `${v}\n`]));
+
+    runner.replay({
+        links: {
+            '/sys/class/block/sdx': `${usb}/1-1/1-1.3/1-1.3:1.0/host0/target0:0:0/0:0:0:0/block/sdx`,
+            [`${usb}/1-1/1-1.3/1-1.3:1.0/driver`]: '/sys/bus/usb/drivers/usb-storage'
+        },
+        files: {
+            ...attrs(usb, { speed: 480, version: ' 2.00', bmAttributes: 'e0' }),
+            ...attrs(`${usb}/1-1`, { speed: 480, version: ' 2.10', product: 'USB2.0 Hub', bmAttributes: 'a0' }),
+            ...attrs(`${usb}/1-1/1-1.3`, { busnum: 1, speed: 480, version: ' 3.20', idVendor: '152d', idProduct: '0578', product: 'JMS578', bmAttributes: '80' }),
+            '/sys/module/usb_storage/parameters/quirks': '0bc2:2322:u,152d:0578:u\n'
+        }
+    });
+
+    try {
+        const info = usbinfo.getUsbInfo('/dev/sdx');
+        if (!info || info.bus !== 1 || info.port !== '1.3' || info.speed !== 480 || info.driver !== 'usb-storage' || !info.superSpeedCapable) {
+            throw new Error('USB topology not read: ' + JSON.stringify(info));
+        }
+        if (info.hubs.map(h => h.product).join() !== 'USB2.0 Hub' || info.quirks.map(q => q.flag).join() !== 'u') {
+            throw new Error('Hub chain or quirks not read: ' + JSON.stringify(info));
+        }
+        if (info.warnings.length !== 2) {
+            throw new Error('Expected slow link and unpowered hub warnings: ' + JSON.stringify(info.warnings));
+        }
+        if (usbinfo.getUsbInfo('/dev/sdy') !== null) {
+            throw new Error('Unknown device reported as USB');
+        }
+    } finally {
+        runner.live();
+    }
+});
+
+test('piboot.parseConfigTxt() groups settings and overlays by section', () => {
+    const piboot = require('./piboot.js');
+    const config = piboot.parseConfigTxt([
+        '# For more options see config.txt(5)',
+        'dtparam=audio=on',
+        'camera_auto_detect=1',
+        '[pi4]',
+        'arm_boost=1',
+        'dtoverlay=vc4-kms-v3d,cma-512',
+        '[all]',
+        'initramfs initrd.img followkernel',
+        'dtoverlay=disable-bt'
+    ].join('\n'));
+
+    if (config.sections.map(s => s.filter).join() !== 'all,pi4,all' || config.invalid.length !== 0) {
+        throw new Error('Sections not parsed: ' + JSON.stringify(config.sections));
+    }
+    const overlays = config.overlays.map(o => `${o.filter}:${o.name}:${o.params.join('|')}`).join();
+    if (overlays !== 'pi4:vc4-kms-v3d:cma-512,all:disable-bt:') {
+        throw new Error('Overlays not parsed: ' + overlays);
+    }
+    if (config.sections[2].settings[0].key !== 'initramfs') {
+        throw new Error('initramfs line not parsed');
+    }
+});
+
+test('piboot.checkPiBoot() catches a cloned card whose cmdline.txt and fstab point at the old PARTUUIDs', () => {
+    const piboot = require('./piboot.js');
+    const partitions = [
+        { device: '/dev/sdx1', type: 'vfat', partuuid: '5e3da3da-01', label: 'bootfs' },
+        { device: '/dev/sdx2', type: 'ext4', partuuid: '5e3da3da-02', label: 'rootfs' }
+    ];
+    const config = piboot.parseConfigTxt('dtoverlay=vc4-kms-v3d\n[pi4]\nkernel=kernel8.img\n');
+    const bootFiles = ['config.txt', 'cmdline.txt', 'kernel8.img', 'start4.elf'];
+    const fstab = text => piboot.parseFstab(text);
+
+    const good = piboot.checkPiBoot({
+        config,
+        cmdline: piboot.parseCmdline('console=tty1 root=PARTUUID=5e3da3da-02 rootfstype=ext4 fsck.repair=yes rootwait\n'),
+        fstab: fstab('proc /proc proc defaults 0 0\nPARTUUID=5e3da3da-01 /boot/firmware vfat defaults 0 2\nPARTUUID=5e3da3da-02 / ext4 defaults,noatime 0 1\n')
+    }, partitions, partitions[0], bootFiles, ['vc4-kms-v3d.dtbo']);
+    if (good.length !== 0) {
+        throw new Error('Matching boot files reported: ' + JSON.stringify(good));
+    }
+
+    const cloned = piboot.checkPiBoot({
+        config,
+        cmdline: piboot.parseCmdline('console=tty1 root=PARTUUID=0a1b2c3d-02 rootfstype=ext4 rootwait\n'),
+        fstab: fstab('PARTUUID=0a1b2c3d-01 /boot/firmware vfat defaults 0 2\nPARTUUID=0a1b2c3d-02 / ext4 defaults 0 1\n')
+    }, partitions, partitions[0], bootFiles, []);
+    const errors = cloned.filter(issue => issue.severity === 'error').map(issue => issue.message).join('\n');
+    if (!errors.includes('root=PARTUUID=0a1b2c3d-02') || !errors.includes('mounts / from') || !errors.includes('/boot/firmware')) {
+        throw new Error('Stale PARTUUIDs not reported: ' + errors);
+    }
+    if (!cloned.some(issue => issue.severity === 'warning' && issue.message.includes('vc4-kms-v3d.dtbo'))) {
+        throw new Error('Missing overlay not reported');
+    }
+});
+
+test('identity.reconcileRecords() follows a reformatted partition and adds its disk', () => {
+    const identity = require('./identity.js');
+    const seen = { first_seen: '2024-01-01T00:00:00.000Z', last_seen: '2024-01-02T00:00:00.000Z' };
+    const data = { drives: [{ uuid: 'old-fs', label: 'Photos', tags: [], custom: {}, partuuid: 'p-1', ...seen }], disks: [] };
+    const detected = [
+        { name: 'sda', type: 'disk', uuid: 'NO-UUID-sda', model: 'Elements', size: '1.8TB', serial: 'WX1', wwn: null, diskId: 'serial:WX1', partuuid: null, partition: null },
+        { name: 'sda1', device: '/dev/sda1', type: 'part', uuid: 'new-fs', serial: null, wwn: null, diskId: 'serial:WX1', partuuid: 'p-1', partition: 1 }
+    ];
+    const changes = identity.reconcileRecords(data, detected);
+
+    const drive = data.drives[0];
+    if (drive.uuid !== 'new-fs' || drive.previous_uuids.join() !== 'old-fs' || drive.disk !== 'serial:WX1' || drive.partition !== 1) {
+        throw new Error('Record not re-keyed: ' + JSON.stringify(drive));
+    }
+    if (changes.reidentified.length !== 1 || data.disks.length !== 1 || data.disks[0].label !== 'Elements') {
+        throw new Error('Unexpected changes: ' + JSON.stringify({ changes, disks: data.disks }));
+    }
+    if (storage.validateDrive(drive).length > 0 || storage.validateDisk(data.disks[0]).length > 0) {
+        throw new Error('Reconciled records are invalid');
+    }
+});
+
+test('identity.reconcileRecords() reports no changes once the registry matches the hardware', () => {
+    const identity = require('./identity.js');
+    const data = { drives: [{ uuid: 'fs-1', label: 'Photos', tags: [], custom: {}, first_seen: '2024-01-01T00:00:00.000Z', last_seen: '2024-01-02T00:00:00.000Z' }], disks: [] };
+    const detected = [
+        { name: 'sda', type: 'disk', uuid: 'NO-UUID-sda', model: 'Elements', size: '1.8TB', serial: 'WX1', wwn: null, diskId: 'serial:WX1', partuuid: null, partition: null },
+        { name: 'sda1', device: '/dev/sda1', type: 'part', uuid: 'fs-1', serial: null, wwn: null, diskId: 'serial:WX1', partuuid: 'p-1', partition: 1 }
+    ];
+
+    const first = identity.reconcileRecords(data, detected);
+    const second = identity.reconcileRecords(data, detected);
+    detected[0].size = '1.9TB';
+    const third = identity.reconcileRecords(data, detected);
+
+    if (first.linked.length !== 1 || first.disksAdded.length !== 1) {
+        throw new Error('First pass did not link the drive: ' + JSON.stringify(first));
+    }
+    if (Object.values(second).some(list => list.length > 0)) {
+        throw new Error('Second pass reported changes: ' + JSON.stringify(second));
+    }
+    if (third.disksUpdated.join() !== 'serial:WX1' || data.disks[0].size !== '1.9TB') {
+        throw new Error('Disk update not reported: ' + JSON.stringify(third));
+    }
+});
+
+test('stale.findStaleDrives() flags old drives and backup drives due for rotation', () => {
+    const stale = require('./stale.js');
+    const now = Date.parse('2024-03-01T00:00:00.000Z');
+    const daysAgo = days => new Date(now - days * 86400000).toISOString();
+    const drive = (uuid, purpose, days, custom = {}) => ({ uuid, label: uuid, purpose, tags: [], custom, first_seen: daysAgo(400), last_seen: daysAgo(days) });
+    const drives = [
+        drive('media', 'Media', 40),
+        drive('recent', 'Media', 3),
+        drive('offsite', 'Offsite backup', 10),
+        drive('weekly', '', 10, { rotation_days: '14' }),
+        drive('plugged', 'Media', 90)
+    ];
+    const entries = stale.findStaleDrives(drives, new Set(['plugged']), { staleDays: 30, rotationDays: 7 }, now);
+    const flagged = entries.map(e => `${e.uuid}:${e.overdue}`).join(',');
+    if (flagged !== 'media:false,offsite:true') {
+        throw new Error('Unexpected stale drives: ' + flagged);
+    }
+});
+
+test('labels.renderLabels() puts every drive on a sticker', () => {
+    const labels = require('./labels.js');
+    const drives = Array.from({ length: labels.PER_SHEET + 1 }, (_, i) => ({ uuid: `uuid-${i}`, label: `Drive <${i}>`, size: '1G' }));
+    const svg = labels.renderLabels(drives, 'svg');
+    if ((svg.match(/<path d=/g) || []).length !== drives.length || !svg.includes('Drive &lt;3&gt;')) {
+        throw new Error('Missing or unescaped stickers');
+    }
+    const html = labels.renderLabels(drives, 'html');
+    if ((html.match(/height="297mm"/g) || []).length !== 2) {
+        throw new Error('Expected two A4 sheets');
+    }
+});
+
+test('labels.findDriveByCode() matches UUIDs, old UUIDs and unique prefixes', () => {
+    const labels = require('./labels.js');
+    const drives = [
+        { uuid: '1c2f5a9e-aaaa', previous_uuids: ['0ld-uuid'] },
+        { uuid: '1c2f7777-bbbb', previous_uuids: [] }
+    ];
+    const found = code => (labels.findDriveByCode(drives, code) || {}).uuid || null;
+    if (found(' 1C2F5A9E-AAAA\n') !== '1c2f5a9e-aaaa' || found('0ld-uuid') !== '1c2f5a9e-aaaa' || found('1c2f7') !== '1c2f7777-bbbb') {
+        throw new Error('Drive not found');
+    }
+    if (found('1c2f') !== null || found('zz') !== null) {
+        throw new Error('Ambiguous or unknown code matched a drive');
+    }
+});
+
+test('storage.migrateRegistry() refuses files from a newer version', () => {
+    let threw = false;
+    try {
+        storage.migrateRegistry({ schemaVersion: storage.SCHEMA_VERSION + 1, drives: [] });
+    } catch {
+        threw = true;
+    }
+    if (!threw) {
+        throw new Error('Newer schema version was accepted');
+    }
+});
+
+test('doctor.diagnoseRegistry() reports duplicates, placeholders and bad fields', () => {
+    const doctor = require('./doctor.js');
+    const seen = { first_seen: '2024-01-01T00:00:00.000Z', last_seen: '2024-01-02T00:00:00.000Z' };
+    const issues = doctor.diagnoseRegistry([
+        { uuid: 'u1', label: 'One', ...seen },
+        { uuid: 'u1', label: 'Copy', ...seen },
+        { uuid: 'NO-UUID-sdb1', label: 'Blank', ...seen },
+        { uuid: 'u2', label: 'Two', first_seen: seen.first_seen }
+    ]);
+    const problems = issues.map(i => `${i.label}: ${i.problem}`);
+    const expected = ['One: Duplicate', 'Copy: Duplicate', 'Blank: Placeholder', 'Two: missing last_seen'];
+    expected.forEach(start => {
+        if (!problems.some(p => p.startsWith(start))) {
+            throw new Error(`Missing "${start}" in ${JSON.stringify(problems)}`);
+        }
+    });
+    if (issues.length !== expected.length) {
+        throw new Error('Unexpected issues: ' + JSON.stringify(problems));
+    }
+});
+
+test('registry-io CSV export reads back the same records', () => {
+    const registryIO = require('./registry-io.js');
+    const drives = [{
+        uuid: 'u1', label: 'One', type: 'USB Drive', purpose: 'Photos, "raw"\nand edits', size: '1G', device: '/dev/sda1',
+        first_seen: '2024-01-01T00:00:00.000Z', last_seen: '2024-01-02T00:00:00.000Z',
+        tags: ['offsite', 'cold storage'], custom: { owner: 'alice' }
+    }];
+    const [record] = registryIO.recordsFromCsv(registryIO.exportDrives(drives, 'csv'));
+    if (JSON.stringify(record) !== JSON.stringify(drives[0])) {
+        throw new Error('Round trip changed the record: ' + JSON.stringify(record));
+    }
+});
+
+test('registry-io.planImport() merges by UUID and reports label clashes', () => {
+    const registryIO = require('./registry-io.js');
+    const local = [{ uuid: 'u1', label: 'Photos', first_seen: '2024-01-01T00:00:00.000Z', last_seen: '2024-03-01T00:00:00.000Z', tags: ['a'], custom: {} }];
+    const imported = [
+        { uuid: 'u1', label: 'Pictures', first_seen: '2023-06-01T00:00:00.000Z', last_seen: '2024-02-01T00:00:00.000Z', tags: ['b'], custom: { owner: 'bob' } },
+        { uuid: 'u2', label: 'New', first_seen: '2024-01-01T00:00:00.000Z', last_seen: '2024-01-01T00:00:00.000Z' },
+        { uuid: 'NO-UUID-sdc1', label: 'Blank', first_seen: '2024-01-01T00:00:00.000Z', last_seen: '2024-01-01T00:00:00.000Z' }
+    ];
+    const plan = registryIO.planImport(local, imported);
+    if (plan.added.length !== 1 || plan.updated.length !== 1 || plan.skipped.length !== 1 || plan.clashes.length !== 1) {
+        throw new Error('Unexpected plan: ' + JSON.stringify(plan));
+    }
+
+    const merged = registryIO.mergeRecords(local[0], imported[0], 'Photos');
+    if (merged.last_seen !== local[0].last_seen || merged.first_seen !== imported[0].first_seen ||
+        merged.tags.join() !== 'a,b' || merged.custom.owner !== 'bob' || merged.label !== 'Photos') {
+        throw new Error('Unexpected merge: ' + JSON.stringify(merged));
+    }
+});
+
+test('registry-io.mergeRecords() keeps the latest sighting per host', () => {
+    const registryIO = require('./registry-io.js');
+    const base = { uuid: 'u1', label: 'One', first_seen: '2024-01-01T00:00:00.000Z', tags: [], custom: {} };
+    const merged = registryIO.mergeRecords(
+        { ...base, last_seen: '2024-03-01T00:00:00.000Z', last_seen_on: { 'pi-01': '2024-03-01T00:00:00.000Z', 'pi-02': '2024-01-05T00:00:00.000Z' } },
+        { ...base, last_seen: '2024-02-01T00:00:00.000Z', last_seen_on: { 'pi-02': '2024-02-01T00:00:00.000Z', 'pi-03': '2024-01-10T00:00:00.000Z' } }
+    );
+    const expected = { 'pi-01': '2024-03-01T00:00:00.000Z', 'pi-02': '2024-02-01T00:00:00.000Z', 'pi-03': '2024-01-10T00:00:00.000Z' };
+    if (JSON.stringify(merged.last_seen_on) !== JSON.stringify(expected)) {
+        throw new Error('Unexpected last_seen_on: ' + JSON.stringify(merged.last_seen_on));
+    }
+    if (storage.lastSeenHost(merged).host !== 'pi-01') {
+        throw new Error('lastSeenHost did not pick the latest host');
+    }
+});
+
+test('sync.syncRegistry() merges other hosts and publishes this one', () => {
+    const dir = fs.mkdtempSync('/tmp/diskmgt-sync-test-');
+    fs.mkdirSync(`${dir}/shared`);
+    fs.writeFileSync(`${dir}/shared/pi-03.diskmgt.json`, JSON.stringify({
+        schema: 'diskmgt/registry',
+        drives: [{ uuid: 'remote-1', label: 'Remote', first_seen: '2024-01-01T00:00:00.000Z', last_seen: '2024-01-02T00:00:00.000Z', last_seen_on: { 'pi-03': '2024-01-02T00:00:00.000Z' } }]
+    }));
+    const script = `
+        const path = require('path');
+        const sync = require('./sync.js');
+        const storage = require('./storage.js');
+        const writeAtomic = storage.writeAtomic;
+        const atomic = [];
+        storage.writeAtomic = (file, contents) => {
+            atomic.push(path.basename(file));
+            writeAtomic(file, contents);
+        };
+        sync.syncRegistry({ dir: '${dir}/shared' }).then(() => {
+            console.log(JSON.stringify(storage.getAllDrives().map(d => d.uuid)));
+            console.log(JSON.stringify(atomic));
+        });
+    `;
+    const output = execSync(`node -e "${script.replace(/"/g, '\\"')}"`, {
+        cwd: __dirname,
+        encoding: 'utf8',
+        env: { ...process.env, DISKMGT_CONFIG_DIR: `${dir}/config` }
+    });
+    const hostFile = `${require('os').hostname()}.diskmgt.json`;
+    const published = fs.existsSync(`${dir}/shared/${hostFile}`);
+    fs.rmSync(dir, { recursive: true, force: true });
+
+    const [uuids, atomic] = output.trim().split('\n');
+    if (uuids !== '["remote-1"]') {
+        throw new Error('Remote drive not merged: ' + uuids);
+    }
+    if (!published) {
+        throw new Error('Host registry not published');
+    }
+    if (!JSON.parse(atomic).includes(hostFile)) {
+        throw new Error('Host registry not written atomically: ' + atomic);
+    }
+});
+
+// Test 7: Integration test
 console.log('\n🔗 Integration Tests\n');
 
 test('Can add and remove test drive', () => {
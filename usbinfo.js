@@ -0,0 +1,243 @@
+const path = require('path');
+const chalk = require('chalk');
+const runner = require('./runner');
+
+// Negotiated link speeds in Mbit/s, as sysfs reports them
+const USB_SPEEDS = {
+    '1.5': 'Low Speed (USB 1)',
+    '12': 'Full Speed (USB 1)',
+    '480': 'High Speed (USB 2)',
+    '5000': 'SuperSpeed (USB 3 5Gbps)',
+    '10000': 'SuperSpeed+ (USB 3 10Gbps)',
+    '20000': 'SuperSpeed+ (USB 3 20Gbps)'
+};
+
+// usb-storage quirk flags (usb-storage.quirks=VID:PID:flags), see the kernel's admin-guide/kernel-parameters
+const QUIRK_FLAGS = {
+    a: 'sane sense',
+    b: 'bad sense',
+    c: 'fix capacity',
+    d: 'no READ DISC INFO',
+    e: 'no READ CAPACITY(16)',
+    f: 'no REPORT OPCODES',
+    g: 'max 240 sectors',
+    h: 'capacity heuristics',
+    i: 'device ignored',
+    j: 'no REPORT LUNS',
+    k: 'no SAME',
+    l: 'not lockable',
+    m: 'max 64 sectors',
+    n: 'initial READ(10)',
+    o: 'capacity ok',
+    p: 'write cache',
+    r: 'ignore residue',
+    s: 'single LUN',
+    t: 'no ATA pass-through',
+    u: 'UAS disabled',
+    w: 'no write-protect check',
+    y: 'always sync'
+};
+
+// USB device directories in sysfs are named <bus>-<port>[.<port>...]; usb<bus> is the root hub
+const USB_DEVICE_DIR = /^\d+-[\d.]+$/;
+const ROOT_HUB_DIR = /^usb\d+$/;
+
+// Read a sysfs attribute of a USB device directory (null if missing)
+function attr(dir, name) {
+    return (runner.readFile(`${dir}/${name}`) || '').trim() || null;
+}
+
+// Describe one USB device directory (a hub or the drive's bridge)
+function readUsbDevice(dir) {
+    const attributes = parseInt(attr(dir, 'bmAttributes') || '0', 16);
+    return {
+        path: path.basename(dir),
+        vendorId: attr(dir, 'idVendor'),
+        productId: attr(dir, 'idProduct'),
+        manufacturer: attr(dir, 'manufacturer'),
+        product: attr(dir, 'product'),
+        speed: parseFloat(attr(dir, 'speed')) || null,
+        usbVersion: attr(dir, 'version'),
+        // bmAttributes bit 6: the device says it has its own power supply
+        selfPowered: (attributes & 0x40) !== 0,
+        maxPower: attr(dir, 'bMaxPower')
+    };
+}
+
+// Quirk flags set for a vendor:product through the usb-storage module parameter
+function quirksFor(vendorId, productId) {
+    const param = (runner.readFile('/sys/module/usb_storage/parameters/quirks') || '').trim();
+    const wanted = `${vendorId}:${productId}`.toLowerCase();
+
+    const entry = param.split(',').find(item => item.toLowerCase().startsWith(`${wanted}:`));
+    if (!entry) return [];
+    return entry.split(':')[2].split('').map(flag => ({ flag, description: QUIRK_FLAGS[flag] || 'unknown flag' }));
+}
+
+// Name of a speed in Mbit/s
+function speedName(speed) {
+    return USB_SPEEDS[speed] || (speed ? `${speed} Mbit/s` : 'unknown');
+}
+
+// Check if a USB version string ("3.20", " 2.10") is USB 3 or later
+function isSuperSpeedCapable(version) {
+    return parseFloat(version) >= 3;
+}
+
+// Problems worth knowing about on a Pi: a USB 3 drive on a USB 2 link, drives behind bus-powered hubs
+function usbWarnings(info) {
+    const warnings = [];
+
+    if (info.superSpeedCapable && info.speed && info.speed <= 480) {
+        warnings.push(`USB ${parseFloat(info.usbVersion)} drive running at ${speedName(info.speed)}: use a blue USB 3 port, a USB 3 cable and a USB 3 hub`);
+    }
+
+    info.hubs.filter(hub => !hub.selfPowered).forEach(hub => {
+        warnings.push(`Behind an unpowered hub (${hub.product || hub.path}): drives can brown out under load, use a powered hub`);
+    });
+
+    return warnings;
+}
+
+// USB topology of a block device (disk or partition): bus, port, hub chain, speed, driver and quirks
+// null if the device is not on USB
+function getUsbInfo(device) {
+    const name = path.basename(device);
+    const sysPath = runner.realpath(`/sys/class/block/${name}`);
+    if (!sysPath) return null;
+
+    // Walk the device path: /sys/devices/.../usb2/2-1/2-1.3/2-1.3:1.0/host0/.../block/sda
+    const parts = sysPath.split('/');
+    const rootIndex = parts.findIndex(part => ROOT_HUB_DIR.test(part));
+    if (rootIndex === -1) return null;
+
+    const usbDirs = [];
+    for (let i = rootIndex + 1; i < parts.length && USB_DEVICE_DIR.test(parts[i]); i++) {
+        usbDirs.push(parts.slice(0, i + 1).join('/'));
+    }
+    if (usbDirs.length === 0) return null;
+
+    const driveDir = usbDirs[usbDirs.length - 1];
+    const drive = readUsbDevice(driveDir);
+    const interfaceDir = parts.slice(0, rootIndex + usbDirs.length + 2).join('/');
+    const driver = runner.realpath(`${interfaceDir}/driver`);
+    const rootHub = readUsbDevice(parts.slice(0, rootIndex + 1).join('/'));
+
+    const info = {
+        device,
+        bus: parseInt(attr(driveDir, 'busnum')) || parseInt(parts[rootIndex].slice(3)),
+        port: drive.path.split('-')[1],
+        path: drive.path,
+        speed: drive.speed,
+        speedName: speedName(drive.speed),
+        usbVersion: drive.usbVersion,
+        superSpeedCapable: isSuperSpeedCapable(drive.usbVersion),
+        driver: driver ? path.basename(driver) : null,
+        vendorId: drive.vendorId,
+        productId: drive.productId,
+        manufacturer: drive.manufacturer,
+        product: drive.product,
+        maxPower: drive.maxPower,
+        quirks: drive.vendorId ? quirksFor(drive.vendorId, drive.productId) : [],
+        rootHub: { bus: parts[rootIndex], speed: rootHub.speed, speedName: speedName(rootHub.speed) },
+        hubs: usbDirs.slice(0, -1).map(readUsbDevice),
+        warnings: []
+    };
+    info.warnings = usbWarnings(info);
+    return info;
+}
+
+// Raspberry Pi power status from the firmware (null when vcgencmd is not available)
+function getPowerStatus() {
+    let output;
+    try {
+        output = runner.run('vcgencmd get_throttled', { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] });
+    } catch {
+        return null;
+    }
+
+    const match = output.match(/throttled=(0x[0-9a-f]+)/i);
+    if (!match) return null;
+
+    // Bits 0-3 are the current state, bits 16-19 what happened since boot
+    const flags = parseInt(match[1], 16);
+    return {
+        throttled: match[1],
+        underVoltage: (flags & 0x1) !== 0,
+        underVoltageSinceBoot: (flags & 0x10000) !== 0,
+        throttledNow: (flags & 0x4) !== 0,
+        throttledSinceBoot: (flags & 0x40000) !== 0
+    };
+}
+
+// Display the USB topology and power diagnostics of a drive
+function displayUsbInfo(info, power) {
+    const boxen = require('boxen');
+
+    if (!info) {
+        console.log(boxen(chalk.dim('Not a USB drive'), {
+            padding: 1,
+            margin: 1,
+            borderColor: 'yellow',
+            title: '🔌 USB Topology & Power',
+            titleAlignment: 'center'
+        }));
+        return;
+    }
+
+    const line = (name, value) => `${chalk.bold(`${name}:`.padEnd(12))}${value}`;
+    const name = [info.manufacturer, info.product].filter(Boolean).join(' ') || 'unknown';
+    const fast = info.speed >= 5000;
+
+    // Root hub first, then every hub down to the drive
+    const chain = [
+        `${info.rootHub.bus} ${chalk.dim(`(root hub, ${info.rootHub.speedName})`)}`,
+        ...info.hubs.map(hub => `${hub.path} ${hub.product || 'hub'} ${chalk.dim(`(${speedName(hub.speed)}, ${hub.selfPowered ? 'powered' : 'bus-powered'})`)}`),
+        `${info.path} ${chalk.bold(name)}`
+    ].map((hop, i) => (i === 0 ? hop : `${'   '.repeat(i - 1)}└─ ${hop}`));
+
+    const lines = [
+        line('Device', chalk.yellow(info.device)),
+        line('Bridge', `${chalk.yellow(name)} ${chalk.dim(`(${info.vendorId}:${info.productId})`)}`),
+        line('Bus/port', `bus ${info.bus}, port ${info.port}`),
+        line('Speed', fast ? chalk.green(info.speedName) : chalk.yellow(info.speedName)),
+        line('USB', `${parseFloat(info.usbVersion) || 'unknown'}${info.superSpeedCapable ? chalk.dim(' (SuperSpeed capable)') : ''}`),
+        line('Driver', info.driver === 'uas' ? chalk.green('uas') : chalk.yellow(info.driver || 'none')),
+        info.maxPower ? line('Max power', info.maxPower) : null,
+        line('Quirks', info.quirks.length > 0
+            ? info.quirks.map(q => `${q.flag} ${chalk.dim(`(${q.description})`)}`).join(', ')
+            : chalk.dim('none')),
+        '',
+        chalk.bold('Hub chain:'),
+        ...chain.map(hop => `  ${hop}`)
+    ];
+
+    if (power) {
+        lines.push('', line('Power', power.underVoltage
+            ? chalk.red('⚠ under-voltage now')
+            : (power.underVoltageSinceBoot ? chalk.yellow('⚠ under-voltage since boot') : chalk.green('✓ no under-voltage'))));
+    }
+
+    const warnings = [...info.warnings];
+    if (power && (power.underVoltage || power.underVoltageSinceBoot)) {
+        warnings.push('The Pi reported under-voltage: use the official power supply and a powered hub for spinning disks');
+    }
+    if (warnings.length > 0) {
+        lines.push('', ...warnings.map(w => chalk.red(`⚠ ${w}`)));
+    }
+
+    console.log(boxen(lines.filter(l => l !== null).join('\n'), {
+        padding: 1,
+        margin: 1,
+        borderStyle: 'round',
+        borderColor: warnings.length > 0 ? 'red' : 'cyan',
+        title: '🔌 USB Topology & Power',
+        titleAlignment: 'center'
+    }));
+}
+
+module.exports = {
+    getUsbInfo,
+    getPowerStatus,
+    displayUsbInfo
+};